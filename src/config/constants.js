@@ -2,8 +2,8 @@
  * Constants de configuration pour l'outil de gestion de projets
  */
 
-// Chemin de base pour les projets web
-export const BASE_PATH = '/var/www';
+// Chemin de base pour les projets web (TWOINE_BASE_PATH : tests, installations non standard)
+export const BASE_PATH = process.env.TWOINE_BASE_PATH || '/var/www';
 
 // Préfixe pour les utilisateurs SFTP
 export const SFTP_USER_PREFIX = 'sftp_';
@@ -14,21 +14,27 @@ export const SFTP_GROUP = 'sftpusers';
 // Fichier de configuration SSH
 export const SSH_CONFIG_PATH = '/etc/ssh/sshd_config';
 
-// Fichier de configuration des projets de l'outil
-export const TOOL_CONFIG_PATH = '/etc/nodejs-project-manager';
-export const PROJECTS_CONFIG_FILE = '/etc/nodejs-project-manager/projects.json';
+// Fichier de configuration des projets de l'outil (TWOINE_CONFIG_PATH : tests, installations non standard)
+export const TOOL_CONFIG_PATH = process.env.TWOINE_CONFIG_PATH || '/etc/nodejs-project-manager';
+export const PROJECTS_CONFIG_FILE = `${TOOL_CONFIG_PATH}/projects.json`;
 
 // Structure des dossiers d'un projet
 export const PROJECT_STRUCTURE = {
     sites: 'sites',
     scripts: 'scripts',
-    config: 'project.json'
+    home: 'home',
+    releases: 'releases',
+    jobs: 'jobs',
+    logs: 'logs',
+    config: 'project.json',
+    deployments: 'deployments.json'
 };
 
 // Nom des scripts générés
 export const SCRIPTS = {
     start: 'start.sh',
-    stop: 'stop.sh'
+    stop: 'stop.sh',
+    ecosystem: 'ecosystem.config.cjs'
 };
 
 // Configuration PM2
@@ -6,20 +6,39 @@
  * 
  * Fonctionnalités:
  * - Création de projets avec utilisateurs SFTP chroot
- * - Gestion des services via PM2
+ * - Gestion des services via PM2 ou systemd
  * - Génération automatique de scripts start/stop
  * - Interface CLI interactive
+ * - Commandes non interactives (twoine <groupe> <commande>, voir --help)
  * 
  * @requires Node 20+
  * @requires Ubuntu 22.04
- * @requires PM2
+ * @requires PM2 (module pm2) ou systemd
  */
 
+import { createRequire } from 'module';
 import chalk from 'chalk';
 import menu from './ui/menu.js';
+import cli from './ui/cli.js';
 import projects from './modules/projects.js';
 import shell from './utils/shell.js';
-import logger from './utils/logger.js';
+import systemd from './modules/systemd.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('cli');
+
+/**
+ * Vérifie que le module pm2 est installé (dépendance du projet, pas de binaire global)
+ * @returns {boolean}
+ */
+function hasPm2Module() {
+    try {
+        createRequire(import.meta.url).resolve('pm2');
+        return true;
+    } catch {
+        return false;
+    }
+}
 
 /**
  * Vérifie les prérequis système
@@ -33,9 +52,9 @@ async function checkPrerequisites() {
         errors.push('Cet outil doit être exécuté en tant que root (sudo)');
     }
 
-    // Vérifier si PM2 est installé
-    if (!shell.commandExists('pm2')) {
-        errors.push('PM2 n\'est pas installé. Installez-le avec: npm install -g pm2');
+    // Vérifier qu'un gestionnaire de processus est disponible : PM2 (dépendance du projet) ou systemd
+    if (!hasPm2Module() && !systemd.isAvailable()) {
+        errors.push('Aucun gestionnaire de processus : installez les dépendances (npm install) pour PM2 ou utilisez systemd');
     }
 
     // Vérifier si on est sur Linux
@@ -177,6 +196,13 @@ async function main() {
         // Configuration des gestionnaires de signaux
         setupSignalHandlers();
 
+        // Commande non interactive : pas de menu, code de sortie de la commande
+        const args = process.argv.slice(2);
+        if (args.length > 0) {
+            logger.initLogDir();
+            process.exit(await cli.run(args));
+        }
+
         // Vérification des prérequis
         const prerequisitesOk = await checkPrerequisites();
         
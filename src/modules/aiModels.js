@@ -3,9 +3,12 @@
  */
 
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+import jobs from './jobs.js';
 import https from 'https';
 
+const logger = createLogger('aiModels');
+
 /**
  * Liste tous les modèles Ollama installés
  * @returns {Promise<Array>}
@@ -45,16 +48,17 @@ export async function listInstalledModels() {
 /**
  * Installe un modèle Ollama
  * @param {string} modelName - Nom du modèle à installer
+ * @param {object|null} job - Job suivant le téléchargement (sortie d'ollama, annulation)
  * @returns {Promise<object>}
  */
-export async function installModel(modelName) {
+export async function installModel(modelName, job = null) {
     try {
         if (!modelName || typeof modelName !== 'string') {
             throw new Error('Nom du modèle invalide');
         }
 
         logger.info(`Installation du modèle ${modelName}...`);
-        const { stdout, stderr } = await shell.execCommand(`ollama pull ${modelName}`);
+        const { stdout, stderr } = await jobs.runCommand(job, `ollama pull ${modelName}`);
         
         logger.info(`Modèle ${modelName} installé avec succès`);
         return {
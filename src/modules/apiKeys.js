@@ -7,7 +7,9 @@ import path from 'path';
 import crypto from 'crypto';
 import { TOOL_CONFIG_PATH } from '../config/constants.js';
 import projects from './projects.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('apiKeys');
 
 const API_KEYS_CONFIG_FILE = path.join(TOOL_CONFIG_PATH, 'api-keys.json');
 
@@ -0,0 +1,215 @@
+/**
+ * Module du journal d'audit des actions d'administration
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('audit');
+
+const AUDIT_DIR = '/var/log/nodejs-project-manager';
+const AUDIT_FILE = path.join(AUDIT_DIR, 'audit.log');
+
+// Taille maximale du journal courant avant rotation (Mo)
+const MAX_SIZE = (parseInt(process.env.TWOINE_AUDIT_MAX_SIZE) || 10) * 1024 * 1024;
+
+// Nombre de journaux archivés conservés (audit.log.1 … audit.log.N)
+const MAX_FILES = parseInt(process.env.TWOINE_AUDIT_MAX_FILES) || 10;
+
+// Durée de conservation des journaux archivés (jours)
+const RETENTION_DAYS = parseInt(process.env.TWOINE_AUDIT_RETENTION_DAYS) || 90;
+
+// Paramètres dont la valeur n'est jamais écrite dans le journal
+const SECRET_PATTERN = /pass(word)?|secret|token|apikey|api_key|^key$|code|private|credential|connectionstring/i;
+
+// Longueur maximale d'une valeur texte enregistrée
+const MAX_VALUE_LENGTH = 256;
+
+/**
+ * Masque les secrets et tronque les valeurs volumineuses
+ * @param {*} value
+ * @param {number} depth
+ * @returns {*}
+ */
+export function redact(value, depth = 0) {
+    if (value === null || value === undefined) return value;
+
+    if (typeof value === 'string') {
+        return value.length > MAX_VALUE_LENGTH
+            ? `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} caractères)`
+            : value;
+    }
+    if (typeof value !== 'object') return value;
+    if (depth >= 4) return '[…]';
+
+    if (Array.isArray(value)) {
+        const items = value.slice(0, 20).map(item => redact(item, depth + 1));
+        if (value.length > 20) items.push(`… (${value.length} éléments)`);
+        return items;
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        // { value, secret: true } : valeur d'une variable d'environnement secrète
+        const secret = SECRET_PATTERN.test(key) || (key === 'value' && value.secret === true);
+        result[key] = secret && entry !== '' && entry !== null && entry !== undefined && typeof entry !== 'boolean'
+            ? '[masqué]'
+            : redact(entry, depth + 1);
+    }
+    return result;
+}
+
+/**
+ * Supprime les journaux archivés au-delà du nombre ou de la durée de conservation
+ */
+function applyRetention() {
+    const limit = Date.now() - RETENTION_DAYS * 86400000;
+    for (const file of fs.readdirSync(AUDIT_DIR)) {
+        const match = file.match(/^audit\.log\.(\d+)$/);
+        if (!match) continue;
+
+        const filePath = path.join(AUDIT_DIR, file);
+        if (parseInt(match[1]) > MAX_FILES || fs.statSync(filePath).mtimeMs < limit) {
+            fs.unlinkSync(filePath);
+        }
+    }
+}
+
+/**
+ * Archive le journal courant s'il dépasse la taille maximale
+ */
+function rotateIfNeeded() {
+    if (!fs.existsSync(AUDIT_FILE) || fs.statSync(AUDIT_FILE).size < MAX_SIZE) {
+        return;
+    }
+
+    for (let i = MAX_FILES - 1; i >= 1; i--) {
+        const from = `${AUDIT_FILE}.${i}`;
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, `${AUDIT_FILE}.${i + 1}`);
+        }
+    }
+    fs.renameSync(AUDIT_FILE, `${AUDIT_FILE}.1`);
+    applyRetention();
+}
+
+/**
+ * Utilisateur système à l'origine d'une action CLI
+ * @returns {string}
+ */
+export function getCliActor() {
+    return process.env.SUDO_USER || os.userInfo().username;
+}
+
+/**
+ * Ajoute un enregistrement au journal d'audit
+ * @param {object} entry
+ * @param {string} entry.actor - Utilisateur, compte système ou nom de la clé API
+ * @param {string} entry.source - web, cli, api-key ou webhook
+ * @param {string} entry.action - Opération (route de l'API, ex: POST /projects/:name/services/:serviceName/start)
+ * @param {string} entry.target - Ressource visée
+ * @param {string[]} entry.projects - Projets concernés
+ * @param {object} entry.params - Paramètres (les secrets sont masqués)
+ * @param {string} entry.result - success ou failure
+ * @param {string} entry.error - Message d'erreur en cas d'échec
+ * @param {string} entry.requestId - Identifiant de la requête Web (corrélation avec manager.log)
+ */
+export function record({ actor = null, source, action, target = null, projects = [], params = {}, result = 'success', error = null, requestId = null }) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        actor,
+        source,
+        action,
+        requestId,
+        target,
+        projects: [...new Set(projects.filter(Boolean))],
+        params: redact(params),
+        result,
+        error
+    };
+
+    try {
+        if (!fs.existsSync(AUDIT_DIR)) {
+            fs.mkdirSync(AUDIT_DIR, { recursive: true });
+        }
+        rotateIfNeeded();
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (err) {
+        logger.error(`Audit: impossible d'écrire le journal (${err.message})`);
+    }
+}
+
+/**
+ * Exécute une action CLI et l'enregistre dans le journal d'audit
+ * @param {object} entry - Champs de l'enregistrement (action, target, projects, params)
+ * @param {Function} fn - Action à exécuter
+ * @returns {Promise<*>} - Résultat de l'action
+ */
+export async function trackCli(entry, fn) {
+    try {
+        const value = await fn();
+        record({ ...entry, actor: getCliActor(), source: 'cli' });
+        return value;
+    } catch (error) {
+        record({ ...entry, actor: getCliActor(), source: 'cli', result: 'failure', error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Lit les enregistrements les plus récents correspondant aux filtres
+ * @param {object} filters
+ * @param {string} filters.user - Acteur exact
+ * @param {string} filters.project - Projet concerné
+ * @param {string} filters.action - Texte contenu dans l'action
+ * @param {string} filters.source - web, cli ou api-key
+ * @param {string} filters.result - success ou failure
+ * @param {string} filters.since - Date ISO minimale
+ * @param {string} filters.until - Date ISO maximale
+ * @param {number} filters.limit - Nombre maximal de résultats (100 par défaut)
+ * @returns {Array} - Du plus récent au plus ancien
+ */
+export function query({ user, project, action, source, result, since, until, limit = 100 } = {}) {
+    const max = Math.min(parseInt(limit) || 100, 1000);
+    const files = [AUDIT_FILE];
+    for (let i = 1; i <= MAX_FILES; i++) {
+        files.push(`${AUDIT_FILE}.${i}`);
+    }
+
+    const matches = [];
+    for (const file of files) {
+        if (!fs.existsSync(file)) continue;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).reverse();
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                continue;
+            }
+
+            if (user && entry.actor !== user) continue;
+            if (project && !entry.projects.includes(project)) continue;
+            if (action && !entry.action.toLowerCase().includes(action.toLowerCase())) continue;
+            if (source && entry.source !== source) continue;
+            if (result && entry.result !== result) continue;
+            if (since && entry.timestamp < since) continue;
+            if (until && entry.timestamp > until) continue;
+
+            matches.push(entry);
+            if (matches.length >= max) return matches;
+        }
+    }
+    return matches;
+}
+
+export default {
+    redact,
+    getCliActor,
+    record,
+    trackCli,
+    query
+};
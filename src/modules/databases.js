@@ -6,17 +6,45 @@ import fs from 'fs';
 import path from 'path';
 import { BASE_PATH, TOOL_CONFIG_PATH } from '../config/constants.js';
 import projects from './projects.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
 import shell from '../utils/shell.js';
 import mysql from 'mysql2/promise';
 import { MongoClient, ObjectId } from 'mongodb';
 import { deserialize } from 'bson';
 import pg from 'pg';
 
+const logger = createLogger('databases');
+
 const { Pool } = pg;
 
 const DATABASES_CONFIG_FILE = path.join(TOOL_CONFIG_PATH, 'databases.json');
 
+// Fonctions appelées après la modification ou la suppression d'une base (identifiants, projet)
+const changeListeners = [];
+
+/**
+ * Enregistre une fonction appelée après chaque modification ou suppression d'une base
+ * @param {Function} listener - (database, { deleted }) => void
+ */
+export function onDatabaseChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Prévient les modules abonnés d'une modification
+ * @param {object} database
+ * @param {object} details - { deleted }
+ */
+function notifyChange(database, details = {}) {
+    for (const listener of changeListeners) {
+        try {
+            listener(database, details);
+        } catch (error) {
+            logger.warn(`Mise à jour après modification de ${database.name} impossible: ${error.message}`);
+        }
+    }
+}
+
 /**
  * Initialise le fichier de configuration des bases de données
  */
@@ -379,6 +407,7 @@ export function updateDatabase(id, updates) {
 
     saveDatabases(databases);
     logger.success(`Base de données ${id} mise à jour`);
+    notifyChange(updated);
     return updated;
 }
 
@@ -389,6 +418,7 @@ export function updateDatabase(id, updates) {
  */
 export async function deleteDatabase(id) {
     const databases = loadDatabases();
+    const deleted = getDatabaseById(id);
 
     if (id.startsWith('mysql_')) {
         const index = databases.mysql.findIndex(db => db.id === id);
@@ -419,6 +449,7 @@ export async function deleteDatabase(id) {
     }
 
     saveDatabases(databases);
+    notifyChange(deleted, { deleted: true });
 }
 
 /**
@@ -479,14 +510,14 @@ export function getConnectionString(id) {
     }
 
     if (db.type === 'mysql') {
-        const auth = db.username && db.password ? `${db.username}:${db.password}@` : '';
+        const auth = db.username && db.password ? `${encodeURIComponent(db.username)}:${encodeURIComponent(db.password)}@` : '';
         return `mysql://${auth}${db.host}:${db.port}/${db.name}`;
     } else if (db.type === 'mongodb') {
-        const auth = db.username && db.password ? `${db.username}:${db.password}@` : '';
+        const auth = db.username && db.password ? `${encodeURIComponent(db.username)}:${encodeURIComponent(db.password)}@` : '';
         const authDb = db.authDatabase ? `?authSource=${db.authDatabase}` : '';
         return `mongodb://${auth}${db.host}:${db.port}/${db.name}${authDb}`;
     } else if (db.type === 'postgresql') {
-        const auth = db.username && db.password ? `${db.username}:${encodeURIComponent(db.password)}@` : '';
+        const auth = db.username && db.password ? `${encodeURIComponent(db.username)}:${encodeURIComponent(db.password)}@` : '';
         return `postgresql://${auth}${db.host}:${db.port}/${db.name}?schema=public`;
     }
 
@@ -1026,6 +1057,7 @@ export function updateProjectNameInDatabases(oldProjectName, newProjectName) {
 }
 
 export default {
+    onDatabaseChange,
     initDatabasesConfig,
     loadDatabases,
     saveDatabases,
@@ -0,0 +1,416 @@
+/**
+ * Module des déploiements depuis un dépôt git
+ *
+ * Un service peut suivre une branche d'un dépôt (champ git : { repository, branch, webhookSecret }) : son dossier
+ * est cloné à la création, puis chaque déploiement récupère la branche (git fetch + checkout) avant de construire
+ * une nouvelle version (releases.js). Un webhook signé (GitHub, Gitea, GitLab) déclenche le déploiement à chaque push.
+ * L'historique des déploiements (commit, auteur, durée, résultat) est conservé par service dans deployments.json ;
+ * le détail de chaque étape (sortie des commandes) est dans le job du déploiement (jobs.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import releases from './releases.js';
+import environment from './environment.js';
+import jobs from './jobs.js';
+import shell from '../utils/shell.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('deployments');
+
+// Déploiements conservés dans l'historique de chaque service
+const MAX_HISTORY = 50;
+
+// Durée maximale d'une commande git (clone ou fetch)
+const GIT_TIMEOUT = 5 * 60 * 1000;
+
+// Dépôts acceptés : URL https:// ou ssh://, ou syntaxe scp (git@hôte:chemin) ; jamais de dépôt local
+// (file://, chemin) ni d'hôte commençant par un tiret (interprété comme une option par ssh)
+const REPOSITORY_PATTERN = /^(https:\/\/([^\s@/]+@)?[a-zA-Z0-9][\w.-]*(:\d+)?\/\S+|ssh:\/\/([\w.-]+@)?[a-zA-Z0-9][\w.-]*(:\d+)?\/\S+|[\w.-]+@[a-zA-Z0-9][\w.-]*:\S+)$/;
+
+// Protocoles que git peut utiliser pour le dépôt et ses sous-modules
+const GIT_ALLOWED_PROTOCOLS = 'https:ssh';
+
+/**
+ * Valide le dépôt et la branche suivis par un service
+ * @param {object|null} config - { repository, branch } (branche main par défaut), null pour ne plus suivre de dépôt
+ * @returns {{repository: string, branch: string}|null}
+ */
+export function parseGit(config) {
+    if (config === null || config === false || config === 'none') {
+        return null;
+    }
+    if (typeof config !== 'object' || !config.repository) {
+        throw new Error('Configuration git invalide : dépôt (repository) requis');
+    }
+    if (!REPOSITORY_PATTERN.test(config.repository)) {
+        throw new Error(`Dépôt git invalide: ${config.repository} (URL https:// ou ssh://, ou git@hôte:chemin)`);
+    }
+    const branch = config.branch || 'main';
+    if (!/^[\w][\w./-]*$/.test(branch) || branch.includes('..') || branch.endsWith('/') || branch.endsWith('.lock')) {
+        throw new Error(`Branche git invalide: ${branch}`);
+    }
+
+    return { repository: config.repository, branch };
+}
+
+/**
+ * Valide la configuration git d'un service et lui associe un secret de webhook
+ * @param {object|null} config - { repository, branch }, null pour ne plus suivre de dépôt
+ * @param {object|null} current - Configuration actuelle (son secret de webhook est conservé)
+ * @returns {object|null} - { repository, branch, webhookSecret }
+ */
+export function normalizeGit(config, current = null) {
+    const git = parseGit(config);
+    if (!git) {
+        return null;
+    }
+    return {
+        ...git,
+        webhookSecret: current?.webhookSecret || environment.encryptSecret(crypto.randomBytes(24).toString('hex'))
+    };
+}
+
+/**
+ * Récupère la branche suivie dans le dossier du service (clone initial si besoin), avec l'utilisateur du projet.
+ * Les fichiers suivis sont remplacés par ceux de la branche ; les fichiers non suivis (.env…) sont conservés.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec git)
+ * @returns {Promise<{commit: string, author: string, message: string}>} - Commit récupéré
+ */
+export async function syncRepository(projectName, service) {
+    if (!shell.commandExists('git')) {
+        throw new Error('git n\'est pas installé');
+    }
+
+    const { repository, branch } = service.git;
+    const directory = service.directory;
+    const user = projects.getServiceUser(projectName);
+
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+    // Le dossier appartient à l'utilisateur du projet : un lien symbolique ferait changer le propriétaire de sa cible
+    if (fs.lstatSync(directory).isSymbolicLink()) {
+        throw new Error(`Le dossier du service ${service.name} est un lien symbolique : ${directory}`);
+    }
+    if (user) {
+        fs.chownSync(directory, user.uid, user.gid);
+    }
+
+    // Pas d'invite de mot de passe : un dépôt privé s'authentifie par clé SSH (HOME du projet) ou jeton dans l'URL
+    const env = { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ALLOW_PROTOCOL: GIT_ALLOWED_PROTOCOLS };
+    const options = user
+        ? { cwd: directory, env: { ...env, HOME: user.home, USER: user.name }, uid: user.uid, gid: user.gid, timeout: GIT_TIMEOUT }
+        : { cwd: directory, env, timeout: GIT_TIMEOUT };
+    const git = args => shell.execProgram('git', ['-c', `safe.directory=${directory}`, ...args], options);
+
+    try {
+        if (!fs.existsSync(path.join(directory, '.git'))) {
+            logger.info(`Initialisation du dépôt de ${service.name} (${branch})...`, { project: projectName });
+            await git(['init', '--quiet']);
+        }
+        try {
+            await git(['remote', 'set-url', 'origin', repository]);
+        } catch {
+            await git(['remote', 'add', 'origin', repository]);
+        }
+        await git(['fetch', '--quiet', '--depth', '1', 'origin', branch]);
+        await git(['checkout', '--quiet', '--force', '-B', branch, 'FETCH_HEAD']);
+
+        const { stdout } = await git(['log', '-1', '--format=%H%n%an <%ae>%n%s']);
+        const [commit, author, message] = stdout.split('\n');
+        logger.info(`${service.name} : ${branch} à ${commit.slice(0, 7)} (${message})`, { project: projectName });
+        return { commit, author, message };
+    } catch (error) {
+        const reason = error.killed ? `délai de ${GIT_TIMEOUT / 1000} s dépassé` : (error.stderr?.trim().split('\n').pop() || error.message);
+        throw new Error(`Récupération de ${branch} impossible : ${reason}`);
+    }
+}
+
+/**
+ * Chemin de l'historique des déploiements d'un projet
+ * @param {string} projectName
+ * @returns {string}
+ */
+function getHistoryPath(projectName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.deployments);
+}
+
+/**
+ * Charge l'historique des déploiements d'un projet
+ * @param {string} projectName
+ * @returns {object} - Service → déploiements (du plus récent au plus ancien)
+ */
+function loadHistory(projectName) {
+    try {
+        return JSON.parse(fs.readFileSync(getHistoryPath(projectName), 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Sauvegarde l'historique des déploiements d'un projet
+ * @param {string} projectName
+ * @param {object} history
+ */
+function saveHistory(projectName, history) {
+    fs.writeFileSync(getHistoryPath(projectName), JSON.stringify(history, null, 2));
+}
+
+/**
+ * Historique des déploiements d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number} limit - Nombre maximal de déploiements
+ * @returns {Array} - Du plus récent au plus ancien
+ */
+export function listDeployments(projectName, serviceName, limit = MAX_HISTORY) {
+    return (loadHistory(projectName)[serviceName] || []).slice(0, limit);
+}
+
+/**
+ * Supprime l'historique d'un service (suppression du service)
+ * @param {string} projectName
+ * @param {string} serviceName
+ */
+export function removeDeployments(projectName, serviceName) {
+    const history = loadHistory(projectName);
+    if (history[serviceName]) {
+        delete history[serviceName];
+        saveHistory(projectName, history);
+    }
+}
+
+/**
+ * Déploie un service : récupération de la branche suivie (s'il en a une), nouvelle version et rechargement.
+ * Le déploiement est enregistré dans l'historique du service, qu'il réussisse ou non.
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options
+ * @param {string} options.trigger - Origine : manual (Web), cli ou webhook
+ * @param {string|null} options.actor - Utilisateur ou fournisseur du webhook
+ * @param {object|null} options.job - Job de la file d'attente (terminé par la file), sinon un job est créé
+ * @returns {Promise<object>} - Déploiement enregistré ({ release, commit, outcome, jobId… })
+ */
+export async function deployService(projectName, serviceName, { trigger = 'manual', actor = null, job: queuedJob = null } = {}) {
+    const service = services.getService(projectName, serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    const unlock = releases.acquireLock(projectName, serviceName);
+    const job = queuedJob || jobs.createJob(projectName, { type: 'deploy', service: serviceName, trigger, actor, permission: 'services:deploy' });
+    const startedAt = Date.now();
+    const deployment = {
+        id: crypto.randomUUID(),
+        jobId: job.id,
+        trigger,
+        actor,
+        branch: service.git?.branch || null,
+        commit: null,
+        author: null,
+        message: null,
+        release: null,
+        previous: null,
+        reloaded: null,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: null,
+        duration: null,
+        outcome: 'success',
+        error: null
+    };
+
+    try {
+        if (service.git) {
+            const { repository, branch } = environment.maskService(service).git;
+            Object.assign(deployment, await jobs.runStep(job, `Récupération de ${branch}`, async write => {
+                const commit = await syncRepository(projectName, service);
+                write('stdout', `${commit.commit} ${commit.message}\n${commit.author}\n`);
+                return commit;
+            }, `git fetch ${repository} ${branch}`));
+        }
+        const result = await releases.deployService(projectName, serviceName, job);
+        deployment.release = result.release;
+        deployment.previous = result.previous;
+        deployment.reloaded = result.reloaded;
+        if (!queuedJob) {
+            jobs.finishJob(job);
+        }
+        return deployment;
+    } catch (error) {
+        deployment.outcome = 'failure';
+        deployment.error = error.message;
+        if (!queuedJob) {
+            jobs.finishJob(job, error);
+        }
+        throw error;
+    } finally {
+        unlock();
+        deployment.finishedAt = new Date().toISOString();
+        deployment.duration = Date.now() - startedAt;
+
+        const history = loadHistory(projectName);
+        history[serviceName] = [deployment, ...(history[serviceName] || [])].slice(0, MAX_HISTORY);
+        saveHistory(projectName, history);
+    }
+}
+
+/**
+ * URL (chemin) et secret du webhook de déploiement d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {{path: string, secret: string, branch: string}}
+ */
+export function getWebhook(projectName, serviceName) {
+    const service = services.getService(projectName, serviceName);
+    if (!service?.git) {
+        throw new Error(`Le service ${serviceName} ne suit pas de dépôt git`);
+    }
+    return {
+        path: `/api/projects/${projectName}/services/${serviceName}/deploy-hook`,
+        secret: environment.decryptSecret(service.git.webhookSecret),
+        branch: service.git.branch
+    };
+}
+
+/**
+ * Génère un nouveau secret de webhook (l'ancien est refusé)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {{path: string, secret: string, branch: string}}
+ */
+export function rotateWebhookSecret(projectName, serviceName) {
+    const service = services.getService(projectName, serviceName);
+    if (!service?.git) {
+        throw new Error(`Le service ${serviceName} ne suit pas de dépôt git`);
+    }
+
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const target = projectConfig.services.find(s => s.name === serviceName);
+    target.git = normalizeGit({ repository: target.git.repository, branch: target.git.branch });
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    logger.success(`Secret du webhook de ${serviceName} renouvelé`, { project: projectName });
+    return getWebhook(projectName, serviceName);
+}
+
+/**
+ * Compare deux chaînes en temps constant
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Vérifie la signature d'un webhook : HMAC SHA-256 du corps (GitHub X-Hub-Signature-256,
+ * Gitea/Gogs X-Gitea-Signature) ou jeton partagé (GitLab X-Gitlab-Token)
+ * @param {object} service - Service (avec git)
+ * @param {object} headers - En-têtes de la requête (noms en minuscules)
+ * @param {Buffer} rawBody - Corps brut de la requête
+ * @returns {string|null} - Fournisseur reconnu (github, gitea, gitlab), null si la signature est invalide
+ */
+export function verifyWebhook(service, headers, rawBody = Buffer.alloc(0)) {
+    if (!service?.git) {
+        return null;
+    }
+    const secret = environment.decryptSecret(service.git.webhookSecret);
+    const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    if (headers['x-hub-signature-256']) {
+        return safeEqual(headers['x-hub-signature-256'], `sha256=${hmac}`) ? (headers['x-gitea-event'] ? 'gitea' : 'github') : null;
+    }
+    const giteaSignature = headers['x-gitea-signature'] || headers['x-gogs-signature'];
+    if (giteaSignature) {
+        return safeEqual(giteaSignature, hmac) ? 'gitea' : null;
+    }
+    if (headers['x-gitlab-token']) {
+        return safeEqual(headers['x-gitlab-token'], secret) ? 'gitlab' : null;
+    }
+    return null;
+}
+
+/**
+ * Extrait l'événement push d'un webhook
+ * @param {object} headers - En-têtes de la requête
+ * @param {object} body - Corps décodé (JSON, ou formulaire avec un champ payload)
+ * @returns {{event: string, ref: string|null, branch: string|null, commit: string|null}}
+ */
+export function parsePushEvent(headers, body = {}) {
+    const payload = typeof body.payload === 'string' ? JSON.parse(body.payload) : body;
+    const event = String(headers['x-github-event'] || headers['x-gitea-event'] || headers['x-gogs-event'] || headers['x-gitlab-event'] || '')
+        .toLowerCase();
+    const ref = typeof payload.ref === 'string' ? payload.ref : null;
+
+    return {
+        event: event === 'push hook' ? 'push' : event,
+        ref,
+        branch: ref?.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null,
+        commit: payload.after || payload.checkout_sha || null
+    };
+}
+
+/**
+ * File des déploiements d'un service : ceux lancés depuis l'interface et par webhook s'y suivent
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+export function getDeployQueue(projectName, serviceName) {
+    return `deploy:${projectName}/${serviceName}`;
+}
+
+/**
+ * Met le déploiement d'un service dans sa file (job en arrière-plan, dont le résultat est le déploiement enregistré)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options - trigger et actor de deployService
+ * @returns {object} - Job (statut queued)
+ */
+export function enqueueDeploy(projectName, serviceName, { trigger = 'manual', actor = null } = {}) {
+    return jobs.enqueueJob(projectName, { type: 'deploy', service: serviceName, trigger, actor, permission: 'services:deploy', queue: getDeployQueue(projectName, serviceName) },
+        job => deployService(projectName, serviceName, { trigger, actor, job }));
+}
+
+/**
+ * Déclenche le déploiement d'un service par webhook. Un push reçu alors qu'un déploiement par webhook attend
+ * déjà dans la file est regroupé avec lui : le déploiement récupère la branche au moment où il s'exécute.
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options - trigger et actor de deployService
+ * @returns {{job: object, merged: boolean}} - Job du déploiement, merged s'il attendait déjà
+ */
+export function triggerDeploy(projectName, serviceName, options = {}) {
+    const pending = jobs.listJobs(projectName, { service: serviceName, type: 'deploy' })
+        .find(job => job.status === 'queued' && job.trigger === 'webhook' && jobs.isLive(job.id));
+    if (pending) {
+        return { job: pending, merged: true };
+    }
+    return { job: enqueueDeploy(projectName, serviceName, { trigger: 'webhook', ...options }), merged: false };
+}
+
+export default {
+    parseGit,
+    normalizeGit,
+    syncRepository,
+    listDeployments,
+    removeDeployments,
+    deployService,
+    getWebhook,
+    rotateWebhookSecret,
+    verifyWebhook,
+    parsePushEvent,
+    getDeployQueue,
+    enqueueDeploy,
+    triggerDeploy
+};
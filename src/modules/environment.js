@@ -0,0 +1,467 @@
+/**
+ * Module des variables d'environnement des projets et des services
+ *
+ * Les variables sont stockées dans project.json (env du projet et env de chaque service).
+ * Les valeurs marquées secrètes sont chiffrées (AES-256-GCM) avec une clé propre au serveur.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { BASE_PATH, TOOL_CONFIG_PATH } from '../config/constants.js';
+import projects from './projects.js';
+import databases from './databases.js';
+import releases from './releases.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('environment');
+
+// Préfixe par défaut des variables d'une base liée (DATABASE_URL, DATABASE_HOST…)
+export const DEFAULT_DATABASE_PREFIX = 'DATABASE';
+
+// Clé de chiffrement des secrets (générée au premier usage)
+const SECRET_KEY_FILE = path.join(TOOL_CONFIG_PATH, 'secrets.key');
+
+// Préfixe des valeurs chiffrées
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Valeur affichée à la place d'un secret
+export const MASK = '********';
+
+let secretKey = null;
+
+/**
+ * Récupère (ou génère) la clé de chiffrement des secrets
+ * @returns {Buffer}
+ */
+function getSecretKey() {
+    if (secretKey) return secretKey;
+
+    if (!fs.existsSync(SECRET_KEY_FILE)) {
+        fs.mkdirSync(TOOL_CONFIG_PATH, { recursive: true });
+        fs.writeFileSync(SECRET_KEY_FILE, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+        logger.info(`Clé de chiffrement des secrets créée: ${SECRET_KEY_FILE}`);
+    }
+    secretKey = Buffer.from(fs.readFileSync(SECRET_KEY_FILE, 'utf8').trim(), 'base64');
+    return secretKey;
+}
+
+/**
+ * Chiffre une valeur secrète
+ * @param {string} value
+ * @returns {string} - enc:v1:<iv|tag|données en base64>
+ */
+export function encryptSecret(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+}
+
+/**
+ * Déchiffre une valeur secrète
+ * @param {string} stored
+ * @returns {string}
+ */
+export function decryptSecret(stored) {
+    if (!String(stored).startsWith(ENCRYPTED_PREFIX)) {
+        return stored;
+    }
+
+    const raw = Buffer.from(stored.slice(ENCRYPTED_PREFIX.length), 'base64');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('Impossible de déchiffrer un secret (clé de chiffrement modifiée ?)');
+    }
+}
+
+/**
+ * Vérifie un nom de variable d'environnement
+ * @param {string} name
+ */
+export function validateEnvName(name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name || '')) {
+        throw new Error(`Nom de variable invalide: ${name} (lettres, chiffres et underscores)`);
+    }
+}
+
+/**
+ * Remplace les valeurs secrètes par un masque
+ * @param {object} env - { NOM: { value, secret } }
+ * @returns {object}
+ */
+export function maskEnv(env = {}) {
+    return Object.fromEntries(
+        Object.entries(env).map(([name, entry]) => [name, { value: entry.secret ? MASK : entry.value, secret: !!entry.secret }])
+    );
+}
+
+/**
+ * Masque les secrets d'un service avant de l'exposer
+ * @param {object} service
+ * @returns {object}
+ */
+export function maskService(service) {
+    return {
+        ...service,
+        ...(service.env ? { env: maskEnv(service.env) } : {}),
+        // Secret du webhook et jeton éventuel dans l'URL du dépôt (https://<jeton>@hôte/…)
+        ...(service.git ? { git: { ...service.git, repository: service.git.repository.replace(/^(https?:\/\/)[^/@]+@/, `$1${MASK}@`), webhookSecret: MASK } } : {})
+    };
+}
+
+/**
+ * Masque les secrets d'une configuration de projet (env du projet et des services)
+ * @param {object} config
+ * @returns {object}
+ */
+export function maskProjectConfig(config) {
+    return {
+        ...config,
+        ...(config.env ? { env: maskEnv(config.env) } : {}),
+        services: (config.services || []).map(maskService)
+    };
+}
+
+/**
+ * Déchiffre les valeurs d'un ensemble de variables
+ * @param {object} env
+ * @returns {object} - { NOM: valeur }
+ */
+function revealEnv(env = {}) {
+    return Object.fromEntries(
+        Object.entries(env).map(([name, entry]) => [name, entry.secret ? decryptSecret(entry.value) : entry.value])
+    );
+}
+
+/**
+ * Retrouve la cible (projet ou service) d'une opération sur les variables
+ * @param {object} config - Configuration du projet
+ * @param {string|null} serviceName
+ * @returns {object}
+ */
+function getTarget(config, serviceName) {
+    if (!serviceName) return config;
+
+    const service = (config.services || []).find(s => s.name === serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+    return service;
+}
+
+/**
+ * Liste les variables d'un projet ou d'un service (secrets masqués)
+ * @param {string} projectName
+ * @param {string|null} serviceName - null pour les variables du projet
+ * @returns {object}
+ */
+export function listEnv(projectName, serviceName = null) {
+    const config = projects.loadProjectConfig(projectName);
+    return maskEnv(getTarget(config, serviceName).env);
+}
+
+/**
+ * Définit une variable du projet ou d'un service
+ * @param {string} projectName
+ * @param {string|null} serviceName - null pour une variable commune à tous les services
+ * @param {string} name
+ * @param {string} value
+ * @param {object} options
+ * @param {boolean} options.secret - Chiffrer la valeur et la masquer à l'affichage
+ * @returns {object} - Variables masquées
+ */
+export function setEnvVar(projectName, serviceName, name, value, { secret = false } = {}) {
+    validateEnvName(name);
+    if (value === undefined || value === null) {
+        throw new Error('Valeur requise');
+    }
+
+    const config = projects.loadProjectConfig(projectName);
+    const target = getTarget(config, serviceName);
+
+    target.env = {
+        ...(target.env || {}),
+        [name]: { value: secret ? encryptSecret(value) : String(value), secret: !!secret }
+    };
+    projects.saveProjectConfig(projectName, config);
+    refreshEnvFiles(projectName, serviceName);
+
+    logger.success(`Variable ${name} définie (${serviceName ? `service ${serviceName}` : `projet ${projectName}`})`);
+    return maskEnv(target.env);
+}
+
+/**
+ * Supprime une variable du projet ou d'un service
+ * @param {string} projectName
+ * @param {string|null} serviceName
+ * @param {string} name
+ * @returns {object} - Variables masquées
+ */
+export function unsetEnvVar(projectName, serviceName, name) {
+    const config = projects.loadProjectConfig(projectName);
+    const target = getTarget(config, serviceName);
+
+    if (!target.env?.[name]) {
+        throw new Error(`Variable ${name} non définie`);
+    }
+    delete target.env[name];
+    projects.saveProjectConfig(projectName, config);
+    refreshEnvFiles(projectName, serviceName);
+
+    logger.success(`Variable ${name} supprimée (${serviceName ? `service ${serviceName}` : `projet ${projectName}`})`);
+    return maskEnv(target.env);
+}
+
+/**
+ * Variables de connexion des bases liées à un service
+ * Seules les bases encore assignées au projet sont injectées.
+ * @param {string} projectName
+ * @param {object} service
+ * @returns {object} - { PREFIX_URL, PREFIX_HOST, PREFIX_PORT, PREFIX_NAME, PREFIX_USER, PREFIX_PASSWORD }
+ */
+function resolveDatabaseEnv(projectName, service) {
+    const env = {};
+
+    for (const link of service.databases || []) {
+        const db = databases.getDatabaseById(link.id);
+        if (!db || db.projectName !== projectName) {
+            logger.warn(`Base ${link.id} non assignée au projet ${projectName} : variables ${link.prefix}_* non injectées dans ${service.name}`);
+            continue;
+        }
+
+        Object.assign(env, {
+            [`${link.prefix}_URL`]: databases.getConnectionString(db.id),
+            [`${link.prefix}_HOST`]: db.host,
+            [`${link.prefix}_PORT`]: String(db.port),
+            [`${link.prefix}_NAME`]: db.name,
+            [`${link.prefix}_USER`]: db.username || '',
+            [`${link.prefix}_PASSWORD`]: db.password || ''
+        });
+    }
+    return env;
+}
+
+/**
+ * Variables effectives d'un service, en clair
+ * Ordre de priorité croissant : bases liées, variables du projet, variables du service.
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {object} - { NOM: valeur }
+ */
+export function resolveServiceEnv(projectName, serviceName) {
+    const config = projects.loadProjectConfig(projectName);
+    const service = getTarget(config, serviceName);
+    return { ...resolveDatabaseEnv(projectName, service), ...revealEnv(config.env), ...revealEnv(service.env) };
+}
+
+/**
+ * Déclare qu'un service utilise une base de données liée au projet
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @param {string} databaseId
+ * @param {string} prefix - Préfixe des variables injectées (DATABASE par défaut)
+ * @returns {Array} - Bases liées au service
+ */
+export function linkDatabase(projectName, serviceName, databaseId, prefix = DEFAULT_DATABASE_PREFIX) {
+    validateEnvName(prefix);
+
+    const db = databases.getDatabaseById(databaseId);
+    if (!db) {
+        throw new Error('Base de données non trouvée');
+    }
+    if (db.projectName !== projectName) {
+        throw new Error(`La base ${db.name} n'est pas assignée au projet ${projectName}`);
+    }
+
+    const config = projects.loadProjectConfig(projectName);
+    const service = getTarget(config, serviceName);
+    const links = (service.databases || []).filter(link => link.id !== databaseId);
+
+    if (links.some(link => link.prefix === prefix)) {
+        throw new Error(`Le préfixe ${prefix} est déjà utilisé par une autre base de ce service`);
+    }
+
+    service.databases = [...links, { id: databaseId, prefix }];
+    projects.saveProjectConfig(projectName, config);
+    writeEnvFile(projectName, serviceName);
+
+    logger.success(`Base ${db.name} liée au service ${serviceName} (${prefix}_URL…)`);
+    return service.databases;
+}
+
+/**
+ * Retire une base de données des bases utilisées par un service
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @param {string} databaseId
+ * @returns {Array} - Bases liées au service
+ */
+export function unlinkDatabase(projectName, serviceName, databaseId) {
+    const config = projects.loadProjectConfig(projectName);
+    const service = getTarget(config, serviceName);
+
+    if (!(service.databases || []).some(link => link.id === databaseId)) {
+        throw new Error(`La base ${databaseId} n'est pas liée au service ${serviceName}`);
+    }
+    service.databases = service.databases.filter(link => link.id !== databaseId);
+    projects.saveProjectConfig(projectName, config);
+    writeEnvFile(projectName, serviceName);
+
+    logger.success(`Base ${databaseId} retirée du service ${serviceName}`);
+    return service.databases;
+}
+
+/**
+ * Services qui utilisent une base de données
+ * @param {string} databaseId
+ * @returns {Array<{project, service}>}
+ */
+export function listDatabaseConsumers(databaseId) {
+    return projects.loadProjects().flatMap(project =>
+        projects.loadProjectConfig(project.name).services
+            .filter(service => (service.databases || []).some(link => link.id === databaseId))
+            .map(service => ({ project: project.name, service: service.name }))
+    );
+}
+
+/**
+ * Répercute la modification d'une base sur les services qui l'utilisent :
+ * fichiers .env réécrits, liens supprimés si la base n'existe plus
+ * @param {object} database
+ * @param {object} details - { deleted }
+ */
+function handleDatabaseChange(database, { deleted = false } = {}) {
+    for (const { project, service } of listDatabaseConsumers(database.id)) {
+        if (deleted) {
+            unlinkDatabase(project, service, database.id);
+            continue;
+        }
+        writeEnvFile(project, service);
+        logger.info(`Variables de ${database.name} mises à jour pour ${project}/${service} (effectives au prochain redémarrage)`, { project });
+    }
+}
+
+databases.onDatabaseChange(handleDatabaseChange);
+
+/**
+ * Formate une valeur pour un fichier .env (lisible par dotenv et par le shell)
+ */
+function formatEnvValue(value) {
+    if (/^[A-Za-z0-9_./:@+-]*$/.test(value)) {
+        return value;
+    }
+    if (!value.includes("'")) {
+        return `'${value}'`;
+    }
+    return `"${value.replace(/[\\"$`]/g, '\\$&').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Contenu d'un fichier de variables (.env, EnvironmentFile systemd)
+ * @param {object} env - Variables résolues
+ * @returns {string}
+ */
+export function formatEnvFile(env) {
+    return [
+        '# Généré par Twoine - Ne pas modifier (twoine env set / unset)',
+        ...Object.entries(env).map(([name, value]) => `${name}=${formatEnvValue(value)}`)
+    ].join('\n') + '\n';
+}
+
+/**
+ * Écrit un fichier dans un dossier où l'utilisateur du projet peut écrire, sans jamais suivre de lien symbolique :
+ * fichier temporaire créé exclusivement (O_EXCL | O_NOFOLLOW), droits et propriétaire fixés sur le descripteur,
+ * puis renommé sur la cible (un lien placé à la place de la cible est remplacé, pas suivi)
+ * @param {string} filePath - Fichier à écrire
+ * @param {string} content
+ * @param {object|null} user - Propriétaire { uid, gid }, root sinon
+ */
+function writeFileNoFollow(filePath, content, user) {
+    const temporary = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    const { O_WRONLY, O_CREAT, O_EXCL, O_NOFOLLOW } = fs.constants;
+    const fd = fs.openSync(temporary, O_WRONLY | O_CREAT | O_EXCL | O_NOFOLLOW, 0o600);
+    try {
+        fs.writeSync(fd, content);
+        fs.fchmodSync(fd, 0o600);
+        if (user) {
+            fs.fchownSync(fd, user.uid, user.gid);
+        }
+        fs.closeSync(fd);
+        fs.renameSync(temporary, filePath);
+    } catch (error) {
+        try {
+            fs.closeSync(fd);
+        } catch {
+            // Déjà fermé
+        }
+        fs.rmSync(temporary, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Écrit le fichier .env d'un service si l'option envFile est activée
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {string|null} - Chemin du fichier écrit
+ */
+export function writeEnvFile(projectName, serviceName) {
+    const config = projects.loadProjectConfig(projectName);
+    const service = getTarget(config, serviceName);
+    // Le .env est écrit là où le service s'exécute : version active s'il a été déployé
+    const directory = releases.getRunDirectory(projectName, service);
+    if (!service.envFile || !fs.existsSync(directory)) {
+        return null;
+    }
+
+    // Le dossier appartient à l'utilisateur du projet : un lien ne doit pas le faire sortir du projet
+    // (ou du dossier configuré pour le service s'il est ailleurs)
+    const realDirectory = fs.realpathSync(directory);
+    const allowed = [fs.realpathSync(path.join(BASE_PATH, projectName)), path.resolve(service.directory)];
+    if (!allowed.some(root => realDirectory === root || realDirectory.startsWith(root + path.sep))) {
+        throw new Error(`Le dossier du service ${serviceName} mène hors du projet (${realDirectory})`);
+    }
+
+    const content = formatEnvFile(resolveServiceEnv(projectName, serviceName));
+    const filePath = path.join(realDirectory, '.env');
+    // Le service lit son .env : il appartient à l'utilisateur qui l'exécute
+    writeFileNoFollow(filePath, content, projects.getServiceUser(projectName, config));
+    logger.debug(`Fichier .env écrit: ${filePath}`);
+    return filePath;
+}
+
+/**
+ * Réécrit les fichiers .env concernés par une modification
+ * @param {string} projectName
+ * @param {string|null} serviceName - null pour tous les services du projet
+ */
+function refreshEnvFiles(projectName, serviceName) {
+    const config = projects.loadProjectConfig(projectName);
+    (config.services || [])
+        .filter(s => s.envFile && (!serviceName || s.name === serviceName))
+        .forEach(s => writeEnvFile(projectName, s.name));
+}
+
+export default {
+    MASK,
+    DEFAULT_DATABASE_PREFIX,
+    encryptSecret,
+    decryptSecret,
+    validateEnvName,
+    maskEnv,
+    maskService,
+    maskProjectConfig,
+    listEnv,
+    setEnvVar,
+    unsetEnvVar,
+    resolveServiceEnv,
+    formatEnvFile,
+    linkDatabase,
+    unlinkDatabase,
+    listDatabaseConsumers,
+    writeEnvFile
+};
@@ -0,0 +1,370 @@
+/**
+ * Module des vérifications de santé des services
+ *
+ * Un service peut déclarer une vérification (champ healthCheck) :
+ * - http    - GET http://<host>:<port><path>, statut attendu (200 par défaut)
+ * - tcp     - Connexion au port <host>:<port>
+ * - command - Commande exécutée dans le dossier du service (code de sortie 0), avec l'utilisateur du projet
+ *
+ * Le serveur Web vérifie les services en ligne toutes les `interval` secondes. Après `failureThreshold`
+ * échecs consécutifs, le service est redémarré si `autoRestart` est actif ; les redémarrages suivants
+ * sont espacés (10 s, 20 s, 40 s… jusqu'à 10 min) tant que le service ne redevient pas sain.
+ */
+
+import http from 'http';
+import net from 'net';
+import projects from './projects.js';
+import services from './services.js';
+import environment from './environment.js';
+import releases from './releases.js';
+import shell from '../utils/shell.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('health');
+
+export const HEALTH_CHECK_TYPES = ['http', 'tcp', 'command'];
+
+const DEFAULTS = { interval: 30, timeout: 5, failureThreshold: 3 };
+
+// Fréquence à laquelle le serveur cherche les vérifications à exécuter
+const TICK_INTERVAL = 5 * 1000;
+
+// Délai avant un nouveau redémarrage automatique : doublé à chaque tentative, plafonné
+const RESTART_BACKOFF_BASE = 10 * 1000;
+const RESTART_BACKOFF_MAX = 10 * 60 * 1000;
+
+// Un service resté sain ce temps après un redémarrage automatique repart d'un délai minimal
+const BACKOFF_RESET_AFTER = 5 * 60 * 1000;
+
+// Nom d'hôte (RFC 1123) : libellés alphanumériques séparés par des points, tirets internes
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+// Chemin HTTP : caractères d'URL sans guillemets, espaces, $ ni accents graves (repris dans les scripts générés)
+const PATH_PATTERN = /^\/[\w\-.~%/?=&+,:@]*$/;
+
+// projet/service → état de santé (mémoire du serveur Web)
+const states = new Map();
+
+let timer = null;
+
+/**
+ * Valide la vérification de santé d'un service
+ * @param {object|null} config - { type, path, port, host, expectedStatus, command, interval, timeout, failureThreshold, autoRestart }
+ * @returns {object|null} - Vérification normalisée, null pour la supprimer
+ */
+export function normalizeHealthCheck(config) {
+    if (config === null || config === false || config === 'none') {
+        return null;
+    }
+    if (typeof config !== 'object') {
+        throw new Error('Vérification de santé invalide : objet attendu');
+    }
+    if (!HEALTH_CHECK_TYPES.includes(config.type)) {
+        throw new Error(`Type de vérification invalide. Choisissez parmi: ${HEALTH_CHECK_TYPES.join(', ')}`);
+    }
+
+    const positive = (field, value) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`Vérification de santé : ${field} doit être un entier positif`);
+        }
+        return number;
+    };
+
+    const check = { type: config.type };
+    if (config.type === 'command') {
+        if (!config.command || typeof config.command !== 'string') {
+            throw new Error('Vérification de santé : commande requise');
+        }
+        check.command = config.command;
+    } else {
+        check.host = config.host || '127.0.0.1';
+        if (typeof check.host !== 'string' || (!net.isIP(check.host) && !HOSTNAME_PATTERN.test(check.host))) {
+            throw new Error('Vérification de santé : host doit être un nom d\'hôte ou une adresse IP');
+        }
+        check.port = positive('port', config.port);
+        if (check.port > 65535) {
+            throw new Error('Vérification de santé : port invalide');
+        }
+    }
+    if (config.type === 'http') {
+        check.path = config.path || '/';
+        if (typeof check.path !== 'string' || !check.path.startsWith('/')) {
+            throw new Error('Vérification de santé : le chemin doit commencer par /');
+        }
+        if (!PATH_PATTERN.test(check.path)) {
+            throw new Error('Vérification de santé : le chemin contient des caractères non autorisés (lettres, chiffres et - . _ ~ % / ? = & + , : @)');
+        }
+        check.expectedStatus = positive('expectedStatus', config.expectedStatus ?? 200);
+    }
+
+    check.interval = positive('interval', config.interval ?? DEFAULTS.interval);
+    check.timeout = positive('timeout', config.timeout ?? DEFAULTS.timeout);
+    check.failureThreshold = positive('failureThreshold', config.failureThreshold ?? DEFAULTS.failureThreshold);
+    check.autoRestart = config.autoRestart === undefined ? true : !!config.autoRestart;
+
+    if (check.timeout >= check.interval) {
+        throw new Error('Vérification de santé : timeout doit être inférieur à interval');
+    }
+    return check;
+}
+
+/**
+ * Requête HTTP GET
+ * @param {object} check
+ * @returns {Promise<string>} - Détail du résultat
+ */
+function probeHttp(check) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: check.host, port: check.port, path: check.path, timeout: check.timeout * 1000 }, res => {
+            res.resume();
+            if (res.statusCode === check.expectedStatus) {
+                resolve(`HTTP ${res.statusCode}`);
+            } else {
+                reject(new Error(`HTTP ${res.statusCode} (attendu ${check.expectedStatus})`));
+            }
+        });
+        req.on('timeout', () => req.destroy(new Error(`Pas de réponse en ${check.timeout} s`)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Connexion TCP
+ * @param {object} check
+ * @returns {Promise<string>}
+ */
+function probeTcp(check) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: check.host, port: check.port });
+        socket.setTimeout(check.timeout * 1000, () => socket.destroy(new Error(`Pas de connexion en ${check.timeout} s`)));
+        socket.once('connect', () => {
+            socket.end();
+            resolve(`Port ${check.port} ouvert`);
+        });
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Commande de vérification, exécutée comme les commandes de setup
+ * @param {string} projectName
+ * @param {object} service
+ * @returns {Promise<string>}
+ */
+async function probeCommand(projectName, service) {
+    const { command, timeout } = service.healthCheck;
+    const user = projects.getServiceUser(projectName);
+    const env = { ...process.env, ...environment.resolveServiceEnv(projectName, service.name) };
+    const cwd = releases.getRunDirectory(projectName, service);
+    const options = user
+        ? { cwd, env: { ...env, HOME: user.home, USER: user.name }, uid: user.uid, gid: user.gid }
+        : { cwd, env };
+
+    try {
+        await shell.execCommand(command, { ...options, timeout: timeout * 1000 });
+        return 'Commande réussie';
+    } catch (error) {
+        const reason = error.killed ? `délai de ${timeout} s dépassé` : `code ${error.code}`;
+        throw new Error(`Commande en échec (${reason})${error.stderr?.trim() ? `: ${error.stderr.trim().split('\n').pop()}` : ''}`);
+    }
+}
+
+/**
+ * Exécute une fois la vérification de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<{healthy: boolean, message: string, checkedAt: string}>}
+ */
+export async function runHealthCheck(projectName, serviceName) {
+    const service = services.getService(projectName, serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+    if (!service.healthCheck) {
+        throw new Error(`Le service ${serviceName} n'a pas de vérification de santé`);
+    }
+
+    const checkedAt = new Date().toISOString();
+    try {
+        const { type } = service.healthCheck;
+        const message = type === 'http'
+            ? await probeHttp(service.healthCheck)
+            : type === 'tcp' ? await probeTcp(service.healthCheck) : await probeCommand(projectName, service);
+        return { healthy: true, message, checkedAt };
+    } catch (error) {
+        return { healthy: false, message: error.message, checkedAt };
+    }
+}
+
+/**
+ * État de santé d'un service, tel que suivi par le serveur Web
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {object|null} - null si le service n'a pas de vérification
+ */
+export function getHealth(projectName, service) {
+    if (!service.healthCheck) {
+        return null;
+    }
+
+    const state = states.get(`${projectName}/${service.name}`);
+    if (!state) {
+        return { status: 'unknown', failures: 0, lastCheckAt: null, message: null, autoRestarts: 0, nextRestartAt: null };
+    }
+    const { status, failures, lastCheckAt, message, autoRestarts, nextRestartAt } = state;
+    return {
+        status,
+        failures,
+        lastCheckAt: lastCheckAt && new Date(lastCheckAt).toISOString(),
+        message,
+        autoRestarts,
+        nextRestartAt: nextRestartAt && new Date(nextRestartAt).toISOString()
+    };
+}
+
+/**
+ * Redémarre un service en échec si la politique de redémarrage le permet
+ * @param {string} projectName
+ * @param {object} service
+ * @param {object} state
+ */
+async function recover(projectName, service, state) {
+    const now = Date.now();
+    if (!service.healthCheck.autoRestart || now < state.nextRestartAt) {
+        return;
+    }
+
+    state.autoRestarts++;
+    state.lastRestartAt = now;
+    state.nextRestartAt = now + Math.min(RESTART_BACKOFF_BASE * 2 ** (state.autoRestarts - 1), RESTART_BACKOFF_MAX);
+    logger.warn(`Redémarrage automatique de ${projectName}/${service.name} après ${state.failures} échec(s) : ${state.message}`, { project: projectName });
+
+    try {
+        await services.restartService(projectName, service.name);
+        state.status = 'starting';
+        state.failures = 0;
+    } catch (error) {
+        logger.error(`Redémarrage automatique de ${projectName}/${service.name} impossible: ${error.message}`, { project: projectName });
+    }
+}
+
+/**
+ * Vérifie un service et met à jour son état
+ * @param {string} projectName
+ * @param {object} service
+ * @param {object} state
+ */
+async function checkService(projectName, service, state) {
+    state.running = true;
+    try {
+        const result = await runHealthCheck(projectName, service.name);
+        state.lastCheckAt = Date.now();
+        state.message = result.message;
+
+        if (result.healthy) {
+            if (state.status === 'unhealthy') {
+                logger.info(`${projectName}/${service.name} de nouveau sain`, { project: projectName });
+            }
+            state.status = 'healthy';
+            state.failures = 0;
+            if (state.lastRestartAt && Date.now() - state.lastRestartAt > BACKOFF_RESET_AFTER) {
+                state.autoRestarts = 0;
+                state.nextRestartAt = 0;
+            }
+            return;
+        }
+
+        state.failures++;
+        if (state.failures < service.healthCheck.failureThreshold) {
+            return;
+        }
+        if (state.status !== 'unhealthy') {
+            logger.warn(`${projectName}/${service.name} en mauvaise santé : ${result.message}`, { project: projectName });
+        }
+        state.status = 'unhealthy';
+        await recover(projectName, service, state);
+    } finally {
+        state.running = false;
+    }
+}
+
+/**
+ * Lance les vérifications arrivées à échéance des services en ligne
+ * @returns {Promise<void>}
+ */
+async function tick() {
+    const seen = new Set();
+
+    for (const project of projects.loadProjects()) {
+        const checked = (projects.loadProjectConfig(project.name).services || []).filter(s => s.healthCheck);
+        if (checked.length === 0) {
+            continue;
+        }
+
+        let statuses;
+        try {
+            statuses = await services.getAllServicesStatus(project.name);
+        } catch (error) {
+            logger.debug(`Statut des services de ${project.name} indisponible: ${error.message}`);
+            continue;
+        }
+
+        for (const service of checked) {
+            const key = `${project.name}/${service.name}`;
+            // Un service arrêté n'est pas vérifié : son état repart de zéro au prochain démarrage
+            if (statuses.find(s => s.name === service.name)?.status !== 'online') {
+                continue;
+            }
+            seen.add(key);
+
+            if (!states.has(key)) {
+                states.set(key, { status: 'starting', failures: 0, lastCheckAt: 0, message: null, autoRestarts: 0, lastRestartAt: 0, nextRestartAt: 0, running: false });
+            }
+            const state = states.get(key);
+            if (!state.running && Date.now() - state.lastCheckAt >= service.healthCheck.interval * 1000) {
+                checkService(project.name, service, state).catch(error => {
+                    logger.warn(`Vérification de ${key} impossible: ${error.message}`, { project: project.name });
+                });
+            }
+        }
+    }
+
+    // Oublier les services arrêtés, supprimés ou sans vérification
+    for (const [key, state] of states) {
+        if (!seen.has(key) && !state.running) {
+            states.delete(key);
+        }
+    }
+}
+
+/**
+ * Démarre les vérifications périodiques (serveur Web)
+ */
+export function startHealthChecker() {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => {
+        tick().catch(error => logger.warn(`Vérifications de santé: ${error.message}`));
+    }, TICK_INTERVAL);
+    timer.unref();
+    logger.info('Vérifications de santé des services démarrées');
+}
+
+/**
+ * Arrête les vérifications périodiques
+ */
+export function stopHealthChecker() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export default {
+    HEALTH_CHECK_TYPES,
+    normalizeHealthCheck,
+    runHealthCheck,
+    getHealth,
+    startHealthChecker,
+    stopHealthChecker
+};
@@ -0,0 +1,589 @@
+/**
+ * Module des jobs
+ *
+ * Un job suit une opération longue : setup ou déploiement d'un service, ou opération lancée en arrière-plan
+ * depuis l'API (export, import, installation d'un modèle IA, certificat, démarrage de tous les services).
+ * Il se compose d'étapes (récupération du dépôt, copie, commandes…) avec leur sortie standard et d'erreur,
+ * leur code de sortie et leur durée, d'une progression et des messages de log émis pendant son exécution.
+ *
+ * Les jobs d'un projet sont conservés dans /var/www/<projet>/jobs/<id>.json, les autres dans
+ * /etc/nodejs-project-manager/jobs. Les jobs en arrière-plan passent par une file d'attente : au plus MAX_RUNNING
+ * à la fois, et un seul à la fois par file (par défaut : même type et même projet). Tout job en cours peut être
+ * annulé : ses commandes sont interrompues et il s'arrête avant l'étape suivante.
+ * La progression est diffusée en direct aux abonnés du processus qui exécute le job (flux SSE du serveur Web)
+ * et enregistrée au fil de l'eau pour les autres (job lancé depuis la CLI).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH } from '../config/constants.js';
+import shell from '../utils/shell.js';
+import { createLogger, onEntry, runWithContext } from '../utils/logger.js';
+
+const logger = createLogger('jobs');
+
+// Jobs conservés par projet, et pour les jobs sans projet (les plus anciens sont supprimés)
+const MAX_JOBS = 100;
+
+// Sortie conservée par flux et par étape : au-delà, seule la fin est gardée
+const MAX_OUTPUT = 256 * 1024;
+
+// Messages de log conservés par job
+const MAX_LOGS = 1000;
+
+// Délai entre deux enregistrements d'un job en cours
+const SAVE_INTERVAL = 1000;
+
+// Jobs en arrière-plan exécutés simultanément
+const MAX_RUNNING = 2;
+
+// Jobs sans projet (export, import, modèles IA)
+const GLOBAL_JOBS_PATH = path.join(TOOL_CONFIG_PATH, 'jobs');
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const JOB_FILE = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.json$/;
+
+// Jobs exécutés par ce processus : id → job
+const liveJobs = new Map();
+// Annulation des jobs exécutés par ce processus : id → AbortController
+const controllers = new Map();
+// Enregistrements différés : id → timer
+const pendingSaves = new Map();
+// File d'attente des jobs en arrière-plan : [{ job, handler, queue, resultFile }]
+const waiting = [];
+// Jobs en arrière-plan en cours : id → file
+const running = new Map();
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Dossier des jobs d'un projet, ou des jobs sans projet
+ * @param {string|null} projectName
+ * @returns {string}
+ */
+function getJobsPath(projectName) {
+    return projectName ? path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.jobs) : GLOBAL_JOBS_PATH;
+}
+
+/**
+ * Fichier du résultat d'un job enregistré à part (export)
+ * @param {object} job
+ * @returns {string}
+ */
+export function getResultPath(job) {
+    return path.join(getJobsPath(job.project), `${job.id}.result.json`);
+}
+
+/**
+ * URL de l'API d'un job
+ * @param {object} job
+ * @returns {string}
+ */
+export function getJobUrl(job) {
+    return job.project ? `/api/projects/${job.project}/jobs/${job.id}` : `/api/jobs/${job.id}`;
+}
+
+/**
+ * Enregistre un job
+ * @param {object} job
+ */
+function saveJob(job) {
+    clearTimeout(pendingSaves.get(job.id));
+    pendingSaves.delete(job.id);
+
+    fs.mkdirSync(getJobsPath(job.project), { recursive: true });
+    fs.writeFileSync(path.join(getJobsPath(job.project), `${job.id}.json`), JSON.stringify(job, null, 2));
+}
+
+/**
+ * Enregistre un job en cours au plus une fois par SAVE_INTERVAL
+ * @param {object} job
+ */
+function scheduleSave(job) {
+    if (pendingSaves.has(job.id)) {
+        return;
+    }
+    const timer = setTimeout(() => saveJob(job), SAVE_INTERVAL);
+    timer.unref();
+    pendingSaves.set(job.id, timer);
+}
+
+/**
+ * Diffuse un événement d'un job aux abonnés
+ * @param {object} job
+ * @param {object} event - { type: start|status|step|output|log|progress|end, … }
+ */
+function emit(job, event) {
+    emitter.emit('job', { ...event, jobId: job.id, project: job.project, service: job.service });
+}
+
+/**
+ * Job sans la sortie de ses étapes ni ses logs (listes, événements)
+ * @param {object} job
+ * @returns {object}
+ */
+export function summarizeJob({ logs, ...job }) {
+    return { ...job, steps: job.steps.map(({ stdout, stderr, ...step }) => step) };
+}
+
+/**
+ * Étape sans sa sortie (événements de progression)
+ * @param {object} step
+ * @returns {object}
+ */
+function summarizeStep({ stdout, stderr, ...step }) {
+    return step;
+}
+
+// Messages de log émis pendant l'exécution d'un job (contexte jobId) : ajoutés à ses logs
+onEntry(entry => {
+    const job = entry.jobId && liveJobs.get(entry.jobId);
+    if (!job) {
+        return;
+    }
+    const log = { timestamp: entry.timestamp, level: entry.level, message: entry.message };
+    job.logs.push(log);
+    if (job.logs.length > MAX_LOGS) {
+        job.logs.splice(0, job.logs.length - MAX_LOGS);
+    }
+    emit(job, { type: 'log', log });
+    scheduleSave(job);
+});
+
+/**
+ * Supprime les jobs terminés au-delà de MAX_JOBS
+ * @param {string|null} projectName
+ */
+function pruneJobs(projectName) {
+    const jobsPath = getJobsPath(projectName);
+    const files = fs.readdirSync(jobsPath)
+        .filter(file => JOB_FILE.test(file) && !liveJobs.has(JOB_FILE.exec(file)[1]))
+        .map(file => ({ id: JOB_FILE.exec(file)[1], mtime: fs.statSync(path.join(jobsPath, file)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+
+    for (const { id } of files.slice(MAX_JOBS)) {
+        fs.rmSync(path.join(jobsPath, `${id}.json`), { force: true });
+        fs.rmSync(path.join(jobsPath, `${id}.result.json`), { force: true });
+    }
+}
+
+/**
+ * Crée et enregistre un job
+ * @param {string|null} projectName
+ * @param {object} options - Voir createJob
+ * @param {string} status - running ou queued
+ * @returns {object}
+ */
+function newJob(projectName, { type, service = null, trigger = null, actor = null, permission = null }, status) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        project: projectName,
+        service,
+        type,
+        trigger,
+        actor,
+        permission,
+        status,
+        pid: process.pid,
+        createdAt: now,
+        startedAt: status === 'running' ? now : null,
+        finishedAt: null,
+        duration: null,
+        progress: null,
+        error: null,
+        cancelledBy: null,
+        result: null,
+        steps: [],
+        logs: []
+    };
+
+    liveJobs.set(job.id, job);
+    controllers.set(job.id, new AbortController());
+    saveJob(job);
+    pruneJobs(projectName);
+    emit(job, { type: 'start', job: summarizeJob(job) });
+    return job;
+}
+
+/**
+ * Crée un job en cours, exécuté par l'appelant (setup, déploiement)
+ * @param {string|null} projectName - Nom du projet (null pour un job global)
+ * @param {object} options
+ * @param {string} options.type - setup, deploy, export…
+ * @param {string|null} options.service - Service concerné
+ * @param {string|null} options.trigger - Origine : manual (Web), cli, webhook, start (setup au démarrage)
+ * @param {string|null} options.actor - Utilisateur ou fournisseur du webhook
+ * @param {string|null} options.permission - Permission de projet permettant de suivre et d'annuler le job
+ * @returns {object} - Job
+ */
+export function createJob(projectName, options) {
+    return newJob(projectName, options, 'running');
+}
+
+/**
+ * Met un job en file d'attente. Le handler est exécuté dès qu'une place se libère, avec le contexte de log
+ * du job : ses messages (logger) sont ajoutés aux logs du job.
+ * @param {string|null} projectName - Nom du projet (null pour un job global)
+ * @param {object} options - Options de createJob, et :
+ * @param {string} options.queue - File (un job à la fois par file), par défaut "<type>:<projet>"
+ * @param {boolean} options.resultFile - Enregistrer le résultat dans un fichier à part (volumineux)
+ * @param {Function} handler - async (job, { signal }) => résultat
+ * @returns {object} - Job (statut queued)
+ */
+export function enqueueJob(projectName, options, handler) {
+    const job = newJob(projectName, options, 'queued');
+    waiting.push({ job, handler, queue: options.queue || `${options.type}:${projectName || ''}`, resultFile: !!options.resultFile });
+    drainQueue();
+    return job;
+}
+
+/**
+ * Lance les jobs en attente dans la limite des places et des files libres
+ */
+function drainQueue() {
+    let index = 0;
+    while (index < waiting.length && running.size < MAX_RUNNING) {
+        const entry = waiting[index];
+        if ([...running.values()].includes(entry.queue)) {
+            index++;
+            continue;
+        }
+        waiting.splice(index, 1);
+        runQueued(entry);
+    }
+}
+
+/**
+ * Exécute un job de la file d'attente
+ * @param {object} entry - { job, handler, queue, resultFile }
+ */
+function runQueued({ job, handler, queue, resultFile }) {
+    running.set(job.id, queue);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    saveJob(job);
+    emit(job, { type: 'status', job: summarizeJob(job) });
+
+    const signal = controllers.get(job.id).signal;
+    runWithContext({ jobId: job.id, user: job.actor, ...(job.project && { project: job.project }) }, async () => {
+        let error = null;
+        try {
+            const result = await handler(job, { signal });
+            if (resultFile) {
+                const content = JSON.stringify(result);
+                fs.writeFileSync(getResultPath(job), content, { mode: 0o600 });
+                job.result = { file: true, size: Buffer.byteLength(content) };
+            } else {
+                job.result = result ?? null;
+            }
+        } catch (caught) {
+            error = caught;
+            if (!isCancelled(job)) {
+                logger.error(`Job ${job.type} en échec: ${caught.message}`);
+            }
+        }
+        running.delete(job.id);
+        finishJob(job, error);
+        drainQueue();
+    });
+}
+
+/**
+ * Met à jour la progression d'un job
+ * @param {object} job
+ * @param {number|null} percent - Avancement (0 à 100), null s'il est inconnu
+ * @param {string} message - Opération en cours
+ */
+export function setProgress(job, percent, message) {
+    job.progress = { percent, message };
+    emit(job, { type: 'progress', progress: job.progress });
+    scheduleSave(job);
+}
+
+/**
+ * Ajoute de la sortie à une étape
+ * @param {object} job
+ * @param {number} index - Index de l'étape
+ * @param {string} stream - stdout ou stderr
+ * @param {string} data
+ */
+function appendOutput(job, index, stream, data) {
+    const step = job.steps[index];
+    step[stream] += data;
+    if (step[stream].length > MAX_OUTPUT) {
+        step[stream] = step[stream].slice(-MAX_OUTPUT);
+        step.truncated = true;
+    }
+    emit(job, { type: 'output', index, stream, data });
+    scheduleSave(job);
+}
+
+/**
+ * Exécute une étape d'un job et en enregistre le résultat et la durée. Un job annulé ne démarre plus d'étape.
+ * Sans job, la fonction est simplement exécutée.
+ * @param {object|null} job
+ * @param {string} name - Libellé de l'étape
+ * @param {Function} fn - (write(stream, data), step) => Promise
+ * @param {string|null} command - Commande exécutée par l'étape
+ * @returns {Promise<*>} - Résultat de fn
+ */
+export async function runStep(job, name, fn, command = null) {
+    if (!job) {
+        return fn(() => {}, {});
+    }
+    if (isCancelled(job)) {
+        throw new Error('Job annulé');
+    }
+
+    const startedAt = Date.now();
+    const step = {
+        name,
+        command,
+        status: 'running',
+        exitCode: null,
+        stdout: '',
+        stderr: '',
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: null,
+        duration: null,
+        error: null
+    };
+    const index = job.steps.push(step) - 1;
+    emit(job, { type: 'step', index, step: summarizeStep(step) });
+    scheduleSave(job);
+
+    try {
+        const result = await fn((stream, data) => appendOutput(job, index, stream, data), step);
+        step.status = 'success';
+        return result;
+    } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        throw error;
+    } finally {
+        step.finishedAt = new Date().toISOString();
+        step.duration = Date.now() - startedAt;
+        emit(job, { type: 'step', index, step: summarizeStep(step) });
+        scheduleSave(job);
+    }
+}
+
+/**
+ * Exécute une commande shell, comme étape d'un job s'il est fourni (sortie diffusée, interrompue si le job est annulé)
+ * @param {object|null} job
+ * @param {string} command - Commande (interprétée par sh)
+ * @param {object} options - Options de spawn (cwd, env, uid, gid)
+ * @returns {Promise<{stdout: string, stderr: string}>} - Rejetée si la commande échoue (code de sortie et dernière ligne d'erreur)
+ */
+export function runCommand(job, command, options = {}) {
+    const signal = job ? controllers.get(job.id)?.signal : undefined;
+
+    return runStep(job, command, (write, step) => new Promise((resolve, reject) => {
+        const output = { stdout: '', stderr: '' };
+        const child = spawn('/bin/sh', ['-c', command], { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+        // Annulation : la commande et les processus qu'elle a lancés (la sortie reste ouverte tant qu'ils vivent)
+        const abort = () => shell.killProcessTree(child.pid);
+        signal?.addEventListener('abort', abort, { once: true });
+        for (const stream of ['stdout', 'stderr']) {
+            child[stream].setEncoding('utf8').on('data', data => {
+                output[stream] = (output[stream] + data).slice(-MAX_OUTPUT);
+                write(stream, data);
+            });
+        }
+        child.on('error', reject);
+        child.on('close', (code, killSignal) => {
+            signal?.removeEventListener('abort', abort);
+            step.exitCode = code;
+            if (signal?.aborted) {
+                return reject(new Error('interrompue (job annulé)'));
+            }
+            if (code === 0) {
+                return resolve({ stdout: output.stdout.trim(), stderr: output.stderr.trim() });
+            }
+            const lastLine = (output.stderr || output.stdout).trim().split('\n').pop();
+            reject(new Error(`${killSignal ? `interrompue (${killSignal})` : `code de sortie ${code}`}${lastLine ? ` : ${lastLine}` : ''}`));
+        });
+    }), command);
+}
+
+/**
+ * Termine un job. Un job annulé pendant son exécution est marqué cancelled.
+ * @param {object} job
+ * @param {Error|null} error - Erreur ayant interrompu le job
+ */
+export function finishJob(job, error = null) {
+    const cancelled = isCancelled(job);
+    job.status = cancelled ? 'cancelled' : error ? 'failed' : 'success';
+    job.error = cancelled ? `Annulé${job.cancelledBy ? ` par ${job.cancelledBy}` : ''}` : error?.message || null;
+    if (job.status === 'success' && job.progress) {
+        job.progress = { percent: 100, message: job.progress.message };
+    }
+    job.finishedAt = new Date().toISOString();
+    job.duration = Date.parse(job.finishedAt) - Date.parse(job.startedAt || job.createdAt);
+
+    saveJob(job);
+    liveJobs.delete(job.id);
+    controllers.delete(job.id);
+    emit(job, { type: 'end', job: summarizeJob(job) });
+}
+
+/**
+ * Annule un job exécuté par ce processus : retiré de la file d'attente, ou interrompu (commande en cours
+ * arrêtée, aucune nouvelle étape)
+ * @param {object} job
+ * @param {string|null} actor - Auteur de l'annulation
+ * @returns {object} - Job
+ */
+export function cancelJob(job, actor = null) {
+    const controller = controllers.get(job.id);
+    if (!controller) {
+        throw new Error(job.status === 'running' || job.status === 'queued'
+            ? 'Ce job est exécuté par un autre processus (CLI) et ne peut pas être annulé ici'
+            : 'Ce job est terminé');
+    }
+    if (controller.signal.aborted) {
+        return job;
+    }
+
+    job.cancelledBy = actor;
+    controller.abort();
+    logger.warn(`Job ${job.type}${job.service ? ` de ${job.service}` : ''} annulé${actor ? ` par ${actor}` : ''}`, { project: job.project, jobId: job.id });
+
+    const index = waiting.findIndex(entry => entry.job.id === job.id);
+    if (index >= 0) {
+        waiting.splice(index, 1);
+        finishJob(job);
+    }
+    return job;
+}
+
+/**
+ * Indique si l'annulation d'un job a été demandée
+ * @param {object|null} job
+ * @returns {boolean}
+ */
+export function isCancelled(job) {
+    return !!job && !!controllers.get(job.id)?.signal.aborted;
+}
+
+/**
+ * Lit un job enregistré. Un job resté en attente ou en cours alors que son processus n'existe plus est marqué interrompu.
+ * @param {string|null} projectName
+ * @param {string} file - Nom du fichier
+ * @returns {object|null}
+ */
+function readJob(projectName, file) {
+    try {
+        const job = JSON.parse(fs.readFileSync(path.join(getJobsPath(projectName), file), 'utf8'));
+        if ((job.status === 'running' || job.status === 'queued') && !liveJobs.has(job.id) && !shell.processExists(job.pid)) {
+            job.status = 'interrupted';
+        }
+        return job;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Détail d'un job (étapes, sortie et logs)
+ * @param {string|null} projectName - Nom du projet (null pour un job global)
+ * @param {string} jobId - Identifiant du job
+ * @returns {object|null}
+ */
+export function getJob(projectName, jobId) {
+    if (!JOB_ID.test(jobId || '')) {
+        return null;
+    }
+    const live = liveJobs.get(jobId);
+    if (live) {
+        return live.project === projectName ? live : null;
+    }
+    return readJob(projectName, `${jobId}.json`);
+}
+
+/**
+ * Jobs d'un projet (ou jobs globaux), sans la sortie des étapes ni les logs
+ * @param {string|null} projectName - Nom du projet (null pour les jobs globaux)
+ * @param {object} filters
+ * @param {string|null} filters.service - Service concerné
+ * @param {string|null} filters.type - Type de job
+ * @param {number} filters.limit - Nombre maximal de jobs
+ * @returns {Array} - Du plus récent au plus ancien
+ */
+export function listJobs(projectName, { service = null, type = null, limit = MAX_JOBS } = {}) {
+    const jobsPath = getJobsPath(projectName);
+    if (!fs.existsSync(jobsPath)) {
+        return [];
+    }
+
+    return fs.readdirSync(jobsPath)
+        .filter(file => JOB_FILE.test(file))
+        .map(file => liveJobs.get(JOB_FILE.exec(file)[1]) || readJob(projectName, file))
+        .filter(job => job && (!service || job.service === service) && (!type || job.type === type))
+        .sort((a, b) => (b.createdAt || b.startedAt).localeCompare(a.createdAt || a.startedAt))
+        .slice(0, limit)
+        .map(summarizeJob);
+}
+
+/**
+ * Supprime les jobs d'un service (suppression du service)
+ * @param {string} projectName
+ * @param {string} serviceName
+ */
+export function removeJobs(projectName, serviceName) {
+    for (const job of listJobs(projectName, { service: serviceName })) {
+        if (!liveJobs.has(job.id)) {
+            fs.rmSync(path.join(getJobsPath(projectName), `${job.id}.json`), { force: true });
+            fs.rmSync(getResultPath(job), { force: true });
+        }
+    }
+}
+
+/**
+ * Indique si un job est exécuté par ce processus (sa progression est alors diffusée)
+ * @param {string} jobId
+ * @returns {boolean}
+ */
+export function isLive(jobId) {
+    return liveJobs.has(jobId);
+}
+
+/**
+ * S'abonne à la progression des jobs exécutés par ce processus
+ * @param {object} filters - { project, service, jobId } (tous facultatifs)
+ * @param {Function} listener - Reçoit les événements { type, jobId, project, service, … }
+ * @returns {Function} - Désabonnement
+ */
+export function subscribe({ project = null, service = null, jobId = null }, listener) {
+    const handler = event => {
+        if ((!project || event.project === project) && (!service || event.service === service) && (!jobId || event.jobId === jobId)) {
+            listener(event);
+        }
+    };
+    emitter.on('job', handler);
+    return () => emitter.off('job', handler);
+}
+
+export default {
+    getResultPath,
+    getJobUrl,
+    summarizeJob,
+    createJob,
+    enqueueJob,
+    setProgress,
+    runStep,
+    runCommand,
+    finishJob,
+    cancelJob,
+    isCancelled,
+    getJob,
+    listJobs,
+    removeJobs,
+    isLive,
+    subscribe
+};
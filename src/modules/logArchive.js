@@ -0,0 +1,669 @@
+/**
+ * Module d'archivage des logs des services
+ *
+ * Un service dont la rétention est activée (champ logRetention : { days, maxSize }) voit sa sortie archivée
+ * dans /var/www/<projet>/logs/<service>/ : un fichier NDJSON par jour (UTC) et un index (index.json) qui garde
+ * la position atteinte dans les logs et, pour chaque jour, le nombre de lignes, la taille, les dates de la
+ * première et de la dernière ligne et le nombre de lignes par niveau. Les recherches ne lisent que les jours
+ * de la période demandée qui contiennent des lignes du niveau voulu.
+ *
+ * Le serveur Web archive les nouvelles lignes toutes les 10 secondes, à partir de l'activation : sous PM2,
+ * depuis les fichiers de sortie et d'erreur (date écrite par PM2 en tête de ligne, à défaut date de lecture),
+ * sous systemd depuis le journal (date du journal). Les logs sont archivés avant d'être réinitialisés. Les jours au-delà de `days`, puis les
+ * plus anciens tant que l'archive dépasse `maxSize`, sont supprimés.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import projects from './projects.js';
+import services from './services.js';
+import systemd from './systemd.js';
+import quotas from './quotas.js';
+import logStreams from './logStreams.js';
+import shell from '../utils/shell.js';
+import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('logs');
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_RETENTION_DAYS = 14;
+
+// Fréquence d'archivage des nouvelles lignes (serveur Web)
+const INGEST_INTERVAL = 10 * 1000;
+
+// Lu au plus par fichier et par passage : le reste l'est au passage suivant
+const MAX_INGEST_BYTES = 4 * 1024 * 1024;
+
+// Résultats d'une recherche
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 2000;
+
+// Lignes envoyées ensemble lors d'un téléchargement
+const EXPORT_BATCH = 1000;
+
+// Attente du verrou tenu par un autre processus (CLI et serveur Web)
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY = 100;
+
+const INDEX_FILE = 'index.json';
+
+// Mot qui donne le niveau d'une ligne (le premier trouvé), un groupe par niveau ; sinon stderr → error, stdout → info
+const LEVEL_PATTERN = /\b(?:(fatal|panic|crit(?:ical)?|emerg(?:ency)?|alert|err(?:or)?|exception)|(warn(?:ing)?)|(info|notice)|(debug|trace|verbose))\b/i;
+const PATTERN_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Date écrite par PM2 en tête de ligne (log_date_format de l'ecosystem : 2026-10-18T15:13:00.000+02:00: …)
+const PM2_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)? ?(?:Z|[+-]\d{2}:?\d{2})): /;
+
+// Niveau d'une entrée du journal sans mot de niveau : priorité maximale de chaque niveau
+const JOURNAL_LEVELS = [[3, 'error'], [4, 'warn'], [6, 'info'], [7, 'debug']];
+
+let timer = null;
+let ingesting = false;
+
+// Dossier d'archive → jour (UTC) où la rétention y a été appliquée pour la dernière fois
+const retentionDays = new Map();
+
+/**
+ * Dossier de l'archive des logs d'un service
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {string}
+ */
+export function getArchivePath(projectName, serviceName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.logs, serviceName);
+}
+
+/**
+ * Valide la rétention des logs d'un service
+ * @param {object|null} config - { days, maxSize } (taille avec unité : 500M, 2G)
+ * @returns {object|null} - Rétention normalisée, null pour arrêter l'archivage
+ */
+export function normalizeLogRetention(config) {
+    if (config === null || config === false || config === 'none') {
+        return null;
+    }
+    if (config === true) {
+        config = {};
+    }
+    if (typeof config !== 'object') {
+        throw new Error('Rétention des logs invalide : objet attendu');
+    }
+
+    const days = Number(config.days ?? DEFAULT_RETENTION_DAYS);
+    if (!Number.isInteger(days) || days < 1) {
+        throw new Error('Rétention des logs : days doit être un entier positif');
+    }
+    const maxSize = config.maxSize ? String(config.maxSize) : null;
+    if (maxSize && !quotas.parseSize(maxSize)) {
+        throw new Error('Rétention des logs : maxSize invalide (ex: 500M, 2G)');
+    }
+    return { days, maxSize };
+}
+
+/**
+ * Niveau d'une ligne d'après son contenu
+ * @param {string} stream - stdout ou stderr
+ * @param {string} message
+ * @returns {string}
+ */
+export function detectLevel(stream, message) {
+    const match = LEVEL_PATTERN.exec(message);
+    if (match) {
+        return PATTERN_LEVELS[match.slice(1).findIndex(Boolean)];
+    }
+    return stream === 'stderr' ? 'error' : 'info';
+}
+
+/**
+ * Index de l'archive d'un service
+ * @param {string} archivePath
+ * @returns {object} - { since, cursor, updatedAt, partitions }
+ */
+function loadIndex(archivePath) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(archivePath, INDEX_FILE), 'utf8'));
+    } catch {
+        return { since: null, cursor: null, updatedAt: null, partitions: {} };
+    }
+}
+
+/**
+ * Enregistre l'index de l'archive d'un service
+ * @param {string} archivePath
+ * @param {object} index
+ */
+function saveIndex(archivePath, index) {
+    fs.mkdirSync(archivePath, { recursive: true, mode: 0o750 });
+    index.updatedAt = new Date().toISOString();
+    fs.writeFileSync(path.join(archivePath, INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+/**
+ * Réserve l'archive d'un service (verrou partagé par la CLI et le serveur Web), en attendant au besoin
+ * @param {string} archivePath
+ * @returns {Promise<Function>} - Libère le verrou
+ */
+async function acquireLock(archivePath) {
+    const lockPath = path.join(archivePath, '.archive.lock');
+    fs.mkdirSync(archivePath, { recursive: true, mode: 0o750 });
+
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            return () => fs.rmSync(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        const pid = parseInt(fs.readFileSync(lockPath, 'utf8'));
+        if (!shell.processExists(pid)) {
+            // Verrou d'un processus arrêté pendant l'archivage : repris
+            fs.writeFileSync(lockPath, String(process.pid));
+            return () => fs.rmSync(lockPath, { force: true });
+        }
+        if (Date.now() > deadline) {
+            throw new Error('L\'archive des logs est utilisée par un autre processus');
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+    }
+}
+
+/**
+ * Ajoute des lignes à l'archive (fichier du jour de chaque ligne) et met l'index à jour
+ * @param {string} archivePath
+ * @param {object} index
+ * @param {Array<{timestamp, stream, level, message}>} entries
+ */
+function appendEntries(archivePath, index, entries) {
+    const byDay = new Map();
+    for (const entry of entries) {
+        const day = entry.timestamp.slice(0, 10);
+        if (!byDay.has(day)) {
+            byDay.set(day, []);
+        }
+        byDay.get(day).push(entry);
+    }
+
+    for (const [day, dayEntries] of byDay) {
+        const content = dayEntries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        fs.appendFileSync(path.join(archivePath, `${day}.ndjson`), content, { mode: 0o640 });
+
+        const partition = index.partitions[day] ??= {
+            lines: 0, bytes: 0, first: dayEntries[0].timestamp, last: null, levels: Object.fromEntries(LOG_LEVELS.map(level => [level, 0]))
+        };
+        // Lignes datées par PM2 : un passage peut en archiver de plus anciennes que le précédent
+        const timestamps = dayEntries.map(entry => entry.timestamp).sort();
+        partition.lines += dayEntries.length;
+        partition.bytes += Buffer.byteLength(content);
+        if (timestamps[0] < partition.first) {
+            partition.first = timestamps[0];
+        }
+        if (!partition.last || timestamps[timestamps.length - 1] > partition.last) {
+            partition.last = timestamps[timestamps.length - 1];
+        }
+        dayEntries.forEach(entry => partition.levels[entry.level]++);
+    }
+}
+
+/**
+ * Supprime les jours au-delà de la rétention, puis les plus anciens au-delà de la taille maximale
+ * (le jour en cours est toujours gardé)
+ * @param {string} archivePath
+ * @param {object} index
+ * @param {object} retention - { days, maxSize }
+ * @returns {number} - Jours supprimés
+ */
+function applyRetention(archivePath, index, retention) {
+    const cutoff = new Date(Date.now() - retention.days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    const days = Object.keys(index.partitions).sort();
+    const maxBytes = retention.maxSize ? quotas.parseSize(retention.maxSize) : Infinity;
+    let total = days.reduce((sum, day) => sum + index.partitions[day].bytes, 0);
+
+    const expired = [];
+    for (const day of days.slice(0, -1)) {
+        if (day >= cutoff && total <= maxBytes) {
+            break;
+        }
+        expired.push(day);
+        total -= index.partitions[day].bytes;
+    }
+
+    for (const day of expired) {
+        fs.rmSync(path.join(archivePath, `${day}.ndjson`), { force: true });
+        delete index.partitions[day];
+    }
+    return expired.length;
+}
+
+/**
+ * Sépare la date écrite par PM2 en tête d'une ligne du message
+ * @param {string} line
+ * @returns {{timestamp: string|null, message: string}} - timestamp null si la ligne n'est pas datée
+ */
+export function parsePm2Line(line) {
+    const match = PM2_DATE_PATTERN.exec(line);
+    const date = match ? new Date(match[1].replace(/ (?=Z|[+-]\d)/, '').replace(' ', 'T')) : null;
+    if (!date || isNaN(date.getTime())) {
+        return { timestamp: null, message: line };
+    }
+    return { timestamp: date.toISOString(), message: line.slice(match[0].length) };
+}
+
+/**
+ * Nouvelles lignes des fichiers de logs PM2 depuis la position de l'index. Une ligne sans date (suite d'une
+ * écriture sur plusieurs lignes, service lancé avant la datation) reprend celle de la ligne précédente du flux,
+ * à défaut la date de lecture.
+ * @param {object} files - { stdout, stderr }
+ * @param {object} index - Position mise à jour
+ * @returns {Array}
+ */
+function readFileEntries(files, index) {
+    const readAt = new Date().toISOString();
+    const cursor = { stdout: 0, stderr: 0, ...index.cursor };
+    const entries = [];
+
+    for (const stream of logStreams.LOG_STREAMS) {
+        const size = fs.existsSync(files[stream]) ? fs.statSync(files[stream]).size : 0;
+        if (size < cursor[stream]) {
+            // Fichier vidé ou remplacé hors de Twoine : relu depuis le début
+            cursor[stream] = 0;
+        }
+        const lines = logStreams.readLines(files[stream], cursor[stream], Math.min(size, cursor[stream] + MAX_INGEST_BYTES));
+        let previous = null;
+        for (const { line, end } of lines) {
+            const { timestamp, message } = parsePm2Line(line);
+            previous = timestamp || previous;
+            entries.push({ timestamp: previous || readAt, stream, level: detectLevel(stream, message), message });
+            cursor[stream] = end;
+        }
+    }
+
+    index.cursor = cursor;
+    // Fichiers de sortie et d'erreur entrelacés : archivés dans l'ordre des dates
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Nouvelles entrées du journal systemd depuis le curseur de l'index
+ * @param {string} unit
+ * @param {object} index - Curseur mis à jour
+ * @returns {Promise<Array>}
+ */
+async function readJournalEntries(unit, index) {
+    const journal = await systemd.readJournalEntries(unit, { afterCursor: index.cursor, since: index.since });
+    if (journal.length > 0) {
+        index.cursor = journal[journal.length - 1].cursor;
+    }
+
+    return journal.map(entry => {
+        const stream = entry.priority <= 3 ? 'stderr' : 'stdout';
+        const level = LEVEL_PATTERN.test(entry.message)
+            ? detectLevel(stream, entry.message)
+            : JOURNAL_LEVELS.find(([priority]) => entry.priority <= priority)?.[1] || 'debug';
+        return { timestamp: entry.timestamp, stream, level, message: entry.message };
+    });
+}
+
+/**
+ * Indique si les fichiers de logs PM2 ont changé depuis la position de l'index (taille différente)
+ * @param {object} files - { stdout, stderr }
+ * @param {object} index
+ * @returns {boolean}
+ */
+function hasNewFileLines(files, index) {
+    return logStreams.LOG_STREAMS.some(stream =>
+        (fs.existsSync(files[stream]) ? fs.statSync(files[stream]).size : 0) !== (index.cursor?.[stream] ?? 0));
+}
+
+/**
+ * Archive les nouvelles lignes d'un service (tant qu'il reste des lignes à lire) et applique la rétention.
+ * Le premier passage ne fait que noter la position : seules les lignes écrites ensuite sont archivées.
+ * L'index n'est réécrit que s'il a changé (lignes archivées, position ou jours supprimés).
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {Function|null} flushLogs - Appelée une fois les lignes archivées, avant de libérer l'archive
+ *   (réinitialisation des logs : la lecture reprend au début des fichiers)
+ * @returns {Promise<number>} - Lignes archivées
+ */
+export async function archiveServiceLogs(projectName, serviceName, flushLogs = null) {
+    const service = services.getService(projectName, serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+    if (!service.logRetention) {
+        throw new Error(`L'archivage des logs n'est pas activé pour ${serviceName}`);
+    }
+
+    const source = services.getServiceLogSource(projectName, serviceName);
+    const archivePath = getArchivePath(projectName, serviceName);
+
+    // Fichiers inchangés et rétention déjà appliquée aujourd'hui : ni verrou ni écriture (cas le plus courant)
+    const today = new Date().toISOString().slice(0, 10);
+    if (!flushLogs && source.type === 'files' && retentionDays.get(archivePath) === today) {
+        const current = loadIndex(archivePath);
+        if (current.since && !hasNewFileLines(source.files, current)) {
+            return 0;
+        }
+    }
+
+    const unlock = await acquireLock(archivePath);
+    try {
+        const index = loadIndex(archivePath);
+        const saved = JSON.stringify(index);
+        let archived = 0;
+
+        if (!index.since) {
+            index.since = new Date().toISOString();
+            if (source.type === 'files') {
+                index.cursor = Object.fromEntries(logStreams.LOG_STREAMS.map(stream =>
+                    [stream, fs.existsSync(source.files[stream]) ? fs.statSync(source.files[stream]).size : 0]));
+            }
+        } else if (source.type === 'files') {
+            for (let entries = readFileEntries(source.files, index); entries.length > 0; entries = readFileEntries(source.files, index)) {
+                appendEntries(archivePath, index, entries);
+                archived += entries.length;
+            }
+        } else {
+            const entries = await readJournalEntries(source.unit, index);
+            appendEntries(archivePath, index, entries);
+            archived = entries.length;
+        }
+
+        if (flushLogs) {
+            await flushLogs();
+            if (source.type === 'files') {
+                index.cursor = { stdout: 0, stderr: 0 };
+            }
+        }
+
+        applyRetention(archivePath, index, service.logRetention);
+        retentionDays.set(archivePath, today);
+        if (JSON.stringify(index) !== saved) {
+            saveIndex(archivePath, index);
+        }
+        return archived;
+    } finally {
+        unlock();
+    }
+}
+
+/**
+ * Arrête l'archivage d'un service (rétention désactivée) : les jours archivés restent consultables,
+ * un nouvel archivage repartira des lignes écrites après sa réactivation
+ * @param {string} projectName
+ * @param {string} serviceName
+ */
+export function detachArchive(projectName, serviceName) {
+    const archivePath = getArchivePath(projectName, serviceName);
+    if (!fs.existsSync(path.join(archivePath, INDEX_FILE))) {
+        return;
+    }
+    const index = loadIndex(archivePath);
+    index.since = null;
+    index.cursor = null;
+    saveIndex(archivePath, index);
+}
+
+/**
+ * Supprime l'archive des logs d'un service (suppression du service)
+ * @param {string} projectName
+ * @param {string} serviceName
+ */
+export function removeArchive(projectName, serviceName) {
+    const archivePath = getArchivePath(projectName, serviceName);
+    fs.rmSync(archivePath, { recursive: true, force: true });
+    retentionDays.delete(archivePath);
+}
+
+/**
+ * Valide les filtres d'une recherche
+ * @returns {object} - Filtres normalisés
+ */
+function normalizeFilters({ since, until, level, search, stream } = {}) {
+    const date = (field, value) => {
+        if (!value) {
+            return null;
+        }
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`Date invalide pour ${field}: ${value}`);
+        }
+        return parsed.toISOString();
+    };
+
+    if (level && !LOG_LEVELS.includes(level)) {
+        throw new Error(`Niveau invalide. Choisissez parmi: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (stream && !logStreams.LOG_STREAMS.includes(stream)) {
+        throw new Error(`Flux invalide. Choisissez parmi: ${logStreams.LOG_STREAMS.join(', ')}`);
+    }
+    return {
+        since: date('since', since),
+        until: date('until', until),
+        minLevel: level ? LOG_LEVELS.indexOf(level) : 0,
+        needle: search ? String(search).toLowerCase() : null,
+        stream: stream || null
+    };
+}
+
+/**
+ * Jours de l'archive qui peuvent contenir des lignes correspondant aux filtres (d'après l'index)
+ * @returns {string[]} - Du plus ancien au plus récent
+ */
+function selectPartitions(index, filters) {
+    const levels = LOG_LEVELS.slice(filters.minLevel);
+    return Object.entries(index.partitions)
+        .filter(([, partition]) => !filters.since || partition.last >= filters.since)
+        .filter(([, partition]) => !filters.until || partition.first <= filters.until)
+        .filter(([, partition]) => levels.some(level => partition.levels[level] > 0))
+        .map(([day]) => day)
+        .sort();
+}
+
+/**
+ * Lignes d'un jour de l'archive correspondant aux filtres, lues au fil du fichier
+ * @returns {AsyncGenerator<object>} - Dans l'ordre de l'archive
+ */
+async function* readPartition(archivePath, day, filters) {
+    const file = path.join(archivePath, `${day}.ndjson`);
+    if (!fs.existsSync(file)) {
+        return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue;
+        }
+
+        if (LOG_LEVELS.indexOf(entry.level) < filters.minLevel) continue;
+        if (filters.stream && entry.stream !== filters.stream) continue;
+        if (filters.since && entry.timestamp < filters.since) continue;
+        if (filters.until && entry.timestamp > filters.until) continue;
+        if (filters.needle && !entry.message.toLowerCase().includes(filters.needle)) continue;
+        yield entry;
+    }
+}
+
+/**
+ * Vérifie le service et renvoie son archive
+ */
+function openArchive(projectName, serviceName) {
+    if (!services.getService(projectName, serviceName)) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+    const archivePath = getArchivePath(projectName, serviceName);
+    return { archivePath, index: loadIndex(archivePath) };
+}
+
+/**
+ * Recherche dans l'archive des logs d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} filters
+ * @param {string} filters.since - Date ISO minimale
+ * @param {string} filters.until - Date ISO maximale
+ * @param {string} filters.level - Niveau minimal (debug, info, warn, error)
+ * @param {string} filters.search - Texte contenu dans la ligne
+ * @param {string} filters.stream - stdout ou stderr
+ * @param {number} filters.limit - Nombre maximal de lignes (200 par défaut)
+ * @returns {Promise<object>} - { entries (du plus récent au plus ancien), truncated }
+ */
+export async function searchArchive(projectName, serviceName, { limit = DEFAULT_LIMIT, ...options } = {}) {
+    const max = Math.min(parseInt(limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const filters = normalizeFilters(options);
+    const { archivePath, index } = openArchive(projectName, serviceName);
+
+    const entries = [];
+    for (const day of selectPartitions(index, filters).reverse()) {
+        // Seules les dernières lignes du jour qui tiennent dans la limite sont gardées en mémoire
+        const remaining = max - entries.length;
+        let matches = [];
+        for await (const entry of readPartition(archivePath, day, filters)) {
+            matches.push(entry);
+            if (matches.length >= remaining * 2) {
+                matches = matches.slice(-remaining);
+            }
+        }
+        entries.push(...matches.slice(-remaining).reverse());
+        if (entries.length >= max) {
+            return { entries, truncated: true };
+        }
+    }
+    return { entries, truncated: false };
+}
+
+/**
+ * Écrit les lignes de l'archive correspondant aux filtres, de la plus ancienne à la plus récente
+ * (téléchargement)
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @param {object} options - Filtres de searchArchive (sans limite)
+ * @param {Function} write - Reçoit le texte des lignes par lots ; peut renvoyer une promesse (attendue avant
+ *   la lecture du lot suivant)
+ * @returns {Promise<number>} - Lignes écrites
+ */
+export async function exportArchive(projectName, serviceName, options, write) {
+    const filters = normalizeFilters(options);
+    const { archivePath, index } = openArchive(projectName, serviceName);
+
+    let count = 0;
+    let batch = [];
+    for (const day of selectPartitions(index, filters)) {
+        for await (const entry of readPartition(archivePath, day, filters)) {
+            batch.push(formatEntry(entry));
+            if (batch.length >= EXPORT_BATCH) {
+                await write(batch.join('\n') + '\n');
+                count += batch.length;
+                batch = [];
+            }
+        }
+    }
+    if (batch.length > 0) {
+        await write(batch.join('\n') + '\n');
+        count += batch.length;
+    }
+    return count;
+}
+
+/**
+ * Ligne de texte d'une entrée de l'archive
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatEntry(entry) {
+    return `${entry.timestamp} ${entry.stream} ${entry.level.toUpperCase().padEnd(5)} ${entry.message}`;
+}
+
+/**
+ * État de l'archive d'un service : rétention, début de l'archivage, jours archivés
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {object}
+ */
+export function getArchiveInfo(projectName, serviceName) {
+    const { index } = openArchive(projectName, serviceName);
+    const partitions = Object.entries(index.partitions)
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([date, partition]) => ({ date, ...partition }));
+
+    return {
+        retention: services.getService(projectName, serviceName).logRetention || null,
+        since: index.since,
+        updatedAt: index.updatedAt,
+        lines: partitions.reduce((sum, partition) => sum + partition.lines, 0),
+        bytes: partitions.reduce((sum, partition) => sum + partition.bytes, 0),
+        partitions
+    };
+}
+
+/**
+ * Archive les nouvelles lignes de tous les services dont la rétention est activée
+ */
+async function tick() {
+    if (ingesting) {
+        return;
+    }
+    ingesting = true;
+    try {
+        for (const project of projects.loadProjects()) {
+            for (const service of services.listServices(project.name).filter(s => s.logRetention)) {
+                try {
+                    await archiveServiceLogs(project.name, service.name);
+                } catch (error) {
+                    logger.warn(`Archivage des logs de ${project.name}/${service.name}: ${error.message}`);
+                }
+            }
+        }
+    } finally {
+        ingesting = false;
+    }
+}
+
+/**
+ * Démarre l'archivage périodique des logs (serveur Web)
+ */
+export function startLogArchiver() {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => {
+        tick().catch(error => logger.warn(`Archivage des logs: ${error.message}`));
+    }, INGEST_INTERVAL);
+    timer.unref();
+    logger.info('Archivage des logs des services démarré');
+}
+
+/**
+ * Arrête l'archivage périodique
+ */
+export function stopLogArchiver() {
+    clearInterval(timer);
+    timer = null;
+}
+
+export default {
+    LOG_LEVELS,
+    getArchivePath,
+    normalizeLogRetention,
+    detectLevel,
+    parsePm2Line,
+    archiveServiceLogs,
+    detachArchive,
+    removeArchive,
+    searchArchive,
+    exportArchive,
+    formatEntry,
+    getArchiveInfo,
+    startLogArchiver,
+    stopLogArchiver
+};
@@ -0,0 +1,395 @@
+/**
+ * Module de suivi en direct des logs des services
+ *
+ * Un seul suivi par service, partagé par tous ceux qui le regardent (flux SSE du serveur Web, CLI) :
+ * - backend PM2 : fichiers de sortie et d'erreur du service (/var/log/pm2), relus dès qu'ils grandissent ;
+ *   le curseur est la position atteinte dans chacun des deux fichiers ("<sortie>.<erreur>")
+ * - backend systemd : journalctl -f, le curseur est celui du journal
+ * Chaque ligne porte son curseur : un client qui se reconnecte avec le dernier reçu reprend exactement
+ * où il s'était arrêté, sans perte ni doublon. Le filtre (flux, expression régulière) est propre à chaque client ;
+ * l'expression est évaluée avec un temps limité par ligne, un motif trop coûteux interrompt le suivi du client.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import vm from 'vm';
+import { spawn } from 'child_process';
+import services from './services.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('logs');
+
+export const LOG_STREAMS = ['stdout', 'stderr'];
+
+// Lignes d'historique envoyées au début d'un suivi sans curseur
+const DEFAULT_LINES = 100;
+const MAX_LINES = 1000;
+
+// Historique relu au plus par fichier (début d'un suivi, reprise après une longue coupure)
+const MAX_CATCH_UP_BYTES = 1024 * 1024;
+
+// Intervalle de vérification des fichiers de logs
+const POLL_INTERVAL = 500;
+
+// Lecture des fichiers par blocs ; une ligne plus longue est coupée
+const READ_CHUNK = 64 * 1024;
+const MAX_LINE_LENGTH = 16 * 1024;
+
+// Longueur maximale d'un filtre (expression régulière)
+const MAX_FILTER_LENGTH = 200;
+
+// Temps accordé au filtre pour une ligne (ms) : au-delà, le motif est jugé trop coûteux (retour arrière exponentiel)
+const FILTER_TIMEOUT = 50;
+const FILTER_SCRIPT = new vm.Script('pattern.test(line)');
+
+// Priorités du journal considérées comme sortie d'erreur (err et au-delà)
+const JOURNAL_ERROR_PRIORITY = 3;
+
+// Suivis en cours : "<projet>/<service>/<type>" → source
+const sources = new Map();
+
+/**
+ * Taille d'un fichier (0 s'il n'existe pas encore)
+ * @param {string} filePath
+ * @returns {number}
+ */
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Lit les lignes complètes d'un fichier entre deux positions
+ * @param {string} filePath
+ * @param {number} start - Position de départ (début d'une ligne)
+ * @param {number} end - Position de fin
+ * @returns {Array<{line: string, start: number, end: number}>} - Lignes et leurs positions (une ligne incomplète en fin est ignorée)
+ */
+export function readLines(filePath, start, end) {
+    const lines = [];
+    if (start >= end) {
+        return lines;
+    }
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        let position = start;
+        while (position < end) {
+            const buffer = Buffer.alloc(Math.min(end - position, READ_CHUNK));
+            const length = fs.readSync(fd, buffer, 0, buffer.length, position);
+            let lineStart = 0;
+            for (let index = buffer.indexOf(10); index !== -1 && index < length; index = buffer.indexOf(10, lineStart)) {
+                lines.push({ line: buffer.toString('utf8', lineStart, index), start: position + lineStart, end: position + index + 1 });
+                lineStart = index + 1;
+            }
+            if (lineStart === 0 && length >= MAX_LINE_LENGTH) {
+                lines.push({ line: buffer.toString('utf8', 0, MAX_LINE_LENGTH), start: position, end: position + MAX_LINE_LENGTH });
+                lineStart = MAX_LINE_LENGTH;
+            }
+            if (lineStart === 0) {
+                break;
+            }
+            position += lineStart;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return lines;
+}
+
+/**
+ * Historique d'un fichier jusqu'à une position : depuis le curseur, ou les dernières lignes
+ * @param {string} filePath
+ * @param {number|null} from - Position du curseur (null : dernières lignes)
+ * @param {number} end - Position atteinte par le suivi
+ * @param {number} lines - Nombre de lignes sans curseur
+ * @returns {Array<{line: string, start: number, end: number}>}
+ */
+function readHistory(filePath, from, end, lines) {
+    // Curseur au-delà de la fin : fichier vidé ou remplacé depuis, tout est nouveau
+    const start = from === null ? Math.max(0, end - MAX_CATCH_UP_BYTES) : (from > end ? 0 : from);
+    const bounded = Math.max(start, end - MAX_CATCH_UP_BYTES);
+    const history = readLines(filePath, bounded, end);
+    // Lecture commencée au milieu d'une ligne : la première est incomplète
+    if (bounded > 0 && (from === null || bounded > from)) {
+        history.shift();
+    }
+    return from === null ? history.slice(-lines) : history;
+}
+
+/**
+ * Suivi des fichiers de logs PM2 d'un service
+ * @param {object} files - { stdout, stderr }
+ * @returns {object} - Source { attach, detach, close, viewers }
+ */
+function createFileSource(files) {
+    const viewers = new Set();
+    const offsets = { stdout: fileSize(files.stdout), stderr: fileSize(files.stderr) };
+    const cursorOf = ({ stdout, stderr }) => `${stdout}.${stderr}`;
+
+    function broadcast(event) {
+        viewers.forEach(viewer => viewer(event));
+    }
+
+    function poll(stream) {
+        const size = fileSize(files[stream]);
+        if (size < offsets[stream]) {
+            // Logs vidés (reset) ou fichier remplacé (rotation)
+            offsets[stream] = 0;
+            broadcast({ type: 'reset', stream, cursor: cursorOf(offsets) });
+        }
+        for (const { line, end } of readLines(files[stream], offsets[stream], size)) {
+            offsets[stream] = end;
+            broadcast({ type: 'line', stream, line, cursor: cursorOf(offsets) });
+        }
+    }
+
+    const timer = setInterval(() => {
+        if (viewers.size === 0) {
+            return;
+        }
+        try {
+            LOG_STREAMS.forEach(poll);
+        } catch (error) {
+            logger.warn(`Lecture des logs impossible: ${error.message}`);
+        }
+    }, POLL_INTERVAL);
+
+    return {
+        viewers,
+
+        // L'historique est lu jusqu'à la position du suivi au moment de l'abonnement : aucune ligne perdue ni répétée
+        attach(viewer, { cursor, lines }) {
+            const from = cursor ? cursor.split('.').map(Number) : [null, null];
+            const histories = Object.fromEntries(LOG_STREAMS.map((stream, index) =>
+                [stream, readHistory(files[stream], from[index], offsets[stream], lines)]));
+
+            // Position de chaque flux avant son historique, avancée ligne par ligne
+            const position = Object.fromEntries(LOG_STREAMS.map(stream =>
+                [stream, histories[stream][0]?.start ?? offsets[stream]]));
+            const history = LOG_STREAMS.flatMap(stream => histories[stream].map(({ line, end }) => {
+                position[stream] = end;
+                return { type: 'line', stream, line, cursor: cursorOf(position) };
+            }));
+            viewers.add(viewer);
+            queueMicrotask(() => history.forEach(event => viewers.has(viewer) && viewer(event)));
+        },
+
+        detach: viewer => viewers.delete(viewer),
+
+        close: () => clearInterval(timer)
+    };
+}
+
+/**
+ * Ligne d'une entrée du journal (JSON de journalctl)
+ * @param {object} entry
+ * @returns {object} - { type: 'line', stream, line, cursor }
+ */
+function journalLine(entry) {
+    // MESSAGE est un tableau d'octets lorsqu'il n'est pas de l'UTF-8 valide
+    const message = Array.isArray(entry.MESSAGE) ? Buffer.from(entry.MESSAGE).toString('utf8') : String(entry.MESSAGE ?? '');
+    return {
+        type: 'line',
+        stream: Number(entry.PRIORITY) <= JOURNAL_ERROR_PRIORITY ? 'stderr' : 'stdout',
+        line: message.slice(0, MAX_LINE_LENGTH),
+        cursor: entry.__CURSOR
+    };
+}
+
+/**
+ * Lance journalctl et transmet chaque entrée
+ * @param {string[]} args - Arguments de journalctl
+ * @param {Function} onLine - Reçoit chaque ligne
+ * @param {Function} onClose - Appelé à la fin (code de sortie)
+ * @returns {ChildProcess}
+ */
+function runJournalctl(args, onLine, onClose) {
+    const child = spawn('journalctl', [...args, '-o', 'json', '--no-pager'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    readline.createInterface({ input: child.stdout }).on('line', text => {
+        try {
+            onLine(journalLine(JSON.parse(text)));
+        } catch {
+            // Ligne non JSON (avertissement de journalctl)
+        }
+    });
+    child.on('error', () => onClose(null));
+    child.on('close', code => onClose(code));
+    return child;
+}
+
+/**
+ * Suivi du journal systemd d'un service
+ * @param {object} options - { unit, since }
+ * @returns {object} - Source { attach, detach, close, viewers }
+ */
+function createJournalSource({ unit, since }) {
+    const viewers = new Set();
+    const sinceArgs = since ? [`--since=@${Math.floor(new Date(since).getTime() / 1000)}`] : [];
+    let closed = false;
+
+    const follower = runJournalctl(['-u', unit, '-f', '-n', '0'], event => viewers.forEach(viewer => viewer(event)), code => {
+        if (!closed) {
+            viewers.forEach(viewer => viewer({ type: 'error', message: `Suivi du journal interrompu (journalctl, code ${code ?? 'inconnu'})` }));
+        }
+    });
+
+    return {
+        viewers,
+
+        // L'historique est lu par un second journalctl : les lignes reçues entre-temps sont mises de côté,
+        // puis transmises sans celles déjà présentes dans l'historique
+        attach(viewer, { cursor, lines }) {
+            const pending = [];
+            const seen = new Set();
+            const buffering = event => pending.push(event);
+            viewers.add(buffering);
+
+            const args = cursor ? ['-u', unit, `--after-cursor=${cursor}`] : ['-u', unit, '-n', String(lines), ...sinceArgs];
+            runJournalctl(args, event => {
+                if (viewers.has(buffering)) {
+                    seen.add(event.cursor);
+                    viewer(event);
+                }
+            }, () => {
+                if (!viewers.delete(buffering)) {
+                    return;
+                }
+                pending.filter(event => !seen.has(event.cursor)).forEach(viewer);
+                viewers.add(viewer);
+            });
+            viewer.buffering = buffering;
+        },
+
+        detach(viewer) {
+            viewers.delete(viewer);
+            viewers.delete(viewer.buffering);
+        },
+
+        close() {
+            closed = true;
+            follower.kill();
+        }
+    };
+}
+
+/**
+ * Compile le filtre d'un suivi ; l'expression est évaluée dans un contexte vm dont l'exécution est
+ * interrompue après FILTER_TIMEOUT, une expression régulière ne pouvant pas l'être autrement
+ * @param {string|null} filter - Expression régulière
+ * @param {boolean} ignoreCase
+ * @returns {Function|null} - Reçoit une ligne, renvoie true si elle correspond ; lève une erreur si le temps est dépassé
+ */
+function compileFilter(filter, ignoreCase) {
+    if (!filter) {
+        return null;
+    }
+    if (filter.length > MAX_FILTER_LENGTH) {
+        throw new Error(`Filtre trop long (${MAX_FILTER_LENGTH} caractères maximum)`);
+    }
+    let pattern;
+    try {
+        pattern = new RegExp(filter, ignoreCase ? 'i' : '');
+    } catch (error) {
+        throw new Error(`Filtre invalide: ${error.message}`);
+    }
+    const context = vm.createContext({ pattern, line: '' });
+    return line => {
+        context.line = line;
+        try {
+            return FILTER_SCRIPT.runInContext(context, { timeout: FILTER_TIMEOUT });
+        } catch (error) {
+            if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                throw new Error(`Filtre trop coûteux (plus de ${FILTER_TIMEOUT} ms pour une ligne), suivi interrompu`);
+            }
+            throw error;
+        }
+    };
+}
+
+/**
+ * Suit les logs d'un service en direct
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options
+ * @param {string[]} options.streams - Flux suivis (stdout, stderr), les deux par défaut
+ * @param {string|null} options.filter - Expression régulière que les lignes doivent contenir (temps limité par ligne)
+ * @param {boolean} options.ignoreCase - Filtre insensible à la casse
+ * @param {string|null} options.cursor - Curseur de la dernière ligne reçue (reprise après reconnexion)
+ * @param {number} options.lines - Lignes d'historique sans curseur (défaut: 100)
+ * @param {Function} listener - Reçoit { type: 'line', stream, line, cursor }, { type: 'reset', stream, cursor }
+ *   (logs vidés) ou { type: 'error', message } ; l'historique est transmis après le retour de la fonction
+ * @returns {Function} - Arrêt du suivi
+ */
+export function followServiceLogs(projectName, serviceName, { streams = LOG_STREAMS, filter = null, ignoreCase = false, cursor = null, lines = DEFAULT_LINES } = {}, listener) {
+    const invalid = streams.filter(stream => !LOG_STREAMS.includes(stream));
+    if (invalid.length > 0 || streams.length === 0) {
+        throw new Error(`Flux invalide. Choisissez parmi: ${LOG_STREAMS.join(', ')}`);
+    }
+    const matches = compileFilter(filter, ignoreCase);
+    const logSource = services.getServiceLogSource(projectName, serviceName);
+    if (cursor && typeof cursor !== 'string') {
+        throw new Error('Curseur invalide');
+    }
+    if (cursor && logSource.type === 'files' && !/^\d+\.\d+$/.test(cursor)) {
+        throw new Error('Curseur invalide');
+    }
+
+    const key = `${projectName}/${serviceName}/${logSource.type}`;
+    let source = sources.get(key);
+    if (!source) {
+        source = logSource.type === 'files' ? createFileSource(logSource.files) : createJournalSource(logSource);
+        sources.set(key, source);
+    }
+
+    // Un filtre trop coûteux arrête l'envoi des lignes à ce client, qui est prévenu une seule fois
+    let filterError = null;
+    const viewer = event => {
+        if (filterError) {
+            return;
+        }
+        if (event.type === 'line' && !streams.includes(event.stream)) {
+            return;
+        }
+        if (event.type === 'line' && matches) {
+            try {
+                if (!matches(event.line)) {
+                    return;
+                }
+            } catch (error) {
+                filterError = error;
+                logger.warn(`Suivi des logs de ${projectName}/${serviceName}: ${error.message}`);
+                listener({ type: 'error', message: error.message });
+                return;
+            }
+        }
+        listener(event);
+    };
+    source.attach(viewer, { cursor, lines: Math.min(Math.max(parseInt(lines) || DEFAULT_LINES, 0), MAX_LINES) });
+
+    return () => {
+        source.detach(viewer);
+        if (source.viewers.size === 0 && sources.get(key) === source) {
+            source.close();
+            sources.delete(key);
+        }
+    };
+}
+
+/**
+ * Nombre de clients qui suivent les logs de chaque service
+ * @returns {object} - "<projet>/<service>" → nombre de clients
+ */
+export function getFollowers() {
+    return Object.fromEntries([...sources].map(([key, source]) => [key.split('/').slice(0, 2).join('/'), source.viewers.size]));
+}
+
+export default {
+    LOG_STREAMS,
+    readLines,
+    followServiceLogs,
+    getFollowers
+};
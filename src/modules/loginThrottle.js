@@ -0,0 +1,178 @@
+/**
+ * Module de limitation des tentatives de connexion (par IP et par compte)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const ATTEMPTS_FILE = path.join(DATA_DIR, 'login-attempts.json');
+
+// Nombre d'échecs avant verrouillage temporaire
+const MAX_FAILURES = parseInt(process.env.TWOINE_LOGIN_MAX_FAILURES) || 5;
+
+// Durée du premier verrouillage (secondes), doublée à chaque échec supplémentaire
+const BASE_LOCKOUT = parseInt(process.env.TWOINE_LOGIN_LOCKOUT) || 60;
+
+// Durée maximale d'un verrouillage (secondes)
+const MAX_LOCKOUT = 3600;
+
+// Délai sans échec au bout duquel le compteur est remis à zéro (secondes)
+const FAILURE_WINDOW = 15 * 60;
+
+/**
+ * Lit les compteurs d'échecs
+ */
+function readAttempts() {
+    if (!fs.existsSync(ATTEMPTS_FILE)) {
+        return { entries: {} };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(ATTEMPTS_FILE, 'utf8'));
+    } catch {
+        return { entries: {} };
+    }
+}
+
+/**
+ * Écrit les compteurs d'échecs
+ */
+function writeAttempts(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(ATTEMPTS_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Retire les compteurs périmés (ni verrouillés, ni récents)
+ */
+function purge(data, now = Date.now()) {
+    for (const [key, entry] of Object.entries(data.entries)) {
+        const lockedUntil = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+        const lastFailure = new Date(entry.lastFailure).getTime();
+        if (lockedUntil <= now && now - lastFailure > FAILURE_WINDOW * 1000) {
+            delete data.entries[key];
+        }
+    }
+    return data;
+}
+
+/**
+ * Clés de suivi d'une tentative
+ */
+function keysFor(ip, username) {
+    const keys = [];
+    if (ip) keys.push(`ip:${ip}`);
+    if (username) keys.push(`user:${username}`);
+    return keys;
+}
+
+/**
+ * Vérifie si une tentative de connexion est autorisée
+ * @param {string} ip - Adresse du client
+ * @param {string} username - Compte visé
+ * @returns {{allowed: boolean, retryAfter: number}} - retryAfter en secondes
+ */
+export function checkAttempt(ip, username) {
+    const data = readAttempts();
+    const now = Date.now();
+    let retryAfter = 0;
+
+    for (const key of keysFor(ip, username)) {
+        const entry = data.entries[key];
+        if (entry?.lockedUntil) {
+            const remaining = Math.ceil((new Date(entry.lockedUntil).getTime() - now) / 1000);
+            retryAfter = Math.max(retryAfter, remaining);
+        }
+    }
+
+    return { allowed: retryAfter <= 0, retryAfter: Math.max(retryAfter, 0) };
+}
+
+/**
+ * Enregistre un échec de connexion
+ * @param {string} ip
+ * @param {string} username
+ */
+export function recordFailure(ip, username) {
+    const data = purge(readAttempts());
+    const now = Date.now();
+
+    for (const key of keysFor(ip, username)) {
+        const entry = data.entries[key] || { failures: 0 };
+        entry.failures++;
+        entry.lastFailure = new Date(now).toISOString();
+
+        if (entry.failures >= MAX_FAILURES) {
+            const duration = Math.min(BASE_LOCKOUT * 2 ** (entry.failures - MAX_FAILURES), MAX_LOCKOUT);
+            entry.lockedUntil = new Date(now + duration * 1000).toISOString();
+        }
+        data.entries[key] = entry;
+    }
+
+    writeAttempts(data);
+}
+
+/**
+ * Remet à zéro le compteur du compte après une connexion réussie.
+ * Le compteur de l'IP est conservé et expire seul (FAILURE_WINDOW) : un compte
+ * valide ne doit pas permettre de relancer des essais sur d'autres comptes.
+ * @param {string} username
+ */
+export function recordSuccess(username) {
+    if (!username) return;
+
+    const data = readAttempts();
+    const key = `user:${username}`;
+
+    if (data.entries[key]) {
+        delete data.entries[key];
+        writeAttempts(purge(data));
+    }
+}
+
+/**
+ * Liste les compteurs actifs (verrouillages en cours et échecs récents)
+ * @returns {Array}
+ */
+export function listLockouts() {
+    const data = purge(readAttempts());
+    const now = Date.now();
+
+    return Object.entries(data.entries).map(([key, entry]) => {
+        const [type, ...value] = key.split(':');
+        const lockedUntil = entry.lockedUntil && new Date(entry.lockedUntil).getTime() > now ? entry.lockedUntil : null;
+        return { key, type, value: value.join(':'), failures: entry.failures, lastFailure: entry.lastFailure, lockedUntil };
+    });
+}
+
+/**
+ * Supprime un compteur (ou tous si aucune clé n'est fournie)
+ * @param {string|null} key - Clé "ip:<adresse>" ou "user:<nom>"
+ */
+export function clearLockout(key = null) {
+    const data = readAttempts();
+
+    if (key === null) {
+        data.entries = {};
+    } else if (!data.entries[key]) {
+        throw new Error('Verrouillage non trouvé');
+    } else {
+        delete data.entries[key];
+    }
+
+    writeAttempts(data);
+}
+
+export default {
+    checkAttempt,
+    recordFailure,
+    recordSuccess,
+    listLockouts,
+    clearLockout
+};
@@ -0,0 +1,788 @@
+/**
+ * Module des manifestes de projet (twoine.yaml)
+ *
+ * Un manifeste décrit l'état souhaité d'un projet : backend des services (PM2 ou systemd), limites de ressources, services, vhosts Nginx,
+ * certificats SSL, bases de données et utilisateurs assignés. Le plan compare
+ * le manifeste à l'état courant ; l'application exécute les changements du plan.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import scripts from './scripts.js';
+import nginx from './nginx.js';
+import ssl from './ssl.js';
+import databases from './databases.js';
+import users from './users.js';
+import permissions from './permissions.js';
+import quotas from './quotas.js';
+import healthChecks from './healthChecks.js';
+import logArchive from './logArchive.js';
+import serviceGraph from './serviceGraph.js';
+import releases from './releases.js';
+import deployments from './deployments.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('manifest');
+
+const RUNTIMES = ['nodejs', 'python', 'php', 'html'];
+const DATABASE_TYPES = ['mysql', 'postgresql', 'mongodb'];
+const BACKENDS = ['pm2', 'systemd'];
+const DEFAULT_DATABASE_PORTS = { mysql: 3306, postgresql: 5432, mongodb: 27017 };
+
+// Champs comparés pour chaque ressource (les champs absents du manifeste ne sont pas gérés)
+const SERVICE_FIELDS = ['runtime', 'directory', 'command', 'setupCommands', 'description', 'envFile', 'execMode', 'instances', 'maxMemoryRestart', 'watch', 'healthCheck', 'dependsOn', 'keepReleases', 'logRetention', 'git'];
+const NGINX_FIELDS = ['port', 'description', 'targetHost', 'targetProtocol', 'useSSL', 'sslCertPath', 'sslKeyPath', 'redirectHTTP', 'linkedProject', 'linkedService'];
+const DATABASE_FIELDS = ['host', 'port', 'username', 'authDatabase', 'projectName'];
+
+// Ordre d'application des créations et mises à jour (les suppressions suivent l'ordre inverse)
+const RESOURCE_ORDER = ['project', 'service', 'database', 'certificate', 'nginx', 'user'];
+
+// Opération de l'API équivalente à chaque changement (journal d'audit)
+const AUDIT_ACTIONS = {
+    'project create': 'POST /projects',
+    'project update': 'PUT /projects/:name/{field}',
+    'service create': 'POST /projects/:name/services',
+    'service update': 'PUT /projects/:name/services/:serviceName',
+    'service delete': 'DELETE /projects/:name/services/:serviceName',
+    'database create': 'POST /databases/{type}',
+    'database update': 'PUT /databases/:id',
+    'database delete': 'POST /databases/:id/unassign',
+    'certificate create': 'POST /ssl/certificates',
+    'certificate delete': 'DELETE /ssl/certificates/:id',
+    'nginx create': 'POST /nginx/configs',
+    'nginx update': 'PUT /nginx/configs/:id',
+    'nginx delete': 'DELETE /nginx/configs/:id',
+    'user create': 'POST /users/:userId/projects/:projectName',
+    'user update': 'POST /users/:userId/projects/:projectName',
+    'user delete': 'DELETE /users/:userId/projects/:projectName'
+};
+
+/**
+ * Compare deux valeurs (types simples ou listes)
+ */
+function isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Liste les champs déclarés qui diffèrent de l'état courant
+ * @param {object} current
+ * @param {object} desired
+ * @param {string[]} fields
+ * @returns {Array<{field, from, to}>}
+ */
+function diffFields(current, desired, fields) {
+    return fields
+        .filter(field => desired[field] !== undefined && !isEqual(current[field], desired[field]))
+        .map(field => ({ field, from: current[field] ?? null, to: desired[field] }));
+}
+
+/**
+ * Chemin absolu du dossier d'un service (même règle que addService)
+ */
+function resolveServiceDirectory(projectName, directory) {
+    return directory.startsWith('/')
+        ? directory
+        : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, directory);
+}
+
+/**
+ * Chemins du certificat Let's Encrypt d'un domaine (mêmes chemins que ssl.createCertificate)
+ */
+function letsEncryptPaths(domain) {
+    return {
+        certPath: `/etc/letsencrypt/live/${domain}/fullchain.pem`,
+        keyPath: `/etc/letsencrypt/live/${domain}/privkey.pem`
+    };
+}
+
+/**
+ * Lit un secret depuis une variable d'environnement
+ * @param {string} envName
+ * @returns {string|undefined}
+ */
+function readSecret(envName) {
+    return envName ? process.env[envName] : undefined;
+}
+
+/**
+ * Valide et normalise un manifeste
+ * @param {object} doc - Document YAML analysé
+ * @returns {object}
+ */
+export function validateManifest(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('Manifeste invalide: un objet YAML est attendu');
+    }
+
+    const problems = [];
+
+    const list = key => {
+        const value = doc[key] ?? [];
+        if (!Array.isArray(value)) {
+            problems.push(`${key} doit être une liste`);
+            return [];
+        }
+        return value.map(item => item && typeof item === 'object' ? item : {});
+    };
+
+    const checkUnique = (items, key, label) => {
+        const seen = new Set();
+        items.forEach(item => {
+            const value = typeof key === 'function' ? key(item) : item[key];
+            if (seen.has(value)) problems.push(`${label} en double: ${value}`);
+            seen.add(value);
+        });
+    };
+
+    if (typeof doc.project !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(doc.project)) {
+        problems.push('project: nom de projet requis (lettres, chiffres, tirets et underscores)');
+    }
+
+    if (doc.backend !== undefined && !BACKENDS.includes(doc.backend)) {
+        problems.push(`backend invalide (${BACKENDS.join(', ')})`);
+    }
+
+    // Seules les limites présentes dans le manifeste sont gérées
+    let limits;
+    if (doc.limits !== undefined) {
+        try {
+            if (!doc.limits || typeof doc.limits !== 'object') {
+                throw new Error('objet attendu');
+            }
+            const normalized = quotas.normalizeLimits(doc.limits);
+            limits = Object.fromEntries(quotas.LIMIT_FIELDS.filter(field => field in doc.limits).map(field => [field, normalized[field] ?? null]));
+        } catch (error) {
+            problems.push(`limits: ${error.message}`);
+        }
+    }
+
+    const manifest = {
+        project: doc.project,
+        sftpPasswordEnv: doc.sftpPasswordEnv || null,
+        backend: doc.backend,
+        limits,
+
+        services: list('services').map((service, i) => {
+            if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(service.name || '')) problems.push(`services[${i}].name invalide`);
+            if (!service.directory) problems.push(`services[${i}].directory requis`);
+            if (service.runtime !== undefined && !RUNTIMES.includes(service.runtime)) {
+                problems.push(`services[${i}].runtime invalide (${RUNTIMES.join(', ')})`);
+            }
+            if (service.setupCommands !== undefined && !Array.isArray(service.setupCommands)) {
+                problems.push(`services[${i}].setupCommands doit être une liste`);
+            }
+            if (service.execMode !== undefined && !['fork', 'cluster'].includes(service.execMode)) {
+                problems.push(`services[${i}].execMode invalide (fork, cluster)`);
+            }
+            if (service.instances !== undefined && service.instances !== 'max' && !(Number.isInteger(service.instances) && service.instances >= 1)) {
+                problems.push(`services[${i}].instances doit être un entier positif ou "max"`);
+            }
+            let healthCheck;
+            if (service.healthCheck !== undefined) {
+                try {
+                    healthCheck = healthChecks.normalizeHealthCheck(service.healthCheck);
+                } catch (error) {
+                    problems.push(`services[${i}].healthCheck: ${error.message}`);
+                }
+            }
+            let dependsOn;
+            if (service.dependsOn !== undefined) {
+                try {
+                    dependsOn = serviceGraph.normalizeDependsOn(service.dependsOn, service.name);
+                } catch (error) {
+                    problems.push(`services[${i}].dependsOn: ${error.message}`);
+                }
+            }
+            let keepReleases;
+            if (service.keepReleases !== undefined) {
+                try {
+                    keepReleases = releases.normalizeKeepReleases(service.keepReleases);
+                } catch (error) {
+                    problems.push(`services[${i}].keepReleases: ${error.message}`);
+                }
+            }
+            let logRetention;
+            if (service.logRetention !== undefined) {
+                try {
+                    logRetention = logArchive.normalizeLogRetention(service.logRetention);
+                } catch (error) {
+                    problems.push(`services[${i}].logRetention: ${error.message}`);
+                }
+            }
+            let git;
+            if (service.git !== undefined) {
+                try {
+                    git = deployments.parseGit(service.git);
+                } catch (error) {
+                    problems.push(`services[${i}].git: ${error.message}`);
+                }
+            }
+            return {
+                name: service.name,
+                runtime: service.runtime,
+                directory: service.directory,
+                command: service.command,
+                setupCommands: service.setupCommands,
+                description: service.description,
+                envFile: service.envFile === undefined ? undefined : !!service.envFile,
+                execMode: service.execMode,
+                instances: service.instances,
+                maxMemoryRestart: service.maxMemoryRestart,
+                watch: service.watch === undefined ? undefined : !!service.watch,
+                healthCheck,
+                dependsOn,
+                keepReleases,
+                logRetention,
+                git
+            };
+        }),
+
+        nginx: list('nginx').map((vhost, i) => {
+            if (!vhost.domain) problems.push(`nginx[${i}].domain requis`);
+            if (!Number.isInteger(vhost.port)) problems.push(`nginx[${i}].port doit être un entier`);
+            const sslPaths = vhost.ssl && typeof vhost.ssl === 'object' ? vhost.ssl : null;
+            if (sslPaths && (!sslPaths.cert || !sslPaths.key)) problems.push(`nginx[${i}].ssl: cert et key requis`);
+            return {
+                domain: vhost.domain,
+                port: vhost.port,
+                service: vhost.service || '',
+                description: vhost.description,
+                targetHost: vhost.targetHost || 'localhost',
+                targetProtocol: vhost.targetProtocol || 'http',
+                ssl: sslPaths ? { cert: sslPaths.cert, key: sslPaths.key } : !!vhost.ssl,
+                redirectHTTP: !!vhost.redirectHTTP
+            };
+        }),
+
+        certificates: list('certificates').map((certificate, i) => {
+            if (!certificate.domain) problems.push(`certificates[${i}].domain requis`);
+            return { domain: certificate.domain, email: certificate.email };
+        }),
+
+        databases: list('databases').map((database, i) => {
+            if (!DATABASE_TYPES.includes(database.type)) problems.push(`databases[${i}].type invalide (${DATABASE_TYPES.join(', ')})`);
+            if (!database.name) problems.push(`databases[${i}].name requis`);
+            if (database.password !== undefined) {
+                problems.push(`databases[${i}].password interdit: utilisez passwordEnv (nom d'une variable d'environnement)`);
+            }
+            return {
+                type: database.type,
+                name: database.name,
+                host: database.host || 'localhost',
+                port: database.port ?? DEFAULT_DATABASE_PORTS[database.type],
+                username: database.username,
+                passwordEnv: database.passwordEnv || null,
+                authDatabase: database.type === 'mongodb' ? database.authDatabase : undefined,
+                autoCreate: !!database.autoCreate
+            };
+        }),
+
+        users: list('users').map((user, i) => {
+            if (!user.username) problems.push(`users[${i}].username requis`);
+            return { username: user.username, role: user.role || permissions.DEFAULT_PROJECT_ROLE };
+        })
+    };
+
+    checkUnique(manifest.services, 'name', 'Service');
+    checkUnique(manifest.nginx, 'domain', 'Domaine Nginx');
+    checkUnique(manifest.certificates, 'domain', 'Certificat');
+    checkUnique(manifest.databases, db => `${db.type}/${db.name}`, 'Base de données');
+    checkUnique(manifest.users, 'username', 'Utilisateur');
+
+    try {
+        serviceGraph.sortServices(manifest.services);
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    const serviceNames = manifest.services.map(s => s.name);
+    manifest.nginx
+        .filter(vhost => vhost.service && !serviceNames.includes(vhost.service))
+        .forEach(vhost => problems.push(`nginx ${vhost.domain}: service ${vhost.service} absent du manifeste`));
+
+    if (problems.length > 0) {
+        throw new Error(`Manifeste invalide:\n  - ${problems.join('\n  - ')}`);
+    }
+    return manifest;
+}
+
+/**
+ * Analyse le contenu YAML d'un manifeste
+ * @param {string} content
+ * @returns {object}
+ */
+export function parseManifest(content) {
+    let doc;
+    try {
+        doc = YAML.parse(content);
+    } catch (error) {
+        throw new Error(`Manifeste invalide: ${error.message}`);
+    }
+    return validateManifest(doc);
+}
+
+/**
+ * Charge un manifeste depuis un fichier
+ * @param {string} file
+ * @returns {object}
+ */
+export function loadManifest(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Manifeste introuvable: ${file}`);
+    }
+    return parseManifest(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Calcule les changements nécessaires pour atteindre l'état décrit par le manifeste
+ * @param {object} manifest - Manifeste validé
+ * @param {object} options
+ * @param {boolean} options.prune - Supprimer les ressources du projet absentes du manifeste
+ * @returns {object} - { project, changes, unmanaged, errors, warnings }
+ */
+export function plan(manifest, { prune = false } = {}) {
+    const project = manifest.project;
+    const changes = [];
+    const deletions = [];
+    const unmanaged = [];
+    const errors = [];
+    const warnings = [];
+
+    const change = (resource, operation, name, extra = {}) => ({ resource, operation, name, fields: [], ...extra });
+    const extra = (resource, name, id = null) => {
+        if (prune) {
+            deletions.push(change(resource, 'delete', name, { id }));
+        } else {
+            unmanaged.push({ resource, name });
+        }
+    };
+
+    // Projet
+    const exists = !!projects.getProject(project);
+    if (!exists) {
+        changes.push(change('project', 'create', project));
+        if (!manifest.sftpPasswordEnv) {
+            warnings.push('Projet à créer : mot de passe SFTP requis (sftpPasswordEnv ou --password-file)');
+        } else if (readSecret(manifest.sftpPasswordEnv) === undefined) {
+            warnings.push(`Projet à créer : variable d'environnement ${manifest.sftpPasswordEnv} non définie`);
+        }
+    }
+    const currentBackend = exists ? services.getProjectBackend(project) : 'pm2';
+    if (manifest.backend !== undefined && manifest.backend !== currentBackend) {
+        changes.push(change('project', 'update', project, {
+            fields: [{ field: 'backend', from: currentBackend, to: manifest.backend }],
+            desired: { backend: manifest.backend }
+        }));
+    }
+    if (manifest.limits !== undefined) {
+        const currentLimits = exists ? projects.loadProjectConfig(project).limits || {} : {};
+        const changed = Object.keys(manifest.limits).filter(field => (currentLimits[field] ?? null) !== manifest.limits[field]);
+        if (changed.length > 0) {
+            const pick = source => Object.fromEntries(changed.map(field => [field, source[field] ?? null]));
+            changes.push(change('project', 'update', project, {
+                fields: [{ field: 'limits', from: pick(currentLimits), to: pick(manifest.limits) }],
+                desired: { limits: pick(manifest.limits) }
+            }));
+        }
+    }
+
+    // Services (créés et modifiés après leurs dépendances)
+    const currentServices = exists ? services.listServices(project) : [];
+    for (const service of serviceGraph.sortServices(manifest.services)) {
+        const desired = { ...service, directory: resolveServiceDirectory(project, service.directory) };
+        const existing = currentServices.find(s => s.name === service.name);
+        if (!existing) {
+            changes.push(change('service', 'create', service.name, { desired }));
+            continue;
+        }
+        // Le secret du webhook n'est pas décrit par le manifeste
+        const current = { ...existing, git: existing.git && deployments.parseGit(existing.git) };
+        const fields = diffFields(current, desired, SERVICE_FIELDS);
+        if (fields.length > 0) {
+            changes.push(change('service', 'update', service.name, { fields, desired }));
+        }
+    }
+    currentServices
+        .filter(s => !manifest.services.some(service => service.name === s.name))
+        .forEach(s => extra('service', s.name));
+
+    // Bases de données
+    const allDatabases = databases.getAllDatabases();
+    for (const database of manifest.databases) {
+        const name = `${database.type}/${database.name}`;
+        const current = allDatabases.find(db => db.type === database.type && db.name === database.name);
+        const password = readSecret(database.passwordEnv);
+        const { passwordEnv: _env, autoCreate: _auto, ...fieldsOnly } = database;
+        const desired = { ...fieldsOnly, projectName: project, passwordEnv: database.passwordEnv, autoCreate: database.autoCreate };
+
+        if (database.passwordEnv && password === undefined) {
+            const message = `Base ${name} : variable d'environnement ${database.passwordEnv} non définie`;
+            if (!current && database.type !== 'mongodb') {
+                errors.push(message);
+            } else {
+                warnings.push(`${message}, mot de passe non géré`);
+            }
+        } else if (!current && !database.passwordEnv && database.type !== 'mongodb') {
+            errors.push(`Base ${name} : passwordEnv requis pour la créer`);
+        }
+
+        if (!current) {
+            if (!database.username && database.type !== 'mongodb') {
+                errors.push(`Base ${name} : username requis pour la créer`);
+            }
+            changes.push(change('database', 'create', name, { desired }));
+            continue;
+        }
+        if (current.projectName && current.projectName !== project) {
+            errors.push(`Base ${name} déjà assignée au projet ${current.projectName}`);
+            continue;
+        }
+
+        const fields = diffFields(current, desired, DATABASE_FIELDS);
+        if (password !== undefined && password !== current.password) {
+            fields.push({ field: 'password', from: '[masqué]', to: '[masqué]' });
+        }
+        if (fields.length > 0) {
+            changes.push(change('database', 'update', name, { id: current.id, fields, desired }));
+        }
+    }
+    allDatabases
+        .filter(db => db.projectName === project && !manifest.databases.some(d => d.type === db.type && d.name === db.name))
+        .forEach(db => extra('database', `${db.type}/${db.name}`, db.id));
+
+    // Certificats
+    const allCertificates = ssl.getAllCertificates();
+    for (const certificate of manifest.certificates) {
+        const current = allCertificates.find(c => c.domain === certificate.domain);
+        if (!current) {
+            if (!certificate.email) {
+                errors.push(`Certificat ${certificate.domain} : email requis pour Let's Encrypt`);
+            }
+            changes.push(change('certificate', 'create', certificate.domain, { desired: certificate }));
+        } else if (current.linkedProject && current.linkedProject !== project) {
+            errors.push(`Certificat ${certificate.domain} déjà lié au projet ${current.linkedProject}`);
+        } else if (!current.linkedProject) {
+            warnings.push(`Certificat ${certificate.domain} existant sans projet lié`);
+        }
+    }
+    allCertificates
+        .filter(c => c.linkedProject === project && !manifest.certificates.some(cert => cert.domain === c.domain))
+        .forEach(c => extra('certificate', c.domain, c.id));
+
+    // Vhosts Nginx
+    const allConfigs = nginx.listNginxConfigs();
+    for (const vhost of manifest.nginx) {
+        const current = allConfigs.find(c => c.domain === vhost.domain);
+        let sslPaths = { certPath: '', keyPath: '' };
+
+        if (vhost.ssl && typeof vhost.ssl === 'object') {
+            sslPaths = { certPath: vhost.ssl.cert, keyPath: vhost.ssl.key };
+        } else if (vhost.ssl) {
+            const certificate = allCertificates.find(c => c.domain === vhost.domain);
+            if (certificate) {
+                sslPaths = { certPath: certificate.certPath, keyPath: certificate.keyPath };
+            } else if (manifest.certificates.some(c => c.domain === vhost.domain)) {
+                sslPaths = letsEncryptPaths(vhost.domain);
+            } else {
+                errors.push(`Nginx ${vhost.domain} : ssl activé sans certificat pour ce domaine`);
+            }
+        }
+
+        const desired = {
+            domain: vhost.domain,
+            port: vhost.port,
+            description: vhost.description,
+            targetHost: vhost.targetHost,
+            targetProtocol: vhost.targetProtocol,
+            useSSL: !!vhost.ssl,
+            sslCertPath: sslPaths.certPath,
+            sslKeyPath: sslPaths.keyPath,
+            redirectHTTP: vhost.redirectHTTP,
+            linkedProject: project,
+            linkedService: vhost.service
+        };
+
+        if (!current) {
+            changes.push(change('nginx', 'create', vhost.domain, { desired }));
+            continue;
+        }
+        if (current.linkedProject && current.linkedProject !== project) {
+            errors.push(`Nginx ${vhost.domain} déjà lié au projet ${current.linkedProject}`);
+            continue;
+        }
+        const fields = diffFields(current, desired, NGINX_FIELDS);
+        if (fields.length > 0) {
+            changes.push(change('nginx', 'update', vhost.domain, { id: current.id, fields, desired }));
+        }
+    }
+    allConfigs
+        .filter(c => c.linkedProject === project && !manifest.nginx.some(vhost => vhost.domain === c.domain))
+        .forEach(c => extra('nginx', c.domain, c.id));
+
+    // Utilisateurs
+    const allUsers = users.listUsers();
+    for (const assignment of manifest.users) {
+        const user = allUsers.find(u => u.username === assignment.username);
+        if (!user) {
+            errors.push(`Utilisateur ${assignment.username} introuvable`);
+            continue;
+        }
+        if (user.role === 'admin') {
+            warnings.push(`Utilisateur ${assignment.username} : administrateur, accès déjà complet`);
+            continue;
+        }
+        if (!permissions.getRole(assignment.role)) {
+            errors.push(`Utilisateur ${assignment.username} : rôle de projet inconnu ${assignment.role}`);
+            continue;
+        }
+
+        const currentRole = (user.projects || []).includes(project)
+            ? user.projectRoles?.[project] || permissions.DEFAULT_PROJECT_ROLE
+            : null;
+        const desired = { userId: user.id, role: assignment.role };
+        if (!currentRole) {
+            changes.push(change('user', 'create', assignment.username, { desired }));
+        } else if (currentRole !== assignment.role) {
+            changes.push(change('user', 'update', assignment.username, {
+                fields: [{ field: 'role', from: currentRole, to: assignment.role }],
+                desired
+            }));
+        }
+    }
+    allUsers
+        .filter(u => u.role !== 'admin' && (u.projects || []).includes(project) && !manifest.users.some(a => a.username === u.username))
+        .forEach(u => extra('user', u.username, u.id));
+
+    const byOrder = (a, b) => RESOURCE_ORDER.indexOf(a.resource) - RESOURCE_ORDER.indexOf(b.resource);
+    return {
+        project,
+        sftpPasswordEnv: manifest.sftpPasswordEnv,
+        changes: [...changes.sort(byOrder), ...deletions.sort(byOrder).reverse()],
+        unmanaged,
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Résumé lisible d'un changement du plan
+ * @param {object} change
+ * @returns {string}
+ */
+export function describeChange(change) {
+    const symbol = { create: '+', update: '~', delete: '-' }[change.operation];
+    const fields = change.fields
+        .map(({ field, from, to }) => `${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`)
+        .join(', ');
+    return `${symbol} ${change.resource} ${change.name}${fields ? ` (${fields})` : ''}`;
+}
+
+/**
+ * Exécute un changement du plan
+ * @param {string} project
+ * @param {object} change
+ * @param {object} context - { sftpPassword }
+ */
+async function executeChange(project, change, { sftpPassword }) {
+    const { desired } = change;
+
+    switch (`${change.resource} ${change.operation}`) {
+        case 'project create':
+            if (!sftpPassword) {
+                throw new Error('Mot de passe SFTP requis pour créer le projet');
+            }
+            return projects.createProject(project, sftpPassword);
+        case 'project update':
+            return desired.limits
+                ? projects.setProjectLimits(project, desired.limits)
+                : services.setProjectBackend(project, desired.backend);
+
+        case 'service create':
+            return services.addService(project, desired);
+        case 'service update':
+            return services.updateService(project, change.name, Object.fromEntries(change.fields.map(f => [f.field, f.to])));
+        case 'service delete':
+            return services.removeService(project, change.name);
+
+        case 'database create': {
+            const password = readSecret(desired.passwordEnv);
+            const config = { ...desired, password, projectName: project };
+            if (desired.type === 'mysql') {
+                return databases.createMySQLDatabase(config);
+            }
+            if (desired.type === 'mongodb') {
+                return databases.createMongoDatabase(config);
+            }
+            if (desired.autoCreate && (desired.host === 'localhost' || desired.host === '127.0.0.1')) {
+                await databases.autoCreatePostgreSQLDatabase(desired.name, desired.username, password);
+            }
+            return databases.createPostgreSQLDatabase(config);
+        }
+        case 'database update': {
+            const updates = Object.fromEntries(change.fields.filter(f => f.field !== 'password').map(f => [f.field, f.to]));
+            if (change.fields.some(f => f.field === 'password')) {
+                updates.password = readSecret(desired.passwordEnv);
+            }
+            return databases.updateDatabase(change.id, updates);
+        }
+        case 'database delete':
+            return databases.unassignDatabaseFromProject(change.id);
+
+        case 'certificate create':
+            return ssl.createCertificate({ domain: desired.domain, email: desired.email, linkedProject: project });
+        case 'certificate delete':
+            return ssl.deleteCertificate(change.id);
+
+        case 'nginx create': {
+            const { domain, port, description, ...options } = desired;
+            return nginx.createNginxConfig(domain, port, description || '', options);
+        }
+        case 'nginx update': {
+            const { domain, port, description, ...options } = desired;
+            return nginx.updateNginxConfig(change.id, domain, port, description, options);
+        }
+        case 'nginx delete':
+            return nginx.deleteNginxConfig(change.id);
+
+        case 'user create':
+        case 'user update':
+            return users.assignProjectToUser(desired.userId, project, desired.role);
+        case 'user delete':
+            return users.removeProjectFromUser(change.id, project);
+
+        default:
+            throw new Error(`Changement non supporté: ${change.resource} ${change.operation}`);
+    }
+}
+
+/**
+ * Applique un plan, changement par changement (arrêt au premier échec)
+ * @param {object} computedPlan - Résultat de plan()
+ * @param {object} options
+ * @param {string} options.sftpPassword - Mot de passe SFTP si le projet doit être créé
+ * @param {Function} options.track - Enveloppe d'audit (entry, fn) => Promise, ex: audit.trackCli
+ * @returns {Promise<object>} - { project, applied }
+ */
+export async function apply(computedPlan, { sftpPassword = null, track = (entry, fn) => fn() } = {}) {
+    const { project, changes, errors } = computedPlan;
+
+    if (errors.length > 0) {
+        throw new Error(`Plan invalide:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const context = { sftpPassword: sftpPassword || readSecret(computedPlan.sftpPasswordEnv) };
+    const applied = [];
+
+    for (const change of changes) {
+        const description = describeChange(change);
+        const { passwordEnv: _env, userId: _id, ...params } = change.desired || {};
+        try {
+            await track(
+                {
+                    action: AUDIT_ACTIONS[`${change.resource} ${change.operation}`]
+                        .replace('{type}', change.desired?.type)
+                        .replace('{field}', change.fields[0]?.field),
+                    target: change.resource === 'service' ? `${project}/${change.name}` : change.name,
+                    projects: [project],
+                    params: { manifest: true, ...params, fields: change.fields.map(f => f.field) }
+                },
+                () => executeChange(project, change, context)
+            );
+        } catch (error) {
+            throw new Error(`Échec de "${description}": ${error.message} (${applied.length}/${changes.length} changement(s) appliqué(s))`);
+        }
+        logger.info(`Manifeste ${project}: ${description}`, { project });
+        applied.push(change);
+    }
+
+    if (changes.some(c => c.resource === 'service' || c.resource === 'project')) {
+        scripts.generateScripts(project);
+    }
+
+    logger.success(`Manifeste ${project} appliqué (${applied.length} changement(s))`, { project });
+    return { project, applied };
+}
+
+/**
+ * Construit le manifeste correspondant à l'état courant d'un projet
+ * @param {string} projectName
+ * @returns {string} - Contenu YAML
+ */
+export function exportManifest(projectName) {
+    if (!projects.getProject(projectName)) {
+        throw new Error(`Le projet ${projectName} n'existe pas`);
+    }
+
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+    const certificates = ssl.getAllCertificates().filter(c => c.linkedProject === projectName);
+    const envName = value => value.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const limits = projects.loadProjectConfig(projectName).limits || {};
+
+    const doc = {
+        project: projectName,
+        sftpPasswordEnv: `${envName(projectName)}_SFTP_PASSWORD`,
+        backend: services.getProjectBackend(projectName) !== 'pm2' ? services.getProjectBackend(projectName) : undefined,
+        limits: Object.keys(limits).length > 0 ? limits : undefined,
+        services: services.listServices(projectName).map(s => ({
+            name: s.name,
+            runtime: s.runtime,
+            directory: s.directory.startsWith(sitesPath + '/') ? path.relative(sitesPath, s.directory) : s.directory,
+            command: s.command,
+            setupCommands: s.setupCommands || [],
+            description: s.description || undefined,
+            envFile: s.envFile || undefined,
+            execMode: s.execMode && s.execMode !== 'fork' ? s.execMode : undefined,
+            instances: s.instances && s.instances !== 1 ? s.instances : undefined,
+            maxMemoryRestart: s.maxMemoryRestart || undefined,
+            watch: s.watch || undefined,
+            healthCheck: s.healthCheck || undefined,
+            dependsOn: s.dependsOn?.length > 0 ? s.dependsOn : undefined,
+            keepReleases: s.keepReleases || undefined,
+            logRetention: s.logRetention || undefined,
+            git: s.git ? deployments.parseGit(s.git) : undefined
+        })),
+        nginx: nginx.listNginxConfigs().filter(c => c.linkedProject === projectName).map(c => {
+            const certificate = certificates.find(cert => cert.domain === c.domain && cert.certPath === c.sslCertPath);
+            return {
+                domain: c.domain,
+                port: c.port,
+                service: c.linkedService || undefined,
+                description: c.description || undefined,
+                targetHost: c.targetHost !== 'localhost' ? c.targetHost : undefined,
+                targetProtocol: c.targetProtocol !== 'http' ? c.targetProtocol : undefined,
+                ssl: c.useSSL ? (certificate ? true : { cert: c.sslCertPath, key: c.sslKeyPath }) : undefined,
+                redirectHTTP: c.redirectHTTP || undefined
+            };
+        }),
+        certificates: certificates.map(c => ({ domain: c.domain, email: ssl.getCertificateById(c.id)?.email || undefined })),
+        databases: databases.getAllDatabases(projectName).map(db => ({
+            type: db.type,
+            name: db.name,
+            host: db.host,
+            port: db.port,
+            username: db.username || undefined,
+            passwordEnv: db.password ? `${envName(db.name)}_DB_PASSWORD` : undefined,
+            authDatabase: db.type === 'mongodb' ? db.authDatabase : undefined
+        })),
+        users: users.listUsers()
+            .filter(u => u.role !== 'admin' && (u.projects || []).includes(projectName))
+            .map(u => ({ username: u.username, role: u.projectRoles?.[projectName] || permissions.DEFAULT_PROJECT_ROLE }))
+    };
+
+    return YAML.stringify(JSON.parse(JSON.stringify(doc)));
+}
+
+export default {
+    validateManifest,
+    parseManifest,
+    loadManifest,
+    plan,
+    describeChange,
+    apply,
+    exportManifest
+};
@@ -5,11 +5,14 @@
 import fs from 'fs';
 import path from 'path';
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+import { TOOL_CONFIG_PATH } from '../config/constants.js';
+
+const logger = createLogger('nginx');
 
 const NGINX_SITES_AVAILABLE = '/etc/nginx/sites-available';
 const NGINX_SITES_ENABLED = '/etc/nginx/sites-enabled';
-const NGINX_CONFIGS_DIR = '/etc/nodejs-project-manager/nginx';
+const NGINX_CONFIGS_DIR = path.join(TOOL_CONFIG_PATH, 'nginx');
 
 /**
  * Initialiser le dossier de configuration Nginx
@@ -0,0 +1,207 @@
+/**
+ * Module des rôles de projet et de leurs permissions
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const ROLES_FILE = path.join(DATA_DIR, 'roles.json');
+
+// Permissions attribuables sur un projet
+export const PERMISSIONS = {
+    'project:read': 'Voir le projet et ses services',
+    'services:logs': 'Consulter les logs des services',
+    'services:start': 'Démarrer les services',
+    'services:stop': 'Arrêter les services',
+    'services:restart': 'Redémarrer les services',
+    'services:setup': 'Exécuter les commandes de setup',
+    'services:deploy': 'Déployer une version et revenir à une version précédente',
+    'services:edit': 'Ajouter, modifier et supprimer des services',
+    'env:manage': 'Gérer les variables d\'environnement et les secrets',
+    'files:read': 'Parcourir et télécharger les fichiers',
+    'files:write': 'Modifier, uploader et supprimer des fichiers',
+    'sftp:manage': 'Changer le mot de passe SFTP',
+    'scripts:manage': 'Régénérer les scripts',
+    'databases:read': 'Voir les bases de données liées',
+    'databases:query': 'Exécuter des requêtes',
+    'databases:write': 'Modifier ou supprimer les bases de données liées',
+    'nginx:read': 'Voir les configurations Nginx liées',
+    'nginx:edit': 'Créer et modifier les configurations Nginx liées',
+    'ssl:read': 'Voir les certificats liés',
+    'ssl:manage': 'Créer et supprimer les certificats liés',
+    'apikeys:manage': 'Gérer les clés API limitées au projet'
+};
+
+// Rôles prédéfinis (non modifiables)
+export const BUILTIN_ROLES = {
+    'viewer': {
+        description: 'Lecture seule : statut, logs et fichiers',
+        permissions: ['project:read', 'services:logs', 'files:read', 'databases:read', 'nginx:read', 'ssl:read']
+    },
+    'deployer': {
+        description: 'Déploiement : fichiers, setup et cycle de vie des services',
+        permissions: [
+            'project:read', 'services:logs', 'services:start', 'services:stop', 'services:restart',
+            'services:setup', 'services:deploy', 'files:read', 'files:write', 'scripts:manage', 'nginx:read', 'ssl:read'
+        ]
+    },
+    'db-operator': {
+        description: 'Exploitation des bases de données liées',
+        permissions: ['project:read', 'services:logs', 'databases:read', 'databases:query', 'databases:write']
+    },
+    'project-owner': {
+        description: 'Toutes les permissions sur le projet',
+        permissions: Object.keys(PERMISSIONS)
+    }
+};
+
+// Rôle attribué aux projets assignés sans rôle explicite (comportement historique)
+export const DEFAULT_PROJECT_ROLE = 'project-owner';
+
+/**
+ * Lit les rôles personnalisés
+ */
+function readCustomRoles() {
+    if (!fs.existsSync(ROLES_FILE)) {
+        return { roles: {} };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(ROLES_FILE, 'utf8'));
+    } catch {
+        return { roles: {} };
+    }
+}
+
+/**
+ * Écrit les rôles personnalisés
+ */
+function writeCustomRoles(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(ROLES_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Liste tous les rôles (prédéfinis et personnalisés)
+ * @returns {Array}
+ */
+export function listRoles() {
+    const custom = readCustomRoles().roles;
+    return [
+        ...Object.entries(BUILTIN_ROLES).map(([name, role]) => ({ name, ...role, builtin: true })),
+        ...Object.entries(custom).map(([name, role]) => ({ name, ...role, builtin: false }))
+    ];
+}
+
+/**
+ * Récupère un rôle par son nom
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getRole(name) {
+    if (BUILTIN_ROLES[name]) {
+        return { name, ...BUILTIN_ROLES[name], builtin: true };
+    }
+    const custom = readCustomRoles().roles[name];
+    return custom ? { name, ...custom, builtin: false } : null;
+}
+
+/**
+ * Crée ou met à jour un rôle personnalisé
+ * @param {string} name
+ * @param {object} definition - { description, permissions }
+ * @returns {object}
+ */
+export function saveRole(name, { description = '', permissions = [] }) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name || '')) {
+        throw new Error('Nom de rôle invalide (minuscules, chiffres et tirets)');
+    }
+    if (BUILTIN_ROLES[name] || name === 'admin') {
+        throw new Error('Les rôles prédéfinis ne peuvent pas être modifiés');
+    }
+
+    const unknown = permissions.filter(p => !PERMISSIONS[p]);
+    if (unknown.length > 0) {
+        throw new Error(`Permission(s) inconnue(s): ${unknown.join(', ')}`);
+    }
+
+    const data = readCustomRoles();
+    data.roles[name] = { description, permissions: [...new Set(permissions)] };
+    writeCustomRoles(data);
+
+    return getRole(name);
+}
+
+/**
+ * Supprime un rôle personnalisé
+ * @param {string} name
+ */
+export function deleteRole(name) {
+    const data = readCustomRoles();
+    if (!data.roles[name]) {
+        throw new Error('Rôle non trouvé');
+    }
+    delete data.roles[name];
+    writeCustomRoles(data);
+}
+
+/**
+ * Rôle d'un utilisateur sur un projet
+ * @param {object} user
+ * @param {string} projectName
+ * @returns {string|null}
+ */
+export function getProjectRole(user, projectName) {
+    if (!user) return null;
+    if (user.role === 'admin') return 'admin';
+    if (!projectName) return null;
+    if (!Array.isArray(user.projects) || !user.projects.includes(projectName)) return null;
+    return user.projectRoles?.[projectName] || DEFAULT_PROJECT_ROLE;
+}
+
+/**
+ * Vérifie qu'un utilisateur dispose d'une permission sur un projet
+ * @param {object} user
+ * @param {string} projectName
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function hasPermission(user, projectName, permission) {
+    const roleName = getProjectRole(user, projectName);
+    if (roleName === 'admin') return true;
+    if (!roleName) return false;
+
+    const role = getRole(roleName);
+    return !!role && role.permissions.includes(permission);
+}
+
+/**
+ * Permissions effectives d'un utilisateur sur un projet
+ * @param {object} user
+ * @param {string} projectName
+ * @returns {string[]}
+ */
+export function getProjectPermissions(user, projectName) {
+    const roleName = getProjectRole(user, projectName);
+    if (roleName === 'admin') return Object.keys(PERMISSIONS);
+    return getRole(roleName)?.permissions || [];
+}
+
+export default {
+    PERMISSIONS,
+    BUILTIN_ROLES,
+    DEFAULT_PROJECT_ROLE,
+    listRoles,
+    getRole,
+    saveRole,
+    deleteRole,
+    getProjectRole,
+    hasPermission,
+    getProjectPermissions
+};
@@ -0,0 +1,481 @@
+/**
+ * Module d'accès au gestionnaire de processus des services
+ *
+ * Les services passent par un adaptateur : PM2 via son API programmatique (connexion
+ * persistante au démon, pas de binaire lancé à chaque requête) ou une implémentation
+ * en mémoire pour les tests (TWOINE_PROCESS_MANAGER=memory, ou setAdapter()).
+ *
+ * Un adaptateur expose :
+ * - start(ecosystemPath, name) / restart(ecosystemPath, name) - Lance un service du fichier ecosystem
+ * - reload(ecosystemPath, name) - Recharge un service sans interruption (mode cluster ; redémarrage sinon)
+ * - stop(name) / remove(name) / flush(name) / save()
+ * - list() - Processus au format de `pm2 jlist` (name, pid, pm2_env, monit)
+ * - logs(name, lines) - Dernières lignes des logs
+ * - onEvent(listener) - Événements { type, name, exitCode, manually, at } : exit (manually=false si arrêt
+ *   inattendu), restart (relance automatique après un arrêt inattendu si manually=false), online, stop…
+ * - close() - Ferme la connexion
+ */
+
+import fs from 'fs';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('processes');
+
+// Adaptateur courant (créé au premier appel)
+let adapter = null;
+
+// Liste en cours de récupération, partagée par les appels simultanés
+let pendingList = null;
+
+/**
+ * Convertit une erreur renvoyée par PM2 (Error, chaîne ou objet) en Error
+ * @param {*} error
+ * @returns {Error}
+ */
+function toError(error) {
+    const message = error instanceof Error ? error.message : (error?.message || error?.msg || String(error));
+    return new Error(`Erreur PM2: ${message}`);
+}
+
+/**
+ * Lit les dernières lignes d'un fichier sans le charger entièrement
+ * @param {string} filePath
+ * @param {number} lines
+ * @returns {string}
+ */
+function tailFile(filePath, lines) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return '';
+    }
+
+    const { size } = fs.statSync(filePath);
+    const length = Math.min(size, Math.max(lines * 512, 65536));
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return buffer.toString('utf8').split('\n').filter(Boolean).slice(-lines).join('\n');
+}
+
+/**
+ * Crée l'adaptateur PM2 (API programmatique du module pm2)
+ * @returns {object}
+ */
+export function createPm2Adapter() {
+    let client = null;
+    let connecting = null;
+    let busStarted = false;
+    const listeners = [];
+
+    // PM2 signale un arrêt demandé par deux événements exit (statut "stopping" puis "stopped")
+    // et un arrêt inattendu par un seul, suivi de "online" lors de la relance automatique
+    const stopping = new Set();
+    const crashed = new Set();
+
+    function normalizeEvent(packet) {
+        const name = packet.process?.name;
+        let type = packet.event;
+        let manually = !!packet.manually;
+
+        if (type === 'exit') {
+            if (packet.process?.status === 'stopping') {
+                stopping.add(name);
+                manually = true;
+            } else if (stopping.delete(name)) {
+                manually = true;
+            } else {
+                crashed.add(name);
+            }
+        } else if (type === 'online' && crashed.delete(name)) {
+            type = 'restart';
+        } else if (type === 'online') {
+            manually = true;
+        }
+
+        return { type, name, exitCode: packet.process?.exit_code ?? null, manually, at: packet.at };
+    }
+
+    function connect() {
+        if (!connecting) {
+            connecting = import('pm2')
+                .catch(() => {
+                    throw new Error('Le module pm2 n\'est pas installé (npm install)');
+                })
+                .then(module => new Promise((resolve, reject) => {
+                    const pm2 = module.default;
+                    pm2.connect(error => (error ? reject(toError(error)) : resolve(pm2)));
+                }))
+                .then(pm2 => {
+                    client = pm2;
+                    logger.debug('Connecté au démon PM2');
+                    return pm2;
+                })
+                .catch(error => {
+                    connecting = null;
+                    throw error;
+                });
+        }
+        return connecting;
+    }
+
+    async function call(method, ...args) {
+        const pm2 = await connect();
+        return new Promise((resolve, reject) => {
+            pm2[method](...args, (error, result) => (error ? reject(toError(error)) : resolve(result)));
+        });
+    }
+
+    function startBus() {
+        busStarted = true;
+        connect()
+            .then(pm2 => pm2.launchBus((error, bus) => {
+                if (error) {
+                    busStarted = false;
+                    logger.warn(`Bus d'événements PM2 indisponible: ${toError(error).message}`);
+                    return;
+                }
+                bus.on('process:event', packet => {
+                    const event = normalizeEvent(packet);
+                    listeners.forEach(listener => listener(event));
+                });
+            }))
+            .catch(error => {
+                busStarted = false;
+                logger.warn(`Bus d'événements PM2 indisponible: ${error.message}`);
+            });
+    }
+
+    return {
+        name: 'pm2',
+
+        start: (ecosystemPath, name) => call('start', ecosystemPath, { only: name }),
+
+        restart: (ecosystemPath, name) => call('restart', ecosystemPath, { only: name, updateEnv: true }),
+
+        reload: (ecosystemPath, name) => call('reload', ecosystemPath, { only: name, updateEnv: true }),
+
+        stop: name => call('stop', name),
+
+        remove: name => call('delete', name),
+
+        flush: name => call('flush', name),
+
+        save: () => call('dump'),
+
+        list: () => call('list'),
+
+        async logs(name, lines) {
+            const [description] = await call('describe', name);
+            if (!description) {
+                throw new Error(`Processus ${name} introuvable`);
+            }
+            const { pm_out_log_path: outPath, pm_err_log_path: errPath } = description.pm2_env;
+            return [
+                `${outPath} (${lines} dernières lignes):`,
+                tailFile(outPath, lines),
+                '',
+                `${errPath} (${lines} dernières lignes):`,
+                tailFile(errPath, lines)
+            ].join('\n');
+        },
+
+        onEvent(listener) {
+            listeners.push(listener);
+            if (!busStarted) {
+                startBus();
+            }
+        },
+
+        async close() {
+            if (client) {
+                await new Promise(resolve => client.disconnect(resolve));
+                client = null;
+                connecting = null;
+                busStarted = false;
+            }
+        }
+    };
+}
+
+/**
+ * Crée un adaptateur en mémoire (tests, environnements sans PM2)
+ * Les processus démarrent instantanément ; simulate(type, name) émet un événement.
+ * @param {Array<string>} running - Noms des processus déjà en ligne
+ * @returns {object}
+ */
+export function createMemoryAdapter(running = []) {
+    const processes = new Map();
+    const listeners = [];
+    let nextId = 0;
+
+    function emit(type, name, exitCode = null, manually = true) {
+        const event = { type, name, exitCode, manually, at: Date.now() };
+        listeners.forEach(listener => listener(event));
+    }
+
+    function launch(name) {
+        processes.set(name, { id: nextId++, name, status: 'online', restarts: 0, startedAt: Date.now(), logs: [] });
+        emit('online', name);
+    }
+
+    function get(name) {
+        const proc = processes.get(name);
+        if (!proc) {
+            throw new Error(`Erreur PM2: Process or Namespace ${name} not found`);
+        }
+        return proc;
+    }
+
+    running.forEach(launch);
+
+    return {
+        name: 'memory',
+
+        async start(ecosystemPath, name) {
+            launch(name);
+        },
+
+        async restart(ecosystemPath, name) {
+            if (!processes.has(name)) {
+                return launch(name);
+            }
+            const proc = get(name);
+            proc.status = 'online';
+            proc.restarts++;
+            proc.startedAt = Date.now();
+            emit('restart', name);
+        },
+
+        async reload(ecosystemPath, name) {
+            return this.restart(ecosystemPath, name);
+        },
+
+        async stop(name) {
+            get(name).status = 'stopped';
+            emit('stop', name);
+        },
+
+        async remove(name) {
+            get(name);
+            processes.delete(name);
+            emit('delete', name);
+        },
+
+        async flush(name) {
+            get(name).logs = [];
+        },
+
+        async save() {},
+
+        async list() {
+            return [...processes.values()].map(proc => ({
+                name: proc.name,
+                pm_id: proc.id,
+                pid: proc.status === 'online' ? 10000 + proc.id : 0,
+                pm2_env: { status: proc.status, pm_uptime: proc.startedAt, restart_time: proc.restarts },
+                monit: { memory: 0, cpu: 0 }
+            }));
+        },
+
+        async logs(name, lines) {
+            return get(name).logs.slice(-lines).join('\n');
+        },
+
+        onEvent(listener) {
+            listeners.push(listener);
+        },
+
+        async close() {},
+
+        /**
+         * Simule un événement inattendu (ex: simulate('exit', 'projet-api', 1))
+         */
+        simulate(type, name, exitCode = null) {
+            const proc = get(name);
+            if (type === 'exit') proc.status = 'errored';
+            if (type === 'restart') {
+                proc.status = 'online';
+                proc.restarts++;
+            }
+            emit(type, name, exitCode, false);
+        }
+    };
+}
+
+/**
+ * Adaptateur courant
+ * @returns {object}
+ */
+export function getAdapter() {
+    if (!adapter) {
+        adapter = process.env.TWOINE_PROCESS_MANAGER === 'memory' ? createMemoryAdapter() : createPm2Adapter();
+    }
+    return adapter;
+}
+
+/**
+ * Remplace l'adaptateur (tests, autre gestionnaire de processus)
+ * @param {object} newAdapter
+ */
+export function setAdapter(newAdapter) {
+    adapter = newAdapter;
+    pendingList = null;
+}
+
+/**
+ * Liste tous les processus (une seule requête partagée par les appels simultanés)
+ * @returns {Promise<Array>}
+ */
+export function listProcesses() {
+    if (!pendingList) {
+        pendingList = getAdapter().list().finally(() => {
+            pendingList = null;
+        });
+    }
+    return pendingList;
+}
+
+/**
+ * Statuts de plusieurs processus en une requête
+ * @param {Array<string>} names
+ * @returns {Promise<Map<string, object>>} - Nom → description (absent si le processus n'existe pas)
+ */
+export async function getStatuses(names) {
+    const wanted = new Set(names);
+    const statuses = new Map();
+    for (const proc of await listProcesses()) {
+        if (wanted.has(proc.name) && !statuses.has(proc.name)) {
+            statuses.set(proc.name, proc);
+        }
+    }
+    return statuses;
+}
+
+/**
+ * Statut d'un processus
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+export async function getStatus(name) {
+    try {
+        return (await getStatuses([name])).get(name) || null;
+    } catch (error) {
+        logger.debug(`Statut de ${name} indisponible: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Démarre un service depuis le fichier ecosystem de son projet
+ * @param {string} ecosystemPath
+ * @param {string} name - Nom du processus
+ */
+export function startProcess(ecosystemPath, name) {
+    return getAdapter().start(ecosystemPath, name);
+}
+
+/**
+ * Redémarre un service avec la configuration et les variables à jour du fichier ecosystem
+ * @param {string} ecosystemPath
+ * @param {string} name - Nom du processus
+ */
+export function restartProcess(ecosystemPath, name) {
+    return getAdapter().restart(ecosystemPath, name);
+}
+
+/**
+ * Recharge un service sans interruption : en mode cluster, les instances sont remplacées une à une
+ * @param {string} ecosystemPath
+ * @param {string} name - Nom du processus
+ */
+export function reloadProcess(ecosystemPath, name) {
+    return getAdapter().reload(ecosystemPath, name);
+}
+
+/**
+ * Arrête un processus
+ * @param {string} name
+ */
+export function stopProcess(name) {
+    return getAdapter().stop(name);
+}
+
+/**
+ * Supprime un processus de la liste du gestionnaire
+ * @param {string} name
+ */
+export function deleteProcess(name) {
+    return getAdapter().remove(name);
+}
+
+/**
+ * Sauvegarde la liste des processus (restaurée au redémarrage du serveur)
+ */
+export function saveProcesses() {
+    return getAdapter().save();
+}
+
+/**
+ * Vide les logs d'un processus
+ * @param {string} name
+ */
+export function flushLogs(name) {
+    return getAdapter().flush(name);
+}
+
+/**
+ * Dernières lignes des logs d'un processus
+ * @param {string} name
+ * @param {number} lines
+ * @returns {Promise<string>}
+ */
+export function getLogs(name, lines = 50) {
+    return getAdapter().logs(name, lines);
+}
+
+/**
+ * S'abonne aux événements des processus (arrêt inattendu, redémarrage…)
+ * @param {Function} listener - Reçoit { type, name, exitCode, manually, at }
+ */
+export function onProcessEvent(listener) {
+    getAdapter().onEvent(event => {
+        try {
+            listener(event);
+        } catch (error) {
+            logger.warn(`Erreur dans un abonné aux événements de processus: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Ferme la connexion au gestionnaire de processus
+ */
+export async function disconnect() {
+    if (adapter) {
+        await adapter.close();
+    }
+}
+
+export default {
+    createPm2Adapter,
+    createMemoryAdapter,
+    getAdapter,
+    setAdapter,
+    listProcesses,
+    getStatuses,
+    getStatus,
+    startProcess,
+    restartProcess,
+    reloadProcess,
+    stopProcess,
+    deleteProcess,
+    saveProcesses,
+    flushLogs,
+    getLogs,
+    onProcessEvent,
+    disconnect
+};
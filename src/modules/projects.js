@@ -4,11 +4,16 @@
 
 import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE } from '../config/constants.js';
+import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE, SFTP_GROUP } from '../config/constants.js';
 import sftp from './sftp.js';
+import processManager from './processManager.js';
+import systemd from './systemd.js';
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
 import databases from './databases.js';
+import quotas from './quotas.js';
+
+const logger = createLogger('projects');
 
 /**
  * Initialise les dossiers de configuration de l'outil
@@ -117,6 +122,86 @@ export function saveProjectConfig(projectName, config) {
     }
 }
 
+/**
+ * Utilisateur Unix qui exécute les services d'un projet (l'utilisateur SFTP du projet).
+ * Les projets créés avant l'isolation (runAs absent ou "root") restent exécutés par root jusqu'à leur migration.
+ * @param {string} projectName - Nom du projet
+ * @param {object} projectConfig - Configuration du projet (chargée si absente)
+ * @returns {{name: string, group: string, uid: number, gid: number, home: string}|null} - null si les services tournent en root
+ */
+export function getServiceUser(projectName, projectConfig = loadProjectConfig(projectName)) {
+    if (projectConfig.runAs !== 'project') {
+        return null;
+    }
+
+    const name = `${sftp.SFTP_USER_PREFIX}${projectName}`;
+    const ids = sftp.getUserIds(name);
+    if (!ids) {
+        throw new Error(`L'utilisateur ${name} qui exécute les services n'existe pas`);
+    }
+
+    return {
+        name,
+        group: SFTP_GROUP,
+        ...ids,
+        home: path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.home)
+    };
+}
+
+/**
+ * Donne les fichiers du projet à l'utilisateur qui exécute ses services (dossiers sites, releases et HOME)
+ * @param {string} projectName - Nom du projet
+ * @param {object} user - Utilisateur (getServiceUser)
+ * @returns {Promise<void>}
+ */
+export async function prepareServiceUser(projectName, user) {
+    fs.mkdirSync(user.home, { recursive: true });
+    fs.chownSync(user.home, user.uid, user.gid);
+    fs.chmodSync(user.home, 0o700);
+
+    for (const folder of [PROJECT_STRUCTURE.sites, PROJECT_STRUCTURE.releases]) {
+        const folderPath = path.join(BASE_PATH, projectName, folder);
+        if (fs.existsSync(folderPath)) {
+            await shell.execCommand(`chown -R ${user.name}:${user.group} "${folderPath}"`);
+        }
+    }
+    logger.debug(`Fichiers de ${projectName} attribués à ${user.name}`);
+}
+
+/**
+ * Modifie les limites de ressources d'un projet et les applique (quota disque, slice systemd).
+ * Avec PM2, la limite mémoire s'applique à chaque processus au prochain redémarrage et la limite CPU n'est pas appliquée.
+ * @param {string} projectName - Nom du projet
+ * @param {object} limits - { memory, cpu, processes, disk } (null ou none pour supprimer une limite)
+ * @returns {Promise<object>} - Limites du projet
+ */
+export async function setProjectLimits(projectName, limits) {
+    if (!projectExists(projectName)) {
+        throw new Error(`Le projet ${projectName} n'existe pas`);
+    }
+
+    const projectConfig = loadProjectConfig(projectName);
+    const normalized = quotas.normalizeLimits(limits, projectConfig.limits || {});
+    projectConfig.limits = normalized;
+    saveProjectConfig(projectName, projectConfig);
+
+    if (limits.disk !== undefined) {
+        const applied = await quotas.applyDiskQuota(`${sftp.SFTP_USER_PREFIX}${projectName}`, normalized.disk || null);
+        if (!applied && normalized.disk) {
+            logger.info(`Quota disque de ${projectName} vérifié par Twoine uniquement (envois de fichiers)`);
+        }
+    }
+
+    if (projectConfig.backend === 'systemd') {
+        await systemd.installSlice(projectName, systemd.buildSlice(projectName, normalized));
+    } else if (normalized.cpu) {
+        logger.warn('La limite CPU n\'est appliquée qu\'avec le backend systemd');
+    }
+
+    logger.success(`Limites du projet ${projectName} mises à jour`);
+    return normalized;
+}
+
 /**
  * Crée un nouveau projet
  * @param {string} projectName - Nom du projet
@@ -161,6 +246,8 @@ export async function createProject(projectName, sftpPassword) {
         name: projectName,
         path: projectPath,
         sftpUser: sftpUsername,
+        // Les services sont exécutés par l'utilisateur du projet, pas par root
+        runAs: 'project',
         services: [],
         createdAt: new Date().toISOString()
     };
@@ -185,6 +272,20 @@ export async function createProject(projectName, sftpPassword) {
     return projectConfig;
 }
 
+/**
+ * Supprime le processus d'un service du backend du projet (PM2 ou unité systemd)
+ * @param {object} projectConfig - Configuration du projet
+ * @param {string} processName - Nom du processus
+ * @returns {Promise<void>}
+ */
+async function removeServiceProcess(projectConfig, processName) {
+    if (projectConfig.backend === 'systemd') {
+        await systemd.removeUnit(processName);
+    } else {
+        await processManager.deleteProcess(processName);
+    }
+}
+
 /**
  * Supprime un projet
  * @param {string} projectName - Nom du projet
@@ -200,13 +301,13 @@ export async function deleteProject(projectName, deleteFiles = false) {
 
     logger.info(`Suppression du projet ${projectName}...`);
 
-    // Arrêter tous les services PM2 du projet
+    // Arrêter tous les services du projet
     try {
         const projectConfig = loadProjectConfig(projectName);
         for (const service of projectConfig.services || []) {
             const processName = `${projectName}-${service.name}`;
             try {
-                await shell.pm2Command(`delete ${processName}`);
+                await removeServiceProcess(projectConfig, processName);
             } catch {
                 // Ignorer si le processus n'existe pas
             }
@@ -215,6 +316,13 @@ export async function deleteProject(projectName, deleteFiles = false) {
         logger.warn(`Erreur lors de l'arrêt des services: ${error.message}`);
     }
 
+    // Supprimer la slice systemd des limites du projet
+    try {
+        await systemd.removeSlice(projectName);
+    } catch (error) {
+        logger.warn(`Erreur lors de la suppression de la slice: ${error.message}`);
+    }
+
     // Supprimer l'utilisateur SFTP
     await sftp.deleteSftpUser(projectName);
 
@@ -244,28 +352,58 @@ export async function deleteProject(projectName, deleteFiles = false) {
  */
 export async function listProjectsWithStatus() {
     const projects = loadProjects();
+    const configs = new Map(projects.map(project => [project.name, loadProjectConfig(project.name)]));
     const result = [];
 
+    // Une seule requête par backend pour tous les services : processus en ligne → instances et ressources utilisées
+    const online = new Map();
+    const addOnline = (name, memory, cpu) => {
+        const entry = online.get(name) || { instances: 0, memory: 0, cpu: 0 };
+        online.set(name, { instances: entry.instances + 1, memory: entry.memory + (memory || 0), cpu: entry.cpu + (cpu || 0) });
+    };
+    const systemdNames = [...configs]
+        .filter(([, config]) => config.backend === 'systemd')
+        .flatMap(([name, config]) => (config.services || []).map(service => `${name}-${service.name}`));
+
+    try {
+        if ([...configs.values()].some(config => config.backend !== 'systemd')) {
+            const processes = await processManager.listProcesses();
+            processes.filter(p => p.pm2_env?.status === 'online').forEach(p => addOnline(p.name, p.monit?.memory, p.monit?.cpu));
+        }
+        if (systemdNames.length > 0) {
+            const units = await systemd.getUnitStatuses(systemdNames);
+            [...units].filter(([, state]) => state.status === 'online').forEach(([name, state]) => addOnline(name, state.memory, null));
+        }
+    } catch (error) {
+        logger.warn(`Statut des services indisponible: ${error.message}`);
+    }
+
     for (const project of projects) {
-        const projectConfig = loadProjectConfig(project.name);
+        const projectConfig = configs.get(project.name);
         const sftpInfo = sftp.getSftpUserInfo(project.name);
         
         let runningServices = 0;
         let totalServices = projectConfig.services?.length || 0;
+        const usage = { memory: 0, cpu: projectConfig.backend === 'systemd' ? null : 0, processes: 0 };
 
         for (const service of projectConfig.services || []) {
             const processName = `${project.name}-${service.name}`;
-            const status = await shell.getPm2ProcessStatus(processName);
-            if (status && status.pm2_env?.status === 'online') {
+            const entry = online.get(processName);
+            if (entry) {
                 runningServices++;
+                usage.memory += entry.memory;
+                usage.processes += entry.instances;
+                if (usage.cpu !== null) usage.cpu += entry.cpu;
             }
         }
+        usage.disk = await quotas.getDiskUsage(project.name);
 
         result.push({
             ...project,
             sftpActive: sftpInfo !== null,
             totalServices,
             runningServices,
+            quota: quotas.summarizeUsage(projectConfig.limits, usage),
             services: projectConfig.services || []
         });
     }
@@ -306,21 +444,27 @@ export async function renameProject(oldName, newName) {
 
     logger.info(`Renommage du projet ${oldName} vers ${newName}...`);
 
-    // 1. Arrêter tous les services PM2 du projet
-    logger.info('Arrêt des services PM2...');
+    // 1. Arrêter tous les services du projet
+    logger.info('Arrêt des services...');
     const projectConfig = loadProjectConfig(oldName);
     const stoppedServices = [];
     
     for (const service of projectConfig.services || []) {
         const oldProcessName = `${oldName}-${service.name}`;
         try {
-            await shell.pm2Command(`delete ${oldProcessName}`);
+            await removeServiceProcess(projectConfig, oldProcessName);
             stoppedServices.push(service);
             logger.debug(`Service ${oldProcessName} arrêté`);
         } catch (error) {
             logger.warn(`Impossible d'arrêter ${oldProcessName}: ${error.message}`);
         }
     }
+    // La slice du nouveau nom sera installée au démarrage des services
+    try {
+        await systemd.removeSlice(oldName);
+    } catch (error) {
+        logger.warn(`Impossible de supprimer la slice de ${oldName}: ${error.message}`);
+    }
 
     // 2. Renommer l'utilisateur SFTP
     logger.info('Renommage de l\'utilisateur SFTP...');
@@ -420,6 +564,9 @@ export default {
     projectExists,
     loadProjectConfig,
     saveProjectConfig,
+    getServiceUser,
+    prepareServiceUser,
+    setProjectLimits,
     createProject,
     deleteProject,
     listProjectsWithStatus,
@@ -0,0 +1,214 @@
+/**
+ * Module des limites de ressources et quotas des projets
+ *
+ * Limites d'un projet (champ limits de project.json) :
+ * - memory    - Mémoire totale des services (slice systemd MemoryMax ; avec PM2, max_memory_restart de chaque processus)
+ * - cpu       - Pourcentage de CPU, 100 = un cœur (slice systemd CPUQuota ; non appliqué avec PM2)
+ * - processes - Nombre d'instances de services en ligne (vérifié au démarrage)
+ * - disk      - Espace disque de /var/www/<projet> (quota utilisateur si disponible, vérifié aux envois de fichiers)
+ */
+
+import os from 'os';
+import path from 'path';
+import { BASE_PATH } from '../config/constants.js';
+import shell from '../utils/shell.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('quotas');
+
+export const LIMIT_FIELDS = ['memory', 'cpu', 'processes', 'disk'];
+
+const LABELS = { memory: 'mémoire', cpu: 'CPU', processes: 'processus', disk: 'disque' };
+
+// Limites exprimées en taille (ex: 512M, 10G)
+const SIZE_FIELDS = ['memory', 'disk'];
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// Durée de validité de l'espace disque mesuré (du est coûteux sur les gros projets)
+const DISK_USAGE_TTL = 60 * 1000;
+
+// Projet → { bytes, measuredAt }
+const diskUsageCache = new Map();
+
+/**
+ * Convertit une taille (ex: 512M, 10G) en octets
+ * @param {string} value
+ * @returns {number|null} - null si la taille est invalide
+ */
+export function parseSize(value) {
+    const match = /^(\d+)([KMGT])$/i.exec(String(value ?? ''));
+    return match ? parseInt(match[1]) * SIZE_UNITS[match[2].toUpperCase()] : null;
+}
+
+/**
+ * Met en forme une taille en octets (ex: 1.5G)
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+    for (const unit of ['T', 'G', 'M', 'K']) {
+        if (bytes >= SIZE_UNITS[unit]) {
+            return `${Math.round(bytes / SIZE_UNITS[unit] * 10) / 10}${unit}`;
+        }
+    }
+    return `${bytes}`;
+}
+
+/**
+ * Valide des limites et les fusionne avec les limites actuelles
+ * @param {object} limits - Limites à modifier (undefined : inchangée, null/''/none : supprimée)
+ * @param {object} current - Limites actuelles
+ * @returns {object}
+ */
+export function normalizeLimits(limits = {}, current = {}) {
+    const result = { ...current };
+
+    for (const field of LIMIT_FIELDS) {
+        const value = limits[field];
+        if (value === undefined) {
+            continue;
+        }
+        if (value === null || value === '' || value === 'none') {
+            delete result[field];
+            continue;
+        }
+
+        if (SIZE_FIELDS.includes(field)) {
+            if (!parseSize(value)) {
+                throw new Error(`Limite ${LABELS[field]} invalide (ex: 512M, 10G)`);
+            }
+            result[field] = String(value).toUpperCase();
+        } else {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error(`Limite ${LABELS[field]} invalide : entier positif attendu`);
+            }
+            result[field] = number;
+        }
+    }
+    return result;
+}
+
+/**
+ * Nombre de processus lancés par un service
+ * @param {object} service
+ * @returns {number}
+ */
+export function instancesCount(service) {
+    return service.instances === 'max' ? os.cpus().length : (service.instances || 1);
+}
+
+/**
+ * Espace disque utilisé par un projet (mesure mise en cache une minute)
+ * @param {string} projectName
+ * @param {object} options
+ * @param {boolean} options.fresh - Ignorer le cache
+ * @returns {Promise<number|null>} - Octets, null si la mesure a échoué
+ */
+export async function getDiskUsage(projectName, { fresh = false } = {}) {
+    const cached = diskUsageCache.get(projectName);
+    if (!fresh && cached && Date.now() - cached.measuredAt < DISK_USAGE_TTL) {
+        return cached.bytes;
+    }
+
+    try {
+        const { stdout } = await shell.execCommand(`du -sb "${path.join(BASE_PATH, projectName)}"`);
+        const bytes = parseInt(stdout.split('\t')[0]);
+        diskUsageCache.set(projectName, { bytes, measuredAt: Date.now() });
+        return bytes;
+    } catch (error) {
+        logger.debug(`Espace disque de ${projectName} indisponible: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Oublie l'espace disque mesuré d'un projet (après un envoi de fichiers)
+ * @param {string} projectName
+ */
+export function invalidateDiskUsage(projectName) {
+    diskUsageCache.delete(projectName);
+}
+
+/**
+ * Compare l'utilisation d'un projet à ses limites
+ * @param {object} limits - Limites du projet
+ * @param {object} usage - { memory, cpu, processes, disk } (octets, %, nombre)
+ * @returns {object} - Limite → { used, limit, exceeded } (limit en octets pour memory et disk, null si absente)
+ */
+export function summarizeUsage(limits = {}, usage = {}) {
+    return Object.fromEntries(LIMIT_FIELDS.map(field => {
+        const raw = limits[field];
+        const limit = raw === undefined ? null : (SIZE_FIELDS.includes(field) ? parseSize(raw) : raw);
+        const used = usage[field] ?? null;
+        return [field, { used, limit, exceeded: limit !== null && used !== null && used > limit }];
+    }));
+}
+
+/**
+ * Vérifie qu'un envoi de fichiers ne dépasse pas le quota disque du projet
+ * @param {string} projectName
+ * @param {object} limits - Limites du projet
+ * @param {number} incomingBytes - Taille des fichiers envoyés
+ * @returns {Promise<void>}
+ */
+export async function checkDiskQuota(projectName, limits = {}, incomingBytes = 0) {
+    const limit = parseSize(limits.disk);
+    if (!limit) {
+        return;
+    }
+
+    const used = await getDiskUsage(projectName, { fresh: true });
+    if (used !== null && used + incomingBytes > limit) {
+        throw new Error(`Quota disque dépassé pour ${projectName} : ${formatSize(used + incomingBytes)} pour une limite de ${limits.disk}`);
+    }
+}
+
+/**
+ * Vérifie que le démarrage d'instances ne dépasse pas la limite de processus du projet
+ * @param {string} projectName
+ * @param {object} limits - Limites du projet
+ * @param {number} running - Instances déjà en ligne (hors service démarré)
+ * @param {number} requested - Instances du service démarré
+ */
+export function checkProcessLimit(projectName, limits = {}, running = 0, requested = 1) {
+    if (limits.processes && running + requested > limits.processes) {
+        throw new Error(`Limite de processus atteinte pour ${projectName} : ${running + requested} pour une limite de ${limits.processes}`);
+    }
+}
+
+/**
+ * Applique le quota disque à l'utilisateur du projet (outils quota requis, système de fichiers monté avec usrquota)
+ * @param {string} username
+ * @param {string|null} disk - Limite (ex: 10G), null pour supprimer le quota
+ * @returns {Promise<boolean>} - false si le quota n'a pas pu être appliqué par le système
+ */
+export async function applyDiskQuota(username, disk) {
+    if (!shell.commandExists('setquota') || !shell.userExists(username)) {
+        return false;
+    }
+
+    const blocks = disk ? Math.ceil(parseSize(disk) / 1024) : 0;
+    try {
+        await shell.execCommand(`setquota -u ${username} 0 ${blocks} 0 0 -a`);
+        return true;
+    } catch (error) {
+        logger.warn(`Quota disque de ${username} non appliqué par le système: ${error.stderr?.trim() || error.message}`);
+        return false;
+    }
+}
+
+export default {
+    LIMIT_FIELDS,
+    parseSize,
+    formatSize,
+    normalizeLimits,
+    instancesCount,
+    getDiskUsage,
+    invalidateDiskUsage,
+    summarizeUsage,
+    checkDiskQuota,
+    checkProcessLimit,
+    applyDiskQuota
+};
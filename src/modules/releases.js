@@ -0,0 +1,405 @@
+/**
+ * Module des déploiements par versions
+ *
+ * Déployer un service copie son dossier source (sites/…) dans /var/www/<projet>/releases/<service>/<version>,
+ * y exécute les commandes de setup, puis fait pointer le lien releases/<service>/current sur cette version
+ * (renommage atomique) et recharge le service, qui tourne depuis current. Le service en ligne n'est
+ * touché qu'une fois la nouvelle version prête ; les dernières versions sont conservées pour revenir en arrière.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import environment from './environment.js';
+import scripts from './scripts.js';
+import jobs from './jobs.js';
+import shell from '../utils/shell.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('releases');
+
+// Versions conservées par service (la version active l'est toujours)
+export const DEFAULT_KEEP_RELEASES = 5;
+
+const CURRENT_LINK = 'current';
+
+// Identifiant d'une version : date UTC de déploiement (ex: 20261018T151300Z), suffixée si plusieurs par seconde
+const RELEASE_ID = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z(-\d+)?$/;
+
+// Fichiers de la source non copiés dans les versions
+const EXCLUDED_FILES = ['.git'];
+
+/**
+ * Dossier des versions d'un service
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {string}
+ */
+export function getReleasesPath(projectName, serviceName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.releases, serviceName);
+}
+
+/**
+ * Dossier depuis lequel le service est exécuté : la version active, ou sa source s'il n'a jamais été déployé
+ * @param {string} projectName
+ * @param {object} service
+ * @returns {string}
+ */
+export function getRunDirectory(projectName, service) {
+    const current = path.join(getReleasesPath(projectName, service.name), CURRENT_LINK);
+    return fs.existsSync(current) ? current : service.directory;
+}
+
+/**
+ * Version active d'un service
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {string|null}
+ */
+export function getCurrentRelease(projectName, serviceName) {
+    try {
+        return path.basename(fs.readlinkSync(path.join(getReleasesPath(projectName, serviceName), CURRENT_LINK)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Versions d'un service, de la plus récente à la plus ancienne
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {Array<{id: string, current: boolean, createdAt: string}>}
+ */
+export function listReleases(projectName, serviceName) {
+    const releasesPath = getReleasesPath(projectName, serviceName);
+    if (!fs.existsSync(releasesPath)) {
+        return [];
+    }
+
+    const current = getCurrentRelease(projectName, serviceName);
+    return fs.readdirSync(releasesPath, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && RELEASE_ID.test(entry.name))
+        .map(entry => entry.name)
+        .sort()
+        .reverse()
+        .map(id => {
+            const [, year, month, day, hours, minutes, seconds] = RELEASE_ID.exec(id);
+            return { id, current: id === current, createdAt: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z` };
+        });
+}
+
+/**
+ * Valide le nombre de versions conservées d'un service
+ * @param {number|string|null} value - null pour la valeur par défaut
+ * @returns {number|null}
+ */
+export function normalizeKeepReleases(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error('keepReleases doit être un entier positif');
+    }
+    return number;
+}
+
+/**
+ * Commandes exécutées dans une nouvelle version : celles du setup du service,
+ * sinon l'installation des dépendances et le build selon le runtime
+ * @param {object} service
+ * @returns {Array<string>}
+ */
+export function getDeployCommands(service) {
+    if (service.setupCommands?.length > 0) {
+        return service.setupCommands;
+    }
+
+    switch (service.runtime || 'nodejs') {
+        case 'nodejs':
+            return [
+                'if [ -f package.json ]; then npm install; fi',
+                'if grep -q \'"build"\' package.json 2>/dev/null; then npm run build; fi'
+            ];
+        case 'python':
+            return ['if [ -f requirements.txt ]; then python3 -m pip install -r requirements.txt --user; fi'];
+        case 'php':
+            return ['if [ -f composer.json ] && command -v composer > /dev/null; then composer install --no-dev --optimize-autoloader; fi'];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Fait pointer le lien current sur une version (remplacement atomique du lien)
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @param {string|null} releaseId - null pour revenir au dossier source
+ */
+function switchRelease(projectName, serviceName, releaseId) {
+    const releasesPath = getReleasesPath(projectName, serviceName);
+    const link = path.join(releasesPath, CURRENT_LINK);
+
+    if (!releaseId) {
+        fs.rmSync(link, { force: true });
+        return;
+    }
+
+    // Lien relatif : il reste valide si le projet est renommé
+    const temporary = path.join(releasesPath, `.${CURRENT_LINK}-${releaseId}`);
+    fs.rmSync(temporary, { force: true });
+    fs.symlinkSync(releaseId, temporary);
+    fs.renameSync(temporary, link);
+}
+
+/**
+ * Applique la version active à un service en ligne (rechargement sans interruption avec PM2 en mode cluster)
+ * @param {string} projectName
+ * @param {object} service
+ * @param {boolean} moved - Le dossier d'exécution change (première version ou retour à la source) : redémarrage complet
+ * @param {boolean} wait - Attendre que le service soit prêt
+ * @returns {Promise<boolean>} - false si le service était arrêté
+ */
+async function activate(projectName, service, moved, wait = true) {
+    const { status } = await services.getServiceStatus(projectName, service.name);
+    if (status !== 'online') {
+        environment.writeEnvFile(projectName, service.name);
+        return false;
+    }
+
+    if (moved) {
+        await services.startService(projectName, service.name, false);
+    } else {
+        await services.reloadService(projectName, service.name);
+    }
+    if (wait) {
+        await services.waitUntilReady(projectName, service);
+    }
+    return true;
+}
+
+/**
+ * Supprime les versions au-delà du nombre conservé (jamais la version active)
+ * @param {string} projectName
+ * @param {object} service
+ * @returns {Array<string>} - Versions supprimées
+ */
+function pruneReleases(projectName, service) {
+    const keep = service.keepReleases || DEFAULT_KEEP_RELEASES;
+    const removed = listReleases(projectName, service.name)
+        .filter((release, index) => index >= keep && !release.current)
+        .map(release => release.id);
+
+    for (const id of removed) {
+        fs.rmSync(path.join(getReleasesPath(projectName, service.name), id), { recursive: true, force: true });
+    }
+    return removed;
+}
+
+/**
+ * Nouvel identifiant de version
+ * @param {string} releasesPath
+ * @returns {string}
+ */
+function newReleaseId(releasesPath) {
+    const base = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    let id = base;
+    for (let n = 1; fs.existsSync(path.join(releasesPath, id)); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * Déploie une nouvelle version d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object|null} job - Job de déploiement dont la copie, le setup et l'activation sont des étapes
+ * @returns {Promise<{release: string, previous: string|null, reloaded: boolean, removed: Array<string>}>}
+ */
+export async function deployService(projectName, serviceName, job = null) {
+    const service = services.getService(projectName, serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+    if (!fs.existsSync(service.directory)) {
+        throw new Error(`Le dossier du service n'existe pas: ${service.directory}`);
+    }
+
+    const releasesPath = getReleasesPath(projectName, serviceName);
+    fs.mkdirSync(releasesPath, { recursive: true });
+    const release = newReleaseId(releasesPath);
+    const releaseDir = path.join(releasesPath, release);
+    const user = projects.getServiceUser(projectName);
+
+    logger.info(`Déploiement de ${projectName}/${serviceName} : version ${release}...`, { project: projectName });
+
+    // Construire la version à côté de celle en ligne
+    try {
+        await jobs.runStep(job, `Copie de la source dans ${release}`, async write => {
+            await fs.promises.cp(service.directory, releaseDir, {
+                recursive: true,
+                verbatimSymlinks: true,
+                filter: source => !EXCLUDED_FILES.includes(path.basename(source))
+            });
+            if (user) {
+                await shell.execCommand(`chown -R ${user.name}:${user.group} "${releaseDir}"`);
+            }
+            write('stdout', `${service.directory} → ${releaseDir}\n`);
+        });
+        const env = { ...process.env, ...environment.resolveServiceEnv(projectName, serviceName) };
+        await services.runSetupCommands(projectName, { ...service, directory: releaseDir, setupCommands: getDeployCommands(service) }, env, user, { job });
+    } catch (error) {
+        fs.rmSync(releaseDir, { recursive: true, force: true });
+        throw new Error(`Déploiement de ${serviceName} annulé : ${error.message}`);
+    }
+
+    const previous = getCurrentRelease(projectName, serviceName);
+    switchRelease(projectName, serviceName, release);
+
+    let reloaded;
+    try {
+        reloaded = await jobs.runStep(job, `Activation de ${release}`, async write => {
+            const online = await activate(projectName, service, !previous);
+            write('stdout', online ? 'Service rechargé et prêt\n' : 'Service arrêté : version appliquée au prochain démarrage\n');
+            return online;
+        });
+    } catch (error) {
+        // Rétablir la version précédente et supprimer celle en échec
+        switchRelease(projectName, serviceName, previous);
+        try {
+            await activate(projectName, service, !previous, false);
+        } catch (restoreError) {
+            logger.error(`Version précédente de ${serviceName} non redémarrée: ${restoreError.message}`, { project: projectName });
+        }
+        fs.rmSync(releaseDir, { recursive: true, force: true });
+        throw new Error(`Version ${release} de ${serviceName} en échec, retour ${previous ? `à la version ${previous}` : 'au dossier source'} : ${error.message}`);
+    }
+
+    // Première version : les scripts du projet (start.sh…) lancent désormais le service depuis current
+    if (!previous) {
+        scripts.generateScripts(projectName);
+    }
+
+    const removed = pruneReleases(projectName, service);
+    logger.success(`${projectName}/${serviceName} : version ${release} active${reloaded ? '' : ' (service arrêté)'}`, { project: projectName });
+    return { release, previous, reloaded, removed };
+}
+
+/**
+ * Réserve les versions d'un service le temps d'un déploiement ou d'un retour en arrière
+ * (verrou partagé par la CLI et le serveur Web)
+ * @param {string} projectName
+ * @param {string} serviceName
+ * @returns {Function} - Libère le verrou
+ */
+export function acquireLock(projectName, serviceName) {
+    const releasesPath = getReleasesPath(projectName, serviceName);
+    const lockPath = path.join(releasesPath, '.deploy.lock');
+    fs.mkdirSync(releasesPath, { recursive: true });
+
+    try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+        if (shell.processExists(parseInt(fs.readFileSync(lockPath, 'utf8')))) {
+            throw new Error(`Un déploiement ou un retour en arrière de ${serviceName} est déjà en cours`);
+        }
+        // Verrou d'un processus arrêté en cours de déploiement : repris
+        fs.writeFileSync(lockPath, String(process.pid));
+    }
+
+    return () => fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Revient à une version précédente d'un service, sous le verrou des déploiements (refusé pendant un déploiement)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string|null} releaseId - Version cible (par défaut celle qui précède la version active)
+ * @returns {Promise<{release: string, previous: string, reloaded: boolean}>}
+ */
+export async function rollbackService(projectName, serviceName, releaseId = null) {
+    const service = services.getService(projectName, serviceName);
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    const unlock = acquireLock(projectName, serviceName);
+    try {
+        return await switchBack(projectName, service, releaseId);
+    } finally {
+        unlock();
+    }
+}
+
+/**
+ * Retour en arrière, verrou pris
+ * @param {string} projectName
+ * @param {object} service
+ * @param {string|null} releaseId
+ * @returns {Promise<{release: string, previous: string, reloaded: boolean}>}
+ */
+async function switchBack(projectName, service, releaseId) {
+    const serviceName = service.name;
+    const current = getCurrentRelease(projectName, serviceName);
+    if (!current) {
+        throw new Error(`Aucune version déployée pour ${serviceName}`);
+    }
+
+    const releases = listReleases(projectName, serviceName);
+    const target = releaseId || releases.find(release => release.id < current)?.id;
+    if (!target) {
+        throw new Error(`Aucune version antérieure à ${current} pour ${serviceName}`);
+    }
+    if (!releases.some(release => release.id === target)) {
+        throw new Error(`Version ${target} introuvable pour ${serviceName}`);
+    }
+    if (target === current) {
+        throw new Error(`La version ${target} est déjà active`);
+    }
+
+    switchRelease(projectName, serviceName, target);
+    let reloaded;
+    try {
+        reloaded = await activate(projectName, service, false);
+    } catch (error) {
+        switchRelease(projectName, serviceName, current);
+        try {
+            await activate(projectName, service, false, false);
+        } catch (restoreError) {
+            logger.error(`Version ${current} de ${serviceName} non redémarrée: ${restoreError.message}`, { project: projectName });
+        }
+        throw new Error(`Retour à la version ${target} de ${serviceName} en échec, version ${current} rétablie : ${error.message}`);
+    }
+
+    logger.success(`${projectName}/${serviceName} : retour à la version ${target}`, { project: projectName });
+    return { release: target, previous: current, reloaded };
+}
+
+/**
+ * Supprime les versions d'un service (suppression du service)
+ * @param {string} projectName
+ * @param {string} serviceName
+ */
+export function removeReleases(projectName, serviceName) {
+    fs.rmSync(getReleasesPath(projectName, serviceName), { recursive: true, force: true });
+}
+
+export default {
+    DEFAULT_KEEP_RELEASES,
+    getReleasesPath,
+    getRunDirectory,
+    getCurrentRelease,
+    listReleases,
+    normalizeKeepReleases,
+    getDeployCommands,
+    deployService,
+    acquireLock,
+    rollbackService,
+    removeReleases
+};
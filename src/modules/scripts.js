@@ -1,20 +1,300 @@
 /**
- * Module de génération des scripts start.sh et stop.sh
+ * Module de génération des scripts start.sh et stop.sh et du fichier ecosystem PM2
+ * (les projets exécutés par systemd utilisent systemctl à la place de PM2)
  */
 
 import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS } from '../config/constants.js';
+import { fileURLToPath } from 'url';
+import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS, PM2_CONFIG } from '../config/constants.js';
 import projects from './projects.js';
-import logger from '../utils/logger.js';
+import environment from './environment.js';
+import quotas from './quotas.js';
+import serviceGraph from './serviceGraph.js';
+import releases from './releases.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('scripts');
+
+// Options de node qui attendent une valeur séparée (ex: node -r dotenv/config server.js)
+const NODE_VALUE_FLAGS = ['-r', '--require', '--import', '--loader'];
+
+// Date écrite par PM2 en tête de chaque ligne de log (relue par l'archivage des logs)
+const LOG_DATE_FORMAT = 'YYYY-MM-DDTHH:mm:ss.SSSZ';
+
+// Attente maximale (secondes) d'une dépendance dans start.sh
+const DEPENDENCY_WAIT = 60;
+
+// Point d'entrée de la CLI (appelé par deploy.sh)
+const CLI_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * Protège une chaîne pour l'insérer dans un script bash
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Découpe une commande en arguments (guillemets simples, doubles et antislash) sans passer par un shell
+ * @param {string} command - Commande du service (ex: node server.js --port 3000)
+ * @returns {Array<string>}
+ */
+export function parseCommand(command) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let inArg = false;
+
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            } else if (char === '\\' && quote === '"' && i + 1 < command.length) {
+                current += command[++i];
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inArg = true;
+        } else if (char === '\\' && i + 1 < command.length) {
+            current += command[++i];
+            inArg = true;
+        } else if (/\s/.test(char)) {
+            if (inArg) {
+                args.push(current);
+                current = '';
+                inArg = false;
+            }
+        } else {
+            current += char;
+            inArg = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`Guillemet non fermé dans la commande: ${command}`);
+    }
+    if (inArg) {
+        args.push(current);
+    }
+    if (args.length === 0) {
+        throw new Error('La commande du service est vide');
+    }
+    return args;
+}
+
+/**
+ * Fichiers de logs PM2 d'un service (sortie standard et d'erreur)
+ * @param {string} pm2Name - Nom du processus
+ * @returns {{stdout: string, stderr: string}}
+ */
+export function getPm2LogFiles(pm2Name) {
+    return {
+        stdout: path.join(PM2_CONFIG.logPath, `${pm2Name}-out.log`),
+        stderr: path.join(PM2_CONFIG.logPath, `${pm2Name}-error.log`)
+    };
+}
+
+/**
+ * Construit l'entrée PM2 d'un service pour le fichier ecosystem
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Variables d'environnement du service
+ * @returns {object}
+ */
+export function buildEcosystemApp(projectName, service, env = {}) {
+    const [program, ...rest] = parseCommand(service.command || '');
+    const pm2Name = service.pm2Name || `${projectName}-${service.name}`;
+    const execMode = service.execMode || 'fork';
+
+    // Les scripts Node sont lancés par l'interpréteur node de PM2 (requis pour le mode cluster),
+    // les autres commandes sont exécutées directement
+    let launch;
+    if (path.basename(program) === 'node') {
+        let index = 0;
+        while (index < rest.length && rest[index].startsWith('-')) {
+            index += NODE_VALUE_FLAGS.includes(rest[index]) ? 2 : 1;
+        }
+        if (index >= rest.length) {
+            throw new Error(`Aucun script dans la commande node du service ${service.name}: ${service.command}`);
+        }
+        launch = { script: rest[index], interpreter: 'node', node_args: rest.slice(0, index), args: rest.slice(index + 1) };
+    } else if (/\.[cm]?js$/.test(program)) {
+        launch = { script: program, interpreter: 'node', node_args: [], args: rest };
+    } else {
+        launch = { script: program, interpreter: 'none', node_args: [], args: rest };
+    }
+
+    if (execMode === 'cluster' && launch.interpreter !== 'node') {
+        throw new Error(`Le mode cluster du service ${service.name} nécessite une commande "node <script>" (commande actuelle: ${service.command})`);
+    }
+
+    const logFiles = getPm2LogFiles(pm2Name);
+    const app = {
+        name: pm2Name,
+        cwd: releases.getRunDirectory(projectName, service),
+        script: launch.script,
+        args: launch.args,
+        interpreter: launch.interpreter,
+        exec_mode: execMode,
+        instances: service.instances || 1,
+        watch: !!service.watch,
+        env,
+        out_file: logFiles.stdout,
+        error_file: logFiles.stderr,
+        merge_logs: true,
+        log_date_format: LOG_DATE_FORMAT
+    };
+
+    // PM2 (démon root) lance le service avec l'utilisateur du projet (HOME est imposé par PM2 : dossier du compte)
+    const user = projects.getServiceUser(projectName);
+    if (user) {
+        app.uid = user.name;
+        app.gid = user.group;
+        app.env = { USER: user.name, ...env };
+    }
+
+    if (launch.node_args.length > 0) {
+        app.node_args = launch.node_args;
+    }
+    // Sans slice systemd, la limite mémoire du projet s'applique à chaque processus PM2
+    const memoryLimit = projects.loadProjectConfig(projectName).limits?.memory;
+    const maxMemory = [service.maxMemoryRestart, memoryLimit].filter(Boolean)
+        .sort((a, b) => quotas.parseSize(a) - quotas.parseSize(b))[0];
+    if (maxMemory) {
+        app.max_memory_restart = maxMemory;
+    }
+    if (app.watch) {
+        app.ignore_watch = ['node_modules', '.git', '.env'];
+    }
+
+    return app;
+}
+
+/**
+ * Chemin du fichier ecosystem PM2 d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getEcosystemPath(projectName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.scripts, SCRIPTS.ecosystem);
+}
+
+/**
+ * Écrit le fichier ecosystem.config.cjs d'un projet avec les variables à jour.
+ * Il contient les secrets déchiffrés : il est réservé à root (mode 600).
+ * @param {string} projectName - Nom du projet
+ * @returns {string} - Chemin du fichier
+ */
+export function writeEcosystemFile(projectName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const ecosystemPath = getEcosystemPath(projectName);
+    const apps = [];
+
+    for (const service of projectConfig.services || []) {
+        try {
+            apps.push(buildEcosystemApp(projectName, service, environment.resolveServiceEnv(projectName, service.name)));
+        } catch (error) {
+            logger.warn(`Service ${service.name} ignoré dans l'ecosystem de ${projectName}: ${error.message}`, { project: projectName });
+        }
+    }
+
+    fs.mkdirSync(path.dirname(ecosystemPath), { recursive: true });
+    try {
+        fs.mkdirSync(PM2_CONFIG.logPath, { recursive: true });
+    } catch {
+        // PM2 utilisera son dossier de logs par défaut
+    }
+
+    const content = `// ============================================
+// Configuration PM2 des services
+// Projet: ${projectName}
+// Généré automatiquement - Ne pas modifier
+// ============================================
+
+module.exports = ${JSON.stringify({ apps }, null, 4)};
+`;
+    fs.writeFileSync(ecosystemPath, content, { mode: 0o600 });
+    fs.chmodSync(ecosystemPath, 0o600);
+    logger.debug(`Ecosystem créé: ${ecosystemPath}`);
+
+    return ecosystemPath;
+}
+
+/**
+ * Vérification du gestionnaire de processus en tête des scripts
+ * @param {string} backend - pm2 ou systemd
+ * @param {boolean} installHint - Indiquer comment installer PM2
+ * @returns {string}
+ */
+function requirementCheck(backend, installHint = false) {
+    if (backend === 'systemd') {
+        return `# Vérifier si systemd est disponible
+if ! command -v systemctl &> /dev/null; then
+    echo "ERREUR: systemctl est introuvable"
+    exit 1
+fi
+`;
+    }
+
+    return `# Vérifier si PM2 est installé
+if ! command -v pm2 &> /dev/null; then
+    echo "ERREUR: PM2 n'est pas installé"
+${installHint ? '    echo "Installez-le avec: npm install -g pm2"\n' : ''}    exit 1
+fi
+`;
+}
+
+/**
+ * Nom de l'unité systemd d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function serviceUnit(projectName, service) {
+    return `twoine-${projectName}-${service.name}.service`;
+}
 
 /**
- * Génère le contenu du script start.sh
+ * Commande bash qui réussit quand un service est prêt (vérification de santé, sinon processus en ligne).
+ * Les valeurs de la vérification sont des arguments des fonctions check_http et check_tcp du script,
+ * jamais insérées dans du code bash.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {string} backend - pm2 ou systemd
+ * @returns {string}
+ */
+function readinessCommand(projectName, service, backend) {
+    const check = service.healthCheck;
+    if (check?.type === 'http') {
+        return `check_http ${[check.host, check.port, check.path, check.expectedStatus, check.timeout].map(shellQuote).join(' ')}`;
+    }
+    if (check?.type === 'tcp') {
+        return `check_tcp ${[check.host, check.port, check.timeout].map(shellQuote).join(' ')}`;
+    }
+    if (check?.type === 'command') {
+        const user = projects.getServiceUser(projectName);
+        const command = `cd ${shellQuote(releases.getRunDirectory(projectName, service))} && ${check.command}`;
+        return `timeout ${check.timeout} ${user ? `runuser -u ${user.name} -- ` : ''}bash -c ${shellQuote(command)}`;
+    }
+    return backend === 'systemd'
+        ? `systemctl is-active --quiet "${serviceUnit(projectName, service)}"`
+        : `bash -c 'pm2 pid "$0" | grep -q "^[1-9]"' ${shellQuote(`${projectName}-${service.name}`)}`;
+}
+
+/**
+ * Génère le contenu du script start.sh (services dans l'ordre de leurs dépendances)
  * @param {string} projectName - Nom du projet
  * @param {Array} services - Liste des services
  * @returns {string}
  */
-function generateStartScript(projectName, services) {
+function generateStartScript(projectName, services, backend = 'pm2') {
     let script = `#!/bin/bash
 # ============================================
 # Script de démarrage des services
@@ -29,13 +309,33 @@ echo "  Démarrage des services: ${projectName}"
 echo "=========================================="
 echo ""
 
-# Vérifier si PM2 est installé
-if ! command -v pm2 &> /dev/null; then
-    echo "ERREUR: PM2 n'est pas installé"
-    echo "Installez-le avec: npm install -g pm2"
+${requirementCheck(backend, true)}
+# Attend qu'un service dont d'autres dépendent soit prêt
+wait_ready() {
+    local name="$1"
+    shift
+    echo "  → Attente de $name..."
+    for _ in $(seq 1 ${DEPENDENCY_WAIT}); do
+        if "$@" &> /dev/null; then
+            echo "  ✔ $name prêt"
+            return 0
+        fi
+        sleep 1
+    done
+    echo "  ✗ $name n'est pas prêt après ${DEPENDENCY_WAIT} s"
     exit 1
-fi
+}
+
+# Vérifications de santé (hôte, port, chemin… reçus en arguments)
+check_http() {
+    local host="$1" port="$2" path="$3" expected="$4" delay="$5"
+    [ "$(curl -s -o /dev/null -m "$delay" -w '%{http_code}' "http://$host:$port$path")" = "$expected" ]
+}
 
+check_tcp() {
+    local host="$1" port="$2" delay="$3"
+    timeout "$delay" bash -c 'exec 3<>"/dev/tcp/$0/$1"' "$host" "$port"
+}
 `;
 
     if (services.length === 0) {
@@ -46,28 +346,52 @@ fi
             const pm2Name = `${projectName}-${service.name}`;
             script += `# Service: ${service.name}\n`;
             script += `echo "Démarrage de ${service.name}..."\n`;
-            script += `cd "${service.directory}"\n`;
+            script += `cd "${releases.getRunDirectory(projectName, service)}"\n`;
             
             // Avertissement si la commande semble être un build
             if (service.command && (service.command.includes('build') || service.command.includes('tsc'))) {
-                script += `echo "⚠ ATTENTION: La commande '${service.command}' semble être un build"\n`;
-                script += `echo "⚠ PM2 va redémarrer en boucle car le build se termine"\n`;
+                script += `echo ${shellQuote(`⚠ ATTENTION: La commande '${service.command}' semble être un build`)}\n`;
+                script += `echo "⚠ ${backend === 'systemd' ? 'systemd' : 'PM2'} va redémarrer en boucle car le build se termine"\n`;
                 script += `echo "⚠ Utilisez 'npm start' ou 'npx vite preview' pour un serveur"\n`;
                 script += `echo ""\n`;
             }
             
-            script += `pm2 start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}" 2>/dev/null || pm2 restart "${pm2Name}"\n`;
-            script += `echo "  ✔ ${service.name} démarré"\n`;
+            if (backend === 'systemd') {
+                // L'unité et ses variables sont écrites par Twoine au premier démarrage du service
+                const unit = serviceUnit(projectName, service);
+                script += `if systemctl cat "${unit}" &> /dev/null; then\n`;
+                script += `    systemctl enable --quiet "${unit}"\n`;
+                script += `    systemctl restart "${unit}"\n`;
+                script += `    echo "  ✔ ${service.name} démarré"\n`;
+                script += `else\n`;
+                script += `    echo "  ✗ Unité ${unit} absente : démarrez ${service.name} une première fois depuis Twoine"\n`;
+                script += `fi\n`;
+            } else {
+                // Commande, options et variables du service sont lues dans le fichier ecosystem
+                script += `pm2 startOrRestart "${getEcosystemPath(projectName)}" --only "${pm2Name}" --update-env\n`;
+                script += `echo "  ✔ ${service.name} démarré"\n`;
+            }
+
+            if (serviceGraph.dependentsOf(services, service.name).length > 0) {
+                script += `wait_ready "${service.name}" ${readinessCommand(projectName, service, backend)}\n`;
+            }
             script += `echo ""\n\n`;
         }
 
-        script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        if (backend !== 'systemd') {
+            script += `# Sauvegarder la configuration PM2\n`;
+            script += `pm2 save\n\n`;
+        }
         script += `echo "=========================================="
 echo "  Tous les services ont été démarrés"
 echo "=========================================="
 echo ""
-echo "Utilisez 'pm2 status' pour voir l'état des services"
+`;
+        script += backend === 'systemd'
+            ? `echo "Utilisez './scripts/status.sh' pour voir l'état des services"
+echo "Utilisez 'journalctl -u twoine-${projectName}-<service>' pour voir les logs"
+`
+            : `echo "Utilisez 'pm2 status' pour voir l'état des services"
 echo "Utilisez 'pm2 logs' pour voir les logs"
 `;
     }
@@ -76,12 +400,12 @@ echo "Utilisez 'pm2 logs' pour voir les logs"
 }
 
 /**
- * Génère le contenu du script stop.sh
+ * Génère le contenu du script stop.sh (ordre inverse du démarrage)
  * @param {string} projectName - Nom du projet
  * @param {Array} services - Liste des services
  * @returns {string}
  */
-function generateStopScript(projectName, services) {
+function generateStopScript(projectName, services, backend = 'pm2') {
     let script = `#!/bin/bash
 # ============================================
 # Script d'arrêt des services
@@ -96,29 +420,30 @@ echo "  Arrêt des services: ${projectName}"
 echo "=========================================="
 echo ""
 
-# Vérifier si PM2 est installé
-if ! command -v pm2 &> /dev/null; then
-    echo "ERREUR: PM2 n'est pas installé"
-    exit 1
-fi
-
+${requirementCheck(backend)}
 `;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
         script += `exit 0\n`;
     } else {
-        for (const service of services) {
+        for (const service of [...services].reverse()) {
             const pm2Name = `${projectName}-${service.name}`;
             script += `# Service: ${service.name}\n`;
             script += `echo "Arrêt de ${service.name}..."\n`;
-            script += `pm2 stop "${pm2Name}" 2>/dev/null || echo "  (non actif)"\n`;
+            if (backend === 'systemd') {
+                script += `systemctl disable --now "${serviceUnit(projectName, service)}" 2>/dev/null || echo "  (non actif)"\n`;
+            } else {
+                script += `pm2 stop "${pm2Name}" 2>/dev/null || echo "  (non actif)"\n`;
+            }
             script += `echo "  ✔ ${service.name} arrêté"\n`;
             script += `echo ""\n\n`;
         }
 
-        script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        if (backend !== 'systemd') {
+            script += `# Sauvegarder la configuration PM2\n`;
+            script += `pm2 save\n\n`;
+        }
         script += `echo "=========================================="
 echo "  Tous les services ont été arrêtés"
 echo "=========================================="
@@ -134,7 +459,7 @@ echo "=========================================="
  * @param {Array} services - Liste des services
  * @returns {string}
  */
-function generateRestartScript(projectName, services) {
+function generateRestartScript(projectName, services, backend = 'pm2') {
     let script = `#!/bin/bash
 # ============================================
 # Script de redémarrage des services
@@ -149,12 +474,7 @@ echo "  Redémarrage des services: ${projectName}"
 echo "=========================================="
 echo ""
 
-# Vérifier si PM2 est installé
-if ! command -v pm2 &> /dev/null; then
-    echo "ERREUR: PM2 n'est pas installé"
-    exit 1
-fi
-
+${requirementCheck(backend)}
 `;
 
     if (services.length === 0) {
@@ -165,13 +485,19 @@ fi
             const pm2Name = `${projectName}-${service.name}`;
             script += `# Service: ${service.name}\n`;
             script += `echo "Redémarrage de ${service.name}..."\n`;
-            script += `pm2 restart "${pm2Name}" 2>/dev/null || echo "  (démarrage initial...)"\n`;
+            if (backend === 'systemd') {
+                script += `systemctl restart "${serviceUnit(projectName, service)}" 2>/dev/null || echo "  (unité absente : démarrez le service depuis Twoine)"\n`;
+            } else {
+                script += `pm2 restart "${getEcosystemPath(projectName)}" --only "${pm2Name}" --update-env 2>/dev/null || echo "  (démarrage initial...)"\n`;
+            }
             script += `echo "  ✔ ${service.name} redémarré"\n`;
             script += `echo ""\n\n`;
         }
 
-        script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        if (backend !== 'systemd') {
+            script += `# Sauvegarder la configuration PM2\n`;
+            script += `pm2 save\n\n`;
+        }
         script += `echo "=========================================="
 echo "  Tous les services ont été redémarrés"
 echo "=========================================="
@@ -182,9 +508,10 @@ echo "=========================================="
 }
 
 /**
- * Génère un script de déploiement
+ * Génère un script de déploiement : chaque service est déployé par Twoine dans une nouvelle version
+ * (releases/<service>/<version>), puis le lien current bascule et le service est rechargé
  * @param {string} projectName - Nom du projet
- * @param {Array} services - Liste des services
+ * @param {Array} services - Liste des services (ordre des dépendances)
  * @returns {string}
  */
 function generateDeployScript(projectName, services) {
@@ -194,115 +521,46 @@ function generateDeployScript(projectName, services) {
 # Projet: ${projectName}
 # Généré automatiquement - Ne pas modifier
 # ============================================
+# Usage: ./scripts/deploy.sh [service]
 
 set -e
 
+# Twoine crée les versions avec l'utilisateur du projet et pilote les services : root requis
+if [ "$(id -u)" != "0" ]; then
+    exec sudo "$0" "$@"
+fi
+
 echo "=========================================="
 echo "  Déploiement: ${projectName}"
 echo "=========================================="
 echo ""
 
-# Fonction pour corriger les permissions
-fix_permissions() {
-    local dir="$1"
-    local user="$2"
-    
-    echo "Correction des permissions pour: $dir"
-    
-    # Vérifier si on a les droits sudo
-    if sudo -n true 2>/dev/null; then
-        echo "  → Changement du propriétaire..."
-        sudo chown -R "$user:$user" "$dir"
-        echo "  → Ajustement des permissions..."
-        sudo chmod -R u+rwX,g+rX,o+rX "$dir"
-        echo "  ✔ Permissions corrigées"
-    else
-        echo "  ⚠ Sudo requis pour corriger les permissions"
-        echo "  Exécutez: sudo chown -R $user:$user $dir"
-        exit 1
-    fi
+deploy_service() {
+    ${shellQuote(process.execPath)} ${shellQuote(CLI_PATH)} service deploy ${shellQuote(projectName)} "$1"
+    echo ""
 }
 
 `;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
-    } else {
-        script += `# Déploiement de chaque service\n`;
-        script += `CURRENT_USER=$(whoami)\n\n`;
-        
-        for (const service of services) {
-            const runtime = service.runtime || 'nodejs';
-            script += `# Service: ${service.name} (${runtime})\n`;
-            script += `echo "Déploiement de ${service.name} (${runtime})..."\n`;
-            script += `cd "${service.directory}"\n\n`;
-            
-            script += `# Vérifier et corriger les permissions si nécessaire\n`;
-            script += `if [ ! -w "${service.directory}" ]; then\n`;
-            script += `    echo "  ⚠ Permissions insuffisantes"\n`;
-            script += `    fix_permissions "${service.directory}" "$CURRENT_USER"\n`;
-            script += `fi\n\n`;
-            
-            // Installation des dépendances selon le runtime
-            if (runtime === 'nodejs') {
-                script += `# Installer les dépendances Node.js\n`;
-                script += `if [ -f "package.json" ]; then\n`;
-                script += `    echo "  → Installation des dépendances npm..."\n`;
-                script += `    npm install || {\n`;
-                script += `        echo "  ✗ Erreur lors de npm install"\n`;
-                script += `        echo "  Tentative de correction des permissions..."\n`;
-                script += `        fix_permissions "${service.directory}" "$CURRENT_USER"\n`;
-                script += `        npm install || exit 1\n`;
-                script += `    }\n`;
-                script += `    echo "  ✔ Dépendances installées"\n`;
-                script += `fi\n\n`;
-                
-                script += `# Build si nécessaire\n`;
-                script += `if grep -q '"build"' package.json 2>/dev/null; then\n`;
-                script += `    echo "  → Build de l'application..."\n`;
-                script += `    npm run build 2>/dev/null || echo "  (pas de build configuré)"\n`;
-                script += `fi\n\n`;
-            } else if (runtime === 'python') {
-                script += `# Installer les dépendances Python\n`;
-                script += `if [ -f "requirements.txt" ]; then\n`;
-                script += `    echo "  → Installation des dépendances Python..."\n`;
-                script += `    python3 -m pip install -r requirements.txt --user || {\n`;
-                script += `        echo "  ✗ Erreur lors de l'installation des dépendances"\n`;
-                script += `        exit 1\n`;
-                script += `    }\n`;
-                script += `    echo "  ✔ Dépendances Python installées"\n`;
-                script += `else\n`;
-                script += `    echo "  ℹ Aucun fichier requirements.txt trouvé"\n`;
-                script += `fi\n\n`;
-            } else if (runtime === 'php') {
-                script += `# Installer les dépendances PHP (Composer)\n`;
-                script += `if [ -f "composer.json" ]; then\n`;
-                script += `    if command -v composer &> /dev/null; then\n`;
-                script += `        echo "  → Installation des dépendances Composer..."\n`;
-                script += `        composer install --no-dev --optimize-autoloader || {\n`;
-                script += `            echo "  ✗ Erreur lors de composer install"\n`;
-                script += `            exit 1\n`;
-                script += `        }\n`;
-                script += `        echo "  ✔ Dépendances Composer installées"\n`;
-                script += `    else\n`;
-                script += `        echo "  ⚠ Composer n'est pas installé"\n`;
-                script += `    fi\n`;
-                script += `else\n`;
-                script += `    echo "  ℹ Aucun fichier composer.json trouvé"\n`;
-                script += `fi\n\n`;
-            }
-            
-            script += `echo "  ✔ ${service.name} déployé"\n`;
-            script += `echo ""\n\n`;
-        }
-        
-        script += `echo "=========================================="\n`;
-        script += `echo "  Déploiement terminé"\n`;
-        script += `echo "=========================================="\n`;
-        script += `echo ""\n`;
-        script += `echo "Utilisez './scripts/start.sh' pour démarrer les services"\n`;
+        return script;
     }
 
+    script += `if [ -n "$1" ]; then\n`;
+    script += `    deploy_service "$1"\n`;
+    script += `else\n`;
+    for (const service of services) {
+        script += `    deploy_service ${shellQuote(service.name)}\n`;
+    }
+    script += `fi\n\n`;
+
+    script += `echo "=========================================="\n`;
+    script += `echo "  Déploiement terminé"\n`;
+    script += `echo "=========================================="\n`;
+    script += `echo ""\n`;
+    script += `echo "Revenir à la version précédente : twoine service rollback ${projectName} <service>"\n`;
+
     return script;
 }
 
@@ -312,7 +570,7 @@ fix_permissions() {
  * @param {Array} services - Liste des services
  * @returns {string}
  */
-function generateStatusScript(projectName, services) {
+function generateStatusScript(projectName, services, backend = 'pm2') {
     let script = `#!/bin/bash
 # ============================================
 # Script de statut des services
@@ -325,18 +583,17 @@ echo "  Statut des services: ${projectName}"
 echo "=========================================="
 echo ""
 
-# Vérifier si PM2 est installé
-if ! command -v pm2 &> /dev/null; then
-    echo "ERREUR: PM2 n'est pas installé"
-    exit 1
-fi
-
+${requirementCheck(backend)}
 `;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
     } else {
         script += `# Afficher le statut de tous les services du projet\n`;
+        if (backend === 'systemd') {
+            script += `systemctl list-units --all --no-pager ${services.map(s => `"${serviceUnit(projectName, s)}"`).join(' ')}\n`;
+            return script;
+        }
         script += `pm2 list | grep -E "(${services.map(s => `${projectName}-${s.name}`).join('|')}|Name|─)" || echo "Aucun service actif"\n`;
     }
 
@@ -350,7 +607,8 @@ fi
  */
 export function generateScripts(projectName) {
     const projectConfig = projects.loadProjectConfig(projectName);
-    const services = projectConfig.services || [];
+    const services = serviceGraph.sortServices(projectConfig.services || []);
+    const backend = projectConfig.backend || 'pm2';
     const scriptsPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.scripts);
 
     // S'assurer que le dossier scripts existe
@@ -358,30 +616,38 @@ export function generateScripts(projectName) {
         fs.mkdirSync(scriptsPath, { recursive: true });
     }
 
+    // Générer ecosystem.config.cjs (utilisé par start.sh, restart.sh et les actions de service)
+    // Avec systemd, les variables sont dans les fichiers des unités : l'ancien ecosystem est supprimé
+    if (backend === 'systemd') {
+        fs.rmSync(getEcosystemPath(projectName), { force: true });
+    } else {
+        writeEcosystemFile(projectName);
+    }
+
     // Générer start.sh
     const startScriptPath = path.join(scriptsPath, SCRIPTS.start);
-    const startContent = generateStartScript(projectName, services);
+    const startContent = generateStartScript(projectName, services, backend);
     fs.writeFileSync(startScriptPath, startContent);
     fs.chmodSync(startScriptPath, '755');
     logger.debug(`Script créé: ${startScriptPath}`);
 
     // Générer stop.sh
     const stopScriptPath = path.join(scriptsPath, SCRIPTS.stop);
-    const stopContent = generateStopScript(projectName, services);
+    const stopContent = generateStopScript(projectName, services, backend);
     fs.writeFileSync(stopScriptPath, stopContent);
     fs.chmodSync(stopScriptPath, '755');
     logger.debug(`Script créé: ${stopScriptPath}`);
 
     // Générer restart.sh
     const restartScriptPath = path.join(scriptsPath, 'restart.sh');
-    const restartContent = generateRestartScript(projectName, services);
+    const restartContent = generateRestartScript(projectName, services, backend);
     fs.writeFileSync(restartScriptPath, restartContent);
     fs.chmodSync(restartScriptPath, '755');
     logger.debug(`Script créé: ${restartScriptPath}`);
 
     // Générer status.sh
     const statusScriptPath = path.join(scriptsPath, 'status.sh');
-    const statusContent = generateStatusScript(projectName, services);
+    const statusContent = generateStatusScript(projectName, services, backend);
     fs.writeFileSync(statusScriptPath, statusContent);
     fs.chmodSync(statusScriptPath, '755');
     logger.debug(`Script créé: ${statusScriptPath}`);
@@ -428,11 +694,17 @@ export function getScriptsPaths(projectName) {
         stop: path.join(scriptsPath, SCRIPTS.stop),
         restart: path.join(scriptsPath, 'restart.sh'),
         status: path.join(scriptsPath, 'status.sh'),
-        deploy: path.join(scriptsPath, 'deploy.sh')
+        deploy: path.join(scriptsPath, 'deploy.sh'),
+        ecosystem: path.join(scriptsPath, SCRIPTS.ecosystem)
     };
 }
 
 export default {
+    parseCommand,
+    getPm2LogFiles,
+    buildEcosystemApp,
+    getEcosystemPath,
+    writeEcosystemFile,
     generateScripts,
     regenerateAllScripts,
     getScriptsPaths
@@ -0,0 +1,94 @@
+/**
+ * Module des dépendances entre services d'un projet
+ *
+ * Un service peut déclarer les services dont il dépend (dependsOn) : ils sont démarrés avant lui
+ * et arrêtés après lui. Les dépendances circulaires sont refusées.
+ */
+
+/**
+ * Valide la liste des dépendances d'un service
+ * @param {Array<string>|null} dependsOn - Noms des services dont il dépend
+ * @param {string} serviceName - Nom du service
+ * @returns {Array<string>}
+ */
+export function normalizeDependsOn(dependsOn, serviceName) {
+    if (dependsOn === null || dependsOn === undefined) {
+        return [];
+    }
+    if (!Array.isArray(dependsOn) || dependsOn.some(name => typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name))) {
+        throw new Error('dependsOn doit être une liste de noms de services');
+    }
+    if (dependsOn.includes(serviceName)) {
+        throw new Error(`Le service ${serviceName} ne peut pas dépendre de lui-même`);
+    }
+    return [...new Set(dependsOn)];
+}
+
+/**
+ * Vérifie que les dépendances des services existent dans le projet
+ * @param {Array} services - Services du projet
+ */
+export function checkDependencies(services) {
+    const names = new Set(services.map(service => service.name));
+    for (const service of services) {
+        const missing = (service.dependsOn || []).filter(name => !names.has(name));
+        if (missing.length > 0) {
+            throw new Error(`Service ${service.name} : dépendance(s) inconnue(s) ${missing.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Trie les services dans l'ordre de démarrage : chaque service après ses dépendances,
+ * l'ordre de déclaration étant conservé autant que possible.
+ * Les dépendances absentes de la liste sont ignorées.
+ * @param {Array} services
+ * @returns {Array} - Nouvelle liste
+ */
+export function sortServices(services) {
+    const byName = new Map(services.map(service => [service.name, service]));
+    const visited = new Set();
+    const path = [];
+    const ordered = [];
+
+    const visit = service => {
+        if (visited.has(service.name)) {
+            return;
+        }
+        const index = path.indexOf(service.name);
+        if (index !== -1) {
+            throw new Error(`Dépendance circulaire entre services : ${[...path.slice(index), service.name].join(' → ')}`);
+        }
+
+        path.push(service.name);
+        for (const name of service.dependsOn || []) {
+            if (byName.has(name)) {
+                visit(byName.get(name));
+            }
+        }
+        path.pop();
+
+        visited.add(service.name);
+        ordered.push(service);
+    };
+
+    services.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Services qui dépendent directement d'un service
+ * @param {Array} services
+ * @param {string} serviceName
+ * @returns {Array}
+ */
+export function dependentsOf(services, serviceName) {
+    return services.filter(service => (service.dependsOn || []).includes(serviceName));
+}
+
+export default {
+    normalizeDependsOn,
+    checkDependencies,
+    sortServices,
+    dependentsOf
+};
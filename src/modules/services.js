@@ -4,19 +4,93 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
 import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
 import projects from './projects.js';
+import environment from './environment.js';
+import scripts from './scripts.js';
+import processManager from './processManager.js';
+import systemd from './systemd.js';
+import quotas from './quotas.js';
+import healthChecks from './healthChecks.js';
+import logArchive from './logArchive.js';
+import serviceGraph from './serviceGraph.js';
+import releases from './releases.js';
+import deployments from './deployments.js';
+import jobs from './jobs.js';
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('services');
+
+// Modes d'exécution PM2
+const EXEC_MODES = ['fork', 'cluster'];
+
+// Backends d'exécution des services (choisi par projet, PM2 par défaut)
+export const SERVICE_BACKENDS = ['pm2', 'systemd'];
+
+// Utilisateur qui exécute les services : celui du projet (sftp_<projet>) ou root (projets non migrés)
+export const RUN_AS_MODES = ['project', 'root'];
+
+// Délai maximal d'attente d'une dépendance au démarrage de tous les services
+const DEPENDENCY_TIMEOUT = 60 * 1000;
+
+/**
+ * Valide et applique les options d'exécution PM2 d'un service
+ * @param {object} service - Service à modifier
+ * @param {object} options
+ * @param {string} options.execMode - fork ou cluster
+ * @param {number|string} options.instances - Nombre d'instances ou "max" (un par cœur)
+ * @param {string|null} options.maxMemoryRestart - Mémoire au-delà de laquelle PM2 redémarre (ex: 512M)
+ * @param {boolean} options.watch - Redémarrer à chaque modification de fichier
+ */
+function applyProcessOptions(service, { execMode, instances, maxMemoryRestart, watch }) {
+    if (execMode !== undefined) {
+        if (!EXEC_MODES.includes(execMode)) {
+            throw new Error(`Mode d'exécution invalide. Choisissez parmi: ${EXEC_MODES.join(', ')}`);
+        }
+        service.execMode = execMode;
+    }
+
+    if (instances !== undefined) {
+        if (instances !== 'max' && !(Number.isInteger(Number(instances)) && Number(instances) >= 1)) {
+            throw new Error('Le nombre d\'instances doit être un entier positif ou "max"');
+        }
+        service.instances = instances === 'max' ? 'max' : Number(instances);
+    }
+
+    if (maxMemoryRestart !== undefined) {
+        if (maxMemoryRestart && !/^\d+[KMG]$/i.test(maxMemoryRestart)) {
+            throw new Error('Limite mémoire invalide (ex: 300M, 1G)');
+        }
+        service.maxMemoryRestart = maxMemoryRestart ? maxMemoryRestart.toUpperCase() : null;
+    }
+
+    if (watch !== undefined) {
+        service.watch = !!watch;
+    }
+}
+
+/**
+ * Vérifie que les options d'exécution d'un service sont prises en charge par le backend du projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {string} backend - Backend à vérifier (par défaut celui du projet)
+ */
+function checkBackendOptions(projectName, service, backend = getProjectBackend(projectName)) {
+    if (backend === 'systemd' && ((service.execMode || 'fork') !== 'fork' || (service.instances ?? 1) !== 1)) {
+        throw new Error(`Service ${service.name} : le mode cluster et les instances multiples ne sont disponibles qu'avec PM2`);
+    }
+}
 
 /**
  * Ajoute un service à un projet
  * @param {string} projectName - Nom du projet
- * @param {object} serviceConfig - Configuration du service
- * @returns {object} - Service créé
+ * @param {object} serviceConfig - Configuration du service (git : dépôt cloné dans le dossier du service)
+ * @returns {Promise<object>} - Service créé
  */
-export function addService(projectName, serviceConfig) {
-    const { name, directory, command, description, setupCommands, runtime } = serviceConfig;
+export async function addService(projectName, serviceConfig) {
+    const { name, directory, command, description, setupCommands, runtime, envFile, execMode, instances, maxMemoryRestart, watch, healthCheck, dependsOn, keepReleases, logRetention, git } = serviceConfig;
 
     // Valider le nom du service
     if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
@@ -43,13 +117,6 @@ export function addService(projectName, serviceConfig) {
         ? directory
         : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, directory);
 
-    // Vérifier si le dossier du service existe
-    if (!fs.existsSync(servicePath)) {
-        // Créer le dossier s'il n'existe pas
-        fs.mkdirSync(servicePath, { recursive: true });
-        logger.info(`Dossier du service créé: ${servicePath}`);
-    }
-
     // Déterminer la commande par défaut selon le runtime
     let defaultCommand = 'npm start';
     if (selectedRuntime === 'python') {
@@ -68,10 +135,38 @@ export function addService(projectName, serviceConfig) {
         setupCommands: setupCommands || [],
         command: command || defaultCommand,
         description: description || '',
+        env: {},
+        envFile: !!envFile,
+        execMode: 'fork',
+        instances: 1,
+        maxMemoryRestart: null,
+        watch: false,
+        healthCheck: healthCheck ? healthChecks.normalizeHealthCheck(healthCheck) : null,
+        dependsOn: serviceGraph.normalizeDependsOn(dependsOn, name),
+        keepReleases: releases.normalizeKeepReleases(keepReleases ?? null),
+        logRetention: logArchive.normalizeLogRetention(logRetention ?? null),
+        git: git ? deployments.normalizeGit(git) : null,
         pm2Name: `${projectName}-${name}`,
         createdAt: new Date().toISOString()
     };
 
+    applyProcessOptions(service, { execMode, instances, maxMemoryRestart, watch });
+    checkBackendOptions(projectName, service);
+    scripts.buildEcosystemApp(projectName, service);
+    serviceGraph.checkDependencies([...projectConfig.services, service]);
+
+    // Vérifier si le dossier du service existe
+    if (!fs.existsSync(servicePath)) {
+        // Créer le dossier s'il n'existe pas
+        fs.mkdirSync(servicePath, { recursive: true });
+        logger.info(`Dossier du service créé: ${servicePath}`);
+    }
+
+    // Cloner le dépôt suivi (le service n'est pas créé si le dépôt est inaccessible)
+    if (service.git) {
+        await deployments.syncRepository(projectName, service);
+    }
+
     // Ajouter le service à la configuration
     projectConfig.services.push(service);
     projects.saveProjectConfig(projectName, projectConfig);
@@ -94,24 +189,18 @@ export async function removeService(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
     }
 
-    const service = projectConfig.services[serviceIndex];
-
-    // Arrêter le service s'il est en cours
-    try {
-        await stopService(projectName, serviceName);
-    } catch {
-        // Ignorer si le service n'est pas en cours
-    }
+    await unloadService(projectName, serviceName);
+    releases.removeReleases(projectName, serviceName);
+    deployments.removeDeployments(projectName, serviceName);
+    jobs.removeJobs(projectName, serviceName);
+    logArchive.removeArchive(projectName, serviceName);
 
-    // Supprimer de PM2
-    try {
-        await shell.pm2Command(`delete ${service.pm2Name}`);
-    } catch {
-        // Ignorer si le processus n'existe pas
-    }
-
-    // Retirer de la configuration
+    // Retirer de la configuration (les services qui en dépendaient ne l'attendent plus)
     projectConfig.services.splice(serviceIndex, 1);
+    for (const dependent of serviceGraph.dependentsOf(projectConfig.services, serviceName)) {
+        dependent.dependsOn = dependent.dependsOn.filter(name => name !== serviceName);
+        logger.warn(`${dependent.name} ne dépend plus de ${serviceName}`);
+    }
     projects.saveProjectConfig(projectName, projectConfig);
 
     logger.success(`Service ${serviceName} supprimé du projet ${projectName}`);
@@ -161,9 +250,45 @@ export function updateService(projectName, serviceName, updates) {
         service.runtime = updates.runtime;
     }
 
+    if (updates.envFile !== undefined) {
+        service.envFile = !!updates.envFile;
+    }
+
+    if (updates.healthCheck !== undefined) {
+        service.healthCheck = healthChecks.normalizeHealthCheck(updates.healthCheck);
+    }
+
+    if (updates.dependsOn !== undefined) {
+        service.dependsOn = serviceGraph.normalizeDependsOn(updates.dependsOn, serviceName);
+        serviceGraph.checkDependencies(projectConfig.services);
+        serviceGraph.sortServices(projectConfig.services);
+    }
+
+    // Le dépôt est récupéré au prochain déploiement
+    if (updates.git !== undefined) {
+        service.git = deployments.normalizeGit(updates.git, service.git);
+    }
+
+    if (updates.keepReleases !== undefined) {
+        service.keepReleases = releases.normalizeKeepReleases(updates.keepReleases);
+    }
+
+    // Les jours déjà archivés restent consultables après désactivation
+    if (updates.logRetention !== undefined) {
+        service.logRetention = logArchive.normalizeLogRetention(updates.logRetention);
+        if (!service.logRetention) {
+            logArchive.detachArchive(projectName, serviceName);
+        }
+    }
+
+    applyProcessOptions(service, updates);
+    checkBackendOptions(projectName, service);
+    scripts.buildEcosystemApp(projectName, service);
+
     service.updatedAt = new Date().toISOString();
 
     projects.saveProjectConfig(projectName, projectConfig);
+    environment.writeEnvFile(projectName, serviceName);
     logger.success(`Service ${serviceName} mis à jour`);
 
     return service;
@@ -191,28 +316,441 @@ export function listServices(projectName) {
 }
 
 /**
- * Exécute les commandes de setup d'un service
+ * Environnement d'exécution d'un service (variables du projet et du service)
+ * @param {string} projectName - Nom du projet
  * @param {object} service - Service
- * @returns {Promise<void>}
+ * @returns {object}
+ */
+function buildProcessEnv(projectName, service) {
+    environment.writeEnvFile(projectName, service.name);
+    return { ...process.env, ...environment.resolveServiceEnv(projectName, service.name) };
+}
+
+/**
+ * Exécute les commandes de setup d'un service, chacune comme étape d'un job (sortie, code de sortie, durée)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Variables d'environnement
+ * @param {object|null} user - Utilisateur du projet (projects.getServiceUser), null pour root
+ * @param {object} options
+ * @param {object|null} options.job - Job en cours (déploiement) ; à défaut, un job de setup est créé
+ * @param {string|null} options.trigger - Origine du job de setup
+ * @param {string|null} options.actor - Auteur du job de setup
+ * @returns {Promise<object|null>} - Job, null s'il n'y a aucune commande
  */
-async function runSetupCommands(service) {
+export async function runSetupCommands(projectName, service, env = process.env, user = null, { job = null, trigger = null, actor = null } = {}) {
     const setupCommands = service.setupCommands || [];
     
     if (setupCommands.length === 0) {
-        return;
+        return job;
     }
 
     logger.info(`Exécution des commandes de setup pour ${service.name}...`);
 
-    for (const cmd of setupCommands) {
-        logger.info(`  → ${cmd}`);
+    // Les commandes tournent avec l'utilisateur du projet : les fichiers créés (node_modules…) lui appartiennent
+    const options = user
+        ? { cwd: service.directory, env: { ...env, HOME: user.home, USER: user.name }, uid: user.uid, gid: user.gid }
+        : { cwd: service.directory, env };
+
+    const setupJob = job || jobs.createJob(projectName, { type: 'setup', service: service.name, trigger, actor, permission: 'services:setup' });
+    try {
+        for (const cmd of setupCommands) {
+            logger.info(`  → ${cmd}`);
+            try {
+                await jobs.runCommand(setupJob, cmd, options);
+                logger.success(`  ✓ ${cmd}`);
+            } catch (error) {
+                throw new Error(`Erreur lors de l'exécution de "${cmd}": ${error.message}`);
+            }
+        }
+    } catch (error) {
+        if (!job) {
+            jobs.finishJob(setupJob, error);
+        }
+        throw error;
+    }
+
+    if (!job) {
+        jobs.finishJob(setupJob);
+    }
+    return setupJob;
+}
+
+/**
+ * Nom du processus d'un service (processus PM2 ou unité systemd twoine-<nom>.service)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function processNameOf(projectName, service) {
+    return service.pm2Name || `${projectName}-${service.name}`;
+}
+
+/**
+ * Unité systemd d'un service (la commande est découpée comme pour PM2, sans shell)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function buildSystemdUnit(projectName, service) {
+    checkBackendOptions(projectName, service, 'systemd');
+    const app = scripts.buildEcosystemApp(projectName, service);
+    const user = projects.getServiceUser(projectName);
+
+    const argv = app.interpreter === 'node'
+        ? ['node', ...(app.node_args || []), app.script, ...app.args]
+        : [app.script, ...app.args];
+
+    return systemd.buildUnit({
+        processName: processNameOf(projectName, service),
+        description: `Twoine ${projectName}/${service.name}${service.description ? ` - ${service.description}` : ''}`,
+        user: user?.name || 'root',
+        group: user?.group,
+        home: user?.home,
+        directory: releases.getRunDirectory(projectName, service),
+        argv,
+        memoryMax: service.maxMemoryRestart,
+        slice: systemd.sliceName(projectName)
+    });
+}
+
+/**
+ * Installe la slice systemd qui applique les limites mémoire et CPU du projet à tous ses services
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+async function installProjectSlice(projectName) {
+    const limits = projects.loadProjectConfig(projectName).limits || {};
+    await systemd.installSlice(projectName, systemd.buildSlice(projectName, limits));
+}
+
+/**
+ * Vérifie que l'utilisateur du projet peut lire le module pm2 : PM2 lance les scripts Node
+ * via son conteneur (node_modules/pm2/lib), inaccessible si Twoine est installé dans /root
+ * @param {object|null} user - Utilisateur du projet (projects.getServiceUser)
+ * @returns {Promise<void>}
+ */
+async function checkPm2Access(user) {
+    if (!user) {
+        return;
+    }
+
+    const container = path.join(path.dirname(createRequire(import.meta.url).resolve('pm2')), 'lib', 'ProcessContainerFork.js');
+    try {
+        await shell.execCommand(`test -r "${container}"`, { uid: user.uid, gid: user.gid });
+    } catch {
+        throw new Error(`${user.name} ne peut pas lire ${container} : installez Twoine dans un dossier accessible (ex: /opt/twoine) ou utilisez le backend systemd`);
+    }
+}
+
+/**
+ * Backend PM2 : services lancés depuis le fichier ecosystem du projet
+ */
+const pm2Backend = {
+    async start(projectName, service) {
+        // La commande est découpée en arguments dans le fichier ecosystem : elle n'est jamais interprétée par un shell
+        const app = scripts.buildEcosystemApp(projectName, service);
+        if (app.interpreter === 'node') {
+            await checkPm2Access(projects.getServiceUser(projectName));
+        }
+        const ecosystemPath = scripts.writeEcosystemFile(projectName);
+        const name = processNameOf(projectName, service);
+
+        if (await processManager.getStatus(name)) {
+            // Supprimer et recréer pour prendre en compte les changements de commande et de mode
+            await processManager.deleteProcess(name);
+        }
+        await processManager.startProcess(ecosystemPath, name);
+        await processManager.saveProcesses();
+    },
+
+    async stop(projectName, service) {
+        await processManager.stopProcess(processNameOf(projectName, service));
+        await processManager.saveProcesses();
+    },
+
+    async restart(projectName, service) {
+        const ecosystemPath = scripts.writeEcosystemFile(projectName);
+        await processManager.restartProcess(ecosystemPath, processNameOf(projectName, service));
+        await processManager.saveProcesses();
+    },
+
+    // Rechargement sans interruption en mode cluster : le nouveau code (version active) est chargé instance par instance
+    async reload(projectName, service) {
+        const ecosystemPath = scripts.writeEcosystemFile(projectName);
+        await processManager.reloadProcess(ecosystemPath, processNameOf(projectName, service));
+        await processManager.saveProcesses();
+    },
+
+    async remove(projectName, service) {
+        await processManager.deleteProcess(processNameOf(projectName, service));
+        await processManager.saveProcesses();
+    },
+
+    async statuses(projectName, services) {
+        const descriptions = await processManager.getStatuses(services.map(s => processNameOf(projectName, s)));
+        return new Map([...descriptions].map(([name, description]) => [name, {
+            status: description.pm2_env?.status || 'unknown',
+            pid: description.pid || null,
+            uptime: description.pm2_env?.pm_uptime || null,
+            restarts: description.pm2_env?.restart_time || 0,
+            memory: description.monit?.memory || null,
+            cpu: description.monit?.cpu || null
+        }]));
+    },
+
+    logs: (projectName, service, lines) => processManager.getLogs(processNameOf(projectName, service), lines),
+
+    // Suivi en direct : fichiers out_file et error_file du fichier ecosystem
+    logSource: (projectName, service) => ({ type: 'files', files: scripts.getPm2LogFiles(processNameOf(projectName, service)) }),
+
+    flushLogs: (projectName, service) => processManager.flushLogs(processNameOf(projectName, service))
+};
+
+/**
+ * Backend systemd : une unité par service, journaux dans journald
+ */
+const systemdBackend = {
+    async start(projectName, service) {
+        const name = processNameOf(projectName, service);
+        const unit = buildSystemdUnit(projectName, service);
+        await installProjectSlice(projectName);
+        await systemd.installUnit(name, unit, environment.formatEnvFile(environment.resolveServiceEnv(projectName, service.name)));
+        await systemd.startUnit(name);
+    },
+
+    stop: (projectName, service) => systemd.stopUnit(processNameOf(projectName, service)),
+
+    async restart(projectName, service) {
+        const name = processNameOf(projectName, service);
+        const unit = buildSystemdUnit(projectName, service);
+        await installProjectSlice(projectName);
+        await systemd.installUnit(name, unit, environment.formatEnvFile(environment.resolveServiceEnv(projectName, service.name)));
+        await systemd.restartUnit(name);
+    },
+
+    reload(projectName, service) {
+        return this.restart(projectName, service);
+    },
+
+    remove: (projectName, service) => systemd.removeUnit(processNameOf(projectName, service)),
+
+    statuses: (projectName, services) => systemd.getUnitStatuses(services.map(s => processNameOf(projectName, s))),
+
+    logs: (projectName, service, lines) => systemd.getJournal(processNameOf(projectName, service), lines, service.logsResetAt),
+
+    logSource: (projectName, service) => ({ type: 'journal', unit: systemd.unitName(processNameOf(projectName, service)), since: service.logsResetAt || null }),
+
+    // journald ne supprime pas les logs d'une seule unité : les lignes antérieures sont masquées
+    flushLogs(projectName, service) {
+        const projectConfig = projects.loadProjectConfig(projectName);
+        const target = projectConfig.services.find(s => s.name === service.name);
+        target.logsResetAt = new Date().toISOString();
+        projects.saveProjectConfig(projectName, projectConfig);
+    }
+};
+
+const BACKENDS = { pm2: pm2Backend, systemd: systemdBackend };
+
+/**
+ * Backend d'exécution d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string} - pm2 ou systemd
+ */
+export function getProjectBackend(projectName) {
+    return projects.loadProjectConfig(projectName).backend || 'pm2';
+}
+
+/**
+ * Implémentation du backend d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {object}
+ */
+function getBackend(projectName) {
+    return BACKENDS[getProjectBackend(projectName)];
+}
+
+/**
+ * Change le backend d'exécution d'un projet.
+ * Les services sont retirés de l'ancien backend ; ceux qui tournaient sont relancés avec le nouveau.
+ * @param {string} projectName - Nom du projet
+ * @param {string} backend - pm2 ou systemd
+ * @returns {Promise<string>}
+ */
+export async function setProjectBackend(projectName, backend) {
+    if (!SERVICE_BACKENDS.includes(backend)) {
+        throw new Error(`Backend invalide. Choisissez parmi: ${SERVICE_BACKENDS.join(', ')}`);
+    }
+
+    const current = getProjectBackend(projectName);
+    if (current === backend) {
+        return backend;
+    }
+
+    const services = serviceGraph.sortServices(listServices(projectName));
+    if (backend === 'systemd') {
+        if (!systemd.isAvailable()) {
+            throw new Error('systemd n\'est pas disponible sur ce serveur');
+        }
+        services.forEach(service => buildSystemdUnit(projectName, service));
+    }
+
+    let statuses = new Map();
+    try {
+        statuses = await BACKENDS[current].statuses(projectName, services);
+    } catch (error) {
+        logger.warn(`Statut des services de ${projectName} indisponible: ${error.message}`);
+    }
+
+    const running = services.filter(service => statuses.get(processNameOf(projectName, service))?.status === 'online');
+    for (const service of services.filter(s => statuses.has(processNameOf(projectName, s)))) {
         try {
-            await shell.execCommand(cmd, { cwd: service.directory });
-            logger.success(`  ✓ ${cmd}`);
+            await BACKENDS[current].remove(projectName, service);
         } catch (error) {
-            throw new Error(`Erreur lors de l'exécution de "${cmd}": ${error.message}`);
+            logger.warn(`Impossible de retirer ${service.name} de ${current}: ${error.message}`);
         }
     }
+
+    const projectConfig = projects.loadProjectConfig(projectName);
+    projectConfig.backend = backend;
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    for (const service of running) {
+        try {
+            await BACKENDS[backend].start(projectName, service);
+        } catch (error) {
+            logger.error(`Erreur pour ${service.name}: ${error.message}`);
+        }
+    }
+
+    logger.success(`Services du projet ${projectName} exécutés par ${backend}`);
+    return backend;
+}
+
+/**
+ * Arrête et retire le processus (PM2) ou l'unité (systemd) d'un service, sans supprimer le service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<boolean>} - false si aucun processus n'existait
+ */
+export async function unloadService(projectName, serviceName) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    try {
+        await getBackend(projectName).remove(projectName, service);
+        return true;
+    } catch {
+        // Ignorer si le processus n'existe pas
+        return false;
+    }
+}
+
+/**
+ * Change l'utilisateur qui exécute les services d'un projet (migration des projets exécutés par root).
+ * Les fichiers du projet sont attribués à l'utilisateur du projet ; les services qui tournaient sont relancés.
+ * @param {string} projectName - Nom du projet
+ * @param {string} runAs - project ou root
+ * @returns {Promise<object|null>} - Utilisateur du projet, null pour root
+ */
+export async function setProjectRunAs(projectName, runAs) {
+    if (!RUN_AS_MODES.includes(runAs)) {
+        throw new Error(`Utilisateur invalide. Choisissez parmi: ${RUN_AS_MODES.join(', ')}`);
+    }
+
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const user = projects.getServiceUser(projectName, { ...projectConfig, runAs });
+
+    const services = serviceGraph.sortServices(listServices(projectName));
+    let statuses = new Map();
+    try {
+        statuses = await getBackend(projectName).statuses(projectName, services);
+    } catch (error) {
+        logger.warn(`Statut des services de ${projectName} indisponible: ${error.message}`);
+    }
+
+    if (user) {
+        await projects.prepareServiceUser(projectName, user);
+    }
+    projectConfig.runAs = runAs;
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    for (const service of services.filter(s => statuses.get(processNameOf(projectName, s))?.status === 'online')) {
+        try {
+            environment.writeEnvFile(projectName, service.name);
+            await getBackend(projectName).start(projectName, service);
+        } catch (error) {
+            logger.error(`Erreur pour ${service.name}: ${error.message}`);
+        }
+    }
+
+    logger.success(`Services du projet ${projectName} exécutés par ${user ? user.name : 'root'}`);
+    return user;
+}
+
+/**
+ * Mesure les ressources utilisées par les services en ligne d'un projet (toutes les instances PM2 sont comptées)
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<object>} - { memory, cpu, processes, instances: nom du processus → instances en ligne }
+ */
+async function measureUsage(projectName) {
+    const services = listServices(projectName);
+    const usage = { memory: 0, cpu: 0, processes: 0, instances: new Map() };
+    const count = (name, memory, cpu) => {
+        usage.memory += memory || 0;
+        usage.cpu += cpu || 0;
+        usage.processes++;
+        usage.instances.set(name, (usage.instances.get(name) || 0) + 1);
+    };
+
+    if (getProjectBackend(projectName) === 'systemd') {
+        // systemd ne mesure pas le CPU instantané des unités
+        usage.cpu = null;
+        const statuses = await systemdBackend.statuses(projectName, services);
+        [...statuses].filter(([, state]) => state.status === 'online').forEach(([name, state]) => count(name, state.memory, 0));
+    } else {
+        const names = new Set(services.map(service => processNameOf(projectName, service)));
+        (await processManager.listProcesses())
+            .filter(proc => names.has(proc.name) && proc.pm2_env?.status === 'online')
+            .forEach(proc => count(proc.name, proc.monit?.memory, proc.monit?.cpu));
+    }
+    return usage;
+}
+
+/**
+ * Utilisation des ressources d'un projet comparée à ses limites
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<object>} - Limite → { used, limit, exceeded }
+ */
+export async function getProjectQuota(projectName) {
+    let usage = {};
+    try {
+        usage = await measureUsage(projectName);
+    } catch (error) {
+        logger.debug(`Ressources de ${projectName} indisponibles: ${error.message}`);
+    }
+    usage.disk = await quotas.getDiskUsage(projectName);
+    return quotas.summarizeUsage(projects.loadProjectConfig(projectName).limits, usage);
+}
+
+/**
+ * Refuse de lancer un service si ses instances dépassent la limite de processus du projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service lancé (ses instances déjà en ligne sont remplacées)
+ * @returns {Promise<void>}
+ */
+async function checkProcessLimit(projectName, service) {
+    const limits = projects.loadProjectConfig(projectName).limits || {};
+    if (!limits.processes) {
+        return;
+    }
+
+    const usage = await measureUsage(projectName);
+    const running = usage.processes - (usage.instances.get(processNameOf(projectName, service)) || 0);
+    quotas.checkProcessLimit(projectName, limits, running, quotas.instancesCount(service));
 }
 
 /**
@@ -234,32 +772,22 @@ export async function startService(projectName, serviceName, runSetup = true) {
         throw new Error(`Le dossier du service n'existe pas: ${service.directory}`);
     }
 
+    await checkProcessLimit(projectName, service);
+
+    const env = buildProcessEnv(projectName, service);
+
     // Exécuter les commandes de setup si demandé
     if (runSetup) {
-        await runSetupCommands(service);
+        await runSetupCommands(projectName, { ...service, directory: releases.getRunDirectory(projectName, service) }, env, projects.getServiceUser(projectName), { trigger: 'start' });
     }
 
     logger.info(`Démarrage du service ${serviceName}...`);
 
-    // Démarrer avec PM2
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    const processName = processNameOf(projectName, service);
     
     try {
-        // Vérifier si le processus existe déjà
-        const status = await shell.getPm2ProcessStatus(pm2Name);
-        
-        if (status) {
-            // Supprimer et recréer pour prendre en compte les changements de commande
-            await shell.pm2Command(`delete ${pm2Name}`);
-        }
-        
-        // Créer un nouveau processus (ou recréer après suppression)
-        await shell.pm2Command(`start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}"`);
-
-        // Sauvegarder la configuration PM2
-        await shell.pm2Command('save');
-        
-        logger.success(`Service ${serviceName} démarré (${pm2Name})`);
+        await getBackend(projectName).start(projectName, service);
+        logger.success(`Service ${serviceName} démarré (${processName})`);
     } catch (error) {
         throw new Error(`Erreur lors du démarrage: ${error.message}`);
     }
@@ -278,13 +806,10 @@ export async function stopService(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-
     logger.info(`Arrêt du service ${serviceName}...`);
 
     try {
-        await shell.pm2Command(`stop ${pm2Name}`);
-        await shell.pm2Command('save');
+        await getBackend(projectName).stop(projectName, service);
         logger.success(`Service ${serviceName} arrêté`);
     } catch (error) {
         throw new Error(`Erreur lors de l'arrêt: ${error.message}`);
@@ -304,13 +829,13 @@ export async function restartService(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    await checkProcessLimit(projectName, service);
 
     logger.info(`Redémarrage du service ${serviceName}...`);
 
     try {
-        await shell.pm2Command(`restart ${pm2Name}`);
-        await shell.pm2Command('save');
+        environment.writeEnvFile(projectName, serviceName);
+        await getBackend(projectName).restart(projectName, service);
         logger.success(`Service ${serviceName} redémarré`);
     } catch (error) {
         throw new Error(`Erreur lors du redémarrage: ${error.message}`);
@@ -318,22 +843,38 @@ export async function restartService(projectName, serviceName) {
 }
 
 /**
- * Récupère le statut d'un service
+ * Recharge un service sans interruption (PM2 en mode cluster ; redémarrage sinon)
  * @param {string} projectName - Nom du projet
  * @param {string} serviceName - Nom du service
- * @returns {Promise<object>}
+ * @returns {Promise<void>}
  */
-export async function getServiceStatus(projectName, serviceName) {
+export async function reloadService(projectName, serviceName) {
     const service = getService(projectName, serviceName);
-    
+
     if (!service) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    const pm2Status = await shell.getPm2ProcessStatus(pm2Name);
+    logger.info(`Rechargement du service ${serviceName}...`);
+
+    try {
+        environment.writeEnvFile(projectName, serviceName);
+        await getBackend(projectName).reload(projectName, service);
+        logger.success(`Service ${serviceName} rechargé`);
+    } catch (error) {
+        throw new Error(`Erreur lors du rechargement: ${error.message}`);
+    }
+}
 
-    if (!pm2Status) {
+/**
+ * Met en forme le statut d'un service à partir de l'état renvoyé par son backend
+ * @param {string} serviceName - Nom du service
+ * @param {string} pm2Name - Nom du processus
+ * @param {object|null} state - { status, pid, uptime, restarts, memory, cpu } ou null si absent
+ * @returns {object}
+ */
+function formatServiceStatus(serviceName, pm2Name, state) {
+    if (!state) {
         return {
             name: serviceName,
             pm2Name,
@@ -346,36 +887,55 @@ export async function getServiceStatus(projectName, serviceName) {
         };
     }
 
-    return {
-        name: serviceName,
-        pm2Name,
-        status: pm2Status.pm2_env?.status || 'unknown',
-        pid: pm2Status.pid || null,
-        uptime: pm2Status.pm2_env?.pm_uptime || null,
-        restarts: pm2Status.pm2_env?.restart_time || 0,
-        memory: pm2Status.monit?.memory || null,
-        cpu: pm2Status.monit?.cpu || null
-    };
+    return { name: serviceName, pm2Name, ...state };
 }
 
 /**
- * Récupère le statut de tous les services d'un projet
+ * Récupère le statut d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<object>}
+ */
+export async function getServiceStatus(projectName, serviceName) {
+    const service = getService(projectName, serviceName);
+    
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    const processName = processNameOf(projectName, service);
+    let state = null;
+    try {
+        state = (await getBackend(projectName).statuses(projectName, [service])).get(processName) || null;
+    } catch (error) {
+        logger.debug(`Statut de ${processName} indisponible: ${error.message}`);
+    }
+    return formatServiceStatus(serviceName, processName, state);
+}
+
+/**
+ * Récupère le statut de tous les services d'un projet (une seule requête au gestionnaire de processus)
  * @param {string} projectName - Nom du projet
  * @returns {Promise<Array>}
  */
 export async function getAllServicesStatus(projectName) {
     const services = listServices(projectName);
-    const result = [];
+    const pm2Names = services.map(service => processNameOf(projectName, service));
 
-    for (const service of services) {
-        const status = await getServiceStatus(projectName, service.name);
-        result.push({
-            ...service,
-            ...status
-        });
+    let statuses = new Map();
+    try {
+        statuses = await getBackend(projectName).statuses(projectName, services);
+    } catch (error) {
+        logger.warn(`Statut des services de ${projectName} indisponible: ${error.message}`);
     }
 
-    return result;
+    return services.map((service, index) => ({
+        ...environment.maskService(service),
+        ...formatServiceStatus(service.name, pm2Names[index], statuses.get(pm2Names[index])),
+        health: healthChecks.getHealth(projectName, service),
+        release: releases.getCurrentRelease(projectName, service.name),
+        lastDeployment: deployments.listDeployments(projectName, service.name, 1)[0] || null
+    }));
 }
 
 /**
@@ -392,17 +952,31 @@ export async function getServiceLogs(projectName, serviceName, lines = 50) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    
     try {
-        return await shell.getPm2Logs(pm2Name, lines);
+        return await getBackend(projectName).logs(projectName, service, lines);
     } catch (error) {
         throw new Error(`Erreur lors de la récupération des logs: ${error.message}`);
     }
 }
 
 /**
- * Réinitialise les logs d'un service
+ * Source des logs d'un service pour le suivi en direct
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { type: 'files', files: { stdout, stderr } } (PM2) ou { type: 'journal', unit, since } (systemd)
+ */
+export function getServiceLogSource(projectName, serviceName) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    return getBackend(projectName).logSource(projectName, service);
+}
+
+/**
+ * Réinitialise les logs d'un service (archivés d'abord si la rétention est activée)
  * @param {string} projectName - Nom du projet
  * @param {string} serviceName - Nom du service
  * @returns {Promise<void>}
@@ -414,10 +988,14 @@ export async function resetServiceLogs(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    
     try {
-        await shell.pm2Command(`flush ${pm2Name}`);
+        const flush = () => getBackend(projectName).flushLogs(projectName, service);
+        // Lignes pas encore archivées conservées avant d'être effacées
+        if (service.logRetention) {
+            await logArchive.archiveServiceLogs(projectName, serviceName, flush);
+        } else {
+            await flush();
+        }
         logger.success(`Logs du service ${serviceName} réinitialisés`);
     } catch (error) {
         throw new Error(`Erreur lors de la réinitialisation des logs: ${error.message}`);
@@ -428,9 +1006,10 @@ export async function resetServiceLogs(projectName, serviceName) {
  * Exécute uniquement le setup d'un service (sans le démarrer)
  * @param {string} projectName - Nom du projet
  * @param {string} serviceName - Nom du service
- * @returns {Promise<void>}
+ * @param {object} options - { trigger, actor } du job de setup
+ * @returns {Promise<object|null>} - Job, null si le service n'a pas de commande de setup
  */
-export async function runSetupOnly(projectName, serviceName) {
+export async function runSetupOnly(projectName, serviceName, { trigger = null, actor = null } = {}) {
     const service = getService(projectName, serviceName);
     
     if (!service) {
@@ -443,18 +1022,52 @@ export async function runSetupOnly(projectName, serviceName) {
     }
 
     logger.info(`Exécution du setup pour ${serviceName}...`);
-    await runSetupCommands(service);
+    const directory = releases.getRunDirectory(projectName, service);
+    const job = await runSetupCommands(projectName, { ...service, directory }, buildProcessEnv(projectName, service), projects.getServiceUser(projectName), { trigger, actor });
     logger.success(`Setup du service ${serviceName} terminé`);
+    return job;
+}
+
+/**
+ * Attend qu'un service soit prêt : vérification de santé réussie, ou en ligne s'il n'en a pas
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function waitUntilReady(projectName, service) {
+    logger.info(`Attente de ${service.name}...`);
+    const deadline = Date.now() + DEPENDENCY_TIMEOUT;
+    let reason = null;
+
+    while (Date.now() < deadline) {
+        if (service.healthCheck) {
+            const result = await healthChecks.runHealthCheck(projectName, service.name);
+            if (result.healthy) {
+                return;
+            }
+            reason = result.message;
+        } else {
+            const { status } = await getServiceStatus(projectName, service.name);
+            if (status === 'online') {
+                return;
+            }
+            reason = `statut ${status}`;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    throw new Error(`${service.name} n'est pas prêt après ${DEPENDENCY_TIMEOUT / 1000} s (${reason})`);
 }
 
 /**
  * Démarre tous les services d'un projet
  * @param {string} projectName - Nom du projet
  * @param {boolean} runSetup - Exécuter les commandes de setup (défaut: true)
+ * @param {object|null} job - Job suivant le démarrage (une étape par service ; annulé, il s'arrête avant le service suivant)
  * @returns {Promise<void>}
  */
-export async function startAllServices(projectName, runSetup = true) {
-    const services = listServices(projectName);
+export async function startAllServices(projectName, runSetup = true, job = null) {
+    const services = serviceGraph.sortServices(listServices(projectName));
     
     if (services.length === 0) {
         throw new Error('Aucun service configuré pour ce projet');
@@ -462,10 +1075,30 @@ export async function startAllServices(projectName, runSetup = true) {
 
     logger.info(`Démarrage de tous les services de ${projectName}...`);
 
-    for (const service of services) {
+    // Chaque service démarre après ses dépendances, une fois celles-ci prêtes
+    const ready = new Set();
+    for (const [index, service] of services.entries()) {
+        if (job) {
+            jobs.setProgress(job, Math.round(index / services.length * 100), `Démarrage de ${service.name}`);
+        }
+        const missing = (service.dependsOn || []).filter(name => !ready.has(name));
+        if (missing.length > 0) {
+            logger.error(`${service.name} non démarré : dépendance(s) indisponible(s) ${missing.join(', ')}`);
+            continue;
+        }
+
         try {
-            await startService(projectName, service.name, runSetup);
+            await jobs.runStep(job, `Démarrage de ${service.name}`, async () => {
+                await startService(projectName, service.name, runSetup);
+                if (serviceGraph.dependentsOf(services, service.name).length > 0) {
+                    await waitUntilReady(projectName, service);
+                }
+            });
+            ready.add(service.name);
         } catch (error) {
+            if (jobs.isCancelled(job)) {
+                throw error;
+            }
             logger.error(`Erreur pour ${service.name}: ${error.message}`);
         }
     }
@@ -487,7 +1120,8 @@ export async function stopAllServices(projectName) {
 
     logger.info(`Arrêt de tous les services de ${projectName}...`);
 
-    for (const service of services) {
+    // Ordre inverse du démarrage : un service s'arrête avant ses dépendances
+    for (const service of serviceGraph.sortServices(services).reverse()) {
         try {
             await stopService(projectName, service.name);
         } catch (error) {
@@ -507,11 +1141,20 @@ export default {
     startService,
     stopService,
     restartService,
+    reloadService,
     getServiceStatus,
     getAllServicesStatus,
     getServiceLogs,
+    getServiceLogSource,
     resetServiceLogs,
+    runSetupCommands,
     runSetupOnly,
+    waitUntilReady,
     startAllServices,
-    stopAllServices
+    stopAllServices,
+    unloadService,
+    getProjectBackend,
+    getProjectQuota,
+    setProjectBackend,
+    setProjectRunAs
 };
@@ -0,0 +1,285 @@
+/**
+ * Module de gestion des sessions de l'interface Web
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SECRET_FILE = path.join(DATA_DIR, 'session.secret');
+
+// Nom du cookie de session
+export const SESSION_COOKIE = 'twoine_session';
+
+// Préfixe des jetons de session (distinct des clés API "twn_")
+const TOKEN_PREFIX = 'tws_';
+
+// Durée de vie maximale d'une session (minutes)
+const SESSION_TTL = parseInt(process.env.TWOINE_SESSION_TTL) || 12 * 60;
+
+// Délai d'inactivité avant expiration (minutes)
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.TWOINE_SESSION_IDLE_TIMEOUT) || 30;
+
+// Intervalle minimal entre deux écritures de lastActivity (ms)
+const ACTIVITY_WRITE_INTERVAL = 60000;
+
+// Durée de validité d'une étape de connexion en attente du second facteur (ms)
+const LOGIN_CHALLENGE_TTL = 5 * 60000;
+
+let secret = null;
+
+// Connexions en attente du second facteur (volontairement non persistées)
+const loginChallenges = new Map();
+
+/**
+ * Initialise le dossier de données
+ */
+function initDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+/**
+ * Récupère (ou génère) le secret de signature des sessions
+ */
+function getSecret() {
+    if (secret) return secret;
+
+    initDataDir();
+    if (!fs.existsSync(SECRET_FILE)) {
+        fs.writeFileSync(SECRET_FILE, crypto.randomBytes(48).toString('hex'), { mode: 0o600 });
+    }
+    secret = fs.readFileSync(SECRET_FILE, 'utf8').trim();
+    return secret;
+}
+
+/**
+ * Signe un identifiant de session
+ */
+function sign(sessionId) {
+    return crypto.createHmac('sha256', getSecret()).update(sessionId).digest('base64url');
+}
+
+/**
+ * Lit les sessions
+ */
+function readSessions() {
+    initDataDir();
+    if (!fs.existsSync(SESSIONS_FILE)) {
+        return { sessions: [] };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    } catch {
+        return { sessions: [] };
+    }
+}
+
+/**
+ * Écrit les sessions
+ */
+function writeSessions(data) {
+    initDataDir();
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Indique si une session est encore valide à l'instant donné
+ */
+function isActive(session, now = Date.now()) {
+    if (session.revokedAt) return false;
+    if (new Date(session.expiresAt).getTime() <= now) return false;
+    return now - new Date(session.lastActivity).getTime() < SESSION_IDLE_TIMEOUT * 60000;
+}
+
+/**
+ * Retire les sessions expirées ou révoquées
+ */
+function purge(data, now = Date.now()) {
+    data.sessions = data.sessions.filter(s => isActive(s, now));
+    return data;
+}
+
+/**
+ * Retourne une session sans champs internes
+ */
+function toPublic(session) {
+    const { revokedAt, ...publicSession } = session;
+    return publicSession;
+}
+
+/**
+ * Crée une session pour un utilisateur authentifié
+ * @param {object} user - Utilisateur (sans mot de passe)
+ * @param {object} meta - Informations sur le client (ip, userAgent)
+ * @returns {{token: string, session: object}}
+ */
+export function createSession(user, meta = {}) {
+    const data = purge(readSessions());
+    const now = new Date();
+    const id = crypto.randomBytes(24).toString('base64url');
+
+    const session = {
+        id,
+        userId: user.id,
+        username: user.username,
+        ip: meta.ip || '',
+        userAgent: meta.userAgent || '',
+        createdAt: now.toISOString(),
+        lastActivity: now.toISOString(),
+        expiresAt: new Date(now.getTime() + SESSION_TTL * 60000).toISOString()
+    };
+
+    data.sessions.push(session);
+    writeSessions(data);
+
+    return { token: `${TOKEN_PREFIX}${id}.${sign(id)}`, session: toPublic(session) };
+}
+
+/**
+ * Vérifie un jeton de session et rafraîchit son activité
+ * @param {string} token
+ * @returns {object|null} - La session valide, ou null
+ */
+export function verifySession(token) {
+    if (!token || typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const [id, signature] = token.slice(TOKEN_PREFIX.length).split('.');
+    if (!id || !signature) return null;
+
+    const expected = Buffer.from(sign(id));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const data = readSessions();
+    const session = data.sessions.find(s => s.id === id);
+    const now = Date.now();
+    if (!session || !isActive(session, now)) {
+        return null;
+    }
+
+    if (now - new Date(session.lastActivity).getTime() > ACTIVITY_WRITE_INTERVAL) {
+        session.lastActivity = new Date(now).toISOString();
+        writeSessions(purge(data, now));
+    }
+
+    return toPublic(session);
+}
+
+/**
+ * Révoque une session
+ * @param {string} sessionId
+ */
+export function revokeSession(sessionId) {
+    const data = readSessions();
+    const session = data.sessions.find(s => s.id === sessionId);
+    if (!session) {
+        throw new Error('Session non trouvée');
+    }
+    session.revokedAt = new Date().toISOString();
+    writeSessions(purge(data));
+}
+
+/**
+ * Révoque toutes les sessions d'un utilisateur
+ * @param {string} userId
+ * @param {string|null} exceptSessionId - Session à conserver (ex: la session courante)
+ * @returns {number} - Nombre de sessions révoquées
+ */
+export function revokeUserSessions(userId, exceptSessionId = null) {
+    const data = purge(readSessions());
+    const before = data.sessions.length;
+    data.sessions = data.sessions.filter(s => s.userId !== userId || s.id === exceptSessionId);
+    writeSessions(data);
+    return before - data.sessions.length;
+}
+
+/**
+ * Liste les sessions actives
+ * @param {string|null} userId - Filtrer par utilisateur (optionnel)
+ * @returns {Array}
+ */
+export function listSessions(userId = null) {
+    const data = purge(readSessions());
+    return data.sessions
+        .filter(s => !userId || s.userId === userId)
+        .map(toPublic);
+}
+
+/**
+ * Crée une étape de connexion en attente du code de double authentification
+ * @param {object} user - Utilisateur dont le mot de passe a été vérifié
+ * @returns {string} - Jeton de l'étape
+ */
+export function createLoginChallenge(user) {
+    const now = Date.now();
+    for (const [token, challenge] of loginChallenges) {
+        if (challenge.expiresAt <= now) loginChallenges.delete(token);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    loginChallenges.set(token, { userId: user.id, username: user.username, expiresAt: now + LOGIN_CHALLENGE_TTL, attempts: 0 });
+    return token;
+}
+
+/**
+ * Récupère une étape de connexion en attente
+ * @param {string} token
+ * @returns {object|null}
+ */
+export function getLoginChallenge(token) {
+    const challenge = loginChallenges.get(token);
+    if (!challenge || challenge.expiresAt <= Date.now() || challenge.attempts >= 5) {
+        loginChallenges.delete(token);
+        return null;
+    }
+    challenge.attempts++;
+    return challenge;
+}
+
+/**
+ * Termine une étape de connexion en attente
+ * @param {string} token
+ */
+export function consumeLoginChallenge(token) {
+    loginChallenges.delete(token);
+}
+
+/**
+ * Options du cookie de session
+ * @param {boolean} secure - Cookie réservé à HTTPS
+ * @returns {object}
+ */
+export function getCookieOptions(secure = false) {
+    return {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure,
+        path: '/',
+        maxAge: SESSION_TTL * 60000
+    };
+}
+
+export default {
+    SESSION_COOKIE,
+    createSession,
+    verifySession,
+    revokeSession,
+    revokeUserSessions,
+    listSessions,
+    createLoginChallenge,
+    getLoginChallenge,
+    consumeLoginChallenge,
+    getCookieOptions
+};
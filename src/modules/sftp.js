@@ -6,7 +6,9 @@ import fs from 'fs';
 import path from 'path';
 import { SFTP_USER_PREFIX, SFTP_GROUP, SSH_CONFIG_PATH, BASE_PATH } from '../config/constants.js';
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('sftp');
 
 /**
  * Configuration SFTP à ajouter dans sshd_config
@@ -38,6 +40,7 @@ export async function createSftpUser(projectName, password) {
     const username = `${SFTP_USER_PREFIX}${projectName}`;
     const projectPath = path.join(BASE_PATH, projectName);
     const sitesPath = path.join(projectPath, 'sites');
+    const homePath = path.join(projectPath, 'home');
 
     // Vérifier si l'utilisateur existe déjà
     if (shell.userExists(username)) {
@@ -66,6 +69,11 @@ export async function createSftpUser(projectName, password) {
     await shell.execCommand(`chown ${username}:${SFTP_GROUP} ${sitesPath}`);
     await shell.execCommand(`chmod 755 ${sitesPath}`);
 
+    // Dossier personnel (HOME) des services exécutés par l'utilisateur du projet
+    fs.mkdirSync(homePath, { recursive: true });
+    await shell.execCommand(`chown ${username}:${SFTP_GROUP} ${homePath}`);
+    await shell.execCommand(`chmod 700 ${homePath}`);
+
     logger.success(`Utilisateur ${username} créé avec succès`);
     return username;
 }
@@ -241,6 +249,22 @@ export async function changeSftpPassword(projectName, newPassword) {
     logger.success(`Mot de passe de ${username} modifié`);
 }
 
+/**
+ * Identifiants numériques d'un utilisateur Linux
+ * @param {string} username - Nom d'utilisateur
+ * @returns {{uid: number, gid: number}|null} - null si l'utilisateur n'existe pas
+ */
+export function getUserIds(username) {
+    try {
+        return {
+            uid: parseInt(shell.execSyncSafe(`id -u ${username}`)),
+            gid: parseInt(shell.execSyncSafe(`id -g ${username}`))
+        };
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Récupère les informations d'un utilisateur SFTP
  * @param {string} projectName - Nom du projet
@@ -274,5 +298,6 @@ export default {
     isSftpConfigured,
     changeSftpPassword,
     getSftpUserInfo,
+    getUserIds,
     SFTP_USER_PREFIX
 };
@@ -6,7 +6,10 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+import jobs from './jobs.js';
+
+const logger = createLogger('ssl');
 
 const SSL_DIR = '/etc/ssl/twoine';
 const SSL_DB_FILE = path.join(SSL_DIR, 'certificates.json');
@@ -73,7 +76,13 @@ class SSLManager {
         return this.certificates.find(cert => cert.id === id);
     }
 
-    createCertificate(options) {
+    /**
+     * Obtient un certificat Let's Encrypt (certbot, challenge HTTP via Nginx)
+     * @param {object} options - domain, email, linkedProject et informations du certificat
+     * @param {object|null} job - Job suivant la génération (sortie de certbot, annulation)
+     * @returns {Promise<object>} - Certificat enregistré
+     */
+    async createCertificate(options, job = null) {
         const {
             domain,
             country = 'FR',
@@ -114,7 +123,7 @@ class SSLManager {
             const command = `certbot certonly --nginx --non-interactive --agree-tos --email "${email}" -d "${domain}" --keep-until-expiring`;
             
             logger.info(`Génération du certificat Let's Encrypt pour ${domain}...`);
-            execSync(command, { stdio: 'pipe' });
+            await jobs.runCommand(job, command);
 
             const createdAt = new Date().toISOString();
             const expiresAt = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString();
@@ -0,0 +1,415 @@
+/**
+ * Module de gestion des services avec systemd (alternative à PM2)
+ *
+ * Chaque service a son unité /etc/systemd/system/twoine-<projet>-<service>.service.
+ * Les unités sont lisibles par tous : les variables du service sont écrites dans un
+ * EnvironmentFile séparé, réservé à root. Les limites de mémoire et de CPU d'un projet
+ * s'appliquent à la slice twoine-<projet>.slice qui regroupe ses services.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TOOL_CONFIG_PATH } from '../config/constants.js';
+import shell from '../utils/shell.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('systemd');
+
+// Dossier des unités générées
+const UNITS_PATH = '/etc/systemd/system';
+
+// Dossier des fichiers de variables (mode 600)
+const ENV_FILES_PATH = path.join(TOOL_CONFIG_PATH, 'env');
+
+// PATH des services : le Node.js de Twoine d'abord, puis les chemins système
+const SERVICE_PATH = [
+    path.dirname(process.execPath),
+    '/usr/local/sbin',
+    '/usr/local/bin',
+    '/usr/sbin',
+    '/usr/bin',
+    '/sbin',
+    '/bin'
+].join(':');
+
+// Correspondance des états systemd avec les statuts affichés (mêmes valeurs que PM2)
+const STATES = {
+    active: 'online',
+    reloading: 'online',
+    activating: 'launching',
+    deactivating: 'stopping',
+    failed: 'errored',
+    inactive: 'stopped'
+};
+
+/**
+ * Nom de l'unité d'un processus
+ * @param {string} processName - Nom du processus (<projet>-<service>)
+ * @returns {string}
+ */
+export function unitName(processName) {
+    return `twoine-${processName}.service`;
+}
+
+/**
+ * Nom de la slice d'un projet (les tirets, qui marquent la hiérarchie des slices, sont échappés)
+ * @param {string} projectName
+ * @returns {string}
+ */
+export function sliceName(projectName) {
+    return `twoine-${projectName.replace(/-/g, '\\x2d')}.slice`;
+}
+
+/**
+ * Chemins de l'unité et du fichier de variables d'un processus
+ * @param {string} processName
+ * @returns {{unit: string, envFile: string}}
+ */
+export function getUnitPaths(processName) {
+    return {
+        unit: path.join(UNITS_PATH, unitName(processName)),
+        envFile: path.join(ENV_FILES_PATH, `${processName}.env`)
+    };
+}
+
+/**
+ * Vérifie que systemd est disponible
+ * @returns {boolean}
+ */
+export function isAvailable() {
+    return shell.commandExists('systemctl') && fs.existsSync('/run/systemd/system');
+}
+
+/**
+ * Protège un argument de ExecStart (guillemets, spécificateurs % et variables $)
+ * @param {string} arg
+ * @returns {string}
+ */
+function quoteArg(arg) {
+    const escaped = arg
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/%/g, '%%')
+        .replace(/\$/g, '$$$$');
+    return `"${escaped}"`;
+}
+
+/**
+ * Résout le programme d'une commande en chemin absolu (exigé par ExecStart)
+ * @param {string} program - Programme (ex: node, npm, ./bin/server)
+ * @param {string} directory - Dossier du service
+ * @returns {string}
+ */
+function resolveProgram(program, directory) {
+    if (program.includes('/')) {
+        return path.resolve(directory, program);
+    }
+
+    for (const dir of SERVICE_PATH.split(':')) {
+        const candidate = path.join(dir, program);
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            return candidate;
+        } catch {
+            // Essayer le dossier suivant
+        }
+    }
+    throw new Error(`Commande introuvable pour systemd: ${program}`);
+}
+
+/**
+ * Génère le contenu d'une unité systemd
+ * @param {object} options
+ * @param {string} options.processName - Nom du processus (<projet>-<service>)
+ * @param {string} options.description
+ * @param {string} options.user - Utilisateur qui exécute le service
+ * @param {string|null} options.group - Groupe de l'utilisateur (groupe principal si absent)
+ * @param {string|null} options.home - Dossier HOME du service
+ * @param {string} options.directory - Dossier de travail
+ * @param {Array<string>} options.argv - Programme et arguments (sans shell)
+ * @param {string|null} options.memoryMax - Limite mémoire (ex: 512M)
+ * @param {string|null} options.slice - Slice du projet (limites partagées par ses services)
+ * @returns {string}
+ */
+export function buildUnit({ processName, description, user, group = null, home = null, directory, argv, memoryMax = null, slice = null }) {
+    const [program, ...args] = argv;
+    const { envFile } = getUnitPaths(processName);
+
+    const lines = [
+        '# Généré automatiquement par Twoine - Ne pas modifier',
+        '[Unit]',
+        `Description=${description.replace(/\n/g, ' ')}`,
+        'After=network.target',
+        '',
+        '[Service]',
+        'Type=simple',
+        `User=${user}`,
+        ...(group ? [`Group=${group}`] : []),
+        `WorkingDirectory=${directory}`,
+        `Environment=${quoteArg(`PATH=${SERVICE_PATH}`)}`,
+        ...(home ? [`Environment=${quoteArg(`HOME=${home}`)}`] : []),
+        `EnvironmentFile=-${envFile}`,
+        `ExecStart=${[resolveProgram(program, directory), ...args].map(quoteArg).join(' ')}`,
+        'Restart=always',
+        'RestartSec=2',
+        'LimitNOFILE=65536',
+        ...(memoryMax ? [`MemoryMax=${memoryMax}`] : []),
+        ...(slice ? [`Slice=${slice}`] : []),
+        `SyslogIdentifier=${processName}`,
+        '',
+        '[Install]',
+        'WantedBy=multi-user.target',
+        ''
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Génère le contenu de la slice d'un projet
+ * @param {string} projectName
+ * @param {object} limits
+ * @param {string|null} limits.memory - Mémoire totale des services (ex: 1G)
+ * @param {number|null} limits.cpu - Pourcentage de CPU (100 = un cœur)
+ * @returns {string}
+ */
+export function buildSlice(projectName, { memory = null, cpu = null } = {}) {
+    return [
+        '# Généré automatiquement par Twoine - Ne pas modifier',
+        '[Unit]',
+        `Description=Twoine - limites du projet ${projectName}`,
+        '',
+        '[Slice]',
+        ...(memory ? ['MemoryAccounting=yes', `MemoryMax=${memory}`] : []),
+        ...(cpu ? ['CPUAccounting=yes', `CPUQuota=${cpu}%`] : []),
+        ''
+    ].join('\n');
+}
+
+/**
+ * Exécute systemctl
+ * @param {string} args
+ * @returns {Promise<string>}
+ */
+async function systemctl(args) {
+    try {
+        const { stdout } = await shell.execCommand(`systemctl ${args}`);
+        return stdout;
+    } catch (error) {
+        throw new Error(`Erreur systemd: ${error.stderr?.trim() || error.message}`);
+    }
+}
+
+/**
+ * Écrit l'unité et le fichier de variables d'un processus, puis recharge systemd
+ * @param {string} processName
+ * @param {string} unitContent - Contenu de l'unité (buildUnit)
+ * @param {string} envContent - Contenu du fichier de variables (NOM=valeur)
+ * @returns {Promise<void>}
+ */
+export async function installUnit(processName, unitContent, envContent) {
+    const { unit, envFile } = getUnitPaths(processName);
+
+    fs.mkdirSync(ENV_FILES_PATH, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(envFile, envContent, { mode: 0o600 });
+    fs.chmodSync(envFile, 0o600);
+
+    const previous = fs.existsSync(unit) ? fs.readFileSync(unit, 'utf8') : null;
+    if (previous !== unitContent) {
+        fs.writeFileSync(unit, unitContent, { mode: 0o644 });
+        await systemctl('daemon-reload');
+        logger.debug(`Unité écrite: ${unit}`);
+    }
+}
+
+/**
+ * Écrit la slice d'un projet ; systemd applique les nouvelles limites au rechargement
+ * @param {string} projectName
+ * @param {string} content - Contenu de la slice (buildSlice)
+ * @returns {Promise<void>}
+ */
+export async function installSlice(projectName, content) {
+    const slice = path.join(UNITS_PATH, sliceName(projectName));
+    const previous = fs.existsSync(slice) ? fs.readFileSync(slice, 'utf8') : null;
+    if (previous !== content) {
+        fs.writeFileSync(slice, content, { mode: 0o644 });
+        await systemctl('daemon-reload');
+        logger.debug(`Slice écrite: ${slice}`);
+    }
+}
+
+/**
+ * Supprime la slice d'un projet
+ * @param {string} projectName
+ * @returns {Promise<void>}
+ */
+export async function removeSlice(projectName) {
+    const slice = path.join(UNITS_PATH, sliceName(projectName));
+    if (fs.existsSync(slice)) {
+        fs.unlinkSync(slice);
+        await systemctl('daemon-reload');
+        logger.debug(`Slice supprimée: ${slice}`);
+    }
+}
+
+/**
+ * Démarre (ou redémarre pour appliquer la configuration) une unité et l'active au démarrage
+ * @param {string} processName
+ * @returns {Promise<void>}
+ */
+export async function startUnit(processName) {
+    await systemctl(`enable ${unitName(processName)}`);
+    await systemctl(`restart ${unitName(processName)}`);
+}
+
+/**
+ * Redémarre une unité
+ * @param {string} processName
+ * @returns {Promise<void>}
+ */
+export async function restartUnit(processName) {
+    await systemctl(`restart ${unitName(processName)}`);
+}
+
+/**
+ * Arrête une unité et la désactive au démarrage (comme pm2 stop + save)
+ * @param {string} processName
+ * @returns {Promise<void>}
+ */
+export async function stopUnit(processName) {
+    await systemctl(`disable --now ${unitName(processName)}`);
+}
+
+/**
+ * Arrête et supprime l'unité et le fichier de variables d'un processus
+ * @param {string} processName
+ * @returns {Promise<void>}
+ */
+export async function removeUnit(processName) {
+    const { unit, envFile } = getUnitPaths(processName);
+    if (!fs.existsSync(unit)) {
+        throw new Error(`Unité ${unitName(processName)} introuvable`);
+    }
+
+    try {
+        await stopUnit(processName);
+    } catch (error) {
+        logger.warn(`Arrêt de ${unitName(processName)} impossible: ${error.message}`);
+    }
+    fs.unlinkSync(unit);
+    if (fs.existsSync(envFile)) {
+        fs.unlinkSync(envFile);
+    }
+    await systemctl('daemon-reload');
+    logger.debug(`Unité supprimée: ${unit}`);
+}
+
+/**
+ * Statuts de plusieurs unités en une seule commande
+ * @param {Array<string>} processNames
+ * @returns {Promise<Map<string, object>>} - Nom → { status, pid, uptime, restarts, memory, cpu } (absent si l'unité n'existe pas)
+ */
+export async function getUnitStatuses(processNames) {
+    const statuses = new Map();
+    if (processNames.length === 0) {
+        return statuses;
+    }
+
+    const output = await systemctl(
+        `show ${processNames.map(unitName).join(' ')} --timestamp=unix ` +
+        '--property=Id,LoadState,ActiveState,MainPID,NRestarts,ActiveEnterTimestamp,MemoryCurrent'
+    );
+
+    for (const block of output.split(/\n\s*\n/)) {
+        const props = Object.fromEntries(block.split('\n')
+            .filter(line => line.includes('='))
+            .map(line => [line.slice(0, line.indexOf('=')), line.slice(line.indexOf('=') + 1)]));
+
+        const processName = processNames.find(name => unitName(name) === props.Id);
+        if (!processName || props.LoadState !== 'loaded') continue;
+
+        const status = STATES[props.ActiveState] || props.ActiveState || 'unknown';
+        const memory = parseInt(props.MemoryCurrent);
+        const startedAt = parseInt((props.ActiveEnterTimestamp || '').replace('@', ''));
+
+        statuses.set(processName, {
+            status,
+            pid: parseInt(props.MainPID) || null,
+            uptime: status === 'online' && startedAt ? startedAt * 1000 : null,
+            restarts: parseInt(props.NRestarts) || 0,
+            memory: Number.isFinite(memory) ? memory : null,
+            cpu: null
+        });
+    }
+    return statuses;
+}
+
+/**
+ * Dernières lignes du journal d'une unité
+ * @param {string} processName
+ * @param {number} lines
+ * @param {string|null} since - Date ISO à partir de laquelle lire (logs réinitialisés)
+ * @returns {Promise<string>}
+ */
+export async function getJournal(processName, lines = 50, since = null) {
+    const sinceOption = since ? ` --since=@${Math.floor(new Date(since).getTime() / 1000)}` : '';
+    try {
+        const { stdout } = await shell.execCommand(
+            `journalctl -u ${unitName(processName)} -n ${parseInt(lines) || 50} --no-pager -o short-iso${sinceOption}`,
+            { maxBuffer: 10 * 1024 * 1024 }
+        );
+        return stdout;
+    } catch (error) {
+        throw new Error(`Impossible de récupérer les logs: ${error.message}`);
+    }
+}
+
+/**
+ * Entrées du journal d'une unité, pour l'archivage des logs
+ * @param {string} unit - Nom de l'unité
+ * @param {object} options
+ * @param {string|null} options.afterCursor - Entrées qui suivent ce curseur du journal
+ * @param {string|null} options.since - Sans curseur : entrées depuis cette date ISO
+ * @returns {Promise<Array<{cursor: string, timestamp: string, priority: number, message: string}>>}
+ */
+export async function readJournalEntries(unit, { afterCursor = null, since = null } = {}) {
+    if (afterCursor && !/^[\w=;-]+$/.test(afterCursor)) {
+        throw new Error('Curseur du journal invalide');
+    }
+    const position = afterCursor
+        ? ` --after-cursor='${afterCursor}'`
+        : (since ? ` --since=@${Math.floor(new Date(since).getTime() / 1000)}` : ' -n 0');
+    const { stdout } = await shell.execCommand(
+        `journalctl -u ${unit} -o json --no-pager${position}`,
+        { maxBuffer: 64 * 1024 * 1024 }
+    );
+
+    return stdout.split('\n').filter(Boolean).map(line => {
+        const entry = JSON.parse(line);
+        return {
+            cursor: entry.__CURSOR,
+            timestamp: new Date(Math.floor(Number(entry.__REALTIME_TIMESTAMP) / 1000)).toISOString(),
+            priority: Number(entry.PRIORITY ?? 6),
+            // MESSAGE est un tableau d'octets lorsqu'il n'est pas de l'UTF-8 valide
+            message: Array.isArray(entry.MESSAGE) ? Buffer.from(entry.MESSAGE).toString('utf8') : String(entry.MESSAGE ?? '')
+        };
+    });
+}
+
+export default {
+    unitName,
+    sliceName,
+    getUnitPaths,
+    isAvailable,
+    buildUnit,
+    buildSlice,
+    installUnit,
+    installSlice,
+    removeSlice,
+    startUnit,
+    restartUnit,
+    stopUnit,
+    removeUnit,
+    getUnitStatuses,
+    getJournal,
+    readJournalEntries
+};
@@ -6,6 +6,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import totp from '../utils/totp.js';
+import permissions from './permissions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,6 +15,30 @@ const __dirname = path.dirname(__filename);
 const USERS_FILE = path.join(__dirname, '../../data/users.json');
 const DATA_DIR = path.join(__dirname, '../../data');
 
+// Paramètres scrypt des nouveaux hash (les hash existants gardent les leurs)
+const SCRYPT_PARAMS = {
+    N: parseInt(process.env.TWOINE_SCRYPT_COST) || 16384,
+    r: 8,
+    p: 1,
+    keylen: 64
+};
+
+// Politique de mot de passe par défaut (surchargée par passwordPolicy dans users.json)
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 6,
+    requireLowercase: false,
+    requireUppercase: false,
+    requireDigit: false,
+    requireSymbol: false,
+    historySize: 3
+};
+
+// Hash de référence utilisé quand le compte n'existe pas (égalise le temps de réponse)
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Nombre de codes de récupération générés à l'activation de la double authentification
+const RECOVERY_CODES_COUNT = 10;
+
 /**
  * Initialise le fichier des utilisateurs
  */
@@ -39,10 +65,64 @@ function initUsersFile() {
 }
 
 /**
- * Hash un mot de passe
+ * Hash un mot de passe (format: scrypt$N$r$p$sel$hash)
  */
 function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, keylen, { N, r, p, maxmem: 256 * N * r });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Indique si un hash est au format SHA-256 historique (non salé)
+ */
+function isLegacyHash(storedHash) {
+    return /^[a-f0-9]{64}$/.test(storedHash || '');
+}
+
+/**
+ * Vérifie un mot de passe contre un hash stocké (scrypt ou SHA-256 historique)
+ */
+function verifyPassword(password, storedHash) {
+    if (!storedHash) return false;
+
+    if (isLegacyHash(storedHash)) {
+        const legacy = crypto.createHash('sha256').update(password).digest();
+        return crypto.timingSafeEqual(legacy, Buffer.from(storedHash, 'hex'));
+    }
+
+    const [algorithm, N, r, p, salt, hash] = storedHash.split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+    try {
+        const expected = Buffer.from(hash, 'base64');
+        const cost = { N: parseInt(N), r: parseInt(r), p: parseInt(p) };
+        const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+            ...cost,
+            maxmem: 256 * cost.N * cost.r
+        });
+        return crypto.timingSafeEqual(actual, expected);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Indique si un hash doit être recalculé avec les paramètres courants
+ */
+function needsRehash(storedHash) {
+    if (isLegacyHash(storedHash)) return true;
+    const [, N, r, p] = storedHash.split('$');
+    return parseInt(N) !== SCRYPT_PARAMS.N || parseInt(r) !== SCRYPT_PARAMS.r || parseInt(p) !== SCRYPT_PARAMS.p;
+}
+
+/**
+ * Retire les champs sensibles d'un utilisateur
+ */
+function sanitizeUser(user) {
+    const { password, passwordHistory, twoFactor, ...safeUser } = user;
+    return { ...safeUser, twoFactorEnabled: !!twoFactor?.enabled };
 }
 
 /**
@@ -67,18 +147,83 @@ function writeUsers(data) {
 function authenticate(username, password) {
     const data = readUsers();
     const user = data.users.find(u => u.username === username);
-    
-    if (!user) {
-        return { success: false, error: 'Utilisateur non trouvé' };
+
+    // Même coût de vérification et même message que le compte existe ou non
+    if (!verifyPassword(password, user ? user.password : DUMMY_HASH) || !user) {
+        return { success: false, error: 'Identifiants invalides' };
+    }
+
+    // Mise à niveau transparente des anciens hash
+    if (needsRehash(user.password)) {
+        user.password = hashPassword(password);
+        writeUsers(data);
+    }
+
+    return { success: true, user: sanitizeUser(user) };
+}
+
+/**
+ * Récupère la politique de mot de passe
+ */
+function getPasswordPolicy(data = readUsers()) {
+    return { ...DEFAULT_PASSWORD_POLICY, ...(data.passwordPolicy || {}) };
+}
+
+/**
+ * Met à jour la politique de mot de passe
+ */
+function updatePasswordPolicy(updates) {
+    const data = readUsers();
+    const policy = getPasswordPolicy(data);
+
+    for (const key of Object.keys(DEFAULT_PASSWORD_POLICY)) {
+        if (updates[key] === undefined) continue;
+        if (typeof DEFAULT_PASSWORD_POLICY[key] === 'boolean') {
+            policy[key] = !!updates[key];
+        } else {
+            const value = parseInt(updates[key]);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`Valeur invalide pour ${key}`);
+            }
+            policy[key] = value;
+        }
     }
 
-    const hashedPassword = hashPassword(password);
-    if (user.password !== hashedPassword) {
-        return { success: false, error: 'Mot de passe incorrect' };
+    if (policy.minLength < 6) {
+        throw new Error('La longueur minimale ne peut pas être inférieure à 6 caractères');
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    return { success: true, user: userWithoutPassword };
+    data.passwordPolicy = policy;
+    writeUsers(data);
+    return policy;
+}
+
+/**
+ * Vérifie qu'un mot de passe respecte la politique (et n'a pas été utilisé récemment)
+ */
+function validatePassword(password, policy, user = null) {
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        throw new Error(`Le mot de passe doit contenir au moins ${policy.minLength} caractères`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins une minuscule');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins une majuscule');
+    }
+    if (policy.requireDigit && !/[0-9]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins un chiffre');
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins un caractère spécial');
+    }
+
+    if (user && policy.historySize > 0) {
+        const recent = [user.password, ...(user.passwordHistory || [])].slice(0, policy.historySize);
+        if (recent.some(hash => verifyPassword(password, hash))) {
+            throw new Error(`Le mot de passe ne peut pas être l'un des ${policy.historySize} derniers utilisés`);
+        }
+    }
 }
 
 /**
@@ -86,7 +231,7 @@ function authenticate(username, password) {
  */
 function listUsers() {
     const data = readUsers();
-    return data.users.map(({ password, ...user }) => user);
+    return data.users.map(sanitizeUser);
 }
 
 /**
@@ -96,9 +241,8 @@ function getUserById(userId) {
     const data = readUsers();
     const user = data.users.find(u => u.id === userId);
     if (!user) return null;
-    
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+
+    return sanitizeUser(user);
 }
 
 /**
@@ -109,8 +253,7 @@ function getUserByUsername(username) {
     const user = data.users.find(u => u.username === username);
     if (!user) return null;
 
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return sanitizeUser(user);
 }
 
 /**
@@ -127,9 +270,7 @@ function createUser(username, password, role = 'user', mustChangePassword = fals
         throw new Error('Rôle invalide. Doit être "admin" ou "user"');
     }
 
-    if (password.length < 6) {
-        throw new Error('Le mot de passe doit contenir au moins 6 caractères');
-    }
+    validatePassword(password, getPasswordPolicy(data));
 
     const newUser = {
         id: crypto.randomUUID(),
@@ -146,8 +287,7 @@ function createUser(username, password, role = 'user', mustChangePassword = fals
     data.users.push(newUser);
     writeUsers(data);
 
-    const { password: _, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return sanitizeUser(newUser);
 }
 
 /**
@@ -177,10 +317,6 @@ function deleteUser(userId) {
  * Change le mot de passe d'un utilisateur
  */
 function changePassword(userId, newPassword) {
-    if (newPassword.length < 6) {
-        throw new Error('Le mot de passe doit contenir au moins 6 caractères');
-    }
-
     const data = readUsers();
     const user = data.users.find(u => u.id === userId);
     
@@ -188,15 +324,24 @@ function changePassword(userId, newPassword) {
         throw new Error('Utilisateur non trouvé');
     }
 
+    const policy = getPasswordPolicy(data);
+    validatePassword(newPassword, policy, user);
+
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+        .slice(0, Math.max(policy.historySize - 1, 0));
     user.password = hashPassword(newPassword);
     user.mustChangePassword = false;
     writeUsers(data);
 }
 
 /**
- * Associe un projet à un utilisateur
+ * Associe un projet à un utilisateur avec un rôle de projet
  */
-function assignProjectToUser(userId, projectName) {
+function assignProjectToUser(userId, projectName, role = permissions.DEFAULT_PROJECT_ROLE) {
+    if (!permissions.getRole(role)) {
+        throw new Error(`Rôle de projet inconnu: ${role}`);
+    }
+
     const data = readUsers();
     const user = data.users.find(u => u.id === userId);
     
@@ -206,8 +351,9 @@ function assignProjectToUser(userId, projectName) {
 
     if (!user.projects.includes(projectName)) {
         user.projects.push(projectName);
-        writeUsers(data);
     }
+    user.projectRoles = { ...(user.projectRoles || {}), [projectName]: role };
+    writeUsers(data);
 }
 
 /**
@@ -222,6 +368,9 @@ function removeProjectFromUser(userId, projectName) {
     }
 
     user.projects = user.projects.filter(p => p !== projectName);
+    if (user.projectRoles) {
+        delete user.projectRoles[projectName];
+    }
     writeUsers(data);
 }
 
@@ -264,9 +413,8 @@ function updateUser(userId, updates) {
     if (updates.mustChangePassword !== undefined) user.mustChangePassword = !!updates.mustChangePassword;
 
     writeUsers(data);
-    
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+
+    return sanitizeUser(user);
 }
 
 /**
@@ -295,6 +443,152 @@ function changeUserRole(userId, newRole) {
     writeUsers(data);
 }
 
+/**
+ * Hash un code de récupération (codes aléatoires à forte entropie)
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Génère une série de codes de récupération
+ */
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+/**
+ * Récupère la politique de double authentification
+ */
+function getTwoFactorPolicy(data = readUsers()) {
+    return { requiredForAdmins: false, ...(data.twoFactorPolicy || {}) };
+}
+
+/**
+ * Met à jour la politique de double authentification
+ */
+function updateTwoFactorPolicy(updates) {
+    const data = readUsers();
+    const policy = getTwoFactorPolicy(data);
+    if (updates.requiredForAdmins !== undefined) {
+        policy.requiredForAdmins = !!updates.requiredForAdmins;
+    }
+    data.twoFactorPolicy = policy;
+    writeUsers(data);
+    return policy;
+}
+
+/**
+ * Indique si la double authentification est obligatoire pour un utilisateur
+ */
+function isTwoFactorRequired(user) {
+    return user.role === 'admin' && getTwoFactorPolicy().requiredForAdmins;
+}
+
+/**
+ * Démarre l'enrôlement TOTP (secret en attente de confirmation)
+ */
+function beginTwoFactorSetup(userId) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    if (user.twoFactor?.enabled) {
+        throw new Error('La double authentification est déjà activée');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+    writeUsers(data);
+
+    return { secret, otpauthUri: totp.buildOtpauthUri(secret, user.username) };
+}
+
+/**
+ * Confirme l'enrôlement TOTP avec un premier code
+ * @returns {string[]} - Codes de récupération (affichés une seule fois)
+ */
+function confirmTwoFactorSetup(userId, code) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw new Error('Aucun enrôlement en cours');
+    }
+
+    const counter = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (counter === null) {
+        throw new Error('Code invalide');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        lastCounter: counter,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        enabledAt: new Date().toISOString()
+    };
+    writeUsers(data);
+
+    return recoveryCodes;
+}
+
+/**
+ * Vérifie un code TOTP ou un code de récupération (consommé s'il est utilisé)
+ */
+function verifyTwoFactorCode(userId, code) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user || !user.twoFactor?.enabled || !code) {
+        return false;
+    }
+
+    const counter = totp.verifyCode(user.twoFactor.secret, code);
+    if (counter !== null) {
+        // Refuser la réutilisation d'un code déjà accepté
+        if (counter <= (user.twoFactor.lastCounter ?? -1)) {
+            return false;
+        }
+        user.twoFactor.lastCounter = counter;
+        writeUsers(data);
+        return true;
+    }
+
+    const hashed = hashRecoveryCode(String(code));
+    const index = user.twoFactor.recoveryCodes.indexOf(hashed);
+    if (index === -1) {
+        return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    writeUsers(data);
+    return true;
+}
+
+/**
+ * Désactive la double authentification d'un utilisateur (réinitialisation admin incluse)
+ */
+function resetTwoFactor(userId) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    delete user.twoFactor;
+    writeUsers(data);
+}
+
 export default {
     authenticate,
     listUsers,
@@ -307,5 +601,14 @@ export default {
     removeProjectFromUser,
     getUserProjects,
     updateUser,
-    changeUserRole
+    changeUserRole,
+    getPasswordPolicy,
+    updatePasswordPolicy,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy,
+    isTwoFactorRequired,
+    beginTwoFactorSetup,
+    confirmTwoFactorSetup,
+    verifyTwoFactorCode,
+    resetTwoFactor
 };
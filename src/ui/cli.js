@@ -0,0 +1,1259 @@
+/**
+ * Interface en ligne de commande non interactive (scripts, provisioning)
+ *
+ * Usage: twoine <groupe> <commande> [arguments] [--json] [--yes]
+ */
+
+import fs from 'fs';
+import { parseArgs } from 'util';
+import inquirer from 'inquirer';
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+import projects from '../modules/projects.js';
+import services from '../modules/services.js';
+import scripts from '../modules/scripts.js';
+import nginx from '../modules/nginx.js';
+import databases from '../modules/databases.js';
+import manifests from '../modules/manifest.js';
+import environment from '../modules/environment.js';
+import audit from '../modules/audit.js';
+import quotas from '../modules/quotas.js';
+import healthChecks from '../modules/healthChecks.js';
+import releases from '../modules/releases.js';
+import deployments from '../modules/deployments.js';
+import jobs from '../modules/jobs.js';
+import logStreams from '../modules/logStreams.js';
+import logArchive from '../modules/logArchive.js';
+import shell from '../utils/shell.js';
+import { createLogger, setConsoleOutput } from '../utils/logger.js';
+
+const logger = createLogger('cli');
+
+// Codes de sortie
+export const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    usage: 2,
+    cancelled: 3
+};
+
+// Options communes à toutes les commandes
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    yes: { type: 'boolean', short: 'y', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Erreur d'utilisation (arguments manquants ou invalides)
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.usage;
+    return error;
+}
+
+/**
+ * Lit un secret depuis un fichier (ou l'entrée standard avec "-")
+ * @param {string} file
+ * @returns {string}
+ */
+function readSecretFile(file) {
+    if (!file) {
+        throw usageError('--password-file requis (utilisez "-" pour lire l\'entrée standard)');
+    }
+    const content = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    return content.replace(/\r?\n$/, '');
+}
+
+/**
+ * Demande confirmation d'une action destructrice (--yes pour l'accepter d'office)
+ * @param {object} options - Options analysées
+ * @param {string} message
+ */
+async function confirm(options, message) {
+    if (options.yes) return;
+
+    if (!process.stdin.isTTY) {
+        throw usageError(`${message} Relancez avec --yes pour confirmer.`);
+    }
+
+    const { ok } = await inquirer.prompt([{ type: 'confirm', name: 'ok', message, default: false }]);
+    if (!ok) {
+        const error = new Error('Opération annulée.');
+        error.exitCode = EXIT_CODES.cancelled;
+        throw error;
+    }
+}
+
+/**
+ * Vérifie qu'un projet existe
+ */
+function requireProject(name) {
+    if (!projects.getProject(name)) {
+        throw new Error(`Le projet ${name} n'existe pas`);
+    }
+}
+
+/**
+ * Retrouve une configuration Nginx par identifiant ou par domaine
+ */
+function findNginxConfig(idOrDomain) {
+    const config = nginx.getNginxConfig(idOrDomain) || nginx.listNginxConfigs().find(c => c.domain === idOrDomain);
+    if (!config) {
+        throw new Error(`Configuration Nginx introuvable: ${idOrDomain}`);
+    }
+    return config;
+}
+
+/**
+ * Affiche une liste sous forme de tableau
+ * @param {string[]} head - En-têtes
+ * @param {Array<Array>} rows - Lignes
+ */
+function printTable(head, rows) {
+    const table = new Table({ head });
+    rows.forEach(row => table.push(row.map(cell => cell ?? '-')));
+    console.log(table.toString());
+}
+
+/**
+ * Affiche le plan d'un manifeste
+ * @param {object} plan - Résultat de manifests.plan()
+ */
+function printPlan(plan) {
+    const colors = { create: chalk.green, update: chalk.yellow, delete: chalk.red };
+
+    if (plan.changes.length === 0) {
+        console.log(`Projet ${plan.project} : aucun changement`);
+    } else {
+        console.log(`Projet ${plan.project} : ${plan.changes.length} changement(s)`);
+        plan.changes.forEach(change => console.log('  ' + colors[change.operation](manifests.describeChange(change))));
+    }
+    if (plan.unmanaged.length > 0) {
+        console.log(chalk.gray(`\nNon gérés par le manifeste (--prune pour les supprimer) :`));
+        plan.unmanaged.forEach(({ resource, name }) => console.log(chalk.gray(`  ? ${resource} ${name}`)));
+    }
+    plan.warnings.forEach(warning => console.log(chalk.yellow(`⚠ ${warning}`)));
+    plan.errors.forEach(error => console.log(chalk.red(`✖ ${error}`)));
+}
+
+/**
+ * Suit les logs d'un service jusqu'à Ctrl+C (une ligne JSON par événement avec --json)
+ * @param {string} project - Nom du projet
+ * @param {string} service - Nom du service
+ * @param {object} options - Options de la commande (lines, stream, filter, json)
+ */
+function followLogs(project, service, options) {
+    return new Promise((resolve, reject) => {
+        let stop;
+        try {
+            stop = logStreams.followServiceLogs(project, service, {
+                streams: options.stream ? options.stream.split(',') : undefined,
+                filter: options.filter || null,
+                lines: options.lines
+            }, event => {
+                if (options.json) {
+                    console.log(JSON.stringify(event));
+                } else if (event.type === 'line') {
+                    console.log(event.stream === 'stderr' ? chalk.red(event.line) : event.line);
+                } else if (event.type === 'reset') {
+                    console.log(chalk.gray(`--- logs ${event.stream} réinitialisés ---`));
+                } else {
+                    logger.error(event.message);
+                }
+            });
+        } catch (error) {
+            return reject(error);
+        }
+
+        const end = () => {
+            stop();
+            resolve();
+        };
+        process.once('SIGINT', end);
+        process.once('SIGTERM', end);
+    });
+}
+
+// Définition des commandes : arguments positionnels, options spécifiques et exécution
+const COMMANDS = {
+    'project list': {
+        description: 'Liste les projets',
+        run: async () => {
+            const list = await projects.listProjectsWithStatus();
+            return {
+                data: list.map(({ services: _s, ...project }) => project),
+                print: () => printTable(
+                    ['Nom', 'Utilisateur SFTP', 'Services', 'Créé le'],
+                    list.map(p => [p.name, p.sftpUser, `${p.runningServices}/${p.totalServices}`, p.createdAt])
+                )
+            };
+        }
+    },
+
+    'project show': {
+        args: ['name'],
+        description: 'Détails d\'un projet et statut de ses services',
+        run: async ({ name }) => {
+            requireProject(name);
+            const data = {
+                ...projects.getProject(name),
+                services: await services.getAllServicesStatus(name),
+                scripts: scripts.getScriptsPaths(name)
+            };
+            return {
+                data,
+                print: () => {
+                    console.log(`${data.name} (${data.path})`);
+                    printTable(['Service', 'Statut', 'PID', 'Commande'], data.services.map(s => [s.name, s.status, s.pid, s.command]));
+                }
+            };
+        }
+    },
+
+    'project create': {
+        args: ['name'],
+        options: { 'password-file': { type: 'string' } },
+        description: 'Crée un projet et son utilisateur SFTP (--password-file <fichier|->)',
+        run: async ({ name }, options) => {
+            const password = readSecretFile(options['password-file']);
+            if (password.length < 8) {
+                throw usageError('Le mot de passe doit contenir au moins 8 caractères');
+            }
+
+            const project = await audit.trackCli(
+                { action: 'POST /projects', target: name, projects: [name], params: { name, password } },
+                () => projects.createProject(name, password)
+            );
+            scripts.generateScripts(name);
+            return { data: project, message: `Projet ${name} créé` };
+        }
+    },
+
+    'project delete': {
+        args: ['name'],
+        options: { 'delete-files': { type: 'boolean', default: false } },
+        description: 'Supprime un projet (--delete-files pour supprimer /var/www/<projet>)',
+        run: async ({ name }, options) => {
+            requireProject(name);
+            await confirm(options, `Supprimer le projet "${name}" ?`);
+
+            const deleteFiles = options['delete-files'];
+            await audit.trackCli(
+                { action: 'DELETE /projects/:name', target: name, projects: [name], params: { deleteFiles } },
+                () => projects.deleteProject(name, deleteFiles)
+            );
+            return { data: { name, deleteFiles }, message: `Projet ${name} supprimé` };
+        }
+    },
+
+    'project rename': {
+        args: ['name', 'newName'],
+        description: 'Renomme un projet',
+        run: async ({ name, newName }, options) => {
+            requireProject(name);
+            await confirm(options, `Renommer le projet "${name}" en "${newName}" ?`);
+
+            await audit.trackCli(
+                { action: 'PUT /projects/:name/rename', target: name, projects: [name, newName], params: { newName } },
+                () => projects.renameProject(name, newName)
+            );
+            return { data: { oldName: name, newName }, message: `Projet renommé: ${name} → ${newName}` };
+        }
+    },
+
+    'project run-as': {
+        args: ['name', 'runAs'],
+        description: 'Choisit l\'utilisateur qui exécute les services (project: sftp_<projet>, root: projets non migrés)',
+        run: async ({ name, runAs }) => {
+            requireProject(name);
+
+            const user = await audit.trackCli(
+                { action: 'PUT /projects/:name/run-as', target: name, projects: [name], params: { runAs } },
+                () => services.setProjectRunAs(name, runAs)
+            );
+            scripts.generateScripts(name);
+            const userName = user ? user.name : 'root';
+            return { data: { name, runAs, user: userName }, message: `Services du projet ${name} exécutés par ${userName}` };
+        }
+    },
+
+    'project limits': {
+        args: ['name'],
+        options: {
+            memory: { type: 'string' },
+            cpu: { type: 'string' },
+            processes: { type: 'string' },
+            disk: { type: 'string' }
+        },
+        description: 'Affiche ou modifie les limites du projet (--memory 1G --cpu 150 --processes 4 --disk 10G, none pour supprimer)',
+        run: async ({ name }, options) => {
+            requireProject(name);
+
+            const limits = Object.fromEntries(quotas.LIMIT_FIELDS.filter(field => options[field] !== undefined).map(field => [field, options[field]]));
+            if (Object.keys(limits).length > 0) {
+                await audit.trackCli(
+                    { action: 'PUT /projects/:name/limits', target: name, projects: [name], params: limits },
+                    () => projects.setProjectLimits(name, limits)
+                );
+                scripts.generateScripts(name);
+            }
+
+            const quota = await services.getProjectQuota(name);
+            const format = (field, value) => {
+                if (value === null) return '-';
+                if (['memory', 'disk'].includes(field)) return quotas.formatSize(value);
+                return field === 'cpu' ? `${value}%` : String(value);
+            };
+            return {
+                data: { name, limits: projects.loadProjectConfig(name).limits || {}, quota },
+                print: () => printTable(
+                    ['Ressource', 'Utilisé', 'Limite', 'Dépassée'],
+                    Object.entries(quota).map(([field, { used, limit, exceeded }]) => [field, format(field, used), format(field, limit), exceeded ? 'oui' : ''])
+                )
+            };
+        }
+    },
+
+    'project backend': {
+        args: ['name', 'backend'],
+        description: 'Choisit le gestionnaire des services du projet (pm2 ou systemd)',
+        run: async ({ name, backend }) => {
+            requireProject(name);
+
+            await audit.trackCli(
+                { action: 'PUT /projects/:name/backend', target: name, projects: [name], params: { backend } },
+                () => services.setProjectBackend(name, backend)
+            );
+            scripts.generateScripts(name);
+            return { data: { name, backend }, message: `Services du projet ${name} exécutés par ${backend}` };
+        }
+    },
+
+    'service list': {
+        args: ['project'],
+        description: 'Liste les services d\'un projet avec leur statut',
+        run: async ({ project }) => {
+            requireProject(project);
+            const list = await services.getAllServicesStatus(project);
+            return {
+                data: list,
+                print: () => printTable(
+                    ['Service', 'Runtime', 'Statut', 'PID', 'Redémarrages', 'Commande'],
+                    list.map(s => [s.name, s.runtime, s.status, s.pid, s.restarts, s.command])
+                )
+            };
+        }
+    },
+
+    'service add': {
+        args: ['project', 'name'],
+        options: {
+            directory: { type: 'string' },
+            command: { type: 'string' },
+            runtime: { type: 'string' },
+            setup: { type: 'string', multiple: true },
+            description: { type: 'string' },
+            'env-file': { type: 'boolean', default: false },
+            'exec-mode': { type: 'string' },
+            instances: { type: 'string' },
+            'max-memory': { type: 'string' },
+            watch: { type: 'boolean', default: false },
+            'depends-on': { type: 'string', multiple: true },
+            'keep-releases': { type: 'string' },
+            git: { type: 'string' },
+            branch: { type: 'string' }
+        },
+        description: 'Ajoute un service (--directory, --command, --runtime, --setup <cmd> répétable, --description, --env-file, --exec-mode fork|cluster, --instances <n|max>, --max-memory 512M, --watch, --depends-on <service> répétable, --keep-releases <n>, --git <dépôt> --branch <branche> pour cloner un dépôt)',
+        run: async ({ project, name }, options) => {
+            requireProject(project);
+            if (!options.directory) {
+                throw usageError('--directory requis');
+            }
+
+            const config = {
+                name,
+                directory: options.directory,
+                command: options.command,
+                runtime: options.runtime,
+                setupCommands: options.setup || [],
+                description: options.description,
+                envFile: options['env-file'],
+                execMode: options['exec-mode'],
+                instances: options.instances,
+                maxMemoryRestart: options['max-memory'],
+                watch: options.watch,
+                dependsOn: options['depends-on'],
+                keepReleases: options['keep-releases'],
+                git: options.git ? { repository: options.git, branch: options.branch } : undefined
+            };
+            const service = await audit.trackCli(
+                { action: 'POST /projects/:name/services', target: `${project}/${name}`, projects: [project], params: config },
+                () => services.addService(project, config)
+            );
+            scripts.generateScripts(project);
+            return { data: environment.maskService(service), message: `Service ${name} ajouté${service.git ? ` (${service.git.branch} cloné)` : ''}` };
+        }
+    },
+
+    'service remove': {
+        args: ['project', 'service'],
+        description: 'Supprime un service',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            await confirm(options, `Supprimer le service "${service}" ?`);
+
+            await audit.trackCli(
+                { action: 'DELETE /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project] },
+                () => services.removeService(project, service)
+            );
+            scripts.generateScripts(project);
+            return { data: { project, service }, message: `Service ${service} supprimé` };
+        }
+    },
+
+    'service depends': {
+        args: ['project', 'service'],
+        options: {
+            on: { type: 'string', multiple: true },
+            none: { type: 'boolean', default: false }
+        },
+        description: 'Définit les services dont dépend un service (--on <service> répétable, --none pour aucun) : démarrés avant lui, arrêtés après',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            if (!options.on && !options.none) {
+                throw usageError('--on <service> ou --none requis');
+            }
+
+            const dependsOn = options.none ? [] : options.on;
+            const updated = await audit.trackCli(
+                { action: 'PUT /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project], params: { dependsOn } },
+                () => services.updateService(project, service, { dependsOn })
+            );
+            scripts.generateScripts(project);
+            return {
+                data: { service, dependsOn: updated.dependsOn },
+                message: updated.dependsOn.length > 0 ? `${service} dépend de ${updated.dependsOn.join(', ')}` : `${service} n'a plus de dépendance`
+            };
+        }
+    },
+
+    'service health': {
+        args: ['project', 'service'],
+        options: {
+            http: { type: 'string' },
+            tcp: { type: 'boolean', default: false },
+            command: { type: 'string' },
+            port: { type: 'string' },
+            host: { type: 'string' },
+            'expected-status': { type: 'string' },
+            interval: { type: 'string' },
+            timeout: { type: 'string' },
+            threshold: { type: 'string' },
+            'no-restart': { type: 'boolean', default: false },
+            remove: { type: 'boolean', default: false }
+        },
+        description: 'Configure la vérification de santé (--http <chemin> --port <n>, --tcp --port <n> ou --command <cmd> ; --interval, --timeout, --threshold, --expected-status, --no-restart, --remove) ou, sans option, l\'exécute',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+
+            const type = options.http !== undefined ? 'http' : options.tcp ? 'tcp' : options.command !== undefined ? 'command' : null;
+            if (type || options.remove) {
+                const healthCheck = options.remove ? null : {
+                    type,
+                    path: options.http,
+                    port: options.port,
+                    host: options.host,
+                    command: options.command,
+                    expectedStatus: options['expected-status'],
+                    interval: options.interval,
+                    timeout: options.timeout,
+                    failureThreshold: options.threshold,
+                    autoRestart: !options['no-restart']
+                };
+                const updated = await audit.trackCli(
+                    { action: 'PUT /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project], params: { healthCheck } },
+                    () => services.updateService(project, service, { healthCheck })
+                );
+                return {
+                    data: updated.healthCheck,
+                    message: updated.healthCheck ? `Vérification ${type} de ${service} enregistrée (appliquée par le serveur Web)` : `Vérification de ${service} supprimée`
+                };
+            }
+
+            const result = await healthChecks.runHealthCheck(project, service);
+            if (!result.healthy) {
+                throw new Error(`${service} en mauvaise santé : ${result.message}`);
+            }
+            return { data: result, message: `${service} sain : ${result.message}` };
+        }
+    },
+
+    'service scale': {
+        args: ['project', 'service', 'instances'],
+        options: { 'exec-mode': { type: 'string' } },
+        description: 'Change le nombre d\'instances d\'un service (<n|max>, --exec-mode fork|cluster), appliqué au prochain redémarrage',
+        run: async ({ project, service, instances }, options) => {
+            requireProject(project);
+            const updates = { instances, execMode: options['exec-mode'] };
+            const updated = await audit.trackCli(
+                { action: 'PUT /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project], params: updates },
+                () => services.updateService(project, service, updates)
+            );
+            scripts.generateScripts(project);
+            return {
+                data: environment.maskService(updated),
+                message: `${service} : ${updated.instances} instance(s) en mode ${updated.execMode} (redémarrez le service pour l'appliquer)`
+            };
+        }
+    },
+
+    'service start': {
+        args: ['project', 'service'],
+        options: { 'skip-setup': { type: 'boolean', default: false } },
+        description: 'Démarre un service (--skip-setup pour ne pas exécuter les commandes de setup)',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            const runSetup = !options['skip-setup'];
+            await audit.trackCli(
+                { action: 'POST /projects/:name/services/:serviceName/start', target: `${project}/${service}`, projects: [project], params: { runSetup } },
+                () => services.startService(project, service, runSetup)
+            );
+            return { data: await services.getServiceStatus(project, service), message: `${service} démarré` };
+        }
+    },
+
+    'service stop': {
+        args: ['project', 'service'],
+        description: 'Arrête un service',
+        run: async ({ project, service }) => {
+            requireProject(project);
+            await audit.trackCli(
+                { action: 'POST /projects/:name/services/:serviceName/stop', target: `${project}/${service}`, projects: [project] },
+                () => services.stopService(project, service)
+            );
+            return { data: await services.getServiceStatus(project, service), message: `${service} arrêté` };
+        }
+    },
+
+    'service restart': {
+        args: ['project', 'service'],
+        description: 'Redémarre un service',
+        run: async ({ project, service }) => {
+            requireProject(project);
+            await audit.trackCli(
+                { action: 'POST /projects/:name/services/:serviceName/restart', target: `${project}/${service}`, projects: [project] },
+                () => services.restartService(project, service)
+            );
+            return { data: await services.getServiceStatus(project, service), message: `${service} redémarré` };
+        }
+    },
+
+    'service deploy': {
+        args: ['project', 'service'],
+        description: 'Déploie une nouvelle version d\'un service : copie de la source dans releases/, setup, bascule et rechargement',
+        run: async ({ project, service }) => {
+            requireProject(project);
+            const result = await audit.trackCli(
+                { action: 'POST /projects/:name/services/:serviceName/deploy', target: `${project}/${service}`, projects: [project] },
+                () => deployments.deployService(project, service, { trigger: 'cli', actor: audit.getCliActor() })
+            );
+            const commit = result.commit ? ` (${result.branch}@${result.commit.slice(0, 7)} ${result.message})` : '';
+            return {
+                data: result,
+                message: `${service} : version ${result.release} active${commit}${result.reloaded ? '' : ' — service arrêté, démarrez-le pour l\'utiliser'}`
+            };
+        }
+    },
+
+    'service deployments': {
+        args: ['project', 'service'],
+        options: { limit: { type: 'string', default: '20' } },
+        description: 'Historique des déploiements d\'un service (--limit <n>)',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            if (!services.getService(project, service)) {
+                throw new Error(`Le service ${service} n'existe pas`);
+            }
+            const list = deployments.listDeployments(project, service, parseInt(options.limit) || 20);
+            return {
+                data: list,
+                print: () => printTable(
+                    ['Date', 'Origine', 'Commit', 'Auteur', 'Version', 'Durée', 'Résultat'],
+                    list.map(d => [
+                        d.startedAt,
+                        d.actor ? `${d.trigger} (${d.actor})` : d.trigger,
+                        d.commit ? `${d.commit.slice(0, 7)} ${d.message}` : '',
+                        d.author || '',
+                        d.release || '',
+                        `${Math.round(d.duration / 1000)} s`,
+                        d.outcome === 'success' ? 'réussi' : `échec : ${d.error}`
+                    ])
+                )
+            };
+        }
+    },
+
+    'service git': {
+        args: ['project', 'service'],
+        options: {
+            repo: { type: 'string' },
+            branch: { type: 'string' },
+            none: { type: 'boolean', default: false }
+        },
+        description: 'Fait suivre un dépôt git au service (--repo <url> --branch <branche>, --none pour l\'arrêter) : récupéré à chaque déploiement',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            if (!options.repo && !options.none) {
+                throw usageError('--repo <url> ou --none requis');
+            }
+
+            const git = options.none ? null : { repository: options.repo, branch: options.branch };
+            const updated = await audit.trackCli(
+                { action: 'PUT /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project], params: { git } },
+                () => services.updateService(project, service, { git })
+            );
+            if (!updated.git) {
+                return { data: { service, git: null }, message: `${service} ne suit plus de dépôt git` };
+            }
+            const webhook = deployments.getWebhook(project, service);
+            return {
+                data: { service, git: environment.maskService(updated).git, webhook },
+                message: `${service} suit ${updated.git.branch} (déployez avec "twoine service deploy ${project} ${service}")\nWebhook : POST ${webhook.path}, secret ${webhook.secret}`
+            };
+        }
+    },
+
+    'service webhook': {
+        args: ['project', 'service'],
+        options: { rotate: { type: 'boolean', default: false } },
+        description: 'Affiche l\'URL et le secret du webhook de déploiement d\'un service (--rotate pour renouveler le secret)',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            const webhook = options.rotate
+                ? await audit.trackCli(
+                    { action: 'POST /projects/:name/services/:serviceName/deploy-hook/rotate', target: `${project}/${service}`, projects: [project] },
+                    () => deployments.rotateWebhookSecret(project, service)
+                )
+                : deployments.getWebhook(project, service);
+            return { data: webhook, message: `POST ${webhook.path} (push sur ${webhook.branch})\nSecret : ${webhook.secret}` };
+        }
+    },
+
+    'service releases': {
+        args: ['project', 'service'],
+        description: 'Liste les versions déployées d\'un service',
+        run: async ({ project, service }) => {
+            requireProject(project);
+            if (!services.getService(project, service)) {
+                throw new Error(`Le service ${service} n'existe pas`);
+            }
+            const list = releases.listReleases(project, service);
+            return {
+                data: list,
+                print: () => printTable(
+                    ['Version', 'Déployée le', 'Active'],
+                    list.map(r => [r.id, r.createdAt, r.current ? 'oui' : ''])
+                )
+            };
+        }
+    },
+
+    'service rollback': {
+        args: ['project', 'service'],
+        options: { release: { type: 'string' } },
+        description: 'Revient à la version précédente d\'un service (--release <version> pour en choisir une)',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            const release = options.release || null;
+            const result = await audit.trackCli(
+                { action: 'POST /projects/:name/services/:serviceName/rollback', target: `${project}/${service}`, projects: [project], params: { release } },
+                () => releases.rollbackService(project, service, release)
+            );
+            return { data: result, message: `${service} : retour à la version ${result.release}` };
+        }
+    },
+
+    'service logs': {
+        args: ['project', 'service'],
+        options: {
+            lines: { type: 'string', default: '50' },
+            follow: { type: 'boolean', short: 'f', default: false },
+            stream: { type: 'string' },
+            filter: { type: 'string' }
+        },
+        description: 'Affiche les derniers logs d\'un service (--lines <n>) ; --follow les suit en direct jusqu\'à Ctrl+C (--stream stdout|stderr, --filter <regex>)',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            if (options.follow) {
+                await followLogs(project, service, options);
+                return { streamed: true };
+            }
+            if (options.stream || options.filter) {
+                throw usageError('--stream et --filter s\'utilisent avec --follow');
+            }
+            const logs = await services.getServiceLogs(project, service, parseInt(options.lines) || 50);
+            return { data: { project, service, logs }, print: () => console.log(logs) };
+        }
+    },
+
+    'service log-retention': {
+        args: ['project', 'service'],
+        options: {
+            days: { type: 'string' },
+            'max-size': { type: 'string' },
+            none: { type: 'boolean', default: false }
+        },
+        description: 'Archive les logs d\'un service (--days <n>, 14 par défaut, --max-size <taille>, --none pour arrêter) ou, sans option, affiche son archive',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+
+            if (options.days !== undefined || options['max-size'] !== undefined || options.none) {
+                const logRetention = options.none ? null : { days: options.days, maxSize: options['max-size'] };
+                const updated = await audit.trackCli(
+                    { action: 'PUT /projects/:name/services/:serviceName', target: `${project}/${service}`, projects: [project], params: { logRetention } },
+                    () => services.updateService(project, service, { logRetention })
+                );
+                return {
+                    data: updated.logRetention,
+                    message: updated.logRetention
+                        ? `Logs de ${service} archivés ${updated.logRetention.days} jour(s)${updated.logRetention.maxSize ? `, ${updated.logRetention.maxSize} au plus` : ''} (par le serveur Web)`
+                        : `Archivage des logs de ${service} arrêté (les jours archivés restent consultables)`
+                };
+            }
+
+            const info = logArchive.getArchiveInfo(project, service);
+            return {
+                data: info,
+                print: () => {
+                    console.log(info.retention
+                        ? `Rétention : ${info.retention.days} jour(s)${info.retention.maxSize ? `, ${info.retention.maxSize} au plus` : ''}, depuis ${info.since || 'le prochain passage'}`
+                        : 'Archivage désactivé');
+                    printTable(
+                        ['Jour', 'Lignes', 'Taille', 'Erreurs', 'Avertissements', 'Dernière ligne'],
+                        info.partitions.map(p => [p.date, p.lines, quotas.formatSize(p.bytes), p.levels.error, p.levels.warn, p.last])
+                    );
+                }
+            };
+        }
+    },
+
+    'service log-search': {
+        args: ['project', 'service'],
+        options: {
+            since: { type: 'string' },
+            until: { type: 'string' },
+            level: { type: 'string' },
+            search: { type: 'string' },
+            stream: { type: 'string' },
+            limit: { type: 'string', default: '200' },
+            output: { type: 'string' }
+        },
+        description: 'Cherche dans les logs archivés d\'un service (--since, --until, --level debug|info|warn|error, --search <texte>, --stream, --limit <n>) ; --output <fichier> les écrit tous dans un fichier',
+        run: async ({ project, service }, options) => {
+            requireProject(project);
+            // Lignes écrites depuis le dernier passage du serveur Web
+            if (services.getService(project, service)?.logRetention) {
+                await logArchive.archiveServiceLogs(project, service);
+            }
+
+            const filters = { since: options.since, until: options.until, level: options.level, search: options.search, stream: options.stream };
+            if (options.output) {
+                fs.writeFileSync(options.output, '');
+                const count = await logArchive.exportArchive(project, service, filters, text => fs.appendFileSync(options.output, text));
+                return { data: { file: options.output, lines: count }, message: `${count} ligne(s) écrite(s) dans ${options.output}` };
+            }
+
+            const result = await logArchive.searchArchive(project, service, { ...filters, limit: options.limit });
+            const colors = { error: chalk.red, warn: chalk.yellow, debug: chalk.gray };
+            return {
+                data: result,
+                print: () => {
+                    [...result.entries].reverse().forEach(entry => console.log((colors[entry.level] || (text => text))(logArchive.formatEntry(entry))));
+                    if (result.truncated) {
+                        console.log(chalk.gray(`(${result.entries.length} lignes les plus récentes, --limit pour en afficher plus)`));
+                    }
+                }
+            };
+        }
+    },
+
+    'job list': {
+        args: ['project'],
+        options: {
+            service: { type: 'string' },
+            limit: { type: 'string', default: '20' }
+        },
+        description: 'Jobs d\'un projet : setup, déploiement, démarrage, certificats (--service <nom>, --limit <n>)',
+        run: async ({ project }, options) => {
+            requireProject(project);
+            const list = jobs.listJobs(project, { service: options.service || null, limit: parseInt(options.limit) || 20 });
+            return {
+                data: list,
+                print: () => printTable(
+                    ['Id', 'Date', 'Service', 'Type', 'Origine', 'Étapes', 'Durée', 'Statut'],
+                    list.map(job => [
+                        job.id,
+                        job.startedAt || job.createdAt,
+                        job.service || '',
+                        job.type,
+                        job.actor ? `${job.trigger} (${job.actor})` : job.trigger,
+                        job.steps.length,
+                        job.duration !== null ? `${Math.round(job.duration / 1000)} s` : '',
+                        job.error ? `${job.status} : ${job.error}` : job.status
+                    ])
+                )
+            };
+        }
+    },
+
+    'job show': {
+        args: ['project', 'job'],
+        description: 'Détail d\'un job : sortie, code de sortie et durée de chaque étape, logs',
+        run: async ({ project, job: jobId }) => {
+            requireProject(project);
+            const job = jobs.getJob(project, jobId);
+            if (!job) {
+                throw new Error(`Job introuvable: ${jobId}`);
+            }
+            const colors = { success: chalk.green, failed: chalk.red, running: chalk.yellow, queued: chalk.yellow };
+            return {
+                data: job,
+                print: () => {
+                    console.log(`${job.type}${job.service ? ` de ${job.service}` : ''} — ${job.startedAt || job.createdAt} — ${(colors[job.status] || chalk.gray)(job.status)}${job.error ? ` : ${job.error}` : ''}`);
+                    job.steps.forEach(step => {
+                        const details = [step.exitCode !== null ? `code ${step.exitCode}` : null, step.duration !== null ? `${(step.duration / 1000).toFixed(1)} s` : null].filter(Boolean);
+                        console.log(`\n${(colors[step.status] || chalk.gray)(`▸ ${step.name}`)}${details.length ? chalk.gray(` (${details.join(', ')})`) : ''}`);
+                        if (step.stdout) console.log(step.stdout.trimEnd());
+                        if (step.stderr) console.log(chalk.gray(step.stderr.trimEnd()));
+                    });
+                    if (job.logs?.length) {
+                        console.log(`\n${chalk.bold('Logs')}`);
+                        job.logs.forEach(log => console.log(chalk.gray(`${log.timestamp} ${log.level.toUpperCase()} `) + log.message));
+                    }
+                }
+            };
+        }
+    },
+
+    'env list': {
+        args: ['project'],
+        options: { service: { type: 'string' } },
+        description: 'Liste les variables d\'environnement du projet ou d\'un service (--service), secrets masqués',
+        run: async ({ project }, options) => {
+            requireProject(project);
+            const env = environment.listEnv(project, options.service || null);
+            return {
+                data: env,
+                print: () => printTable(
+                    ['Variable', 'Valeur', 'Secret'],
+                    Object.entries(env).map(([name, entry]) => [name, entry.value, entry.secret ? 'oui' : 'non'])
+                )
+            };
+        }
+    },
+
+    'env set': {
+        args: ['project', 'name'],
+        options: {
+            service: { type: 'string' },
+            value: { type: 'string' },
+            'value-file': { type: 'string' },
+            secret: { type: 'boolean', default: false }
+        },
+        description: 'Définit une variable (--value ou --value-file <fichier|->, --secret pour la chiffrer, --service)',
+        run: async ({ project, name }, options) => {
+            requireProject(project);
+            if (options.value === undefined && !options['value-file']) {
+                throw usageError('--value ou --value-file requis');
+            }
+
+            const value = options['value-file'] ? readSecretFile(options['value-file']) : options.value;
+            const secret = options.secret;
+            const scope = options.service ? `/services/${options.service}` : '';
+            const env = await audit.trackCli(
+                {
+                    action: options.service ? 'PUT /projects/:name/services/:serviceName/env/:key' : 'PUT /projects/:name/env/:key',
+                    target: `${project}${scope}/env/${name}`,
+                    projects: [project],
+                    params: { value, secret }
+                },
+                () => environment.setEnvVar(project, options.service || null, name, value, { secret })
+            );
+            return { data: env, message: `Variable ${name} définie (redémarrez le service pour l'appliquer)` };
+        }
+    },
+
+    'env unset': {
+        args: ['project', 'name'],
+        options: { service: { type: 'string' } },
+        description: 'Supprime une variable du projet ou d\'un service (--service)',
+        run: async ({ project, name }, options) => {
+            requireProject(project);
+            const scope = options.service ? `/services/${options.service}` : '';
+            const env = await audit.trackCli(
+                {
+                    action: options.service ? 'DELETE /projects/:name/services/:serviceName/env/:key' : 'DELETE /projects/:name/env/:key',
+                    target: `${project}${scope}/env/${name}`,
+                    projects: [project]
+                },
+                () => environment.unsetEnvVar(project, options.service || null, name)
+            );
+            return { data: env, message: `Variable ${name} supprimée` };
+        }
+    },
+
+    'env link-db': {
+        args: ['project', 'service', 'databaseId'],
+        options: { prefix: { type: 'string', default: environment.DEFAULT_DATABASE_PREFIX } },
+        description: 'Injecte les identifiants d\'une base du projet dans un service (--prefix, DATABASE par défaut)',
+        run: async ({ project, service, databaseId }, options) => {
+            requireProject(project);
+            const links = await audit.trackCli(
+                {
+                    action: 'POST /projects/:name/services/:serviceName/databases',
+                    target: `${project}/${service}`,
+                    projects: [project],
+                    params: { databaseId, prefix: options.prefix }
+                },
+                () => environment.linkDatabase(project, service, databaseId, options.prefix)
+            );
+            return { data: links, message: `Variables ${options.prefix}_* injectées au prochain démarrage de ${service}` };
+        }
+    },
+
+    'env unlink-db': {
+        args: ['project', 'service', 'databaseId'],
+        description: 'N\'injecte plus les identifiants d\'une base dans un service',
+        run: async ({ project, service, databaseId }) => {
+            requireProject(project);
+            const links = await audit.trackCli(
+                {
+                    action: 'DELETE /projects/:name/services/:serviceName/databases/:id',
+                    target: `${project}/${service}`,
+                    projects: [project],
+                    params: { databaseId }
+                },
+                () => environment.unlinkDatabase(project, service, databaseId)
+            );
+            return { data: links, message: `Base ${databaseId} retirée de ${service}` };
+        }
+    },
+
+    'nginx list': {
+        description: 'Liste les configurations Nginx',
+        run: async () => {
+            const list = nginx.listNginxConfigs();
+            return {
+                data: list,
+                print: () => printTable(
+                    ['ID', 'Domaine', 'Port', 'SSL', 'Active', 'Projet'],
+                    list.map(c => [c.id, c.domain, c.port, c.useSSL ? 'oui' : 'non', c.enabled ? 'oui' : 'non', c.linkedProject])
+                )
+            };
+        }
+    },
+
+    'nginx add': {
+        args: ['domain', 'port'],
+        options: {
+            description: { type: 'string', default: '' },
+            project: { type: 'string' },
+            service: { type: 'string' },
+            'target-host': { type: 'string' },
+            'ssl-cert': { type: 'string' },
+            'ssl-key': { type: 'string' },
+            'redirect-http': { type: 'boolean', default: false }
+        },
+        description: 'Crée un reverse proxy (--project, --service, --target-host, --ssl-cert/--ssl-key, --redirect-http)',
+        run: async ({ domain, port }, options) => {
+            if (!/^\d+$/.test(port)) {
+                throw usageError(`Port invalide: ${port}`);
+            }
+            if (options.project) {
+                requireProject(options.project);
+            }
+
+            const nginxOptions = {
+                useSSL: !!(options['ssl-cert'] && options['ssl-key']),
+                sslCertPath: options['ssl-cert'],
+                sslKeyPath: options['ssl-key'],
+                redirectHTTP: options['redirect-http'],
+                targetHost: options['target-host'],
+                linkedProject: options.project,
+                linkedService: options.service
+            };
+            const config = await audit.trackCli(
+                { action: 'POST /nginx/configs', target: domain, projects: [options.project], params: { domain, port, description: options.description, ...nginxOptions } },
+                () => nginx.createNginxConfig(domain, port, options.description, nginxOptions)
+            );
+            return { data: config, message: `Configuration créée pour ${domain}` };
+        }
+    },
+
+    'nginx remove': {
+        args: ['domain'],
+        description: 'Supprime une configuration Nginx (domaine ou identifiant)',
+        run: async ({ domain }, options) => {
+            const config = findNginxConfig(domain);
+            await confirm(options, `Supprimer la configuration Nginx "${config.domain}" ?`);
+
+            await audit.trackCli(
+                { action: 'DELETE /nginx/configs/:id', target: config.domain, projects: [config.linkedProject] },
+                () => nginx.deleteNginxConfig(config.id)
+            );
+            return { data: { id: config.id, domain: config.domain }, message: `Configuration ${config.domain} supprimée` };
+        }
+    },
+
+    'nginx enable': {
+        args: ['domain'],
+        description: 'Active une configuration Nginx',
+        run: async ({ domain }) => {
+            const config = findNginxConfig(domain);
+            const updated = await audit.trackCli(
+                { action: 'PUT /nginx/configs/:id/toggle', target: config.domain, projects: [config.linkedProject], params: { enabled: true } },
+                () => nginx.toggleNginxConfig(config.id, true)
+            );
+            return { data: updated, message: `Configuration ${config.domain} activée` };
+        }
+    },
+
+    'nginx disable': {
+        args: ['domain'],
+        description: 'Désactive une configuration Nginx',
+        run: async ({ domain }) => {
+            const config = findNginxConfig(domain);
+            const updated = await audit.trackCli(
+                { action: 'PUT /nginx/configs/:id/toggle', target: config.domain, projects: [config.linkedProject], params: { enabled: false } },
+                () => nginx.toggleNginxConfig(config.id, false)
+            );
+            return { data: updated, message: `Configuration ${config.domain} désactivée` };
+        }
+    },
+
+    'nginx reload': {
+        description: 'Recharge Nginx',
+        run: async () => {
+            await audit.trackCli({ action: 'POST /nginx/reload' }, () => nginx.reloadNginx());
+            return { data: { reloaded: true }, message: 'Nginx rechargé' };
+        }
+    },
+
+    'db list': {
+        options: { project: { type: 'string' } },
+        description: 'Liste les bases de données (--project pour filtrer)',
+        run: async (args, options) => {
+            const list = databases.getAllDatabases(options.project || null)
+                .map(({ password: _p, ...db }) => db);
+            return {
+                data: list,
+                print: () => printTable(
+                    ['ID', 'Type', 'Base', 'Utilisateur', 'Hôte', 'Projet'],
+                    list.map(db => [db.id, db.type, db.name, db.username, db.host ? `${db.host}:${db.port}` : null, db.projectName])
+                )
+            };
+        }
+    },
+
+    'db show': {
+        args: ['id'],
+        description: 'Détails d\'une base de données (sans mot de passe)',
+        run: async ({ id }) => {
+            const database = databases.getDatabaseById(id);
+            if (!database) {
+                throw new Error(`Base de données introuvable: ${id}`);
+            }
+            const { password: _p, ...data } = database;
+            return { data, print: () => console.log(JSON.stringify(data, null, 2)) };
+        }
+    },
+
+    'db assign': {
+        args: ['id', 'project'],
+        description: 'Assigne une base de données à un projet',
+        run: async ({ id, project }) => {
+            requireProject(project);
+            const current = databases.getDatabaseById(id);
+            const updated = await audit.trackCli(
+                { action: 'POST /databases/:id/assign', target: id, projects: [current?.projectName, project], params: { projectName: project } },
+                () => databases.assignDatabaseToProject(id, project)
+            );
+            const { password: _p, ...data } = updated;
+            return { data, message: `Base ${id} assignée à ${project}` };
+        }
+    },
+
+    'db unassign': {
+        args: ['id'],
+        description: 'Retire l\'assignation d\'une base de données',
+        run: async ({ id }) => {
+            const current = databases.getDatabaseById(id);
+            const updated = await audit.trackCli(
+                { action: 'POST /databases/:id/unassign', target: id, projects: [current?.projectName] },
+                () => databases.unassignDatabaseFromProject(id)
+            );
+            const { password: _p, ...data } = updated;
+            return { data, message: `Base ${id} désassignée` };
+        }
+    },
+
+    'manifest plan': {
+        args: ['file'],
+        options: { prune: { type: 'boolean', default: false } },
+        description: 'Compare un manifeste (twoine.yaml) à l\'état courant (--prune inclut les suppressions)',
+        run: async ({ file }, options) => {
+            const plan = manifests.plan(manifests.loadManifest(file), { prune: options.prune });
+            return { data: plan, print: () => printPlan(plan) };
+        }
+    },
+
+    'manifest apply': {
+        args: ['file'],
+        options: {
+            prune: { type: 'boolean', default: false },
+            'password-file': { type: 'string' }
+        },
+        description: 'Applique un manifeste (--prune, --password-file pour le mot de passe SFTP d\'un nouveau projet)',
+        run: async ({ file }, options) => {
+            const plan = manifests.plan(manifests.loadManifest(file), { prune: options.prune });
+            if (!options.json) {
+                printPlan(plan);
+            }
+            if (plan.errors.length > 0) {
+                throw new Error(`Plan invalide (${plan.errors.length} erreur(s)), aucun changement appliqué`);
+            }
+            if (plan.changes.length === 0) {
+                return { data: { project: plan.project, applied: [] }, message: 'Rien à appliquer' };
+            }
+
+            await confirm(options, `Appliquer ${plan.changes.length} changement(s) au projet "${plan.project}" ?`);
+            const sftpPassword = options['password-file'] ? readSecretFile(options['password-file']) : null;
+            const result = await manifests.apply(plan, { sftpPassword, track: audit.trackCli });
+            return { data: result, message: `Manifeste appliqué (${result.applied.length} changement(s))` };
+        }
+    },
+
+    'manifest export': {
+        args: ['project'],
+        description: 'Génère le manifeste YAML de l\'état courant d\'un projet',
+        run: async ({ project }) => {
+            requireProject(project);
+            const content = manifests.exportManifest(project);
+            return { data: { project, manifest: content }, print: () => process.stdout.write(content) };
+        }
+    }
+};
+
+/**
+ * Texte d'aide général ou d'une commande
+ * @param {string|null} name - Commande ("groupe commande")
+ * @returns {string}
+ */
+export function getHelp(name = null) {
+    if (name && COMMANDS[name]) {
+        const command = COMMANDS[name];
+        const args = (command.args || []).map(a => `<${a}>`).join(' ');
+        return `Usage: twoine ${name} ${args} [--json] [--yes]\n\n${command.description}`;
+    }
+
+    const lines = Object.entries(COMMANDS).map(([key, command]) => {
+        const args = (command.args || []).map(a => `<${a}>`).join(' ');
+        return `  ${`${key} ${args}`.padEnd(38)} ${command.description}`;
+    });
+    return [
+        'Usage: twoine <groupe> <commande> [arguments] [options]',
+        '       twoine                     (menu interactif)',
+        '',
+        'Commandes:',
+        ...lines,
+        '',
+        'Options communes:',
+        '  --json                                 Sortie JSON sur stdout (messages sur stderr)',
+        '  -y, --yes                              Confirme les actions destructrices',
+        '  -h, --help                             Affiche l\'aide',
+        '',
+        `Codes de sortie: ${EXIT_CODES.success} succès, ${EXIT_CODES.error} erreur, ${EXIT_CODES.usage} utilisation incorrecte, ${EXIT_CODES.cancelled} annulé`
+    ].join('\n');
+}
+
+/**
+ * Exécute une commande non interactive
+ * @param {string[]} argv - Arguments (sans "node" ni le script)
+ * @returns {Promise<number>} - Code de sortie
+ */
+export async function run(argv) {
+    const name = argv.slice(0, 2).join(' ');
+    const command = COMMANDS[name];
+    const json = argv.includes('--json');
+
+    if (json) {
+        setConsoleOutput('stderr');
+    }
+
+    if (!command) {
+        const wantsHelp = argv.length === 0 || ['help', '--help', '-h'].includes(argv[0]);
+        (wantsHelp ? console.log : console.error)(getHelp());
+        return wantsHelp ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+
+    try {
+        const { values: options, positionals } = parseArgs({
+            args: argv.slice(2),
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: true,
+            strict: true
+        });
+
+        if (options.help) {
+            console.log(getHelp(name));
+            return EXIT_CODES.success;
+        }
+
+        const expected = command.args || [];
+        if (positionals.length !== expected.length) {
+            throw usageError(getHelp(name));
+        }
+        const args = Object.fromEntries(expected.map((arg, i) => [arg, positionals[i]]));
+
+        if (!shell.isRoot()) {
+            throw new Error('Cet outil doit être exécuté en tant que root (sudo)');
+        }
+        projects.initConfigDir();
+
+        const result = await command.run(args, options);
+
+        // Sortie déjà écrite au fil de l'eau (suivi des logs)
+        if (result.streamed) {
+            return EXIT_CODES.success;
+        }
+        if (json) {
+            console.log(JSON.stringify({ success: true, data: result.data ?? null }, null, 2));
+        } else if (result.print) {
+            result.print();
+        } else if (result.message) {
+            logger.success(result.message);
+        }
+        return EXIT_CODES.success;
+    } catch (error) {
+        // Erreurs de parseArgs (option inconnue, valeur manquante)
+        const exitCode = error.exitCode ?? (error.code?.startsWith('ERR_PARSE_ARGS') ? EXIT_CODES.usage : EXIT_CODES.error);
+
+        if (json) {
+            console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+        } else if (exitCode === EXIT_CODES.usage) {
+            console.error(error.message);
+        } else {
+            logger.error(error.message);
+        }
+        return exitCode;
+    }
+}
+
+export default {
+    EXIT_CODES,
+    getHelp,
+    run
+};
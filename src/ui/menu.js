@@ -14,9 +14,12 @@ import services from '../modules/services.js';
 import scripts from '../modules/scripts.js';
 import sftp from '../modules/sftp.js';
 import nginx from '../modules/nginx.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
+import audit from '../modules/audit.js';
 import { MESSAGES } from '../config/constants.js';
 
+const logger = createLogger('cli');
+
 /**
  * Affiche le header de l'application
  */
@@ -192,7 +195,10 @@ export async function createProjectForm() {
     const spinner = ora('Création du projet en cours...').start();
 
     try {
-        await projects.createProject(answers.name, answers.password);
+        await audit.trackCli(
+            { action: 'POST /projects', target: answers.name, projects: [answers.name], params: { name: answers.name, password: answers.password } },
+            () => projects.createProject(answers.name, answers.password)
+        );
         scripts.generateScripts(answers.name);
         spinner.succeed('Projet créé avec succès !');
 
@@ -373,7 +379,10 @@ export async function projectManagementMenu(projectName) {
                 await changePasswordForm(projectName);
                 break;
             case 'regenerate':
-                scripts.generateScripts(projectName);
+                await audit.trackCli(
+                    { action: 'POST /projects/:name/regenerate-scripts', target: projectName, projects: [projectName] },
+                    () => scripts.generateScripts(projectName)
+                );
                 await pressEnterToContinue();
                 break;
             case 'paths':
@@ -449,13 +458,17 @@ async function addServiceForm(projectName) {
     const spinner = ora('Ajout du service...').start();
 
     try {
-        services.addService(projectName, {
+        const service = {
             name: answers.name,
             directory: answers.directory,
             setupCommands: answers.setupCommands,
             command: answers.command,
             description: answers.description
-        });
+        };
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services', target: `${projectName}/${answers.name}`, projects: [projectName], params: service },
+            () => services.addService(projectName, service)
+        );
 
         scripts.generateScripts(projectName);
         spinner.succeed(`Service ${answers.name} ajouté`);
@@ -533,11 +546,16 @@ async function startServiceAction(projectName) {
         if (setupChoice === 'setup_only') {
             const spinner = ora(`Exécution du setup pour ${serviceName}...`).start();
             try {
-                for (const cmd of service.setupCommands) {
-                    spinner.text = `Exécution: ${cmd}`;
-                    const shell = (await import('../utils/shell.js')).default;
-                    await shell.execCommand(cmd, { cwd: service.directory });
-                }
+                await audit.trackCli(
+                    { action: 'POST /projects/:name/services/:serviceName/setup', target: `${projectName}/${serviceName}`, projects: [projectName] },
+                    async () => {
+                        for (const cmd of service.setupCommands) {
+                            spinner.text = `Exécution: ${cmd}`;
+                            const shell = (await import('../utils/shell.js')).default;
+                            await shell.execCommand(cmd, { cwd: service.directory });
+                        }
+                    }
+                );
                 spinner.succeed(`Setup terminé pour ${serviceName}`);
             } catch (error) {
                 spinner.fail('Erreur');
@@ -553,7 +571,10 @@ async function startServiceAction(projectName) {
     const spinner = ora(`Démarrage de ${serviceName}...`).start();
 
     try {
-        await services.startService(projectName, serviceName, runSetup);
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services/:serviceName/start', target: `${projectName}/${serviceName}`, projects: [projectName], params: { runSetup } },
+            () => services.startService(projectName, serviceName, runSetup)
+        );
         spinner.succeed(`${serviceName} démarré`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -573,7 +594,10 @@ async function stopServiceAction(projectName) {
     const spinner = ora(`Arrêt de ${serviceName}...`).start();
 
     try {
-        await services.stopService(projectName, serviceName);
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services/:serviceName/stop', target: `${projectName}/${serviceName}`, projects: [projectName] },
+            () => services.stopService(projectName, serviceName)
+        );
         spinner.succeed(`${serviceName} arrêté`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -593,7 +617,10 @@ async function restartServiceAction(projectName) {
     const spinner = ora(`Redémarrage de ${serviceName}...`).start();
 
     try {
-        await services.restartService(projectName, serviceName);
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services/:serviceName/restart', target: `${projectName}/${serviceName}`, projects: [projectName] },
+            () => services.restartService(projectName, serviceName)
+        );
         spinner.succeed(`${serviceName} redémarré`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -653,10 +680,15 @@ async function startAllServicesAction(projectName) {
     const spinner = ora('Démarrage des services...').start();
 
     try {
-        for (const svc of servicesList) {
-            spinner.text = `Démarrage de ${svc.name}...`;
-            await services.startService(projectName, svc.name, runSetup);
-        }
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services-start-all', target: projectName, projects: [projectName], params: { runSetup } },
+            async () => {
+                for (const svc of servicesList) {
+                    spinner.text = `Démarrage de ${svc.name}...`;
+                    await services.startService(projectName, svc.name, runSetup);
+                }
+            }
+        );
         spinner.succeed('Tous les services démarrés');
     } catch (error) {
         spinner.fail('Erreur');
@@ -684,7 +716,10 @@ async function stopAllServicesAction(projectName) {
     const spinner = ora('Arrêt des services...').start();
 
     try {
-        await services.stopAllServices(projectName);
+        await audit.trackCli(
+            { action: 'POST /projects/:name/services-stop-all', target: projectName, projects: [projectName] },
+            () => services.stopAllServices(projectName)
+        );
         spinner.succeed('Tous les services arrêtés');
     } catch (error) {
         spinner.fail('Erreur');
@@ -741,12 +776,16 @@ async function editServiceForm(projectName) {
     if (!answers.confirm) return;
 
     try {
-        services.updateService(projectName, serviceName, {
+        const updates = {
             directory: answers.directory,
             setupCommands: answers.setupCommands,
             command: answers.command,
             description: answers.description
-        });
+        };
+        await audit.trackCli(
+            { action: 'PUT /projects/:name/services/:serviceName', target: `${projectName}/${serviceName}`, projects: [projectName], params: updates },
+            () => services.updateService(projectName, serviceName, updates)
+        );
 
         scripts.generateScripts(projectName);
         logger.success('Service mis à jour');
@@ -778,7 +817,10 @@ async function removeServiceAction(projectName) {
     const spinner = ora('Suppression...').start();
 
     try {
-        await services.removeService(projectName, serviceName);
+        await audit.trackCli(
+            { action: 'DELETE /projects/:name/services/:serviceName', target: `${projectName}/${serviceName}`, projects: [projectName] },
+            () => services.removeService(projectName, serviceName)
+        );
         scripts.generateScripts(projectName);
         spinner.succeed('Service supprimé');
     } catch (error) {
@@ -821,7 +863,10 @@ async function changePasswordForm(projectName) {
     if (!answers.confirm) return;
 
     try {
-        await sftp.changeSftpPassword(projectName, answers.password);
+        await audit.trackCli(
+            { action: 'POST /projects/:name/sftp/change-password', target: projectName, projects: [projectName], params: { password: answers.password } },
+            () => sftp.changeSftpPassword(projectName, answers.password)
+        );
         logger.success('Mot de passe changé');
     } catch (error) {
         logger.error(error.message);
@@ -885,7 +930,10 @@ export async function deleteProjectForm() {
     const spinner = ora('Suppression en cours...').start();
 
     try {
-        await projects.deleteProject(projectName, deleteFiles);
+        await audit.trackCli(
+            { action: 'DELETE /projects/:name', target: projectName, projects: [projectName], params: { deleteFiles } },
+            () => projects.deleteProject(projectName, deleteFiles)
+        );
         spinner.succeed(`Projet ${projectName} supprimé`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -922,7 +970,7 @@ export async function regenerateAllScriptsAction() {
     const spinner = ora('Régénération...').start();
 
     try {
-        scripts.regenerateAllScripts();
+        await audit.trackCli({ action: 'POST /regenerate-all-scripts' }, () => scripts.regenerateAllScripts());
         spinner.succeed('Scripts régénérés');
     } catch (error) {
         spinner.fail('Erreur');
@@ -1113,13 +1161,17 @@ async function createNginxConfigForm() {
     const spinner = ora('Création de la configuration...').start();
 
     try {
-        await nginx.createNginxConfig(answers.domain, answers.port, answers.description, {
+        const options = {
             useSSL: answers.useSSL,
             sslCertPath: answers.sslCertPath,
             sslKeyPath: answers.sslKeyPath,
             redirectHTTP: answers.redirectHTTP,
             targetHost: answers.targetHost
-        });
+        };
+        await audit.trackCli(
+            { action: 'POST /nginx/configs', target: answers.domain, params: { domain: answers.domain, port: answers.port, description: answers.description, ...options } },
+            () => nginx.createNginxConfig(answers.domain, answers.port, answers.description, options)
+        );
         spinner.succeed(`Configuration créée pour ${answers.domain}`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -1248,7 +1300,10 @@ async function editErrorPageForm() {
     const spinner = ora('Sauvegarde...').start();
 
     try {
-        await nginx.setErrorPage(errorCode, content);
+        await audit.trackCli(
+            { action: 'PUT /nginx/error-pages/:code', target: String(errorCode), params: { content } },
+            () => nginx.setErrorPage(errorCode, content)
+        );
         spinner.succeed(`Page d'erreur ${errorCode} mise à jour`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -1300,7 +1355,10 @@ async function deleteErrorPageForm() {
         return;
     }
 
-    nginx.deleteErrorPage(errorCode);
+    await audit.trackCli(
+        { action: 'DELETE /nginx/error-pages/:code', target: String(errorCode) },
+        () => nginx.deleteErrorPage(errorCode)
+    );
     logger.success(`Page d'erreur ${errorCode} supprimée (retour au défaut)`);
     await pressEnterToContinue();
 }
@@ -1346,7 +1404,7 @@ async function reloadNginxForm() {
     const spinner = ora('Rechargement de Nginx...').start();
 
     try {
-        await nginx.reloadNginx();
+        await audit.trackCli({ action: 'POST /nginx/reload' }, () => nginx.reloadNginx());
         spinner.succeed('Nginx rechargé avec succès');
     } catch (error) {
         spinner.fail('Erreur');
@@ -1,15 +1,90 @@
 /**
  * Module de logging pour l'outil de gestion de projets
+ *
+ * Chaque entrée est écrite en JSON (une ligne par entrée) dans manager.log,
+ * avec le module émetteur et le contexte de la requête en cours (requestId, user, project).
  */
 
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import { AsyncLocalStorage } from 'async_hooks';
 
 // Chemin du fichier de log
 const LOG_DIR = '/var/log/nodejs-project-manager';
 const LOG_FILE = path.join(LOG_DIR, 'manager.log');
 
+// Ordre des niveaux de log
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Niveau minimal par défaut (DEBUG=1 reste supporté)
+const DEFAULT_LEVEL = parseLevel(process.env.TWOINE_LOG_LEVEL) || (process.env.DEBUG ? 'debug' : 'info');
+
+// Niveaux minimaux par module, ex: TWOINE_LOG_LEVELS="api=debug,databases=warn"
+const MODULE_LEVELS = Object.fromEntries(
+    (process.env.TWOINE_LOG_LEVELS || '')
+        .split(',')
+        .map(pair => pair.split('=').map(part => part.trim()))
+        .filter(([module, level]) => module && parseLevel(level))
+        .map(([module, level]) => [module, parseLevel(level)])
+);
+
+// Taille maximale du fichier courant avant rotation (Mo)
+const MAX_SIZE = (parseInt(process.env.TWOINE_LOG_MAX_SIZE) || 10) * 1024 * 1024;
+
+// Nombre d'archives compressées conservées
+const MAX_FILES = parseInt(process.env.TWOINE_LOG_MAX_FILES) || 20;
+
+// Durée de conservation des archives (jours)
+const RETENTION_DAYS = parseInt(process.env.TWOINE_LOG_RETENTION_DAYS) || 14;
+
+// Contexte de la requête en cours (requestId, user, project)
+const context = new AsyncLocalStorage();
+
+// Flux de sortie console des messages (stdout par défaut, stderr pour la sortie --json de la CLI)
+let consoleStream = process.stdout;
+
+// État du fichier courant (taille et jour de la première écriture), évite un stat par ligne
+let fileState = null;
+
+// Fonctions appelées pour chaque entrée émise (journal des jobs)
+const entryListeners = new Set();
+
+/**
+ * Normalise un nom de niveau
+ * @param {string} level
+ * @returns {string|null}
+ */
+function parseLevel(level) {
+    const normalized = String(level || '').toLowerCase();
+    return LEVELS[normalized] ? normalized : null;
+}
+
+/**
+ * Niveau minimal effectif d'un module
+ * @param {string} module
+ * @returns {string}
+ */
+export function getLevel(module = 'app') {
+    return MODULE_LEVELS[module] || DEFAULT_LEVEL;
+}
+
+/**
+ * Redirige l'affichage console des messages
+ * @param {string} target - stdout ou stderr
+ */
+export function setConsoleOutput(target) {
+    consoleStream = target === 'stderr' ? process.stderr : process.stdout;
+}
+
+/**
+ * Affiche une ligne sur la sortie console courante
+ */
+function print(text) {
+    consoleStream.write(text + '\n');
+}
+
 /**
  * Initialise le dossier de logs
  */
@@ -24,65 +99,194 @@ export function initLogDir() {
 }
 
 /**
- * Écrit un message dans le fichier de log
- * @param {string} level - Niveau de log (INFO, ERROR, WARN, DEBUG)
- * @param {string} message - Message à logger
+ * Exécute une fonction avec un contexte de log (hérité par les appels asynchrones)
+ * @param {object} fields - Champs ajoutés à chaque entrée (requestId, user, project…)
+ * @param {Function} fn
  */
-function writeToFile(level, message) {
-    try {
-        const timestamp = new Date().toISOString();
-        const logLine = `[${timestamp}] [${level}] ${message}\n`;
-        fs.appendFileSync(LOG_FILE, logLine);
-    } catch (error) {
-        // Silently fail if we can't write to log file
+export function runWithContext(fields, fn) {
+    return context.run({ ...fields }, fn);
+}
+
+/**
+ * Complète le contexte de log courant
+ * @param {object} fields
+ */
+export function addContext(fields) {
+    const store = context.getStore();
+    if (store) {
+        Object.assign(store, fields);
     }
 }
 
 /**
- * Log un message d'information
- * @param {string} message - Message à afficher
+ * Appelle une fonction pour chaque entrée émise (après filtrage par niveau)
+ * @param {Function} listener - Reçoit l'entrée { timestamp, level, module, message, …contexte }
+ * @returns {Function} - Désabonnement
  */
-export function info(message) {
-    console.log(chalk.cyan('ℹ ') + message);
-    writeToFile('INFO', message);
+export function onEntry(listener) {
+    entryListeners.add(listener);
+    return () => entryListeners.delete(listener);
 }
 
 /**
- * Log un message de succès
- * @param {string} message - Message à afficher
+ * Supprime les archives au-delà du nombre ou de la durée de conservation
  */
-export function success(message) {
-    console.log(chalk.green('✔ ') + message);
-    writeToFile('INFO', message);
+function applyRetention() {
+    const limit = Date.now() - RETENTION_DAYS * 86400000;
+    const archives = fs.readdirSync(LOG_DIR)
+        .filter(file => /^manager-.+\.log\.gz$/.test(file))
+        .sort()
+        .reverse();
+
+    archives.forEach((file, index) => {
+        const filePath = path.join(LOG_DIR, file);
+        if (index >= MAX_FILES || fs.statSync(filePath).mtimeMs < limit) {
+            fs.unlinkSync(filePath);
+        }
+    });
 }
 
 /**
- * Log un message d'erreur
- * @param {string} message - Message à afficher
+ * Archive et compresse le fichier courant s'il dépasse la taille maximale ou date d'un autre jour
+ * @param {number} bytes - Taille de la ligne à écrire
  */
-export function error(message) {
-    console.log(chalk.red('✖ ') + message);
-    writeToFile('ERROR', message);
+function rotateIfNeeded(bytes) {
+    const today = new Date().toISOString().slice(0, 10);
+
+    if (!fileState) {
+        const stat = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE) : null;
+        fileState = {
+            size: stat ? stat.size : 0,
+            day: stat ? stat.mtime.toISOString().slice(0, 10) : today
+        };
+    }
+
+    if (fileState.size > 0 && (fileState.size + bytes > MAX_SIZE || fileState.day !== today)) {
+        const archive = path.join(LOG_DIR, `manager-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+        fs.renameSync(LOG_FILE, archive);
+        fs.writeFileSync(`${archive}.gz`, zlib.gzipSync(fs.readFileSync(archive)));
+        fs.unlinkSync(archive);
+        applyRetention();
+        fileState = { size: 0, day: today };
+    }
 }
 
 /**
- * Log un message d'avertissement
- * @param {string} message - Message à afficher
+ * Écrit une entrée dans le fichier de log
+ * @param {object} entry
  */
-export function warn(message) {
-    console.log(chalk.yellow('⚠ ') + message);
-    writeToFile('WARN', message);
+function writeToFile(entry) {
+    try {
+        const line = JSON.stringify(entry) + '\n';
+        const bytes = Buffer.byteLength(line);
+        rotateIfNeeded(bytes);
+        fs.appendFileSync(LOG_FILE, line);
+        fileState.size += bytes;
+    } catch (error) {
+        // Silently fail if we can't write to log file
+    }
 }
 
 /**
- * Log un message de debug (non affiché par défaut)
- * @param {string} message - Message à logger
+ * Construit et écrit une entrée si le niveau du module le permet
+ * @returns {boolean} - true si l'entrée doit être émise
  */
-export function debug(message) {
-    writeToFile('DEBUG', message);
-    if (process.env.DEBUG) {
-        console.log(chalk.gray('🔍 ') + message);
+function emit(module, level, message, fields) {
+    if (LEVELS[level] < LEVELS[getLevel(module)]) {
+        return false;
     }
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        module,
+        message: String(message),
+        ...context.getStore(),
+        ...fields
+    };
+    writeToFile(entry);
+    entryListeners.forEach(listener => listener(entry));
+    return true;
+}
+
+/**
+ * Crée un logger rattaché à un module (canal)
+ * @param {string} module - Nom du module (ex: api, services, databases)
+ * @param {object} baseFields - Champs ajoutés à chaque entrée
+ * @returns {object}
+ */
+export function createLogger(module, baseFields = {}) {
+    return {
+        module,
+        initLogDir,
+        runWithContext,
+        addContext,
+        section,
+        newline,
+
+        /**
+         * Log un message d'information
+         * @param {string} message - Message à afficher
+         * @param {object} fields - Champs structurés supplémentaires
+         */
+        info(message, fields = {}) {
+            if (emit(module, 'info', message, { ...baseFields, ...fields })) {
+                print(chalk.cyan('ℹ ') + message);
+            }
+        },
+
+        /**
+         * Log un message de succès
+         * @param {string} message - Message à afficher
+         * @param {object} fields - Champs structurés supplémentaires
+         */
+        success(message, fields = {}) {
+            if (emit(module, 'info', message, { ...baseFields, ...fields })) {
+                print(chalk.green('✔ ') + message);
+            }
+        },
+
+        /**
+         * Log un message d'erreur
+         * @param {string} message - Message à afficher
+         * @param {object} fields - Champs structurés supplémentaires
+         */
+        error(message, fields = {}) {
+            if (emit(module, 'error', message, { ...baseFields, ...fields })) {
+                print(chalk.red('✖ ') + message);
+            }
+        },
+
+        /**
+         * Log un message d'avertissement
+         * @param {string} message - Message à afficher
+         * @param {object} fields - Champs structurés supplémentaires
+         */
+        warn(message, fields = {}) {
+            if (emit(module, 'warn', message, { ...baseFields, ...fields })) {
+                print(chalk.yellow('⚠ ') + message);
+            }
+        },
+
+        /**
+         * Log un message de debug (affiché seulement si le niveau du module est debug)
+         * @param {string} message - Message à logger
+         * @param {object} fields - Champs structurés supplémentaires
+         */
+        debug(message, fields = {}) {
+            if (emit(module, 'debug', message, { ...baseFields, ...fields })) {
+                print(chalk.gray('🔍 ') + message);
+            }
+        },
+
+        /**
+         * Crée un logger enfant avec des champs supplémentaires
+         * @param {object} fields
+         */
+        child(fields) {
+            return createLogger(module, { ...baseFields, ...fields });
+        }
+    };
 }
 
 /**
@@ -90,23 +294,99 @@ export function debug(message) {
  * @param {string} title - Titre de la section
  */
 export function section(title) {
-    console.log('\n' + chalk.bold.blue('═══ ' + title + ' ═══') + '\n');
+    print('\n' + chalk.bold.blue('═══ ' + title + ' ═══') + '\n');
 }
 
 /**
  * Affiche une ligne vide
  */
 export function newline() {
-    console.log('');
+    print('');
+}
+
+/**
+ * Convertit une ligne du fichier (JSON, ou ancien format texte) en entrée
+ * @param {string} line
+ * @returns {object|null}
+ */
+function parseLine(line) {
+    if (line.startsWith('{')) {
+        try {
+            return JSON.parse(line);
+        } catch {
+            return null;
+        }
+    }
+
+    const match = line.match(/^\[(.+?)\] \[(\w+)\] (.*)$/);
+    return match ? { timestamp: match[1], level: match[2].toLowerCase(), module: null, message: match[3] } : null;
 }
 
+/**
+ * Lit les entrées les plus récentes du journal (fichier courant puis archives)
+ * @param {object} filters
+ * @param {string} filters.level - Niveau minimal
+ * @param {string} filters.module - Module émetteur
+ * @param {string} filters.search - Texte contenu dans le message
+ * @param {string} filters.requestId
+ * @param {string} filters.user
+ * @param {string} filters.project
+ * @param {string} filters.since - Date ISO minimale
+ * @param {string} filters.until - Date ISO maximale
+ * @param {number} filters.limit - Nombre maximal d'entrées (200 par défaut)
+ * @returns {Array} - Du plus récent au plus ancien
+ */
+export function readLogs({ level, module, search, requestId, user, project, since, until, limit = 200 } = {}) {
+    const max = Math.min(parseInt(limit) || 200, 2000);
+    const minLevel = LEVELS[parseLevel(level)] || 0;
+    const needle = search ? search.toLowerCase() : null;
+
+    const files = [LOG_FILE];
+    if (fs.existsSync(LOG_DIR)) {
+        files.push(...fs.readdirSync(LOG_DIR)
+            .filter(file => /^manager-.+\.log\.gz$/.test(file))
+            .sort()
+            .reverse()
+            .map(file => path.join(LOG_DIR, file)));
+    }
+
+    const matches = [];
+    for (const file of files) {
+        if (!fs.existsSync(file)) continue;
+
+        const raw = file.endsWith('.gz') ? zlib.gunzipSync(fs.readFileSync(file)) : fs.readFileSync(file);
+        const lines = raw.toString('utf8').split('\n').filter(Boolean).reverse();
+
+        for (const line of lines) {
+            const entry = parseLine(line);
+            if (!entry) continue;
+
+            if ((LEVELS[entry.level] || 0) < minLevel) continue;
+            if (module && entry.module !== module) continue;
+            if (needle && !entry.message.toLowerCase().includes(needle)) continue;
+            if (requestId && entry.requestId !== requestId) continue;
+            if (user && entry.user !== user) continue;
+            if (project && entry.project !== project) continue;
+            if (since && entry.timestamp < since) continue;
+            if (until && entry.timestamp > until) continue;
+
+            matches.push(entry);
+            if (matches.length >= max) return matches;
+        }
+    }
+    return matches;
+}
+
+// Logger par défaut (module "app") : conserve l'API historique
+const defaultLogger = createLogger('app');
+
+export const { info, success, error, warn, debug } = defaultLogger;
+
 export default {
-    initLogDir,
-    info,
-    success,
-    error,
-    warn,
-    debug,
-    section,
-    newline
+    ...defaultLogger,
+    createLogger,
+    getLevel,
+    setConsoleOutput,
+    onEntry,
+    readLogs
 };
@@ -2,11 +2,15 @@
  * Module d'exécution de commandes shell
  */
 
-import { exec, execSync, spawn } from 'child_process';
+import fs from 'fs';
+import { exec, execFile, execSync, spawn } from 'child_process';
 import { promisify } from 'util';
-import logger from './logger.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('shell');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Exécute une commande shell de manière synchrone
@@ -49,6 +53,27 @@ export async function execCommand(command, options = {}) {
     }
 }
 
+/**
+ * Exécute un programme sans shell : les arguments sont transmis tels quels, sans interprétation
+ * @param {string} file - Programme à exécuter
+ * @param {Array<string>} args - Arguments
+ * @param {object} options - Options d'exécution
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export async function execProgram(file, args = [], options = {}) {
+    try {
+        logger.debug(`Executing program: ${file} ${args.join(' ')}`);
+        const { stdout, stderr } = await execFileAsync(file, args, {
+            encoding: 'utf8',
+            ...options
+        });
+        return { stdout: stdout.trim(), stderr: stderr.trim() };
+    } catch (error) {
+        logger.debug(`Program failed: ${file} - ${error.message}`);
+        throw error;
+    }
+}
+
 /**
  * Vérifie si une commande existe dans le système
  * @param {string} command - Nom de la commande
@@ -63,6 +88,51 @@ export function commandExists(command) {
     }
 }
 
+/**
+ * Vérifie si un processus existe (y compris s'il appartient à un autre utilisateur)
+ * @param {number} pid - Identifiant du processus
+ * @returns {boolean}
+ */
+export function processExists(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Envoie un signal à un processus et à tous ses descendants (arborescence lue dans /proc)
+ * @param {number} pid - Identifiant du processus
+ * @param {string} signal - Signal à envoyer (défaut: SIGTERM)
+ */
+export function killProcessTree(pid, signal = 'SIGTERM') {
+    const children = new Map();
+    for (const entry of fs.readdirSync('/proc').filter(name => /^\d+$/.test(name))) {
+        try {
+            // Le nom du processus peut contenir des espaces : l'état puis le PPID suivent la dernière parenthèse
+            const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+            const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+            children.set(ppid, [...(children.get(ppid) || []), parseInt(entry)]);
+        } catch {
+            // Processus terminé pendant le parcours
+        }
+    }
+
+    const tree = [pid];
+    for (let index = 0; index < tree.length; index++) {
+        tree.push(...(children.get(tree[index]) || []));
+    }
+    for (const target of tree) {
+        try {
+            process.kill(target, signal);
+        } catch {
+            // Déjà terminé
+        }
+    }
+}
+
 /**
  * Vérifie si l'utilisateur est root
  * @returns {boolean}
@@ -137,60 +207,16 @@ export async function testSSHConfig() {
     }
 }
 
-/**
- * Exécute une commande PM2
- * @param {string} args - Arguments PM2
- * @returns {Promise<string>}
- */
-export async function pm2Command(args) {
-    try {
-        const { stdout } = await execCommand(`pm2 ${args}`);
-        return stdout;
-    } catch (error) {
-        throw new Error(`Erreur PM2: ${error.message}`);
-    }
-}
-
-/**
- * Récupère le statut d'un processus PM2
- * @param {string} processName - Nom du processus
- * @returns {Promise<object|null>}
- */
-export async function getPm2ProcessStatus(processName) {
-    try {
-        const { stdout } = await execCommand('pm2 jlist');
-        const processes = JSON.parse(stdout);
-        return processes.find(p => p.name === processName) || null;
-    } catch {
-        return null;
-    }
-}
-
-/**
- * Récupère les logs d'un processus PM2
- * @param {string} processName - Nom du processus
- * @param {number} lines - Nombre de lignes
- * @returns {Promise<string>}
- */
-export async function getPm2Logs(processName, lines = 50) {
-    try {
-        const { stdout } = await execCommand(`pm2 logs ${processName} --nostream --lines ${lines}`);
-        return stdout;
-    } catch (error) {
-        throw new Error(`Impossible de récupérer les logs: ${error.message}`);
-    }
-}
-
 export default {
     execSyncSafe,
     execCommand,
+    execProgram,
     commandExists,
+    processExists,
+    killProcessTree,
     isRoot,
     userExists,
     groupExists,
     restartSSH,
-    testSSHConfig,
-    pm2Command,
-    getPm2ProcessStatus,
-    getPm2Logs
+    testSSHConfig
 };
@@ -0,0 +1,144 @@
+/**
+ * Module TOTP (RFC 6238) pour la double authentification
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Paramètres compatibles avec les applications d'authentification courantes
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode un buffer en base32 (RFC 4648, sans padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Décode une chaîne base32
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secret base32 invalide');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Génère un secret TOTP aléatoire
+ * @returns {string} - Secret encodé en base32
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcule le code HOTP d'un compteur
+ * @param {string} secret - Secret base32
+ * @param {number} counter
+ * @returns {string}
+ */
+export function generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return binary.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Compteur TOTP courant
+ * @param {number} timestamp - Horodatage en ms
+ * @returns {number}
+ */
+export function currentCounter(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD);
+}
+
+/**
+ * Vérifie un code TOTP en tolérant un décalage d'horloge
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @param {number} window - Nombre de périodes tolérées avant/après
+ * @returns {number|null} - Compteur correspondant, ou null si invalide
+ */
+export function verifyCode(secret, code, window = 1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const counter = currentCounter();
+    for (let delta = -window; delta <= window; delta++) {
+        const expected = Buffer.from(generateCode(secret, counter + delta));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return counter + delta;
+        }
+    }
+    return null;
+}
+
+/**
+ * Construit l'URI otpauth:// pour les applications d'authentification
+ * @param {string} secret - Secret base32
+ * @param {string} account - Nom du compte
+ * @param {string} issuer - Émetteur affiché
+ * @returns {string}
+ */
+export function buildOtpauthUri(secret, account, issuer = 'Twoine') {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export default {
+    generateSecret,
+    generateCode,
+    currentCounter,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -8,7 +8,7 @@ import services from '../modules/services.js';
 import scriptsModule from '../modules/scripts.js';
 import sftp from '../modules/sftp.js';
 import shell from '../utils/shell.js';
-import logger from '../utils/logger.js';
+import { createLogger, readLogs } from '../utils/logger.js';
 import users from '../modules/users.js';
 import fileManager from '../modules/fileManager.js';
 import databases from '../modules/databases.js';
@@ -16,47 +16,310 @@ import aiModels from '../modules/aiModels.js';
 import apiKeys from '../modules/apiKeys.js';
 import nginx from '../modules/nginx.js';
 import ssl from '../modules/ssl.js';
+import sessions from '../modules/sessions.js';
+import loginThrottle from '../modules/loginThrottle.js';
+import permissions from '../modules/permissions.js';
+import audit from '../modules/audit.js';
+import manifests from '../modules/manifest.js';
+import environment from '../modules/environment.js';
+import processManager from '../modules/processManager.js';
+import quotas from '../modules/quotas.js';
+import releases from '../modules/releases.js';
+import deployments from '../modules/deployments.js';
+import jobs from '../modules/jobs.js';
+import logStreams from '../modules/logStreams.js';
+import logArchive from '../modules/logArchive.js';
 import multer from 'multer';
 import path from 'path';
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
+import crypto from 'crypto';
 import mysql from 'mysql2/promise';
 import { MongoClient } from 'mongodb';
 import pg from 'pg';
 
+const logger = createLogger('api');
+
 const { Pool } = pg;
 
 const router = Router();
 const upload = multer({ dest: '/tmp/uploads/' });
 
-function getRequestUser(req) {
-    const userId = req.headers['x-twoine-user-id'] || req.headers['x-user-id'];
-    if (userId && typeof userId === 'string') {
-        const byId = users.getUserById(userId);
-        if (byId) return byId;
+// Routes accessibles sans session (les routes /ai/* s'authentifient par clé API, les webhooks par signature)
+const PUBLIC_ROUTES = [
+    { method: 'POST', path: '/auth/login' },
+    { method: 'POST', path: '/auth/login/2fa' },
+    { method: 'POST', path: '/ai/chat' },
+    { method: 'POST', path: '/ai/generate' },
+    { method: 'POST', path: '/projects/:name/services/:serviceName/deploy-hook', pattern: /^\/projects\/[^/]+\/services\/[^/]+\/deploy-hook$/ }
+];
+
+/**
+ * Indique si une requête vise une route publique
+ */
+function isPublicRequest(req) {
+    return PUBLIC_ROUTES.some(r => r.method === req.method && (r.pattern ? r.pattern.test(req.path) : r.path === req.path));
+}
+
+/**
+ * Extrait le jeton de session du cookie ou de l'en-tête Authorization
+ */
+function getSessionToken(req) {
+    const authorization = req.headers['authorization'];
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
     }
-    const username = req.headers['x-twoine-username'] || req.headers['x-username'];
-    if (username && typeof username === 'string') {
-        const byUsername = users.getUserByUsername(username);
-        if (byUsername) return byUsername;
+
+    const cookieHeader = req.headers['cookie'] || '';
+    for (const part of cookieHeader.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === sessions.SESSION_COOKIE) {
+            return decodeURIComponent(value.join('='));
+        }
     }
     return null;
 }
 
-function userCanAccessProject(user, projectName) {
-    if (!projectName) return false;
-    if (!user) return false;
-    if (user.role === 'admin') return true;
-    return Array.isArray(user.projects) && user.projects.includes(projectName);
+/**
+ * Middleware d'authentification : associe la session et l'utilisateur à la requête
+ */
+function requireSession(req, res, next) {
+    if (isPublicRequest(req)) {
+        return next();
+    }
+
+    const session = sessions.verifySession(getSessionToken(req));
+    const user = session ? users.getUserById(session.userId) : null;
+    if (!user) {
+        res.clearCookie(sessions.SESSION_COOKIE, { path: '/' });
+        return res.status(401).json({ success: false, error: 'Non authentifié' });
+    }
+
+    req.session = session;
+    req.user = user;
+    logger.addContext({ user: user.username });
+
+    // Double authentification imposée mais pas encore configurée : seules les routes /auth restent ouvertes
+    if (!user.twoFactorEnabled && users.isTwoFactorRequired(user) && !req.path.startsWith('/auth/')) {
+        return res.status(403).json({
+            success: false,
+            error: 'Activation de la double authentification requise',
+            twoFactorSetupRequired: true
+        });
+    }
+
+    next();
+}
+
+/**
+ * Refuse une tentative de connexion si l'IP ou le compte est verrouillé
+ * @returns {boolean} - true si la réponse a été envoyée
+ */
+function rejectThrottled(req, res, username) {
+    const { allowed, retryAfter } = loginThrottle.checkAttempt(req.ip, username);
+    if (allowed) return false;
+
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        error: `Trop de tentatives échouées. Réessayez dans ${retryAfter} seconde(s)`,
+        retryAfter
+    });
+    return true;
+}
+
+/**
+ * Ouvre une session et pose le cookie correspondant
+ */
+function openSession(req, res, user) {
+    loginThrottle.recordSuccess(user.username);
+    const { token, session } = sessions.createSession(user, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+    });
+    res.cookie(sessions.SESSION_COOKIE, token, sessions.getCookieOptions(req.secure));
+    logger.info(`Connexion Web: ${user.username}`);
+
+    return {
+        success: true,
+        user,
+        token,
+        expiresAt: session.expiresAt,
+        twoFactorSetupRequired: !user.twoFactorEnabled && users.isTwoFactorRequired(user)
+    };
+}
+
+function getRequestUser(req) {
+    return req.user || null;
+}
+
+function userCanAccessProject(user, projectName, permission = 'project:read') {
+    return permissions.hasPermission(user, projectName, permission);
+}
+
+/**
+ * Vérifie une permission sur un ou plusieurs projets (tous doivent être autorisés)
+ * @param {object} user
+ * @param {string|string[]} projectNames
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function userCanAccessProjects(user, projectNames, permission) {
+    if (user?.role === 'admin') return true;
+    const list = Array.isArray(projectNames) ? projectNames : [projectNames];
+    return list.length > 0 && list.every(name => userCanAccessProject(user, name, permission));
+}
+
+/**
+ * Associe une politique d'accès à un middleware (vérifiée au démarrage par listUnprotectedRoutes)
+ * @param {string} access - public, authenticated, admin, self, project:<permission> ou job:<action>
+ * @param {Function} middleware
+ */
+function withAccess(access, middleware) {
+    middleware.access = access;
+    return middleware;
+}
+
+/**
+ * Middleware : route ouverte sans session (doit figurer dans PUBLIC_ROUTES)
+ */
+const allowPublic = withAccess('public', (req, res, next) => next());
+
+/**
+ * Middleware : route ouverte à tout utilisateur connecté, sans lien avec un projet
+ */
+const authenticated = withAccess('authenticated', (req, res, next) => next());
+
+/**
+ * Middleware : exige une permission sur le ou les projets auxquels appartient la ressource
+ * @param {string} permission - Permission requise (ex: services:restart)
+ * @param {Function} resolveProject - Déduit le projet (ou la liste de projets) de la requête (par défaut :name)
+ */
+function authorize(permission, resolveProject = req => req.params.name) {
+    return withAccess(`project:${permission}`, (req, res, next) => {
+        req.projectScope = [].concat(resolveProject(req));
+        logger.addContext({ project: req.projectScope.join(',') });
+        if (!userCanAccessProjects(req.user, req.projectScope, permission)) {
+            return res.status(403).json({ success: false, error: 'Accès refusé à ce projet' });
+        }
+        next();
+    });
 }
 
-function ensureProjectAccess(user, projectName) {
-    if (!userCanAccessProject(user, projectName)) {
-        throw new Error("Accès refusé à ce projet");
+/**
+ * Middleware : réservé aux administrateurs
+ */
+const requireAdmin = withAccess('admin', (req, res, next) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Accès refusé' });
+    }
+    next();
+});
+
+/**
+ * Middleware : réservé à l'utilisateur désigné par :userId ou à un administrateur
+ */
+const requireSelfOrAdmin = withAccess('self', (req, res, next) => {
+    if (req.user.role !== 'admin' && req.user.id !== req.params.userId) {
+        return res.status(403).json({ success: false, error: 'Accès refusé' });
+    }
+    next();
+});
+
+// Résolution du projet propriétaire des ressources non nommées par projet
+const nginxConfigProject = req => nginx.getNginxConfig(req.params.id)?.linkedProject;
+const certificateProject = req => ssl.getCertificateById(req.params.id)?.linkedProject;
+const databaseProject = req => databases.getDatabaseById(req.params.id)?.projectName;
+const apiKeyProjects = req => apiKeys.getApiKeyById(req.params.id)?.projects || [];
+const bodyLinkedProject = req => req.body?.linkedProject;
+const bodyProjectName = req => req.body?.projectName;
+const bodyProjects = req => req.body?.projects || [];
+
+// Modification d'une clé API : droits requis sur ses projets actuels et sur les nouveaux
+const apiKeyUpdateProjects = req => [...apiKeyProjects(req), ...bodyProjects(req)];
+
+// Déplacement d'une BDD : droits requis sur le projet actuel et sur le projet cible
+const databaseMoveProjects = req => req.body && 'projectName' in req.body
+    ? [databaseProject(req), req.body.projectName]
+    : [databaseProject(req)];
+
+/**
+ * Liste les routes sans politique d'accès explicite, ou dont la politique
+ * publique ne correspond pas à PUBLIC_ROUTES
+ * @returns {string[]} - Routes au format "METHODE /chemin"
+ */
+export function listUnprotectedRoutes() {
+    const problems = [];
+
+    for (const layer of router.stack) {
+        if (!layer.route) continue;
+
+        const policies = layer.route.stack.map(l => l.handle.access).filter(Boolean);
+        for (const method of Object.keys(layer.route.methods)) {
+            const route = `${method.toUpperCase()} ${layer.route.path}`;
+            const isPublic = PUBLIC_ROUTES.some(r => r.method === method.toUpperCase() && r.path === layer.route.path);
+            if (policies.length === 0 || policies.includes('public') !== isPublic) {
+                problems.push(route);
+            }
+        }
     }
+
+    return problems;
+}
+
+/**
+ * Extrait la clé API d'une requête des routes /ai/*
+ */
+function getRequestApiKey(req) {
+    return req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+}
+
+/**
+ * Middleware : identifiant de requête, repris dans les logs et le journal d'audit
+ */
+function requestContext(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    req.id = /^[\w-]{1,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    logger.runWithContext({ requestId: req.id }, next);
+}
+
+/**
+ * Middleware : enregistre chaque requête de modification dans le journal d'audit
+ */
+function auditTrail(req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD') return next();
+
+    const json = res.json.bind(res);
+    res.json = body => {
+        res.auditError = body?.success === false ? body.error : null;
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        if (!req.route) return;
+
+        const keyData = req.path.startsWith('/ai/') ? apiKeys.getApiKeyByValue(getRequestApiKey(req)) : null;
+        audit.record({
+            actor: req.user?.username || keyData?.name || req.auditActor || req.body?.username || null,
+            source: keyData ? 'api-key' : req.auditSource || 'web',
+            action: `${req.method} ${req.route.path}`,
+            requestId: req.id,
+            target: req.path,
+            projects: req.projectScope || [req.params.name, req.params.projectName, req.body?.projectName, req.body?.linkedProject],
+            params: req.auditParams || { ...req.query, ...req.body },
+            result: res.statusCode < 400 ? 'success' : 'failure',
+            error: res.statusCode < 400 ? null : res.auditError || `HTTP ${res.statusCode}`
+        });
+    });
+    next();
 }
 
+router.use(requestContext);
+router.use(requireSession);
+router.use(auditTrail);
+
 // ============================================
 // PROJETS
 // ============================================
@@ -64,9 +327,10 @@ function ensureProjectAccess(user, projectName) {
 /**
  * GET /api/projects - Liste tous les projets avec statut
  */
-router.get('/projects', async (req, res) => {
+router.get('/projects', authenticated, async (req, res) => {
     try {
-        const projectsWithStatus = await projects.listProjectsWithStatus();
+        const projectsWithStatus = (await projects.listProjectsWithStatus())
+            .filter(project => userCanAccessProject(req.user, project.name));
         res.json({ success: true, data: projectsWithStatus });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -77,7 +341,7 @@ router.get('/projects', async (req, res) => {
 /**
  * GET /api/projects/:name - Détails d'un projet
  */
-router.get('/projects/:name', async (req, res) => {
+router.get('/projects/:name', authorize('project:read'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -85,14 +349,16 @@ router.get('/projects/:name', async (req, res) => {
         }
         const config = projects.loadProjectConfig(req.params.name);
         const servicesStatus = await services.getAllServicesStatus(req.params.name);
+        const quota = await services.getProjectQuota(req.params.name);
         const scriptPaths = scriptsModule.getScriptsPaths(req.params.name);
 
         res.json({
             success: true,
             data: {
                 ...project,
-                config,
+                config: environment.maskProjectConfig(config),
                 services: servicesStatus,
+                quota,
                 scripts: scriptPaths
             }
         });
@@ -105,7 +371,7 @@ router.get('/projects/:name', async (req, res) => {
 /**
  * POST /api/projects - Créer un projet
  */
-router.post('/projects', async (req, res) => {
+router.post('/projects', requireAdmin, async (req, res) => {
     try {
         const { name, password } = req.body;
         if (!name || !password) {
@@ -128,7 +394,7 @@ router.post('/projects', async (req, res) => {
 /**
  * DELETE /api/projects/:name - Supprimer un projet
  */
-router.delete('/projects/:name', async (req, res) => {
+router.delete('/projects/:name', requireAdmin, async (req, res) => {
     try {
         const deleteFiles = req.query.deleteFiles === 'true';
         await projects.deleteProject(req.params.name, deleteFiles);
@@ -142,7 +408,7 @@ router.delete('/projects/:name', async (req, res) => {
 /**
  * PUT /api/projects/:name/rename - Renommer un projet
  */
-router.put('/projects/:name/rename', async (req, res) => {
+router.put('/projects/:name/rename', requireAdmin, async (req, res) => {
     try {
         const { newName } = req.body;
         if (!newName) {
@@ -161,6 +427,68 @@ router.put('/projects/:name/rename', async (req, res) => {
     }
 });
 
+/**
+ * PUT /api/projects/:name/run-as - Choisir l'utilisateur qui exécute les services (project ou root)
+ */
+router.put('/projects/:name/run-as', requireAdmin, async (req, res) => {
+    try {
+        if (!projects.projectExists(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+
+        const user = await services.setProjectRunAs(req.params.name, req.body.runAs);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({
+            success: true,
+            message: `Services exécutés par ${user ? user.name : 'root'}`,
+            data: { runAs: req.body.runAs, user: user ? user.name : 'root' }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/limits - Limites de ressources du projet (memory, cpu, processes, disk)
+ */
+router.put('/projects/:name/limits', requireAdmin, async (req, res) => {
+    try {
+        if (!projects.projectExists(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+
+        const limits = await projects.setProjectLimits(req.params.name, req.body);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({
+            success: true,
+            message: 'Limites mises à jour (appliquées aux services PM2 au prochain redémarrage)',
+            data: { limits, quota: await services.getProjectQuota(req.params.name) }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/backend - Choisir le gestionnaire des services (pm2 ou systemd)
+ */
+router.put('/projects/:name/backend', requireAdmin, async (req, res) => {
+    try {
+        if (!projects.projectExists(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+
+        const backend = await services.setProjectBackend(req.params.name, req.body.backend);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, message: `Services exécutés par ${backend}`, data: { backend } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // SERVICES
 // ============================================
@@ -168,7 +496,7 @@ router.put('/projects/:name/rename', async (req, res) => {
 /**
  * GET /api/projects/:name/services - Liste les services d'un projet
  */
-router.get('/projects/:name/services', async (req, res) => {
+router.get('/projects/:name/services', authorize('project:read'), async (req, res) => {
     try {
         const servicesStatus = await services.getAllServicesStatus(req.params.name);
         res.json({ success: true, data: servicesStatus });
@@ -181,24 +509,34 @@ router.get('/projects/:name/services', async (req, res) => {
 /**
  * POST /api/projects/:name/services - Ajouter un service
  */
-router.post('/projects/:name/services', (req, res) => {
+router.post('/projects/:name/services', authorize('services:edit'), async (req, res) => {
     try {
-        const { name, directory, command, description, setupCommands, runtime } = req.body;
+        const { name, directory, command, description, setupCommands, runtime, envFile, execMode, instances, maxMemoryRestart, watch, healthCheck, dependsOn, keepReleases, logRetention, git } = req.body;
         if (!name) {
             return res.status(400).json({ success: false, error: 'Nom du service requis' });
         }
 
-        const service = services.addService(req.params.name, {
+        const service = await services.addService(req.params.name, {
             name,
             directory: directory || name,
             command,
             description: description || '',
             setupCommands: setupCommands || [],
-            runtime: runtime || 'nodejs'
+            runtime: runtime || 'nodejs',
+            envFile,
+            execMode,
+            instances,
+            maxMemoryRestart,
+            watch,
+            healthCheck,
+            dependsOn,
+            keepReleases,
+            logRetention,
+            git
         });
 
         scriptsModule.generateScripts(req.params.name);
-        res.json({ success: true, data: service });
+        res.json({ success: true, data: environment.maskService(service) });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -208,19 +546,29 @@ router.post('/projects/:name/services', (req, res) => {
 /**
  * PUT /api/projects/:name/services/:serviceName - Modifier un service
  */
-router.put('/projects/:name/services/:serviceName', (req, res) => {
+router.put('/projects/:name/services/:serviceName', authorize('services:edit'), (req, res) => {
     try {
-        const { directory, command, description, setupCommands, runtime } = req.body;
+        const { directory, command, description, setupCommands, runtime, envFile, execMode, instances, maxMemoryRestart, watch, healthCheck, dependsOn, keepReleases, logRetention, git } = req.body;
         const updated = services.updateService(req.params.name, req.params.serviceName, {
             directory,
             command,
             description,
             setupCommands,
-            runtime
+            runtime,
+            envFile,
+            execMode,
+            instances,
+            maxMemoryRestart,
+            watch,
+            healthCheck,
+            dependsOn,
+            keepReleases,
+            logRetention,
+            git
         });
 
         scriptsModule.generateScripts(req.params.name);
-        res.json({ success: true, data: updated });
+        res.json({ success: true, data: environment.maskService(updated) });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -230,7 +578,7 @@ router.put('/projects/:name/services/:serviceName', (req, res) => {
 /**
  * DELETE /api/projects/:name/services/:serviceName - Supprimer un service
  */
-router.delete('/projects/:name/services/:serviceName', async (req, res) => {
+router.delete('/projects/:name/services/:serviceName', authorize('services:edit'), async (req, res) => {
     try {
         await services.removeService(req.params.name, req.params.serviceName);
         scriptsModule.generateScripts(req.params.name);
@@ -241,6 +589,111 @@ router.delete('/projects/:name/services/:serviceName', async (req, res) => {
     }
 });
 
+// ============================================
+// VARIABLES D'ENVIRONNEMENT
+// ============================================
+
+/**
+ * GET /api/projects/:name/env - Variables du projet et de chaque service (secrets masqués)
+ */
+router.get('/projects/:name/env', authorize('project:read'), (req, res) => {
+    try {
+        const config = projects.loadProjectConfig(req.params.name);
+        res.json({
+            success: true,
+            data: {
+                project: environment.maskEnv(config.env),
+                services: Object.fromEntries(config.services.map(s => [s.name, environment.maskEnv(s.env)]))
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/env/:key - Définir une variable commune aux services (body: value, secret)
+ */
+router.put('/projects/:name/env/:key', authorize('env:manage'), (req, res) => {
+    try {
+        const { value, secret } = req.body;
+        const env = environment.setEnvVar(req.params.name, null, req.params.key, value, { secret: !!secret });
+        res.json({ success: true, data: env });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/env/:key - Supprimer une variable du projet
+ */
+router.delete('/projects/:name/env/:key', authorize('env:manage'), (req, res) => {
+    try {
+        const env = environment.unsetEnvVar(req.params.name, null, req.params.key);
+        res.json({ success: true, data: env });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/services/:serviceName/env/:key - Définir une variable du service (body: value, secret)
+ */
+router.put('/projects/:name/services/:serviceName/env/:key', authorize('env:manage'), (req, res) => {
+    try {
+        const { value, secret } = req.body;
+        const env = environment.setEnvVar(req.params.name, req.params.serviceName, req.params.key, value, { secret: !!secret });
+        res.json({ success: true, data: env });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/env/:key - Supprimer une variable du service
+ */
+router.delete('/projects/:name/services/:serviceName/env/:key', authorize('env:manage'), (req, res) => {
+    try {
+        const env = environment.unsetEnvVar(req.params.name, req.params.serviceName, req.params.key);
+        res.json({ success: true, data: env });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/databases - Injecter les identifiants d'une base liée au projet
+ * (body: databaseId, prefix — DATABASE par défaut : DATABASE_URL, DATABASE_HOST…)
+ */
+router.post('/projects/:name/services/:serviceName/databases', authorize('env:manage'), (req, res) => {
+    try {
+        const { databaseId, prefix } = req.body;
+        const links = environment.linkDatabase(req.params.name, req.params.serviceName, databaseId, prefix || undefined);
+        res.json({ success: true, data: links });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/databases/:id - Ne plus injecter une base dans le service
+ */
+router.delete('/projects/:name/services/:serviceName/databases/:id', authorize('env:manage'), (req, res) => {
+    try {
+        const links = environment.unlinkDatabase(req.params.name, req.params.serviceName, req.params.id);
+        res.json({ success: true, data: links });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // ACTIONS SUR LES SERVICES
 // ============================================
@@ -248,24 +701,680 @@ router.delete('/projects/:name/services/:serviceName', async (req, res) => {
 /**
  * POST /api/projects/:name/services/:serviceName/start
  */
-router.post('/projects/:name/services/:serviceName/start', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/start', authorize('services:start'), async (req, res) => {
     try {
         const runSetup = req.body.runSetup !== false;
         await services.startService(req.params.name, req.params.serviceName, runSetup);
         res.json({ success: true, message: 'Service démarré' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(400).json({ success: false, error: error.message });
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/stop
+ */
+router.post('/projects/:name/services/:serviceName/stop', authorize('services:stop'), async (req, res) => {
+    try {
+        await services.stopService(req.params.name, req.params.serviceName);
+        res.json({ success: true, message: 'Service arrêté' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/restart
+ */
+router.post('/projects/:name/services/:serviceName/restart', authorize('services:restart'), async (req, res) => {
+    try {
+        await services.restartService(req.params.name, req.params.serviceName);
+        res.json({ success: true, message: 'Service redémarré' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/logs
+ */
+router.get('/projects/:name/services/:serviceName/logs', authorize('services:logs'), async (req, res) => {
+    try {
+        const lines = parseInt(req.query.lines) || 100;
+        const logs = await services.getServiceLogs(req.params.name, req.params.serviceName, lines);
+        res.json({ success: true, data: logs });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/logs/stream - Suivre les logs en direct (Server-Sent Events)
+ * Query : stream (stdout|stderr, les deux par défaut), filter (expression régulière), ignoreCase,
+ * lines (historique initial), cursor (reprise, ou en-tête Last-Event-ID)
+ * Événements : line { stream, line, cursor }, reset { stream } (logs vidés), error { message }
+ */
+router.get('/projects/:name/services/:serviceName/logs/stream', authorize('services:logs'), (req, res) => {
+    let stop;
+    let send;
+    try {
+        // Suivi démarré avant d'ouvrir le flux : une option invalide reçoit encore une réponse JSON
+        stop = logStreams.followServiceLogs(req.params.name, req.params.serviceName, {
+            streams: req.query.stream ? String(req.query.stream).split(',') : undefined,
+            filter: req.query.filter ? String(req.query.filter) : null,
+            ignoreCase: req.query.ignoreCase === 'true',
+            lines: req.query.lines,
+            cursor: req.get('Last-Event-ID') || (req.query.cursor ? String(req.query.cursor) : null)
+        }, event => send(event.type, event, event.cursor));
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    // Les événements sont transmis après le retour de followServiceLogs : le flux est ouvert à temps
+    send = openEventStream(res);
+    res.on('close', stop);
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/logs/archive - Rechercher dans les logs archivés
+ * Query : since, until (dates ISO), level (minimal), search, stream, limit ; du plus récent au plus ancien
+ */
+router.get('/projects/:name/services/:serviceName/logs/archive', authorize('services:logs'), async (req, res) => {
+    try {
+        const { since, until, level, search, stream, limit } = req.query;
+        const result = await logArchive.searchArchive(req.params.name, req.params.serviceName, { since, until, level, search, stream, limit });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/logs/archive/info - Rétention et jours archivés
+ */
+router.get('/projects/:name/services/:serviceName/logs/archive/info', authorize('services:logs'), (req, res) => {
+    try {
+        res.json({ success: true, data: logArchive.getArchiveInfo(req.params.name, req.params.serviceName) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/logs/archive/download - Télécharger les logs archivés (texte)
+ * Query : mêmes filtres que la recherche, sans limite
+ */
+router.get('/projects/:name/services/:serviceName/logs/archive/download', authorize('services:logs'), async (req, res) => {
+    try {
+        const { since, until, level, search, stream } = req.query;
+        res.attachment(`${req.params.name}-${req.params.serviceName}-logs.txt`);
+        res.type('text/plain; charset=utf-8');
+        // Lecture suspendue tant que le client n'a pas reçu le lot précédent
+        await logArchive.exportArchive(req.params.name, req.params.serviceName, { since, until, level, search, stream }, text => {
+            if (res.destroyed) {
+                throw new Error('Téléchargement interrompu par le client');
+            }
+            return res.write(text) || new Promise(resolve => {
+                const resume = () => {
+                    res.off('drain', resume);
+                    res.off('close', resume);
+                    resolve();
+                };
+                res.on('drain', resume);
+                res.on('close', resume);
+            });
+        });
+        res.end();
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        if (res.headersSent) {
+            return res.end();
+        }
+        // Filtres invalides : rien n'a été envoyé, l'erreur n'est pas un fichier
+        res.removeHeader('Content-Disposition');
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/reset-logs - Reset les logs
+ */
+router.post('/projects/:name/services/:serviceName/reset-logs', authorize('services:edit'), async (req, res) => {
+    try {
+        await services.resetServiceLogs(req.params.name, req.params.serviceName);
+        res.json({ success: true, message: 'Logs réinitialisés' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/setup - Lancer uniquement le setup
+ */
+router.post('/projects/:name/services/:serviceName/setup', authorize('services:setup'), async (req, res) => {
+    try {
+        const job = await services.runSetupOnly(req.params.name, req.params.serviceName, { trigger: 'manual', actor: req.user.username });
+        res.json({ success: true, data: { jobId: job?.id || null }, message: job ? 'Setup exécuté' : 'Aucune commande de setup' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/start-only - Lancer uniquement le service (sans setup)
+ */
+router.post('/projects/:name/services/:serviceName/start-only', authorize('services:start'), async (req, res) => {
+    try {
+        await services.startService(req.params.name, req.params.serviceName, false);
+        res.json({ success: true, message: 'Service démarré (sans setup)' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/deploy - Déployer une nouvelle version du service, en arrière-plan (202).
+ * Les déploiements d'un même service passent par une file commune ; le résultat du job est le déploiement enregistré.
+ */
+router.post('/projects/:name/services/:serviceName/deploy', authorize('services:deploy'), (req, res) => {
+    try {
+        const { name, serviceName } = req.params;
+        if (!services.getService(name, serviceName)) {
+            return res.status(404).json({ success: false, error: `Le service ${serviceName} n'existe pas` });
+        }
+
+        const job = deployments.enqueueDeploy(name, serviceName, { trigger: 'manual', actor: req.user.username });
+        respondWithJob(res, job, `Déploiement de ${serviceName} lancé`);
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/deployments - Historique des déploiements du service
+ */
+router.get('/projects/:name/services/:serviceName/deployments', authorize('project:read'), (req, res) => {
+    try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: `Le service ${req.params.serviceName} n'existe pas` });
+        }
+        res.json({ success: true, data: deployments.listDeployments(req.params.name, req.params.serviceName) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/deploy-hook - URL et secret du webhook de déploiement
+ */
+router.get('/projects/:name/services/:serviceName/deploy-hook', authorize('services:edit'), (req, res) => {
+    try {
+        res.json({ success: true, data: deployments.getWebhook(req.params.name, req.params.serviceName) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/deploy-hook/rotate - Renouveler le secret du webhook
+ */
+router.post('/projects/:name/services/:serviceName/deploy-hook/rotate', authorize('services:edit'), (req, res) => {
+    try {
+        res.json({ success: true, data: deployments.rotateWebhookSecret(req.params.name, req.params.serviceName), message: 'Secret du webhook renouvelé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/deploy-hook - Webhook de push (GitHub, Gitea, GitLab), authentifié par signature.
+ * Un push sur la branche suivie met le déploiement dans la file du service, comme un déploiement manuel (réponse 202 avec le job).
+ */
+router.post('/projects/:name/services/:serviceName/deploy-hook', allowPublic, (req, res) => {
+    req.auditSource = 'webhook';
+    req.auditParams = {};
+    try {
+        const service = services.getService(req.params.name, req.params.serviceName);
+        const provider = deployments.verifyWebhook(service, req.headers, req.rawBody);
+        if (!provider) {
+            // Service inconnu ou signature invalide : même réponse, pour ne pas révéler les services
+            return res.status(401).json({ success: false, error: 'Signature du webhook invalide' });
+        }
+
+        const push = deployments.parsePushEvent(req.headers, req.body);
+        req.auditActor = `webhook:${provider}`;
+        req.auditParams = push;
+        req.projectScope = [req.params.name];
+
+        if (push.event !== 'push') {
+            return res.json({ success: true, message: `Événement ${push.event || 'inconnu'} ignoré` });
+        }
+        if (push.branch !== service.git.branch) {
+            return res.json({ success: true, message: `Push sur ${push.ref} ignoré (branche suivie : ${service.git.branch})` });
+        }
+
+        const { job, merged } = deployments.triggerDeploy(req.params.name, req.params.serviceName, { trigger: 'webhook', actor: `webhook:${provider}` });
+        respondWithJob(res, job, merged ? 'Push regroupé avec le déploiement déjà en attente' : 'Déploiement mis en file');
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/releases - Versions déployées du service
+ */
+router.get('/projects/:name/services/:serviceName/releases', authorize('project:read'), (req, res) => {
+    try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: `Le service ${req.params.serviceName} n'existe pas` });
+        }
+        res.json({ success: true, data: releases.listReleases(req.params.name, req.params.serviceName) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/rollback - Revenir à une version (body: release, par défaut la précédente)
+ */
+router.post('/projects/:name/services/:serviceName/rollback', authorize('services:deploy'), async (req, res) => {
+    try {
+        const result = await releases.rollbackService(req.params.name, req.params.serviceName, req.body.release || null);
+        res.json({ success: true, data: result, message: `Retour à la version ${result.release}` });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/start-all - Démarrer tous les services, en arrière-plan (202)
+ */
+router.post('/projects/:name/services-start-all', authorize('services:start'), (req, res) => {
+    try {
+        if (!projects.projectExists(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+
+        const runSetup = req.body.runSetup !== false;
+        const job = jobs.enqueueJob(req.params.name, { type: 'start-all', trigger: 'manual', actor: req.user.username, permission: 'services:start' },
+            job => services.startAllServices(req.params.name, runSetup, job));
+        respondWithJob(res, job, 'Démarrage des services lancé');
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/stop-all
+ */
+router.post('/projects/:name/services-stop-all', authorize('services:stop'), async (req, res) => {
+    try {
+        await services.stopAllServices(req.params.name);
+        res.json({ success: true, message: 'Tous les services arrêtés' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// JOBS
+// ============================================
+
+// Intervalle des commentaires envoyés sur les flux d'événements (maintient la connexion à travers les proxys)
+const EVENT_STREAM_HEARTBEAT = 25000;
+
+// Statuts d'un job qui n'est pas encore terminé
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * Ouvre un flux d'événements (Server-Sent Events) sur la réponse
+ * @returns {Function} - send(event, data, id) ; id est renvoyé par le navigateur (Last-Event-ID) à la reconnexion
+ */
+function openEventStream(res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Pas de mise en tampon par Nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_STREAM_HEARTBEAT);
+    res.on('close', () => clearInterval(heartbeat));
+    return (event, data, id = null) => res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Répond à une requête confiée à un job en arrière-plan (202) : le client suit le job à l'URL renvoyée
+ */
+function respondWithJob(res, job, message) {
+    res.status(202).json({ success: true, data: { jobId: job.id, status: job.status, url: jobs.getJobUrl(job) }, message });
+}
+
+/**
+ * Middleware : charge dans req.job le job :jobId du projet :name, ou le job global sur /jobs/:jobId.
+ * Les jobs globaux sont réservés aux administrateurs. Un job de projet se suit avec services:logs ou la
+ * permission qui a servi à le lancer, et ne s'annule qu'avec cette dernière.
+ * @param {string} action - read ou cancel
+ */
+function authorizeJob(action) {
+    return withAccess(`job:${action}`, (req, res, next) => {
+        const projectName = req.params.name || null;
+        const job = jobs.getJob(projectName, req.params.jobId);
+        if (projectName) {
+            req.projectScope = [projectName];
+            logger.addContext({ project: projectName });
+        }
+
+        const allowed = (action === 'read' ? ['services:logs', job?.permission] : [job?.permission]).filter(Boolean);
+        if (req.user.role !== 'admin' && !(projectName && allowed.some(permission => userCanAccessProject(req.user, projectName, permission)))) {
+            return res.status(403).json({ success: false, error: projectName ? 'Accès refusé à ce projet' : 'Accès refusé' });
+        }
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job introuvable' });
+        }
+        req.job = job;
+        next();
+    });
+}
+
+/**
+ * Suivi d'un job (SSE) : état complet (job), puis sa progression jusqu'à l'événement end.
+ * Un job exécuté par un autre processus (CLI) est relu chaque seconde.
+ */
+function streamJob(req, res) {
+    const job = req.job;
+    const send = openEventStream(res);
+    send('job', job);
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+        send('end', { job: jobs.summarizeJob(job) });
+        return res.end();
+    }
+
+    if (jobs.isLive(job.id)) {
+        const unsubscribe = jobs.subscribe({ jobId: job.id }, event => {
+            send(event.type, event);
+            if (event.type === 'end') {
+                res.end();
+            }
+        });
+        res.on('close', unsubscribe);
+        return;
+    }
+
+    const poll = setInterval(() => {
+        const current = jobs.getJob(job.project, job.id);
+        if (!current) {
+            return res.end();
+        }
+        send('job', current);
+        if (!ACTIVE_JOB_STATUSES.includes(current.status)) {
+            send('end', { job: jobs.summarizeJob(current) });
+            res.end();
+        }
+    }, 1000);
+    res.on('close', () => clearInterval(poll));
+}
+
+/**
+ * Annule le job chargé par authorizeJob
+ */
+function cancelRequestedJob(req, res) {
+    try {
+        const job = jobs.cancelJob(req.job, req.user.username);
+        res.json({ success: true, data: jobs.summarizeJob(job), message: 'Annulation du job demandée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * GET /api/projects/:name/jobs - Jobs du projet, sans leur sortie (query: service, type, limit)
+ */
+router.get('/projects/:name/jobs', authorize('services:logs'), (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || undefined;
+        res.json({ success: true, data: jobs.listJobs(req.params.name, { service: req.query.service || null, type: req.query.type || null, limit }) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/jobs/events - Progression en direct des jobs du projet (SSE, query: service).
+ * Événements start, status, step, output, log, progress et end des jobs exécutés par le serveur Web.
+ */
+router.get('/projects/:name/jobs/events', authorize('services:logs'), (req, res) => {
+    const send = openEventStream(res);
+    const unsubscribe = jobs.subscribe({ project: req.params.name, service: req.query.service || null }, event => send(event.type, event));
+    res.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/projects/:name/jobs/:jobId - Détail d'un job : étapes, sortie, codes de sortie, durées et logs
+ */
+router.get('/projects/:name/jobs/:jobId', authorizeJob('read'), (req, res) => {
+    res.json({ success: true, data: req.job });
+});
+
+/**
+ * GET /api/projects/:name/jobs/:jobId/events - Suivi d'un job (SSE)
+ */
+router.get('/projects/:name/jobs/:jobId/events', authorizeJob('read'), streamJob);
+
+/**
+ * POST /api/projects/:name/jobs/:jobId/cancel - Annuler un job en attente ou en cours
+ */
+router.post('/projects/:name/jobs/:jobId/cancel', authorizeJob('cancel'), cancelRequestedJob);
+
+/**
+ * GET /api/jobs - Jobs sans projet (export, import, modèles IA), sans leur sortie (query: type, limit)
+ */
+router.get('/jobs', requireAdmin, (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || undefined;
+        res.json({ success: true, data: jobs.listJobs(null, { type: req.query.type || null, limit }) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:jobId - Détail d'un job sans projet
+ */
+router.get('/jobs/:jobId', authorizeJob('read'), (req, res) => {
+    res.json({ success: true, data: req.job });
+});
+
+/**
+ * GET /api/jobs/:jobId/events - Suivi d'un job sans projet (SSE)
+ */
+router.get('/jobs/:jobId/events', authorizeJob('read'), streamJob);
+
+/**
+ * GET /api/jobs/:jobId/result - Résultat d'un job enregistré à part (données d'un export)
+ */
+router.get('/jobs/:jobId/result', authorizeJob('read'), (req, res) => {
+    if (req.job.status !== 'success' || !req.job.result?.file) {
+        return res.status(404).json({ success: false, error: 'Aucun résultat à télécharger pour ce job' });
+    }
+    res.sendFile(jobs.getResultPath(req.job), { headers: { 'Cache-Control': 'no-store' } });
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel - Annuler un job sans projet
+ */
+router.post('/jobs/:jobId/cancel', authorizeJob('cancel'), cancelRequestedJob);
+
+// ============================================
+// SFTP
+// ============================================
+
+/**
+ * POST /api/projects/:name/sftp/change-password
+ */
+router.post('/projects/:name/sftp/change-password', authorize('sftp:manage'), async (req, res) => {
+    try {
+        const { password } = req.body;
+        if (!password || password.length < 8) {
+            return res.status(400).json({ success: false, error: 'Mot de passe minimum 8 caractères' });
+        }
+        await sftp.changeSftpPassword(req.params.name, password);
+        res.json({ success: true, message: 'Mot de passe changé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// SCRIPTS
+// ============================================
+
+/**
+ * POST /api/projects/:name/regenerate-scripts
+ */
+router.post('/projects/:name/regenerate-scripts', authorize('scripts:manage'), (req, res) => {
+    try {
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, message: 'Scripts régénérés' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/regenerate-all-scripts
+ */
+router.post('/regenerate-all-scripts', requireAdmin, (req, res) => {
+    try {
+        scriptsModule.regenerateAllScripts();
+        res.json({ success: true, message: 'Tous les scripts régénérés' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// PM2 GLOBAL
+// ============================================
+
+/**
+ * GET /api/pm2/status
+ */
+router.get('/pm2/status', requireAdmin, async (req, res) => {
+    try {
+        const processes = await processManager.listProcesses();
+        res.json({ success: true, data: processes });
+    } catch (error) {
+        res.json({ success: true, data: [] });
+    }
+});
+
+// ============================================
+// AUTHENTIFICATION
+// ============================================
+
+/**
+ * POST /api/auth/login - Authentification (ouvre une session)
+ */
+router.post('/auth/login', allowPublic, (req, res) => {
+    try {
+        const { username, password } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ success: false, error: 'Identifiants requis' });
+        }
+
+        if (rejectThrottled(req, res, username)) return;
+
+        const result = users.authenticate(username, password);
+        if (!result.success) {
+            loginThrottle.recordFailure(req.ip, username);
+            logger.warn(`Échec de connexion Web: ${username} (${req.ip})`);
+            return res.status(401).json(result);
+        }
+
+        if (result.user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: sessions.createLoginChallenge(result.user)
+            });
+        }
+
+        res.json(openSession(req, res, result.user));
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa - Seconde étape de connexion (code TOTP ou de récupération)
+ */
+router.post('/auth/login/2fa', allowPublic, (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        const challenge = challengeToken ? sessions.getLoginChallenge(challengeToken) : null;
+        if (!challenge) {
+            return res.status(401).json({ success: false, error: 'Étape de connexion expirée, veuillez recommencer' });
+        }
+
+        if (rejectThrottled(req, res, challenge.username)) return;
+
+        if (!users.verifyTwoFactorCode(challenge.userId, code)) {
+            loginThrottle.recordFailure(req.ip, challenge.username);
+            logger.warn(`Échec de double authentification: ${challenge.username} (${req.ip})`);
+            return res.status(401).json({ success: false, error: 'Code invalide' });
+        }
+
+        sessions.consumeLoginChallenge(challengeToken);
+        const user = users.getUserById(challenge.userId);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Utilisateur non trouvé' });
+        }
+
+        res.json(openSession(req, res, user));
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/stop
+ * POST /api/auth/logout - Fermer la session courante
  */
-router.post('/projects/:name/services/:serviceName/stop', async (req, res) => {
+router.post('/auth/logout', authenticated, (req, res) => {
     try {
-        await services.stopService(req.params.name, req.params.serviceName);
-        res.json({ success: true, message: 'Service arrêté' });
+        sessions.revokeSession(req.session.id);
+        res.clearCookie(sessions.SESSION_COOKIE, { path: '/' });
+        res.json({ success: true, message: 'Déconnecté' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -273,26 +1382,41 @@ router.post('/projects/:name/services/:serviceName/stop', async (req, res) => {
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/restart
+ * GET /api/auth/session - Utilisateur et session courants
+ */
+router.get('/auth/session', authenticated, (req, res) => {
+    res.json({ success: true, user: req.user, session: req.session });
+});
+
+/**
+ * GET /api/auth/sessions - Sessions actives (toutes pour un admin, les siennes sinon)
  */
-router.post('/projects/:name/services/:serviceName/restart', async (req, res) => {
+router.get('/auth/sessions', authenticated, (req, res) => {
     try {
-        await services.restartService(req.params.name, req.params.serviceName);
-        res.json({ success: true, message: 'Service redémarré' });
+        const userId = req.user.role === 'admin' ? (req.query.userId || null) : req.user.id;
+        const activeSessions = sessions.listSessions(userId).map(s => ({
+            ...s,
+            current: s.id === req.session.id
+        }));
+        res.json({ success: true, data: activeSessions });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(400).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * GET /api/projects/:name/services/:serviceName/logs
+ * DELETE /api/auth/sessions/:sessionId - Révoquer une session
  */
-router.get('/projects/:name/services/:serviceName/logs', async (req, res) => {
+router.delete('/auth/sessions/:sessionId', authenticated, (req, res) => {
     try {
-        const lines = parseInt(req.query.lines) || 100;
-        const logs = await services.getServiceLogs(req.params.name, req.params.serviceName, lines);
-        res.json({ success: true, data: logs });
+        const target = sessions.listSessions().find(s => s.id === req.params.sessionId);
+        if (!target || (req.user.role !== 'admin' && target.userId !== req.user.id)) {
+            return res.status(404).json({ success: false, error: 'Session non trouvée' });
+        }
+
+        sessions.revokeSession(target.id);
+        res.json({ success: true, message: 'Session révoquée' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -300,38 +1424,52 @@ router.get('/projects/:name/services/:serviceName/logs', async (req, res) => {
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/reset-logs - Reset les logs
+ * POST /api/auth/verify-password - Vérifier le mot de passe de l'utilisateur connecté
  */
-router.post('/projects/:name/services/:serviceName/reset-logs', async (req, res) => {
+router.post('/auth/verify-password', authenticated, (req, res) => {
     try {
-        await services.resetServiceLogs(req.params.name, req.params.serviceName);
-        res.json({ success: true, message: 'Logs réinitialisés' });
+        const { password } = req.body;
+        const currentUser = req.user;
+
+        if (!currentUser) {
+            return res.status(401).json({ success: false, error: 'Non authentifié' });
+        }
+
+        if (!password) {
+            return res.status(400).json({ success: false, error: 'Mot de passe requis' });
+        }
+
+        const result = users.authenticate(currentUser.username, password);
+        if (!result.success) {
+            return res.status(401).json({ success: false, error: 'Mot de passe incorrect' });
+        }
+
+        res.json({ success: true });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(400).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/setup - Lancer uniquement le setup
+ * GET /api/auth/password-policy - Politique de mot de passe
  */
-router.post('/projects/:name/services/:serviceName/setup', async (req, res) => {
+router.get('/auth/password-policy', authenticated, (req, res) => {
     try {
-        await services.runSetupOnly(req.params.name, req.params.serviceName);
-        res.json({ success: true, message: 'Setup exécuté' });
+        res.json({ success: true, data: users.getPasswordPolicy() });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(400).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/start-only - Lancer uniquement le service (sans setup)
+ * PUT /api/auth/password-policy - Modifier la politique de mot de passe (admin)
  */
-router.post('/projects/:name/services/:serviceName/start-only', async (req, res) => {
+router.put('/auth/password-policy', requireAdmin, (req, res) => {
     try {
-        await services.startService(req.params.name, req.params.serviceName, false);
-        res.json({ success: true, message: 'Service démarré (sans setup)' });
+        const policy = users.updatePasswordPolicy(req.body);
+        res.json({ success: true, data: policy });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -339,13 +1477,12 @@ router.post('/projects/:name/services/:serviceName/start-only', async (req, res)
 });
 
 /**
- * POST /api/projects/:name/services/start-all
+ * POST /api/auth/2fa/setup - Démarrer l'activation de la double authentification
  */
-router.post('/projects/:name/services-start-all', async (req, res) => {
+router.post('/auth/2fa/setup', authenticated, (req, res) => {
     try {
-        const runSetup = req.body.runSetup !== false;
-        await services.startAllServices(req.params.name, runSetup);
-        res.json({ success: true, message: 'Tous les services démarrés' });
+        const setup = users.beginTwoFactorSetup(req.user.id);
+        res.json({ success: true, data: setup });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -353,137 +1490,106 @@ router.post('/projects/:name/services-start-all', async (req, res) => {
 });
 
 /**
- * POST /api/projects/:name/services/stop-all
+ * POST /api/auth/2fa/confirm - Confirmer l'activation avec un premier code
  */
-router.post('/projects/:name/services-stop-all', async (req, res) => {
+router.post('/auth/2fa/confirm', authenticated, (req, res) => {
     try {
-        await services.stopAllServices(req.params.name);
-        res.json({ success: true, message: 'Tous les services arrêtés' });
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, error: 'Code requis' });
+        }
+
+        const recoveryCodes = users.confirmTwoFactorSetup(req.user.id, code);
+        logger.info(`Double authentification activée: ${req.user.username}`);
+        res.json({ success: true, data: { recoveryCodes } });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
-// ============================================
-// SFTP
-// ============================================
-
 /**
- * POST /api/projects/:name/sftp/change-password
+ * POST /api/auth/2fa/disable - Désactiver sa double authentification
  */
-router.post('/projects/:name/sftp/change-password', async (req, res) => {
+router.post('/auth/2fa/disable', authenticated, (req, res) => {
     try {
-        const { password } = req.body;
-        if (!password || password.length < 8) {
-            return res.status(400).json({ success: false, error: 'Mot de passe minimum 8 caractères' });
+        const { code } = req.body;
+        if (users.isTwoFactorRequired(req.user)) {
+            return res.status(403).json({ success: false, error: 'La double authentification est obligatoire pour votre rôle' });
         }
-        await sftp.changeSftpPassword(req.params.name, password);
-        res.json({ success: true, message: 'Mot de passe changé' });
+        if (!users.verifyTwoFactorCode(req.user.id, code)) {
+            return res.status(401).json({ success: false, error: 'Code invalide' });
+        }
+
+        users.resetTwoFactor(req.user.id);
+        logger.info(`Double authentification désactivée: ${req.user.username}`);
+        res.json({ success: true, message: 'Double authentification désactivée' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
-// ============================================
-// SCRIPTS
-// ============================================
-
 /**
- * POST /api/projects/:name/regenerate-scripts
+ * GET /api/auth/2fa/policy - Politique de double authentification
  */
-router.post('/projects/:name/regenerate-scripts', (req, res) => {
+router.get('/auth/2fa/policy', authenticated, (req, res) => {
     try {
-        scriptsModule.generateScripts(req.params.name);
-        res.json({ success: true, message: 'Scripts régénérés' });
+        res.json({ success: true, data: users.getTwoFactorPolicy() });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(400).json({ success: false, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/regenerate-all-scripts
+ * PUT /api/auth/2fa/policy - Imposer ou non la double authentification aux admins (admin)
  */
-router.post('/regenerate-all-scripts', (req, res) => {
+router.put('/auth/2fa/policy', requireAdmin, (req, res) => {
     try {
-        scriptsModule.regenerateAllScripts();
-        res.json({ success: true, message: 'Tous les scripts régénérés' });
+        const policy = users.updateTwoFactorPolicy(req.body);
+        res.json({ success: true, data: policy });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
-// ============================================
-// PM2 GLOBAL
-// ============================================
-
 /**
- * GET /api/pm2/status
+ * GET /api/auth/lockouts - Verrouillages et échecs de connexion récents (admin)
  */
-router.get('/pm2/status', async (req, res) => {
+router.get('/auth/lockouts', requireAdmin, (req, res) => {
     try {
-        const { stdout } = await shell.execCommand('pm2 jlist');
-        const processes = JSON.parse(stdout);
-        res.json({ success: true, data: processes });
+        res.json({ success: true, data: loginThrottle.listLockouts() });
     } catch (error) {
-        res.json({ success: true, data: [] });
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// ============================================
-// AUTHENTIFICATION
-// ============================================
-
 /**
- * POST /api/auth/login - Authentification
+ * DELETE /api/auth/lockouts - Lever tous les verrouillages (admin)
  */
-router.post('/auth/login', (req, res) => {
+router.delete('/auth/lockouts', requireAdmin, (req, res) => {
     try {
-        const { username, password } = req.body;
-        if (!username || !password) {
-            return res.status(400).json({ success: false, error: 'Identifiants requis' });
-        }
-
-        const result = users.authenticate(username, password);
-        if (!result.success) {
-            return res.status(401).json(result);
-        }
-
-        res.json(result);
+        loginThrottle.clearLockout();
+        res.json({ success: true, message: 'Verrouillages levés' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/auth/verify-password - Vérifier le mot de passe de l'utilisateur connecté
+ * DELETE /api/auth/lockouts/:key - Lever un verrouillage (clé "ip:<adresse>" ou "user:<nom>") (admin)
  */
-router.post('/auth/verify-password', (req, res) => {
+router.delete('/auth/lockouts/:key', requireAdmin, (req, res) => {
     try {
-        const { password } = req.body;
-        const currentUser = req.session?.user;
-
-        if (!currentUser) {
-            return res.status(401).json({ success: false, error: 'Non authentifié' });
-        }
-
-        if (!password) {
-            return res.status(400).json({ success: false, error: 'Mot de passe requis' });
-        }
-
-        const result = users.authenticate(currentUser.username, password);
-        if (!result.success) {
-            return res.status(401).json({ success: false, error: 'Mot de passe incorrect' });
-        }
-
-        res.json({ success: true });
+        loginThrottle.clearLockout(req.params.key);
+        res.json({ success: true, message: 'Verrouillage levé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
-        res.status(500).json({ success: false, error: error.message });
+        res.status(400).json({ success: false, error: error.message });
     }
 });
 
@@ -494,7 +1600,7 @@ router.post('/auth/verify-password', (req, res) => {
 /**
  * GET /api/users - Liste tous les utilisateurs
  */
-router.get('/users', (req, res) => {
+router.get('/users', requireAdmin, (req, res) => {
     try {
         const usersList = users.listUsers();
         res.json({ success: true, data: usersList });
@@ -507,7 +1613,7 @@ router.get('/users', (req, res) => {
 /**
  * GET /api/users/:userId - Détails d'un utilisateur
  */
-router.get('/users/:userId', (req, res) => {
+router.get('/users/:userId', requireSelfOrAdmin, (req, res) => {
     try {
         const user = users.getUserById(req.params.userId);
         if (!user) {
@@ -523,7 +1629,7 @@ router.get('/users/:userId', (req, res) => {
 /**
  * POST /api/users - Créer un utilisateur
  */
-router.post('/users', (req, res) => {
+router.post('/users', requireAdmin, (req, res) => {
     try {
         const { username, password, role, mustChangePassword, firstName, lastName } = req.body;
         if (!username || !password) {
@@ -541,9 +1647,10 @@ router.post('/users', (req, res) => {
 /**
  * DELETE /api/users/:userId - Supprimer un utilisateur
  */
-router.delete('/users/:userId', (req, res) => {
+router.delete('/users/:userId', requireAdmin, (req, res) => {
     try {
         users.deleteUser(req.params.userId);
+        sessions.revokeUserSessions(req.params.userId);
         res.json({ success: true, message: 'Utilisateur supprimé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -554,7 +1661,7 @@ router.delete('/users/:userId', (req, res) => {
 /**
  * PUT /api/users/:userId - Mettre à jour un utilisateur
  */
-router.put('/users/:userId', (req, res) => {
+router.put('/users/:userId', requireAdmin, (req, res) => {
     try {
         const { firstName, lastName, username, mustChangePassword } = req.body;
         const updated = users.updateUser(req.params.userId, { firstName, lastName, username, mustChangePassword });
@@ -568,7 +1675,7 @@ router.put('/users/:userId', (req, res) => {
 /**
  * PUT /api/users/:userId/password - Changer le mot de passe
  */
-router.put('/users/:userId/password', (req, res) => {
+router.put('/users/:userId/password', requireSelfOrAdmin, (req, res) => {
     try {
         const { password } = req.body;
         if (!password) {
@@ -576,6 +1683,7 @@ router.put('/users/:userId/password', (req, res) => {
         }
 
         users.changePassword(req.params.userId, password);
+        sessions.revokeUserSessions(req.params.userId, req.session.id);
         res.json({ success: true, message: 'Mot de passe changé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -586,7 +1694,7 @@ router.put('/users/:userId/password', (req, res) => {
 /**
  * PUT /api/users/:userId/role - Changer le rôle
  */
-router.put('/users/:userId/role', (req, res) => {
+router.put('/users/:userId/role', requireAdmin, (req, res) => {
     try {
         const { role } = req.body;
         if (!role) {
@@ -602,11 +1710,38 @@ router.put('/users/:userId/role', (req, res) => {
 });
 
 /**
- * POST /api/users/:userId/projects/:projectName - Associer un projet
+ * DELETE /api/users/:userId/2fa - Réinitialiser la double authentification d'un utilisateur (admin)
+ */
+router.delete('/users/:userId/2fa', requireAdmin, (req, res) => {
+    try {
+        users.resetTwoFactor(req.params.userId);
+        sessions.revokeUserSessions(req.params.userId);
+        res.json({ success: true, message: 'Double authentification réinitialisée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/users/:userId/sessions - Révoquer toutes les sessions d'un utilisateur
+ */
+router.delete('/users/:userId/sessions', requireAdmin, (req, res) => {
+    try {
+        const count = sessions.revokeUserSessions(req.params.userId);
+        res.json({ success: true, message: `${count} session(s) révoquée(s)` });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/users/:userId/projects/:projectName - Associer un projet (body.role : rôle de projet)
  */
-router.post('/users/:userId/projects/:projectName', (req, res) => {
+router.post('/users/:userId/projects/:projectName', requireAdmin, (req, res) => {
     try {
-        users.assignProjectToUser(req.params.userId, req.params.projectName);
+        users.assignProjectToUser(req.params.userId, req.params.projectName, req.body?.role || undefined);
         res.json({ success: true, message: 'Projet associé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -617,7 +1752,7 @@ router.post('/users/:userId/projects/:projectName', (req, res) => {
 /**
  * DELETE /api/users/:userId/projects/:projectName - Retirer un projet
  */
-router.delete('/users/:userId/projects/:projectName', (req, res) => {
+router.delete('/users/:userId/projects/:projectName', requireAdmin, (req, res) => {
     try {
         users.removeProjectFromUser(req.params.userId, req.params.projectName);
         res.json({ success: true, message: 'Projet retiré' });
@@ -630,7 +1765,7 @@ router.delete('/users/:userId/projects/:projectName', (req, res) => {
 /**
  * GET /api/users/:userId/projects - Projets d'un utilisateur
  */
-router.get('/users/:userId/projects', (req, res) => {
+router.get('/users/:userId/projects', requireSelfOrAdmin, (req, res) => {
     try {
         const projectsList = users.getUserProjects(req.params.userId);
         res.json({ success: true, data: projectsList });
@@ -640,6 +1775,100 @@ router.get('/users/:userId/projects', (req, res) => {
     }
 });
 
+// ============================================
+// JOURNAL D'AUDIT ET LOGS DU SERVEUR
+// ============================================
+
+/**
+ * GET /api/audit - Consulter le journal d'audit (admin)
+ * Filtres : user, project, action, source, result, since, until, limit
+ */
+router.get('/audit', requireAdmin, (req, res) => {
+    try {
+        const { user, project, action, source, result, since, until, limit } = req.query;
+        const entries = audit.query({ user, project, action, source, result, since, until, limit });
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/logs - Consulter le journal du serveur (admin)
+ * Filtres : level (minimal), module, search, requestId, user, project, since, until, limit
+ */
+router.get('/logs', requireAdmin, (req, res) => {
+    try {
+        const { level, module, search, requestId, user, project, since, until, limit } = req.query;
+        const entries = readLogs({ level, module, search, requestId, user, project, since, until, limit });
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// RÔLES DE PROJET ET PERMISSIONS
+// ============================================
+
+/**
+ * GET /api/roles - Liste les rôles de projet et les permissions disponibles
+ */
+router.get('/roles', authenticated, (req, res) => {
+    try {
+        res.json({ success: true, data: { roles: permissions.listRoles(), permissions: permissions.PERMISSIONS } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/roles/:roleName - Créer ou modifier un rôle personnalisé
+ */
+router.put('/roles/:roleName', requireAdmin, (req, res) => {
+    try {
+        const { description, permissions: rolePermissions } = req.body;
+        if (!Array.isArray(rolePermissions)) {
+            return res.status(400).json({ success: false, error: 'Liste de permissions requise' });
+        }
+
+        const role = permissions.saveRole(req.params.roleName, { description, permissions: rolePermissions });
+        res.json({ success: true, data: role });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/roles/:roleName - Supprimer un rôle personnalisé
+ */
+router.delete('/roles/:roleName', requireAdmin, (req, res) => {
+    try {
+        permissions.deleteRole(req.params.roleName);
+        res.json({ success: true, message: 'Rôle supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/permissions - Rôle et permissions de l'utilisateur connecté sur un projet
+ */
+router.get('/projects/:name/permissions', authorize('project:read'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            role: permissions.getProjectRole(req.user, req.params.name),
+            permissions: permissions.getProjectPermissions(req.user, req.params.name)
+        }
+    });
+});
+
 // ============================================
 // GESTION DES FICHIERS SFTP
 // ============================================
@@ -647,7 +1876,7 @@ router.get('/users/:userId/projects', (req, res) => {
 /**
  * GET /api/projects/:name/files - Liste les fichiers d'un projet
  */
-router.get('/projects/:name/files', async (req, res) => {
+router.get('/projects/:name/files', authorize('files:read'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -668,7 +1897,7 @@ router.get('/projects/:name/files', async (req, res) => {
 /**
  * POST /api/projects/:name/files/mkdir - Créer un dossier
  */
-router.post('/projects/:name/files/mkdir', async (req, res) => {
+router.post('/projects/:name/files/mkdir', authorize('files:write'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -693,7 +1922,7 @@ router.post('/projects/:name/files/mkdir', async (req, res) => {
 /**
  * DELETE /api/projects/:name/files - Supprimer un fichier ou dossier
  */
-router.delete('/projects/:name/files', async (req, res) => {
+router.delete('/projects/:name/files', authorize('files:write'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -713,23 +1942,18 @@ router.delete('/projects/:name/files', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Chemin invalide' });
         }
 
-        // Arrêter les services PM2 dont le répertoire est dans le chemin à supprimer
+        // Arrêter les services dont le répertoire est dans le chemin à supprimer
         try {
             const projectConfig = projects.loadProjectConfig(req.params.name);
             for (const service of projectConfig.services || []) {
                 if (service.directory && service.directory.startsWith(fullTargetPath)) {
-                    const pm2Name = service.pm2Name || `${req.params.name}-${service.name}`;
-                    try {
-                        await shell.pm2Command(`stop ${pm2Name}`);
-                        await shell.pm2Command(`delete ${pm2Name}`);
-                        logger.info(`Service PM2 arrêté avant suppression: ${pm2Name}`);
-                    } catch {
-                        // Ignorer si le processus n'existe pas
+                    if (await services.unloadService(req.params.name, service.name)) {
+                        logger.info(`Service arrêté avant suppression: ${service.name}`);
                     }
                 }
             }
         } catch (error) {
-            logger.warn(`Impossible de vérifier les services PM2: ${error.message}`);
+            logger.warn(`Impossible de vérifier les services: ${error.message}`);
         }
 
         await shell.execCommand(`rm -rf "${fullTargetPath}"`);
@@ -744,7 +1968,7 @@ router.delete('/projects/:name/files', async (req, res) => {
 /**
  * POST /api/projects/:name/files/copy - Copier un fichier ou dossier
  */
-router.post('/projects/:name/files/copy', async (req, res) => {
+router.post('/projects/:name/files/copy', authorize('files:write'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -769,7 +1993,7 @@ router.post('/projects/:name/files/copy', async (req, res) => {
 /**
  * PUT /api/projects/:name/files/rename - Renommer un fichier ou dossier
  */
-router.put('/projects/:name/files/rename', async (req, res) => {
+router.put('/projects/:name/files/rename', authorize('files:write'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -794,7 +2018,7 @@ router.put('/projects/:name/files/rename', async (req, res) => {
 /**
  * GET /api/projects/:name/files/download - Télécharger un fichier
  */
-router.get('/projects/:name/files/download', async (req, res) => {
+router.get('/projects/:name/files/download', authorize('files:read'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -821,7 +2045,7 @@ router.get('/projects/:name/files/download', async (req, res) => {
 /**
  * POST /api/projects/:name/files/upload - Upload un ou plusieurs fichiers
  */
-router.post('/projects/:name/files/upload', upload.array('files', 100), async (req, res) => {
+router.post('/projects/:name/files/upload', authorize('files:write'), upload.array('files', 100), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -835,6 +2059,15 @@ router.post('/projects/:name/files/upload', upload.array('files', 100), async (r
         const relativePath = req.body.path || '';
         const projectPath = `/var/www/${req.params.name}/sites`;
         const fs = await import('fs');
+
+        // Refuser l'envoi si le quota disque du projet serait dépassé
+        const incomingBytes = req.files.reduce((total, file) => total + file.size, 0);
+        try {
+            await quotas.checkDiskQuota(req.params.name, projects.loadProjectConfig(req.params.name).limits, incomingBytes);
+        } catch (error) {
+            req.files.forEach(file => { try { fs.unlinkSync(file.path); } catch {} });
+            return res.status(413).json({ success: false, error: error.message });
+        }
         
         const uploadedFiles = [];
         const errors = [];
@@ -860,6 +2093,8 @@ router.post('/projects/:name/files/upload', upload.array('files', 100), async (r
             }
         }
         
+        quotas.invalidateDiskUsage(req.params.name);
+
         if (errors.length > 0 && uploadedFiles.length === 0) {
             return res.status(400).json({ success: false, error: 'Échec de tous les uploads', details: errors });
         }
@@ -879,7 +2114,7 @@ router.post('/projects/:name/files/upload', upload.array('files', 100), async (r
 /**
  * GET /api/projects/:name/files/info - Informations sur un fichier
  */
-router.get('/projects/:name/files/info', async (req, res) => {
+router.get('/projects/:name/files/info', authorize('files:read'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -908,10 +2143,11 @@ router.get('/projects/:name/files/info', async (req, res) => {
 /**
  * GET /api/databases - Liste toutes les bases de données
  */
-router.get('/databases', async (req, res) => {
+router.get('/databases', authenticated, async (req, res) => {
     try {
         const { projectName } = req.query;
-        const allDatabases = databases.getAllDatabases(projectName || null);
+        const allDatabases = databases.getAllDatabases(projectName || null)
+            .filter(db => userCanAccessProjects(req.user, db.projectName, 'databases:read'));
         res.json({ success: true, data: allDatabases });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -922,7 +2158,7 @@ router.get('/databases', async (req, res) => {
 /**
  * GET /api/databases/:id - Détails d'une base de données
  */
-router.get('/databases/:id', async (req, res) => {
+router.get('/databases/:id', authorize('databases:read', databaseProject), async (req, res) => {
     try {
         const database = databases.getDatabaseById(req.params.id);
         if (!database) {
@@ -938,7 +2174,7 @@ router.get('/databases/:id', async (req, res) => {
 /**
  * POST /api/databases/mysql - Créer une base de données MySQL
  */
-router.post('/databases/mysql', async (req, res) => {
+router.post('/databases/mysql', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const { name, host, port, username, password, projectName } = req.body;
         if (!name || !host || !username || !password) {
@@ -959,7 +2195,7 @@ router.post('/databases/mysql', async (req, res) => {
 /**
  * POST /api/databases/mongodb - Créer une base de données MongoDB
  */
-router.post('/databases/mongodb', async (req, res) => {
+router.post('/databases/mongodb', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const { name, host, port, username, password, authDatabase, projectName } = req.body;
         if (!name || !host) {
@@ -980,7 +2216,7 @@ router.post('/databases/mongodb', async (req, res) => {
 /**
  * POST /api/databases/postgresql - Créer une base de données PostgreSQL
  */
-router.post('/databases/postgresql', async (req, res) => {
+router.post('/databases/postgresql', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const { name, host, port, username, password, projectName, autoCreate } = req.body;
         if (!name || !host || !username || !password) {
@@ -1012,7 +2248,7 @@ router.post('/databases/postgresql', async (req, res) => {
 /**
  * PUT /api/databases/:id - Mettre à jour une base de données
  */
-router.put('/databases/:id', async (req, res) => {
+router.put('/databases/:id', authorize('databases:write', databaseMoveProjects), async (req, res) => {
     try {
         const updates = req.body;
         const updated = databases.updateDatabase(req.params.id, updates);
@@ -1026,7 +2262,7 @@ router.put('/databases/:id', async (req, res) => {
 /**
  * DELETE /api/databases/:id - Supprimer une base de données
  */
-router.delete('/databases/:id', async (req, res) => {
+router.delete('/databases/:id', authorize('databases:write', databaseProject), async (req, res) => {
     try {
         await databases.deleteDatabase(req.params.id);
         res.json({ success: true, message: 'Base de données supprimée' });
@@ -1039,7 +2275,7 @@ router.delete('/databases/:id', async (req, res) => {
 /**
  * POST /api/databases/:id/assign - Assigner une BDD à un projet
  */
-router.post('/databases/:id/assign', async (req, res) => {
+router.post('/databases/:id/assign', authorize('databases:write', databaseMoveProjects), async (req, res) => {
     try {
         const { projectName } = req.body;
         if (!projectName) {
@@ -1057,7 +2293,7 @@ router.post('/databases/:id/assign', async (req, res) => {
 /**
  * POST /api/databases/:id/unassign - Retirer l'assignation d'une BDD
  */
-router.post('/databases/:id/unassign', async (req, res) => {
+router.post('/databases/:id/unassign', authorize('databases:write', databaseProject), async (req, res) => {
     try {
         const updated = databases.unassignDatabaseFromProject(req.params.id);
         res.json({ success: true, data: updated });
@@ -1070,7 +2306,7 @@ router.post('/databases/:id/unassign', async (req, res) => {
 /**
  * GET /api/databases/:id/connection-string - Obtenir la chaîne de connexion
  */
-router.get('/databases/:id/connection-string', async (req, res) => {
+router.get('/databases/:id/connection-string', authorize('databases:query', databaseProject), async (req, res) => {
     try {
         const connectionString = databases.getConnectionString(req.params.id);
         res.json({ success: true, data: { connectionString } });
@@ -1083,7 +2319,7 @@ router.get('/databases/:id/connection-string', async (req, res) => {
 /**
  * POST /api/databases/test-mysql - Tester une connexion MySQL
  */
-router.post('/databases/test-mysql', async (req, res) => {
+router.post('/databases/test-mysql', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const result = await databases.testMySQLConnection(req.body);
         res.json({ success: result, message: result ? 'Connexion réussie' : 'Connexion échouée' });
@@ -1096,7 +2332,7 @@ router.post('/databases/test-mysql', async (req, res) => {
 /**
  * POST /api/databases/test-mongodb - Tester une connexion MongoDB
  */
-router.post('/databases/test-mongodb', async (req, res) => {
+router.post('/databases/test-mongodb', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const result = await databases.testMongoConnection(req.body);
         res.json({ success: result, message: result ? 'Connexion réussie' : 'Connexion échouée' });
@@ -1109,7 +2345,7 @@ router.post('/databases/test-mongodb', async (req, res) => {
 /**
  * POST /api/databases/test-postgresql - Tester une connexion PostgreSQL
  */
-router.post('/databases/test-postgresql', async (req, res) => {
+router.post('/databases/test-postgresql', authorize('databases:write', bodyProjectName), async (req, res) => {
     try {
         const result = await databases.testPostgreSQLConnection(req.body);
         res.json({ success: result, message: result ? 'Connexion réussie' : 'Connexion échouée' });
@@ -1126,7 +2362,7 @@ router.post('/databases/test-postgresql', async (req, res) => {
 /**
  * POST /api/databases/:id/query - Exécuter une requête SQL (MySQL ou PostgreSQL)
  */
-router.post('/databases/:id/query', async (req, res) => {
+router.post('/databases/:id/query', authorize('databases:query', databaseProject), async (req, res) => {
     try {
         const { query, params } = req.body;
         if (!query) {
@@ -1157,7 +2393,7 @@ router.post('/databases/:id/query', async (req, res) => {
 /**
  * GET /api/databases/:id/tables - Liste les tables (MySQL ou PostgreSQL)
  */
-router.get('/databases/:id/tables', async (req, res) => {
+router.get('/databases/:id/tables', authorize('databases:read', databaseProject), async (req, res) => {
     try {
         const database = databases.getDatabaseById(req.params.id);
         if (!database) {
@@ -1183,7 +2419,7 @@ router.get('/databases/:id/tables', async (req, res) => {
 /**
  * GET /api/databases/:id/tables/:tableName/structure - Structure d'une table (MySQL ou PostgreSQL)
  */
-router.get('/databases/:id/tables/:tableName/structure', async (req, res) => {
+router.get('/databases/:id/tables/:tableName/structure', authorize('databases:read', databaseProject), async (req, res) => {
     try {
         const database = databases.getDatabaseById(req.params.id);
         if (!database) {
@@ -1209,7 +2445,7 @@ router.get('/databases/:id/tables/:tableName/structure', async (req, res) => {
 /**
  * GET /api/databases/:id/tables/:tableName/data - Données d'une table (MySQL ou PostgreSQL)
  */
-router.get('/databases/:id/tables/:tableName/data', async (req, res) => {
+router.get('/databases/:id/tables/:tableName/data', authorize('databases:read', databaseProject), async (req, res) => {
     try {
         const database = databases.getDatabaseById(req.params.id);
         if (!database) {
@@ -1238,7 +2474,7 @@ router.get('/databases/:id/tables/:tableName/data', async (req, res) => {
 /**
  * GET /api/databases/:id/collections - Liste les collections MongoDB
  */
-router.get('/databases/:id/collections', async (req, res) => {
+router.get('/databases/:id/collections', authorize('databases:read', databaseProject), async (req, res) => {
     try {
         const collections = await databases.getMongoCollections(req.params.id);
         res.json({ success: true, data: collections });
@@ -1251,7 +2487,7 @@ router.get('/databases/:id/collections', async (req, res) => {
 /**
  * POST /api/databases/:id/collections/:collectionName/query - Requête MongoDB
  */
-router.post('/databases/:id/collections/:collectionName/query', async (req, res) => {
+router.post('/databases/:id/collections/:collectionName/query', authorize('databases:query', databaseProject), async (req, res) => {
     try {
         const { operation, query, options } = req.body;
         if (!operation) {
@@ -1275,7 +2511,7 @@ router.post('/databases/:id/collections/:collectionName/query', async (req, res)
 /**
  * POST /api/databases/:id/import-bson - Importer un fichier BSON dans MongoDB
  */
-router.post('/databases/:id/import-bson', upload.single('bsonFile'), async (req, res) => {
+router.post('/databases/:id/import-bson', authorize('databases:write', databaseProject), upload.single('bsonFile'), async (req, res) => {
     try {
         const database = databases.getDatabaseById(req.params.id);
         if (!database) {
@@ -1328,7 +2564,7 @@ router.post('/databases/:id/import-bson', upload.single('bsonFile'), async (req,
 /**
  * GET /api/admin/ai-models - Liste les modèles IA installés
  */
-router.get('/admin/ai-models', async (req, res) => {
+router.get('/admin/ai-models', requireAdmin, async (req, res) => {
     try {
         const models = await aiModels.listInstalledModels();
         res.json({ success: true, data: models });
@@ -1341,7 +2577,7 @@ router.get('/admin/ai-models', async (req, res) => {
 /**
  * GET /api/admin/ai-models/available - Liste les modèles disponibles
  */
-router.get('/admin/ai-models/available', async (req, res) => {
+router.get('/admin/ai-models/available', requireAdmin, async (req, res) => {
     try {
         const models = await aiModels.getAvailableModels();
         res.json({ success: true, data: models });
@@ -1354,7 +2590,7 @@ router.get('/admin/ai-models/available', async (req, res) => {
 /**
  * GET /api/admin/ai-models/status - Vérifie le statut d'Ollama
  */
-router.get('/admin/ai-models/status', async (req, res) => {
+router.get('/admin/ai-models/status', requireAdmin, async (req, res) => {
     try {
         const isRunning = await aiModels.checkOllamaStatus();
         res.json({ success: true, data: { running: isRunning } });
@@ -1367,7 +2603,7 @@ router.get('/admin/ai-models/status', async (req, res) => {
 /**
  * GET /api/admin/ai-models/:modelName - Détails d'un modèle
  */
-router.get('/admin/ai-models/:modelName', async (req, res) => {
+router.get('/admin/ai-models/:modelName', requireAdmin, async (req, res) => {
     try {
         const details = await aiModels.getModelDetails(req.params.modelName);
         res.json({ success: true, data: details });
@@ -1378,17 +2614,22 @@ router.get('/admin/ai-models/:modelName', async (req, res) => {
 });
 
 /**
- * POST /api/admin/ai-models/install - Installer un modèle
+ * POST /api/admin/ai-models/install - Installer un modèle, en arrière-plan (202)
  */
-router.post('/admin/ai-models/install', async (req, res) => {
+router.post('/admin/ai-models/install', requireAdmin, (req, res) => {
     try {
         const { modelName } = req.body;
         if (!modelName) {
             return res.status(400).json({ success: false, error: 'Nom du modèle requis' });
         }
 
-        const result = await aiModels.installModel(modelName);
-        res.json({ success: true, data: result });
+        // La sortie d'ollama (barres de progression) reste dans l'étape du job
+        const job = jobs.enqueueJob(null, { type: 'ai-model-install', trigger: 'manual', actor: req.user.username, queue: 'ollama' },
+            async job => {
+                const { output, ...result } = await aiModels.installModel(modelName, job);
+                return result;
+            });
+        respondWithJob(res, job, `Installation de ${modelName} lancée`);
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -1398,7 +2639,7 @@ router.post('/admin/ai-models/install', async (req, res) => {
 /**
  * POST /api/admin/ai-models/chat - Chat avec un modèle (admin uniquement)
  */
-router.post('/admin/ai-models/chat', async (req, res) => {
+router.post('/admin/ai-models/chat', requireAdmin, async (req, res) => {
     try {
         const { model, messages, stream } = req.body;
         
@@ -1440,7 +2681,7 @@ router.post('/admin/ai-models/chat', async (req, res) => {
 /**
  * DELETE /api/admin/ai-models/:modelName - Supprimer un modèle
  */
-router.delete('/admin/ai-models/:modelName', async (req, res) => {
+router.delete('/admin/ai-models/:modelName', requireAdmin, async (req, res) => {
     try {
         const result = await aiModels.deleteModel(req.params.modelName);
         res.json({ success: true, data: result });
@@ -1459,10 +2700,11 @@ router.delete('/admin/ai-models/:modelName', async (req, res) => {
  * Admin: toutes les clés
  * User: seulement les clés de leurs projets
  */
-router.get('/api-keys', async (req, res) => {
+router.get('/api-keys', authenticated, async (req, res) => {
     try {
         const { projectName } = req.query;
-        const keys = apiKeys.getAllApiKeys(projectName || null);
+        const keys = apiKeys.getAllApiKeys(projectName || null)
+            .filter(key => userCanAccessProjects(req.user, key.projects, 'apikeys:manage'));
         
         // Masquer la valeur complète de la clé (sauf les 8 derniers caractères)
         const sanitizedKeys = keys.map(key => ({
@@ -1480,7 +2722,7 @@ router.get('/api-keys', async (req, res) => {
 /**
  * GET /api/api-keys/:id - Détails d'une clé API
  */
-router.get('/api-keys/:id', async (req, res) => {
+router.get('/api-keys/:id', authorize('apikeys:manage', apiKeyProjects), async (req, res) => {
     try {
         const key = apiKeys.getApiKeyById(req.params.id);
         if (!key) {
@@ -1503,7 +2745,7 @@ router.get('/api-keys/:id', async (req, res) => {
 /**
  * POST /api/api-keys - Créer une clé API
  */
-router.post('/api-keys', async (req, res) => {
+router.post('/api-keys', authorize('apikeys:manage', bodyProjects), async (req, res) => {
     try {
         const { name, modelName, projects, requestsPerMinute, createdBy } = req.body;
         
@@ -1529,7 +2771,7 @@ router.post('/api-keys', async (req, res) => {
 /**
  * PUT /api/api-keys/:id - Mettre à jour une clé API
  */
-router.put('/api-keys/:id', async (req, res) => {
+router.put('/api-keys/:id', authorize('apikeys:manage', apiKeyUpdateProjects), async (req, res) => {
     try {
         const updates = req.body;
         const updated = apiKeys.updateApiKey(req.params.id, updates);
@@ -1550,7 +2792,7 @@ router.put('/api-keys/:id', async (req, res) => {
 /**
  * DELETE /api/api-keys/:id - Supprimer une clé API
  */
-router.delete('/api-keys/:id', async (req, res) => {
+router.delete('/api-keys/:id', authorize('apikeys:manage', apiKeyProjects), async (req, res) => {
     try {
         apiKeys.deleteApiKey(req.params.id);
         res.json({ success: true, message: 'Clé API supprimée' });
@@ -1563,7 +2805,7 @@ router.delete('/api-keys/:id', async (req, res) => {
 /**
  * POST /api/api-keys/:id/regenerate - Régénérer une clé API
  */
-router.post('/api-keys/:id/regenerate', async (req, res) => {
+router.post('/api-keys/:id/regenerate', authorize('apikeys:manage', apiKeyProjects), async (req, res) => {
     try {
         const key = apiKeys.regenerateApiKey(req.params.id);
         res.json({ success: true, data: key });
@@ -1576,7 +2818,7 @@ router.post('/api-keys/:id/regenerate', async (req, res) => {
 /**
  * GET /api/api-keys/:id/usage - Historique d'utilisation
  */
-router.get('/api-keys/:id/usage', async (req, res) => {
+router.get('/api-keys/:id/usage', authorize('apikeys:manage', apiKeyProjects), async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 100;
         const usage = apiKeys.getUsageHistory(req.params.id, limit);
@@ -1594,9 +2836,9 @@ router.get('/api-keys/:id/usage', async (req, res) => {
 /**
  * POST /api/ai/chat - Proxy vers Ollama avec authentification
  */
-router.post('/ai/chat', async (req, res) => {
+router.post('/ai/chat', allowPublic, async (req, res) => {
     try {
-        const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+        const apiKey = getRequestApiKey(req);
         
         if (!apiKey) {
             return res.status(401).json({ success: false, error: 'Clé API requise' });
@@ -1702,9 +2944,9 @@ router.post('/ai/chat', async (req, res) => {
 /**
  * POST /api/ai/generate - Génération de texte simple
  */
-router.post('/ai/generate', async (req, res) => {
+router.post('/ai/generate', allowPublic, async (req, res) => {
     try {
-        const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+        const apiKey = getRequestApiKey(req);
         
         if (!apiKey) {
             return res.status(401).json({ success: false, error: 'Clé API requise' });
@@ -1809,283 +3051,308 @@ router.post('/ai/generate', async (req, res) => {
 // ============================================
 
 /**
- * POST /api/export - Exporter les données sélectionnées avec fichiers et données de BDD
+ * Exporte les données sélectionnées avec fichiers et données de BDD (job en arrière-plan)
+ * @param {object} options - Sélection (projects, databases, apiKeys, users, includeProjectFiles, nginxConfigs, sslCertificates)
+ * @param {object} job
+ * @param {AbortSignal} signal - Annulation du job
+ * @returns {Promise<object>} - Données exportées
  */
-router.post('/export', async (req, res) => {
-    try {
-        // Augmenter le timeout à 10 minutes pour les gros exports
-        req.setTimeout(600000);
-        res.setTimeout(600000);
-
-        const { projects: exportProjects, databases: exportDatabases, apiKeys: exportApiKeys, users: exportUsers, includeProjectFiles, nginxConfigs: exportNginxConfigs, sslCertificates: exportSslCertificates } = req.body;
-        const exportData = {};
-
-        // Exporter les projets avec leurs fichiers
-        if (exportProjects) {
-            const projectsList = await projects.listProjectsWithStatus();
-            exportData.projects = [];
-            
-            for (const project of projectsList) {
-                logger.info(`Export: Traitement du projet ${project.name}...`);
-                const config = projects.loadProjectConfig(project.name);
-                const projectData = {
-                    name: project.name,
-                    sftpUser: project.sftpUser,
-                    createdAt: project.createdAt,
-                    config: config,
-                    files: null,
-                    filesSkipped: false
-                };
-
-                // Lire les fichiers du projet (sites/) seulement si demandé
-                if (includeProjectFiles) {
-                    try {
-                        const projectPath = `/var/www/${project.name}/sites`;
-                        if (fs.existsSync(projectPath)) {
-                            // Vérifier la taille du dossier avant compression
-                            const { execSync } = await import('child_process');
-                            const sizeOutput = execSync(`du -sb ${projectPath} 2>/dev/null || echo "0"`, { encoding: 'utf8' });
-                            const sizeBytes = parseInt(sizeOutput.split('\t')[0]) || 0;
-                            const sizeMB = sizeBytes / (1024 * 1024);
-                            
-                            logger.info(`Export: Taille du projet ${project.name}: ${sizeMB.toFixed(2)} MB`);
-                            
-                            // Limiter à 100MB par projet pour éviter les timeouts
-                            if (sizeMB > 100) {
-                                logger.warn(`Export: Projet ${project.name} trop volumineux (${sizeMB.toFixed(2)} MB), fichiers ignorés`);
-                                projectData.filesSkipped = true;
-                                projectData.filesSkippedReason = `Projet trop volumineux (${sizeMB.toFixed(2)} MB > 100 MB)`;
-                            } else {
-                                // Créer une archive tar.gz en base64
-                                const archivePath = `/tmp/twoine-export-${project.name}-${Date.now()}.tar.gz`;
-                                logger.info(`Export: Compression du projet ${project.name}...`);
-                                execSync(`tar -czf ${archivePath} -C ${projectPath} .`, { timeout: 120000 }); // 2 min max par archive
+async function runExport(options, job, signal) {
+    const { projects: exportProjects, databases: exportDatabases, apiKeys: exportApiKeys, users: exportUsers, includeProjectFiles, nginxConfigs: exportNginxConfigs, sslCertificates: exportSslCertificates } = options;
+    const exportData = {};
+
+    // Progression : un pas par projet et par base, puis les configurations
+    const projectsList = exportProjects ? await projects.listProjectsWithStatus() : [];
+    const allDatabases = exportDatabases ? databases.getAllDatabases() : [];
+    const total = projectsList.length + allDatabases.length + 1;
+    let done = 0;
+    const advance = message => {
+        signal.throwIfAborted();
+        jobs.setProgress(job, Math.round(done++ / total * 100), message);
+    };
+
+    // Exporter les projets avec leurs fichiers
+    if (exportProjects) {
+        exportData.projects = [];
+
+        for (const project of projectsList) {
+            advance(`Projet ${project.name}`);
+            logger.info(`Export: Traitement du projet ${project.name}...`);
+            const config = projects.loadProjectConfig(project.name);
+            const projectData = {
+                name: project.name,
+                sftpUser: project.sftpUser,
+                createdAt: project.createdAt,
+                config: config,
+                files: null,
+                filesSkipped: false
+            };
+
+            // Lire les fichiers du projet (sites/) seulement si demandé
+            if (includeProjectFiles) {
+                try {
+                    const projectPath = `/var/www/${project.name}/sites`;
+                    if (fs.existsSync(projectPath)) {
+                        // Vérifier la taille du dossier avant compression
+                        const { stdout: sizeOutput } = await jobs.runCommand(job, `du -sb ${projectPath} 2>/dev/null || echo "0"`);
+                        const sizeBytes = parseInt(sizeOutput.split('\t')[0]) || 0;
+                        const sizeMB = sizeBytes / (1024 * 1024);
+                        
+                        logger.info(`Export: Taille du projet ${project.name}: ${sizeMB.toFixed(2)} MB`);
+                        
+                        // Limiter à 100MB par projet pour éviter les timeouts
+                        if (sizeMB > 100) {
+                            logger.warn(`Export: Projet ${project.name} trop volumineux (${sizeMB.toFixed(2)} MB), fichiers ignorés`);
+                            projectData.filesSkipped = true;
+                            projectData.filesSkippedReason = `Projet trop volumineux (${sizeMB.toFixed(2)} MB > 100 MB)`;
+                        } else {
+                            // Créer une archive tar.gz en base64
+                            const archivePath = `/tmp/twoine-export-${project.name}-${Date.now()}.tar.gz`;
+                            logger.info(`Export: Compression du projet ${project.name}...`);
+                            try {
+                                await jobs.runCommand(job, `tar -czf ${archivePath} -C ${projectPath} .`);
                                 const archiveBuffer = fs.readFileSync(archivePath);
                                 projectData.files = archiveBuffer.toString('base64');
-                                fs.unlinkSync(archivePath); // Nettoyer
-                                logger.info(`Export: Projet ${project.name} compressé avec succès`);
+                            } finally {
+                                fs.rmSync(archivePath, { force: true }); // Nettoyer
                             }
+                            logger.info(`Export: Projet ${project.name} compressé avec succès`);
                         }
-                    } catch (error) {
-                        logger.error(`Erreur export fichiers projet ${project.name}: ${error.message}`);
-                        projectData.filesSkipped = true;
-                        projectData.filesSkippedReason = error.message;
                     }
-                } else {
-                    logger.info(`Export: Fichiers du projet ${project.name} ignorés (includeProjectFiles=false)`);
+                } catch (error) {
+                    logger.error(`Erreur export fichiers projet ${project.name}: ${error.message}`);
+                    projectData.filesSkipped = true;
+                    projectData.filesSkippedReason = error.message;
                 }
-
-                exportData.projects.push(projectData);
+            } else {
+                logger.info(`Export: Fichiers du projet ${project.name} ignorés (includeProjectFiles=false)`);
             }
+
+            exportData.projects.push(projectData);
         }
+    }
 
-        // Exporter les bases de données avec leurs données
-        if (exportDatabases) {
-            const allDatabases = databases.getAllDatabases();
-            exportData.databases = [];
+    // Exporter les bases de données avec leurs données
+    if (exportDatabases) {
+        exportData.databases = [];
 
-            for (const db of allDatabases) {
-                logger.info(`Export: Traitement de la base de données ${db.name} (${db.type})...`);
-                
-                const dbData = {
-                    id: db.id,
-                    name: db.name,
-                    type: db.type,
-                    config: null,
-                    assignedProjects: db.assignedProjects || [],
-                    data: null
+        for (const db of allDatabases) {
+            advance(`Base de données ${db.name}`);
+            logger.info(`Export: Traitement de la base de données ${db.name} (${db.type})...`);
+            
+            const dbData = {
+                id: db.id,
+                name: db.name,
+                type: db.type,
+                config: null,
+                assignedProjects: db.assignedProjects || [],
+                data: null
+            };
+
+            // Construire l'objet config selon le type de BDD
+            if (db.type === 'mysql') {
+                dbData.config = {
+                    host: db.host,
+                    port: db.port,
+                    user: db.username,
+                    password: db.password,
+                    database: db.name
                 };
+            } else if (db.type === 'mongodb') {
+                // Construire l'URI MongoDB
+                const auth = db.username && db.password 
+                    ? `${db.username}:${encodeURIComponent(db.password)}@` 
+                    : '';
+                const authDb = db.authDatabase ? `?authSource=${db.authDatabase}` : '';
+                dbData.config = {
+                    uri: `mongodb://${auth}${db.host}:${db.port}/${db.name}${authDb}`,
+                    host: db.host,
+                    port: db.port,
+                    username: db.username,
+                    password: db.password,
+                    authDatabase: db.authDatabase
+                };
+            } else if (db.type === 'postgresql') {
+                dbData.config = {
+                    host: db.host,
+                    port: db.port,
+                    user: db.username,
+                    password: db.password,
+                    database: db.name
+                };
+            }
 
-                // Construire l'objet config selon le type de BDD
-                if (db.type === 'mysql') {
-                    dbData.config = {
-                        host: db.host,
-                        port: db.port,
-                        user: db.username,
-                        password: db.password,
-                        database: db.name
-                    };
-                } else if (db.type === 'mongodb') {
-                    // Construire l'URI MongoDB
-                    const auth = db.username && db.password 
-                        ? `${db.username}:${encodeURIComponent(db.password)}@` 
-                        : '';
-                    const authDb = db.authDatabase ? `?authSource=${db.authDatabase}` : '';
-                    dbData.config = {
-                        uri: `mongodb://${auth}${db.host}:${db.port}/${db.name}${authDb}`,
-                        host: db.host,
-                        port: db.port,
-                        username: db.username,
-                        password: db.password,
-                        authDatabase: db.authDatabase
-                    };
-                } else if (db.type === 'postgresql') {
-                    dbData.config = {
+            // Exporter les données selon le type
+            try {
+                if (db.type === 'mysql' && db.host) {
+                    logger.info(`Export: Connexion à MySQL ${db.name}...`);
+                    const connection = await mysql.createConnection({
                         host: db.host,
                         port: db.port,
                         user: db.username,
                         password: db.password,
                         database: db.name
-                    };
-                }
-
-                // Exporter les données selon le type
-                try {
-                    if (db.type === 'mysql' && db.host) {
-                        logger.info(`Export: Connexion à MySQL ${db.name}...`);
-                        const connection = await mysql.createConnection({
-                            host: db.host,
-                            port: db.port,
-                            user: db.username,
-                            password: db.password,
-                            database: db.name
-                        });
-
-                        // Obtenir toutes les tables
-                        const [tables] = await connection.query('SHOW TABLES');
-                        const tableData = {};
+                    });
 
-                        for (const tableRow of tables) {
-                            const tableName = Object.values(tableRow)[0];
-                            logger.info(`Export: Lecture de la table ${tableName}...`);
-                            const [rows] = await connection.query(`SELECT * FROM \`${tableName}\``);
-                            tableData[tableName] = rows;
-                        }
+                    // Obtenir toutes les tables
+                    const [tables] = await connection.query('SHOW TABLES');
+                    const tableData = {};
 
-                        dbData.data = tableData;
-                        await connection.end();
-                        logger.success(`Export: Base MySQL ${db.name} exportée (${Object.keys(tableData).length} tables)`);
-                    } else if (db.type === 'mongodb' && db.host) {
-                        logger.info(`Export: Connexion à MongoDB ${db.name}...`);
-                        const auth = db.username && db.password 
-                            ? `${db.username}:${encodeURIComponent(db.password)}@` 
-                            : '';
-                        const authDb = db.authDatabase ? `?authSource=${db.authDatabase}` : '';
-                        const uri = `mongodb://${auth}${db.host}:${db.port}/${db.name}${authDb}`;
-                        
-                        const client = new MongoClient(uri);
-                        await client.connect();
-                        const database = client.db(db.name);
-                        const collections = await database.listCollections().toArray();
-                        const collectionData = {};
-
-                        for (const coll of collections) {
-                            logger.info(`Export: Lecture de la collection ${coll.name}...`);
-                            const data = await database.collection(coll.name).find({}).toArray();
-                            collectionData[coll.name] = data;
-                        }
+                    for (const tableRow of tables) {
+                        const tableName = Object.values(tableRow)[0];
+                        logger.info(`Export: Lecture de la table ${tableName}...`);
+                        const [rows] = await connection.query(`SELECT * FROM \`${tableName}\``);
+                        tableData[tableName] = rows;
+                    }
 
-                        dbData.data = collectionData;
-                        await client.close();
-                        logger.success(`Export: Base MongoDB ${db.name} exportée (${Object.keys(collectionData).length} collections)`);
-                    } else if (db.type === 'postgresql' && db.host) {
-                        logger.info(`Export: Connexion à PostgreSQL ${db.name}...`);
-                        const pool = new Pool({
-                            host: db.host,
-                            port: db.port,
-                            user: db.username,
-                            password: db.password,
-                            database: db.name
-                        });
+                    dbData.data = tableData;
+                    await connection.end();
+                    logger.success(`Export: Base MySQL ${db.name} exportée (${Object.keys(tableData).length} tables)`);
+                } else if (db.type === 'mongodb' && db.host) {
+                    logger.info(`Export: Connexion à MongoDB ${db.name}...`);
+                    const auth = db.username && db.password 
+                        ? `${db.username}:${encodeURIComponent(db.password)}@` 
+                        : '';
+                    const authDb = db.authDatabase ? `?authSource=${db.authDatabase}` : '';
+                    const uri = `mongodb://${auth}${db.host}:${db.port}/${db.name}${authDb}`;
+                    
+                    const client = new MongoClient(uri);
+                    await client.connect();
+                    const database = client.db(db.name);
+                    const collections = await database.listCollections().toArray();
+                    const collectionData = {};
+
+                    for (const coll of collections) {
+                        logger.info(`Export: Lecture de la collection ${coll.name}...`);
+                        const data = await database.collection(coll.name).find({}).toArray();
+                        collectionData[coll.name] = data;
+                    }
 
-                        // Obtenir toutes les tables
-                        const tablesResult = await pool.query(`
-                            SELECT table_name 
-                            FROM information_schema.tables 
-                            WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
-                        `);
-                        const tableData = {};
-
-                        for (const row of tablesResult.rows) {
-                            const tableName = row.table_name;
-                            logger.info(`Export: Lecture de la table ${tableName}...`);
-                            const dataResult = await pool.query(`SELECT * FROM "${tableName}"`);
-                            tableData[tableName] = dataResult.rows;
-                        }
+                    dbData.data = collectionData;
+                    await client.close();
+                    logger.success(`Export: Base MongoDB ${db.name} exportée (${Object.keys(collectionData).length} collections)`);
+                } else if (db.type === 'postgresql' && db.host) {
+                    logger.info(`Export: Connexion à PostgreSQL ${db.name}...`);
+                    const pool = new Pool({
+                        host: db.host,
+                        port: db.port,
+                        user: db.username,
+                        password: db.password,
+                        database: db.name
+                    });
 
-                        dbData.data = tableData;
-                        await pool.end();
-                        logger.success(`Export: Base PostgreSQL ${db.name} exportée (${Object.keys(tableData).length} tables)`);
+                    // Obtenir toutes les tables
+                    const tablesResult = await pool.query(`
+                        SELECT table_name 
+                        FROM information_schema.tables 
+                        WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+                    `);
+                    const tableData = {};
+
+                    for (const row of tablesResult.rows) {
+                        const tableName = row.table_name;
+                        logger.info(`Export: Lecture de la table ${tableName}...`);
+                        const dataResult = await pool.query(`SELECT * FROM "${tableName}"`);
+                        tableData[tableName] = dataResult.rows;
                     }
-                } catch (error) {
-                    logger.error(`Erreur export données BDD ${db.name}: ${error.message}`);
-                    dbData.dataError = error.message;
-                }
 
-                exportData.databases.push(dbData);
+                    dbData.data = tableData;
+                    await pool.end();
+                    logger.success(`Export: Base PostgreSQL ${db.name} exportée (${Object.keys(tableData).length} tables)`);
+                }
+            } catch (error) {
+                logger.error(`Erreur export données BDD ${db.name}: ${error.message}`);
+                dbData.dataError = error.message;
             }
-        }
 
-        // Exporter les clés API
-        if (exportApiKeys) {
-            const allKeys = apiKeys.getAllApiKeys();
-            exportData.apiKeys = allKeys;
+            exportData.databases.push(dbData);
         }
+    }
 
-        // Exporter les utilisateurs (admin seulement)
-        if (exportUsers) {
-            const allUsers = users.listUsers();
-            exportData.users = allUsers;
-        }
+    advance('Clés API, utilisateurs, Nginx et certificats');
+
+    // Exporter les clés API
+    if (exportApiKeys) {
+        const allKeys = apiKeys.getAllApiKeys();
+        exportData.apiKeys = allKeys;
+    }
+
+    // Exporter les utilisateurs (admin seulement)
+    if (exportUsers) {
+        const allUsers = users.listUsers();
+        exportData.users = allUsers;
+    }
 
-        // Exporter les configurations Nginx
-        if (exportNginxConfigs) {
-            const nginxConfigList = nginx.listNginxConfigs();
-            exportData.nginxConfigs = [];
+    // Exporter les configurations Nginx
+    if (exportNginxConfigs) {
+        const nginxConfigList = nginx.listNginxConfigs();
+        exportData.nginxConfigs = [];
+        
+        for (const config of nginxConfigList) {
+            const configData = {
+                ...config,
+                content: null
+            };
             
-            for (const config of nginxConfigList) {
-                const configData = {
-                    ...config,
-                    content: null
-                };
-                
-                // Lire le contenu du fichier de configuration
-                try {
-                    const configPath = `/etc/nginx/sites-available/${config.fileName}`;
-                    if (fs.existsSync(configPath)) {
-                        configData.content = fs.readFileSync(configPath, 'utf8');
-                    }
-                } catch (error) {
-                    logger.error(`Erreur lecture config Nginx ${config.domain}: ${error.message}`);
-                    configData.contentError = error.message;
+            // Lire le contenu du fichier de configuration
+            try {
+                const configPath = `/etc/nginx/sites-available/${config.fileName}`;
+                if (fs.existsSync(configPath)) {
+                    configData.content = fs.readFileSync(configPath, 'utf8');
                 }
-                
-                exportData.nginxConfigs.push(configData);
+            } catch (error) {
+                logger.error(`Erreur lecture config Nginx ${config.domain}: ${error.message}`);
+                configData.contentError = error.message;
             }
-            logger.success(`Export: ${nginxConfigList.length} configurations Nginx exportées`);
+            
+            exportData.nginxConfigs.push(configData);
         }
+        logger.success(`Export: ${nginxConfigList.length} configurations Nginx exportées`);
+    }
 
-        // Exporter les certificats SSL
-        if (exportSslCertificates) {
-            const sslCerts = ssl.getAllCertificates();
-            exportData.sslCertificates = [];
+    // Exporter les certificats SSL
+    if (exportSslCertificates) {
+        const sslCerts = ssl.getAllCertificates();
+        exportData.sslCertificates = [];
+        
+        for (const cert of sslCerts) {
+            const certData = {
+                ...cert,
+                certContent: null,
+                keyContent: null
+            };
             
-            for (const cert of sslCerts) {
-                const certData = {
-                    ...cert,
-                    certContent: null,
-                    keyContent: null
-                };
-                
-                // Lire le contenu du certificat et de la clé
-                try {
-                    if (cert.certPath && fs.existsSync(cert.certPath)) {
-                        certData.certContent = fs.readFileSync(cert.certPath, 'utf8');
-                    }
-                    if (cert.keyPath && fs.existsSync(cert.keyPath)) {
-                        certData.keyContent = fs.readFileSync(cert.keyPath, 'utf8');
-                    }
-                } catch (error) {
-                    logger.error(`Erreur lecture certificat SSL ${cert.domain}: ${error.message}`);
-                    certData.readError = error.message;
+            // Lire le contenu du certificat et de la clé
+            try {
+                if (cert.certPath && fs.existsSync(cert.certPath)) {
+                    certData.certContent = fs.readFileSync(cert.certPath, 'utf8');
                 }
-                
-                exportData.sslCertificates.push(certData);
+                if (cert.keyPath && fs.existsSync(cert.keyPath)) {
+                    certData.keyContent = fs.readFileSync(cert.keyPath, 'utf8');
+                }
+            } catch (error) {
+                logger.error(`Erreur lecture certificat SSL ${cert.domain}: ${error.message}`);
+                certData.readError = error.message;
             }
-            logger.success(`Export: ${sslCerts.length} certificats SSL exportés`);
+            
+            exportData.sslCertificates.push(certData);
         }
+        logger.success(`Export: ${sslCerts.length} certificats SSL exportés`);
+    }
+
+    return exportData;
+}
 
-        res.json({ success: true, data: exportData });
+/**
+ * POST /api/export - Exporter les données sélectionnées avec fichiers et données de BDD.
+ * L'export s'exécute en arrière-plan (202) : son résultat se télécharge sur /api/jobs/:jobId/result.
+ */
+router.post('/export', requireAdmin, (req, res) => {
+    try {
+        const options = req.body;
+        const job = jobs.enqueueJob(null, { type: 'export', trigger: 'manual', actor: req.user.username, resultFile: true },
+            (job, { signal }) => runExport(options, job, signal));
+        respondWithJob(res, job, 'Export lancé');
     } catch (error) {
         logger.error(`API Export: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
@@ -2093,404 +3360,474 @@ router.post('/export', async (req, res) => {
 });
 
 /**
- * POST /api/import - Importer des données depuis un export
+ * Importe des données depuis un export (job en arrière-plan)
+ * @param {object} importData - Contenu de l'export
+ * @param {object} job
+ * @param {AbortSignal} signal - Annulation du job
+ * @returns {Promise<object>} - { message, results } : réussites, échecs et erreurs par catégorie
  */
-router.post('/import', async (req, res) => {
-    try {
-        const importData = req.body;
-        const results = {
-            projects: { success: 0, failed: 0, errors: [] },
-            databases: { success: 0, failed: 0, errors: [] },
-            apiKeys: { success: 0, failed: 0, errors: [] },
-            users: { success: 0, failed: 0, errors: [] },
-            nginxConfigs: { success: 0, failed: 0, errors: [] },
-            sslCertificates: { success: 0, failed: 0, errors: [] }
-        };
-
-        // Importer les projets
-        if (importData.projects && Array.isArray(importData.projects)) {
-            for (const project of importData.projects) {
-                try {
-                    // Vérifier si le projet existe déjà
-                    if (!projects.projectExists(project.name)) {
-                        // Créer le projet avec un mot de passe par défaut (l'utilisateur devra le changer)
-                        const defaultPassword = 'changeme123';
-                        await projects.createProject(project.name, defaultPassword);
-                        scriptsModule.generateScripts(project.name);
-                        
-                        // Importer les services si présents
-                        if (project.config && project.config.services) {
-                            for (const service of project.config.services) {
-                                try {
-                                    services.addService(project.name, service);
-                                } catch (e) {
-                                    logger.error(`Erreur import service ${service.name}: ${e.message}`);
-                                }
-                            }
-                            scriptsModule.generateScripts(project.name);
-                        }
-                        
-                        // Restaurer les fichiers si présents
-                        if (project.files) {
+async function runImport(importData, job, signal) {
+    const results = {
+        projects: { success: 0, failed: 0, errors: [] },
+        databases: { success: 0, failed: 0, errors: [] },
+        apiKeys: { success: 0, failed: 0, errors: [] },
+        users: { success: 0, failed: 0, errors: [] },
+        nginxConfigs: { success: 0, failed: 0, errors: [] },
+        sslCertificates: { success: 0, failed: 0, errors: [] }
+    };
+
+    // Progression : un pas par projet et par base, puis les configurations
+    const importedProjects = Array.isArray(importData.projects) ? importData.projects : [];
+    const importedDatabases = Array.isArray(importData.databases) ? importData.databases : [];
+    const total = importedProjects.length + importedDatabases.length + 1;
+    let done = 0;
+    const advance = message => {
+        signal.throwIfAborted();
+        jobs.setProgress(job, Math.round(done++ / total * 100), message);
+    };
+
+    // Importer les projets
+    if (importData.projects && Array.isArray(importData.projects)) {
+        for (const project of importData.projects) {
+            advance(`Projet ${project.name}`);
+            try {
+                // Vérifier si le projet existe déjà
+                if (!projects.projectExists(project.name)) {
+                    // Créer le projet avec un mot de passe par défaut (l'utilisateur devra le changer)
+                    const defaultPassword = 'changeme123';
+                    await projects.createProject(project.name, defaultPassword);
+                    scriptsModule.generateScripts(project.name);
+                    
+                    // Importer les services si présents
+                    if (project.config && project.config.services) {
+                        for (const service of project.config.services) {
                             try {
-                                const projectPath = `/var/www/${project.name}/sites`;
-                                const archivePath = `/tmp/twoine-import-${project.name}-${Date.now()}.tar.gz`;
-                                
-                                // Décoder le base64 et écrire l'archive
-                                const archiveBuffer = Buffer.from(project.files, 'base64');
-                                fs.writeFileSync(archivePath, archiveBuffer);
-                                
-                                // Extraire l'archive
-                                const { execSync } = await import('child_process');
-                                execSync(`tar -xzf ${archivePath} -C ${projectPath}`);
-                                
-                                // Nettoyer
-                                fs.unlinkSync(archivePath);
-                                
-                                // Changer les permissions
-                                execSync(`chown -R sftp_${project.name}:sftp_${project.name} ${projectPath}`);
-                            } catch (error) {
-                                logger.error(`Erreur import fichiers projet ${project.name}: ${error.message}`);
+                                await services.addService(project.name, service);
+                            } catch (e) {
+                                logger.error(`Erreur import service ${service.name}: ${e.message}`);
                             }
                         }
-                        
-                        results.projects.success++;
-                    } else {
-                        results.projects.failed++;
-                        results.projects.errors.push(`Projet "${project.name}" existe déjà`);
+                        scriptsModule.generateScripts(project.name);
                     }
-                } catch (error) {
+                    
+                    // Restaurer les fichiers si présents
+                    if (project.files) {
+                        try {
+                            const projectPath = `/var/www/${project.name}/sites`;
+                            const archivePath = `/tmp/twoine-import-${project.name}-${Date.now()}.tar.gz`;
+                            
+                            // Décoder le base64 et écrire l'archive
+                            const archiveBuffer = Buffer.from(project.files, 'base64');
+                            fs.writeFileSync(archivePath, archiveBuffer);
+                            
+                            // Extraire l'archive
+                            await jobs.runCommand(job, `tar -xzf ${archivePath} -C ${projectPath}`);
+                            
+                            // Nettoyer
+                            fs.unlinkSync(archivePath);
+                            
+                            // Donner les fichiers à l'utilisateur qui exécute les services
+                            await projects.prepareServiceUser(project.name, projects.getServiceUser(project.name));
+                        } catch (error) {
+                            logger.error(`Erreur import fichiers projet ${project.name}: ${error.message}`);
+                        }
+                    }
+                    
+                    results.projects.success++;
+                } else {
                     results.projects.failed++;
-                    results.projects.errors.push(`${project.name}: ${error.message}`);
+                    results.projects.errors.push(`Projet "${project.name}" existe déjà`);
                 }
+            } catch (error) {
+                results.projects.failed++;
+                results.projects.errors.push(`${project.name}: ${error.message}`);
             }
         }
+    }
 
-        // Importer les bases de données
-        if (importData.databases && Array.isArray(importData.databases)) {
-            for (const db of importData.databases) {
-                try {
-                    // Vérifier si la base existe déjà
-                    const existing = databases.getDatabaseById(db.id);
-                    if (!existing) {
-                        // Créer la base de données selon le type
-                        let newDb;
-                        if (db.type === 'mysql' && db.config) {
-                            newDb = await databases.createMySQLDatabase({
-                                name: db.name,
-                                host: db.config.host,
-                                port: db.config.port,
-                                username: db.config.user,
-                                password: db.config.password,
-                                projectName: null
-                            });
-                        } else if (db.type === 'mongodb' && db.config) {
-                            newDb = await databases.createMongoDatabase({
-                                name: db.name,
-                                host: db.config.host,
-                                port: db.config.port,
-                                username: db.config.username || '',
-                                password: db.config.password || '',
-                                authDatabase: db.config.authDatabase || 'admin',
-                                projectName: null
-                            });
-                        } else if (db.type === 'postgresql' && db.config) {
-                            newDb = await databases.createPostgreSQLDatabase({
-                                name: db.name,
-                                host: db.config.host,
-                                port: db.config.port,
-                                username: db.config.user,
-                                password: db.config.password,
-                                projectName: null
-                            });
-                        }
-                        
-                        // Restaurer les données si présentes
-                        if (db.data) {
-                            try {
-                                if (db.type === 'mysql') {
-                                    const connection = await mysql.createConnection({
-                                        host: db.config.host,
-                                        port: db.config.port,
-                                        user: db.config.user,
-                                        password: db.config.password,
-                                        database: db.config.database
-                                    });
-
-                                    for (const [tableName, rows] of Object.entries(db.data)) {
-                                        if (rows.length > 0) {
-                                            const columns = Object.keys(rows[0]);
-                                            const placeholders = columns.map(() => '?').join(',');
-                                            const insertQuery = `INSERT INTO \`${tableName}\` (${columns.map(c => `\`${c}\``).join(',')}) VALUES (${placeholders})`;
-                                            
-                                            for (const row of rows) {
-                                                const values = columns.map(col => row[col]);
-                                                await connection.query(insertQuery, values);
-                                            }
+    // Importer les bases de données
+    if (importData.databases && Array.isArray(importData.databases)) {
+        for (const db of importData.databases) {
+            advance(`Base de données ${db.name}`);
+            try {
+                // Vérifier si la base existe déjà
+                const existing = databases.getDatabaseById(db.id);
+                if (!existing) {
+                    // Créer la base de données selon le type
+                    let newDb;
+                    if (db.type === 'mysql' && db.config) {
+                        newDb = await databases.createMySQLDatabase({
+                            name: db.name,
+                            host: db.config.host,
+                            port: db.config.port,
+                            username: db.config.user,
+                            password: db.config.password,
+                            projectName: null
+                        });
+                    } else if (db.type === 'mongodb' && db.config) {
+                        newDb = await databases.createMongoDatabase({
+                            name: db.name,
+                            host: db.config.host,
+                            port: db.config.port,
+                            username: db.config.username || '',
+                            password: db.config.password || '',
+                            authDatabase: db.config.authDatabase || 'admin',
+                            projectName: null
+                        });
+                    } else if (db.type === 'postgresql' && db.config) {
+                        newDb = await databases.createPostgreSQLDatabase({
+                            name: db.name,
+                            host: db.config.host,
+                            port: db.config.port,
+                            username: db.config.user,
+                            password: db.config.password,
+                            projectName: null
+                        });
+                    }
+                    
+                    // Restaurer les données si présentes
+                    if (db.data) {
+                        try {
+                            if (db.type === 'mysql') {
+                                const connection = await mysql.createConnection({
+                                    host: db.config.host,
+                                    port: db.config.port,
+                                    user: db.config.user,
+                                    password: db.config.password,
+                                    database: db.config.database
+                                });
+
+                                for (const [tableName, rows] of Object.entries(db.data)) {
+                                    if (rows.length > 0) {
+                                        const columns = Object.keys(rows[0]);
+                                        const placeholders = columns.map(() => '?').join(',');
+                                        const insertQuery = `INSERT INTO \`${tableName}\` (${columns.map(c => `\`${c}\``).join(',')}) VALUES (${placeholders})`;
+                                        
+                                        for (const row of rows) {
+                                            const values = columns.map(col => row[col]);
+                                            await connection.query(insertQuery, values);
                                         }
                                     }
+                                }
 
-                                    await connection.end();
-                                } else if (db.type === 'mongodb') {
-                                    const client = new MongoClient(db.config.uri);
-                                    await client.connect();
-                                    const database = client.db();
+                                await connection.end();
+                            } else if (db.type === 'mongodb') {
+                                const client = new MongoClient(db.config.uri);
+                                await client.connect();
+                                const database = client.db();
 
-                                    for (const [collectionName, documents] of Object.entries(db.data)) {
-                                        if (documents.length > 0) {
-                                            await database.collection(collectionName).insertMany(documents);
-                                        }
+                                for (const [collectionName, documents] of Object.entries(db.data)) {
+                                    if (documents.length > 0) {
+                                        await database.collection(collectionName).insertMany(documents);
                                     }
+                                }
 
-                                    await client.close();
-                                } else if (db.type === 'postgresql') {
-                                    const pool = new Pool({
-                                        host: db.config.host,
-                                        port: db.config.port,
-                                        user: db.config.user,
-                                        password: db.config.password,
-                                        database: db.config.database
-                                    });
-
-                                    for (const [tableName, rows] of Object.entries(db.data)) {
-                                        if (rows.length > 0) {
-                                            const columns = Object.keys(rows[0]);
-                                            const placeholders = columns.map((_, i) => `$${i + 1}`).join(',');
-                                            const insertQuery = `INSERT INTO "${tableName}" (${columns.map(c => `"${c}"`).join(',')}) VALUES (${placeholders})`;
-                                            
-                                            for (const row of rows) {
-                                                const values = columns.map(col => row[col]);
-                                                await pool.query(insertQuery, values);
-                                            }
+                                await client.close();
+                            } else if (db.type === 'postgresql') {
+                                const pool = new Pool({
+                                    host: db.config.host,
+                                    port: db.config.port,
+                                    user: db.config.user,
+                                    password: db.config.password,
+                                    database: db.config.database
+                                });
+
+                                for (const [tableName, rows] of Object.entries(db.data)) {
+                                    if (rows.length > 0) {
+                                        const columns = Object.keys(rows[0]);
+                                        const placeholders = columns.map((_, i) => `$${i + 1}`).join(',');
+                                        const insertQuery = `INSERT INTO "${tableName}" (${columns.map(c => `"${c}"`).join(',')}) VALUES (${placeholders})`;
+                                        
+                                        for (const row of rows) {
+                                            const values = columns.map(col => row[col]);
+                                            await pool.query(insertQuery, values);
                                         }
                                     }
-
-                                    await pool.end();
                                 }
-                            } catch (error) {
-                                logger.error(`Erreur import données BDD ${db.name}: ${error.message}`);
+
+                                await pool.end();
                             }
+                        } catch (error) {
+                            logger.error(`Erreur import données BDD ${db.name}: ${error.message}`);
                         }
-                        
-                        // Assigner aux projets si nécessaire
-                        if (newDb && db.assignedProjects && Array.isArray(db.assignedProjects)) {
-                            for (const projectName of db.assignedProjects) {
-                                try {
-                                    if (projects.projectExists(projectName)) {
-                                        databases.assignDatabaseToProject(newDb.id, projectName);
-                                    } else {
-                                        logger.warn(`Projet ${projectName} n'existe pas, assignation ignorée`);
-                                    }
-                                } catch (e) {
-                                    logger.error(`Erreur assignation BDD ${db.name} au projet ${projectName}: ${e.message}`);
+                    }
+                    
+                    // Assigner aux projets si nécessaire
+                    if (newDb && db.assignedProjects && Array.isArray(db.assignedProjects)) {
+                        for (const projectName of db.assignedProjects) {
+                            try {
+                                if (projects.projectExists(projectName)) {
+                                    databases.assignDatabaseToProject(newDb.id, projectName);
+                                } else {
+                                    logger.warn(`Projet ${projectName} n'existe pas, assignation ignorée`);
                                 }
+                            } catch (e) {
+                                logger.error(`Erreur assignation BDD ${db.name} au projet ${projectName}: ${e.message}`);
                             }
                         }
-                        
-                        results.databases.success++;
-                    } else {
-                        results.databases.failed++;
-                        results.databases.errors.push(`Base de données "${db.name}" existe déjà`);
                     }
-                } catch (error) {
+                    
+                    results.databases.success++;
+                } else {
                     results.databases.failed++;
-                    results.databases.errors.push(`${db.name}: ${error.message}`);
+                    results.databases.errors.push(`Base de données "${db.name}" existe déjà`);
                 }
+            } catch (error) {
+                results.databases.failed++;
+                results.databases.errors.push(`${db.name}: ${error.message}`);
             }
         }
+    }
 
-        // Importer les clés API
-        if (importData.apiKeys && Array.isArray(importData.apiKeys)) {
-            for (const key of importData.apiKeys) {
-                try {
-                    // Créer une nouvelle clé (ne pas réutiliser l'ancienne clé pour des raisons de sécurité)
-                    apiKeys.createApiKey({
-                        name: key.name,
-                        modelName: key.modelName,
-                        projects: key.projects || [],
-                        requestsPerMinute: key.rateLimit || key.limits?.requestsPerMinute || 10,
-                        createdBy: 'import'
-                    });
-                    results.apiKeys.success++;
-                } catch (error) {
-                    results.apiKeys.failed++;
-                    results.apiKeys.errors.push(`${key.name}: ${error.message}`);
-                }
+    advance('Clés API, utilisateurs, Nginx et certificats');
+
+    // Importer les clés API
+    if (importData.apiKeys && Array.isArray(importData.apiKeys)) {
+        for (const key of importData.apiKeys) {
+            try {
+                // Créer une nouvelle clé (ne pas réutiliser l'ancienne clé pour des raisons de sécurité)
+                apiKeys.createApiKey({
+                    name: key.name,
+                    modelName: key.modelName,
+                    projects: key.projects || [],
+                    requestsPerMinute: key.rateLimit || key.limits?.requestsPerMinute || 10,
+                    createdBy: 'import'
+                });
+                results.apiKeys.success++;
+            } catch (error) {
+                results.apiKeys.failed++;
+                results.apiKeys.errors.push(`${key.name}: ${error.message}`);
             }
         }
+    }
 
-        // Importer les utilisateurs (admin seulement)
-        if (importData.users && Array.isArray(importData.users)) {
-            for (const user of importData.users) {
-                try {
-                    // Ne pas importer l'utilisateur admin par défaut
-                    if (user.username === 'admin') {
-                        results.users.failed++;
-                        results.users.errors.push('Impossible d\'importer l\'utilisateur admin');
-                        continue;
-                    }
-                    
-                    // Vérifier si l'utilisateur existe déjà
-                    const allUsers = users.listUsers();
-                    const existing = allUsers.find(u => u.username === user.username);
+    // Importer les utilisateurs (admin seulement)
+    if (importData.users && Array.isArray(importData.users)) {
+        for (const user of importData.users) {
+            try {
+                // Ne pas importer l'utilisateur admin par défaut
+                if (user.username === 'admin') {
+                    results.users.failed++;
+                    results.users.errors.push('Impossible d\'importer l\'utilisateur admin');
+                    continue;
+                }
+                
+                // Vérifier si l'utilisateur existe déjà
+                const allUsers = users.listUsers();
+                const existing = allUsers.find(u => u.username === user.username);
+                
+                if (!existing) {
+                    // Créer avec un mot de passe par défaut
+                    const newUser = users.createUser(
+                        user.username,
+                        'changeme123',
+                        user.role || 'user',
+                        true, // mustChangePassword
+                        user.firstName || '',
+                        user.lastName || ''
+                    );
                     
-                    if (!existing) {
-                        // Créer avec un mot de passe par défaut
-                        const newUser = users.createUser(
-                            user.username,
-                            'changeme123',
-                            user.role || 'user',
-                            true, // mustChangePassword
-                            user.firstName || '',
-                            user.lastName || ''
-                        );
-                        
-                        // Assigner les projets
-                        if (user.projects && Array.isArray(user.projects)) {
-                            for (const projectName of user.projects) {
-                                try {
-                                    if (projects.projectExists(projectName)) {
-                                        users.assignProjectToUser(newUser.id, projectName);
-                                    } else {
-                                        logger.warn(`Projet ${projectName} n'existe pas, assignation ignorée`);
-                                    }
-                                } catch (e) {
-                                    logger.error(`Erreur assignation projet ${projectName} à ${user.username}: ${e.message}`);
+                    // Assigner les projets
+                    if (user.projects && Array.isArray(user.projects)) {
+                        for (const projectName of user.projects) {
+                            try {
+                                if (projects.projectExists(projectName)) {
+                                    users.assignProjectToUser(newUser.id, projectName);
+                                } else {
+                                    logger.warn(`Projet ${projectName} n'existe pas, assignation ignorée`);
                                 }
+                            } catch (e) {
+                                logger.error(`Erreur assignation projet ${projectName} à ${user.username}: ${e.message}`);
                             }
                         }
-                        
-                        results.users.success++;
-                    } else {
-                        results.users.failed++;
-                        results.users.errors.push(`Utilisateur "${user.username}" existe déjà`);
                     }
-                } catch (error) {
+                    
+                    results.users.success++;
+                } else {
                     results.users.failed++;
-                    results.users.errors.push(`${user.username}: ${error.message}`);
+                    results.users.errors.push(`Utilisateur "${user.username}" existe déjà`);
                 }
+            } catch (error) {
+                results.users.failed++;
+                results.users.errors.push(`${user.username}: ${error.message}`);
             }
         }
+    }
 
-        // Importer les configurations Nginx
-        if (importData.nginxConfigs && Array.isArray(importData.nginxConfigs)) {
-            for (const config of importData.nginxConfigs) {
-                try {
-                    // Vérifier si la config existe déjà par domaine
-                    const existingConfigs = nginx.listNginxConfigs();
-                    const existing = existingConfigs.find(c => c.domain === config.domain);
+    // Importer les configurations Nginx
+    if (importData.nginxConfigs && Array.isArray(importData.nginxConfigs)) {
+        for (const config of importData.nginxConfigs) {
+            try {
+                // Vérifier si la config existe déjà par domaine
+                const existingConfigs = nginx.listNginxConfigs();
+                const existing = existingConfigs.find(c => c.domain === config.domain);
+                
+                if (!existing) {
+                    // Créer la configuration
+                    const newConfig = await nginx.createNginxConfig(
+                        config.domain,
+                        config.port,
+                        config.description || '',
+                        {
+                            useSSL: config.useSSL || false,
+                            sslCertPath: config.sslCertPath || '',
+                            sslKeyPath: config.sslKeyPath || '',
+                            redirectHTTP: config.redirectHTTP || false,
+                            targetHost: config.targetHost || 'localhost',
+                            targetProtocol: config.targetProtocol || 'http',
+                            linkedProject: config.linkedProject || '',
+                            linkedService: config.linkedService || ''
+                        }
+                    );
                     
-                    if (!existing) {
-                        // Créer la configuration
-                        const newConfig = await nginx.createNginxConfig(
-                            config.domain,
-                            config.port,
-                            config.description || '',
-                            {
-                                useSSL: config.useSSL || false,
-                                sslCertPath: config.sslCertPath || '',
-                                sslKeyPath: config.sslKeyPath || '',
-                                redirectHTTP: config.redirectHTTP || false,
-                                targetHost: config.targetHost || 'localhost',
-                                targetProtocol: config.targetProtocol || 'http',
-                                linkedProject: config.linkedProject || '',
-                                linkedService: config.linkedService || ''
-                            }
-                        );
-                        
-                        // Restaurer le contenu brut si présent et différent
-                        if (config.content && newConfig) {
-                            try {
-                                const configPath = `/etc/nginx/sites-available/${newConfig.fileName}`;
-                                fs.writeFileSync(configPath, config.content);
-                            } catch (e) {
-                                logger.error(`Erreur restauration contenu Nginx ${config.domain}: ${e.message}`);
-                            }
+                    // Restaurer le contenu brut si présent et différent
+                    if (config.content && newConfig) {
+                        try {
+                            const configPath = `/etc/nginx/sites-available/${newConfig.fileName}`;
+                            fs.writeFileSync(configPath, config.content);
+                        } catch (e) {
+                            logger.error(`Erreur restauration contenu Nginx ${config.domain}: ${e.message}`);
                         }
-                        
-                        results.nginxConfigs.success++;
-                    } else {
-                        results.nginxConfigs.failed++;
-                        results.nginxConfigs.errors.push(`Configuration "${config.domain}" existe déjà`);
                     }
-                } catch (error) {
+                    
+                    results.nginxConfigs.success++;
+                } else {
                     results.nginxConfigs.failed++;
-                    results.nginxConfigs.errors.push(`${config.domain}: ${error.message}`);
+                    results.nginxConfigs.errors.push(`Configuration "${config.domain}" existe déjà`);
                 }
+            } catch (error) {
+                results.nginxConfigs.failed++;
+                results.nginxConfigs.errors.push(`${config.domain}: ${error.message}`);
             }
         }
+    }
 
-        // Importer les certificats SSL
-        if (importData.sslCertificates && Array.isArray(importData.sslCertificates)) {
-            for (const cert of importData.sslCertificates) {
-                try {
-                    // Vérifier si le certificat existe déjà par domaine
-                    const existingCerts = ssl.getAllCertificates();
-                    const existing = existingCerts.find(c => c.domain === cert.domain);
+    // Importer les certificats SSL
+    if (importData.sslCertificates && Array.isArray(importData.sslCertificates)) {
+        for (const cert of importData.sslCertificates) {
+            try {
+                // Vérifier si le certificat existe déjà par domaine
+                const existingCerts = ssl.getAllCertificates();
+                const existing = existingCerts.find(c => c.domain === cert.domain);
+                
+                if (!existing && cert.certContent && cert.keyContent) {
+                    // Créer les répertoires si nécessaires
+                    const certDir = path.dirname(cert.certPath || `/etc/ssl/certs/${cert.domain}`);
+                    const keyDir = path.dirname(cert.keyPath || `/etc/ssl/private/${cert.domain}`);
                     
-                    if (!existing && cert.certContent && cert.keyContent) {
-                        // Créer les répertoires si nécessaires
-                        const certDir = path.dirname(cert.certPath || `/etc/ssl/certs/${cert.domain}`);
-                        const keyDir = path.dirname(cert.keyPath || `/etc/ssl/private/${cert.domain}`);
-                        
-                        if (!fs.existsSync(certDir)) {
-                            fs.mkdirSync(certDir, { recursive: true });
-                        }
-                        if (!fs.existsSync(keyDir)) {
-                            fs.mkdirSync(keyDir, { recursive: true });
-                        }
-                        
-                        // Écrire les fichiers
-                        const certPath = cert.certPath || `/etc/ssl/certs/${cert.domain}.crt`;
-                        const keyPath = cert.keyPath || `/etc/ssl/private/${cert.domain}.key`;
-                        
-                        fs.writeFileSync(certPath, cert.certContent);
-                        fs.writeFileSync(keyPath, cert.keyContent);
-                        
-                        // Enregistrer dans l'index
-                        ssl.registerCertificate({
-                            domain: cert.domain,
-                            certPath,
-                            keyPath,
-                            linkedProject: cert.linkedProject || '',
-                            createdAt: cert.createdAt || new Date().toISOString(),
-                            expiresAt: cert.expiresAt || null
-                        });
-                        
-                        results.sslCertificates.success++;
-                    } else if (existing) {
-                        results.sslCertificates.failed++;
-                        results.sslCertificates.errors.push(`Certificat "${cert.domain}" existe déjà`);
-                    } else {
-                        results.sslCertificates.failed++;
-                        results.sslCertificates.errors.push(`Certificat "${cert.domain}": contenu manquant`);
+                    if (!fs.existsSync(certDir)) {
+                        fs.mkdirSync(certDir, { recursive: true });
                     }
-                } catch (error) {
+                    if (!fs.existsSync(keyDir)) {
+                        fs.mkdirSync(keyDir, { recursive: true });
+                    }
+                    
+                    // Écrire les fichiers
+                    const certPath = cert.certPath || `/etc/ssl/certs/${cert.domain}.crt`;
+                    const keyPath = cert.keyPath || `/etc/ssl/private/${cert.domain}.key`;
+                    
+                    fs.writeFileSync(certPath, cert.certContent);
+                    fs.writeFileSync(keyPath, cert.keyContent);
+                    
+                    // Enregistrer dans l'index
+                    ssl.registerCertificate({
+                        domain: cert.domain,
+                        certPath,
+                        keyPath,
+                        linkedProject: cert.linkedProject || '',
+                        createdAt: cert.createdAt || new Date().toISOString(),
+                        expiresAt: cert.expiresAt || null
+                    });
+                    
+                    results.sslCertificates.success++;
+                } else if (existing) {
+                    results.sslCertificates.failed++;
+                    results.sslCertificates.errors.push(`Certificat "${cert.domain}" existe déjà`);
+                } else {
                     results.sslCertificates.failed++;
-                    results.sslCertificates.errors.push(`${cert.domain}: ${error.message}`);
+                    results.sslCertificates.errors.push(`Certificat "${cert.domain}": contenu manquant`);
                 }
+            } catch (error) {
+                results.sslCertificates.failed++;
+                results.sslCertificates.errors.push(`${cert.domain}: ${error.message}`);
             }
         }
+    }
 
-        // Construire le message de résultat
-        const totalSuccess = results.projects.success + results.databases.success + 
-                           results.apiKeys.success + results.users.success +
-                           results.nginxConfigs.success + results.sslCertificates.success;
-        const totalFailed = results.projects.failed + results.databases.failed + 
-                          results.apiKeys.failed + results.users.failed +
-                          results.nginxConfigs.failed + results.sslCertificates.failed;
+    // Construire le message de résultat
+    const totalSuccess = results.projects.success + results.databases.success + 
+                       results.apiKeys.success + results.users.success +
+                       results.nginxConfigs.success + results.sslCertificates.success;
+    const totalFailed = results.projects.failed + results.databases.failed + 
+                      results.apiKeys.failed + results.users.failed +
+                      results.nginxConfigs.failed + results.sslCertificates.failed;
+
+    return {
+        message: `Import terminé: ${totalSuccess} réussi(s), ${totalFailed} échoué(s)`,
+        results
+    };
+}
 
-        res.json({
-            success: true,
-            message: `Import terminé: ${totalSuccess} réussi(s), ${totalFailed} échoué(s)`,
-            results
-        });
+/**
+ * POST /api/import - Importer des données depuis un export, en arrière-plan (202)
+ */
+router.post('/import', requireAdmin, (req, res) => {
+    try {
+        const importData = req.body;
+        const job = jobs.enqueueJob(null, { type: 'import', trigger: 'manual', actor: req.user.username },
+            (job, { signal }) => runImport(importData, job, signal));
+        respondWithJob(res, job, 'Import lancé');
     } catch (error) {
         logger.error(`API Import: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// ============================================
+// MANIFESTES DE PROJET (ADMIN UNIQUEMENT)
+// ============================================
+
+/**
+ * POST /api/manifest/plan - Compare un manifeste YAML (body.manifest) à l'état courant
+ */
+router.post('/manifest/plan', requireAdmin, (req, res) => {
+    try {
+        const manifest = manifests.parseManifest(req.body?.manifest || '');
+        res.json({ success: true, data: manifests.plan(manifest, { prune: !!req.body?.prune }) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/manifest/apply - Applique un manifeste YAML (body.sftpPassword si le projet est à créer)
+ */
+router.post('/manifest/apply', requireAdmin, async (req, res) => {
+    try {
+        const manifest = manifests.parseManifest(req.body?.manifest || '');
+        req.projectScope = [manifest.project];
+        const plan = manifests.plan(manifest, { prune: !!req.body?.prune });
+        const result = await manifests.apply(plan, { sftpPassword: req.body?.sftpPassword || null });
+        res.json({ success: true, data: { ...result, plan } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/manifest - Manifeste YAML de l'état courant d'un projet
+ */
+router.get('/projects/:name/manifest', requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, data: manifests.exportManifest(req.params.name) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // NGINX
 // ============================================
@@ -2498,12 +3835,12 @@ router.post('/import', async (req, res) => {
 /**
  * GET /api/nginx/configs - Liste toutes les configurations Nginx
  */
-router.get('/nginx/configs', (req, res) => {
+router.get('/nginx/configs', authenticated, (req, res) => {
     try {
         const requestUser = getRequestUser(req);
         let configs = nginx.listNginxConfigs();
         if (requestUser && requestUser.role !== 'admin') {
-            configs = configs.filter(config => userCanAccessProject(requestUser, config.linkedProject));
+            configs = configs.filter(config => userCanAccessProject(requestUser, config.linkedProject, 'nginx:read'));
         }
         res.json({ success: true, data: configs });
     } catch (error) {
@@ -2515,16 +3852,12 @@ router.get('/nginx/configs', (req, res) => {
 /**
  * GET /api/nginx/configs/:id - Détails d'une configuration
  */
-router.get('/nginx/configs/:id', (req, res) => {
+router.get('/nginx/configs/:id', authorize('nginx:read', nginxConfigProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const config = nginx.getNginxConfig(req.params.id);
         if (!config) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, config.linkedProject);
-        }
         res.json({ success: true, data: config });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -2535,16 +3868,12 @@ router.get('/nginx/configs/:id', (req, res) => {
 /**
  * GET /api/nginx/configs/:id/content - Lire le contenu d'une configuration
  */
-router.get('/nginx/configs/:id/content', (req, res) => {
+router.get('/nginx/configs/:id/content', authorize('nginx:read', nginxConfigProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const config = nginx.getNginxConfig(req.params.id);
         if (!config) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, config.linkedProject);
-        }
         const content = nginx.readNginxConfigFile(req.params.id);
         res.json({ success: true, data: content });
     } catch (error) {
@@ -2556,9 +3885,8 @@ router.get('/nginx/configs/:id/content', (req, res) => {
 /**
  * POST /api/nginx/configs - Créer une configuration Nginx
  */
-router.post('/nginx/configs', async (req, res) => {
+router.post('/nginx/configs', authorize('nginx:edit', bodyLinkedProject), async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const { 
             domain, 
             port, 
@@ -2579,9 +3907,6 @@ router.post('/nginx/configs', async (req, res) => {
         if (!linkedProject) {
             return res.status(400).json({ success: false, error: 'Projet lié requis' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, linkedProject);
-        }
 
         const options = {
             useSSL: useSSL || false,
@@ -2605,16 +3930,12 @@ router.post('/nginx/configs', async (req, res) => {
 /**
  * PUT /api/nginx/configs/:id/content - Mettre à jour le contenu d'une configuration
  */
-router.put('/nginx/configs/:id/content', async (req, res) => {
+router.put('/nginx/configs/:id/content', authorize('nginx:edit', nginxConfigProject), async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const existing = nginx.getNginxConfig(req.params.id);
         if (!existing) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, existing.linkedProject);
-        }
         const { content } = req.body;
         if (!content) {
             return res.status(400).json({ success: false, error: 'Contenu requis' });
@@ -2631,16 +3952,12 @@ router.put('/nginx/configs/:id/content', async (req, res) => {
 /**
  * DELETE /api/nginx/configs/:id - Supprimer une configuration
  */
-router.delete('/nginx/configs/:id', async (req, res) => {
+router.delete('/nginx/configs/:id', authorize('nginx:edit', nginxConfigProject), async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const existing = nginx.getNginxConfig(req.params.id);
         if (!existing) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, existing.linkedProject);
-        }
         await nginx.deleteNginxConfig(req.params.id);
         res.json({ success: true, message: 'Configuration supprimée' });
     } catch (error) {
@@ -2652,16 +3969,12 @@ router.delete('/nginx/configs/:id', async (req, res) => {
 /**
  * PUT /api/nginx/configs/:id/toggle - Activer/Désactiver une configuration
  */
-router.put('/nginx/configs/:id/toggle', async (req, res) => {
+router.put('/nginx/configs/:id/toggle', authorize('nginx:edit', nginxConfigProject), async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const existing = nginx.getNginxConfig(req.params.id);
         if (!existing) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, existing.linkedProject);
-        }
         const { enabled } = req.body;
         const config = await nginx.toggleNginxConfig(req.params.id, enabled);
         res.json({ success: true, data: config });
@@ -2674,7 +3987,7 @@ router.put('/nginx/configs/:id/toggle', async (req, res) => {
 /**
  * POST /api/nginx/reload - Recharger Nginx
  */
-router.post('/nginx/reload', async (req, res) => {
+router.post('/nginx/reload', requireAdmin, async (req, res) => {
     try {
         await nginx.reloadNginx();
         res.json({ success: true, message: 'Nginx rechargé' });
@@ -2687,7 +4000,7 @@ router.post('/nginx/reload', async (req, res) => {
 /**
  * GET /api/nginx/status - Statut de Nginx
  */
-router.get('/nginx/status', async (req, res) => {
+router.get('/nginx/status', authenticated, async (req, res) => {
     try {
         const status = await nginx.getNginxStatus();
         res.json({ success: true, data: status });
@@ -2700,7 +4013,7 @@ router.get('/nginx/status', async (req, res) => {
 /**
  * GET /api/nginx/global-config - Lire le fichier nginx.conf global
  */
-router.get('/nginx/global-config', (req, res) => {
+router.get('/nginx/global-config', requireAdmin, (req, res) => {
     try {
         const content = nginx.readGlobalConfig();
         res.json({ success: true, data: content });
@@ -2713,7 +4026,7 @@ router.get('/nginx/global-config', (req, res) => {
 /**
  * PUT /api/nginx/global-config - Mettre à jour le fichier nginx.conf global
  */
-router.put('/nginx/global-config', async (req, res) => {
+router.put('/nginx/global-config', requireAdmin, async (req, res) => {
     try {
         const { content } = req.body;
         if (!content) {
@@ -2731,16 +4044,13 @@ router.put('/nginx/global-config', async (req, res) => {
 /**
  * PUT /api/nginx/configs/:id - Mettre à jour une configuration Nginx
  */
-router.put('/nginx/configs/:id', async (req, res) => {
+router.put('/nginx/configs/:id', authorize('nginx:edit', nginxConfigProject), async (req, res) => {
     try {
         const requestUser = getRequestUser(req);
         const existing = nginx.getNginxConfig(req.params.id);
         if (!existing) {
             return res.status(404).json({ success: false, error: 'Configuration non trouvée' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, existing.linkedProject);
-        }
         const {
             domain,
             port,
@@ -2758,8 +4068,8 @@ router.put('/nginx/configs/:id', async (req, res) => {
         if (!targetLinkedProject) {
             return res.status(400).json({ success: false, error: 'Projet lié requis' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, targetLinkedProject);
+        if (!userCanAccessProject(requestUser, targetLinkedProject, 'nginx:edit')) {
+            return res.status(403).json({ success: false, error: 'Accès refusé à ce projet' });
         }
 
         const options = {
@@ -2788,7 +4098,7 @@ router.put('/nginx/configs/:id', async (req, res) => {
 /**
  * GET /api/nginx/error-pages - Liste toutes les pages d'erreur
  */
-router.get('/nginx/error-pages', (req, res) => {
+router.get('/nginx/error-pages', authenticated, (req, res) => {
     try {
         const errorPages = nginx.listErrorPages();
         res.json({ success: true, data: errorPages });
@@ -2801,7 +4111,7 @@ router.get('/nginx/error-pages', (req, res) => {
 /**
  * GET /api/nginx/error-pages/:code - Obtenir une page d'erreur
  */
-router.get('/nginx/error-pages/:code', (req, res) => {
+router.get('/nginx/error-pages/:code', authenticated, (req, res) => {
     try {
         const code = parseInt(req.params.code);
         const content = nginx.readErrorPage(code);
@@ -2825,13 +4135,8 @@ router.get('/nginx/error-pages/:code', (req, res) => {
 /**
  * PUT /api/nginx/error-pages/:code - Créer/modifier une page d'erreur
  */
-router.put('/nginx/error-pages/:code', async (req, res) => {
+router.put('/nginx/error-pages/:code', requireAdmin, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
-        if (!requestUser || requestUser.role !== 'admin') {
-            return res.status(403).json({ success: false, error: 'Accès refusé' });
-        }
-        
         const code = parseInt(req.params.code);
         const { content } = req.body;
         
@@ -2850,13 +4155,8 @@ router.put('/nginx/error-pages/:code', async (req, res) => {
 /**
  * DELETE /api/nginx/error-pages/:code - Supprimer une page d'erreur personnalisée
  */
-router.delete('/nginx/error-pages/:code', async (req, res) => {
+router.delete('/nginx/error-pages/:code', requireAdmin, async (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
-        if (!requestUser || requestUser.role !== 'admin') {
-            return res.status(403).json({ success: false, error: 'Accès refusé' });
-        }
-        
         const code = parseInt(req.params.code);
         await nginx.deleteErrorPage(code);
         res.json({ success: true, message: `Page d'erreur ${code} supprimée` });
@@ -2869,7 +4169,7 @@ router.delete('/nginx/error-pages/:code', async (req, res) => {
 /**
  * GET /api/nginx/error-pages/:code/default - Obtenir le template par défaut
  */
-router.get('/nginx/error-pages/:code/default', (req, res) => {
+router.get('/nginx/error-pages/:code/default', authenticated, (req, res) => {
     try {
         const code = parseInt(req.params.code);
         const defaultContent = nginx.getDefaultErrorPage(code);
@@ -2892,12 +4192,12 @@ router.get('/nginx/error-pages/:code/default', (req, res) => {
 /**
  * GET /api/ssl/certificates - Liste tous les certificats SSL
  */
-router.get('/ssl/certificates', (req, res) => {
+router.get('/ssl/certificates', authenticated, (req, res) => {
     try {
         const requestUser = getRequestUser(req);
         let certificates = ssl.getAllCertificates();
         if (requestUser && requestUser.role !== 'admin') {
-            certificates = certificates.filter(cert => userCanAccessProject(requestUser, cert.linkedProject));
+            certificates = certificates.filter(cert => userCanAccessProject(requestUser, cert.linkedProject, 'ssl:read'));
         }
         res.json({ success: true, data: certificates });
     } catch (error) {
@@ -2909,16 +4209,12 @@ router.get('/ssl/certificates', (req, res) => {
 /**
  * GET /api/ssl/certificates/:id - Détails d'un certificat
  */
-router.get('/ssl/certificates/:id', (req, res) => {
+router.get('/ssl/certificates/:id', authorize('ssl:read', certificateProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const certificate = ssl.getCertificateById(req.params.id);
         if (!certificate) {
             return res.status(404).json({ success: false, error: 'Certificat non trouvé' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, certificate.linkedProject);
-        }
         res.json({ success: true, data: certificate });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -2929,16 +4225,12 @@ router.get('/ssl/certificates/:id', (req, res) => {
 /**
  * GET /api/ssl/certificates/:id/details - Détails complets d'un certificat avec contenu
  */
-router.get('/ssl/certificates/:id/details', (req, res) => {
+router.get('/ssl/certificates/:id/details', authorize('ssl:read', certificateProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const certificate = ssl.getCertificateById(req.params.id);
         if (!certificate) {
             return res.status(404).json({ success: false, error: 'Certificat non trouvé' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, certificate.linkedProject);
-        }
         const details = ssl.getCertificateDetails(req.params.id);
         res.json({ success: true, data: details });
     } catch (error) {
@@ -2949,21 +4241,21 @@ router.get('/ssl/certificates/:id/details', (req, res) => {
 
 /**
  * GET /api/ssl/certificates/:id/download - Télécharger un certificat ou une clé
+ * (la clé privée exige ssl:manage, ssl:read ne donne accès qu'au certificat)
  */
-router.get('/ssl/certificates/:id/download', (req, res) => {
+router.get('/ssl/certificates/:id/download', authorize('ssl:read', certificateProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const { type } = req.query;
         if (!type || !['cert', 'key'].includes(type)) {
             return res.status(400).json({ success: false, error: 'Type invalide (cert ou key)' });
         }
+        if (type === 'key' && !userCanAccessProjects(req.user, req.projectScope, 'ssl:manage')) {
+            return res.status(403).json({ success: false, error: 'Accès refusé à la clé privée' });
+        }
         const certificate = ssl.getCertificateById(req.params.id);
         if (!certificate) {
             return res.status(404).json({ success: false, error: 'Certificat non trouvé' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, certificate.linkedProject);
-        }
 
         const content = ssl.downloadCertificate(req.params.id, type);
         res.json({ success: true, data: content });
@@ -2974,11 +4266,11 @@ router.get('/ssl/certificates/:id/download', (req, res) => {
 });
 
 /**
- * POST /api/ssl/certificates - Créer un certificat SSL Let's Encrypt
+ * POST /api/ssl/certificates - Créer un certificat SSL Let's Encrypt, en arrière-plan (202).
+ * Certbot n'exécute qu'une opération à la fois : les demandes passent par une file commune.
  */
-router.post('/ssl/certificates', (req, res) => {
+router.post('/ssl/certificates', authorize('ssl:manage', bodyLinkedProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const {
             domain,
             country,
@@ -2997,11 +4289,11 @@ router.post('/ssl/certificates', (req, res) => {
         if (!linkedProject) {
             return res.status(400).json({ success: false, error: 'Projet lié requis' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, linkedProject);
+        if (!projects.projectExists(linkedProject)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
         }
 
-        const certificate = ssl.createCertificate({
+        const options = {
             domain,
             country,
             state,
@@ -3011,9 +4303,10 @@ router.post('/ssl/certificates', (req, res) => {
             email,
             validityDays,
             linkedProject
-        });
-
-        res.json({ success: true, data: certificate });
+        };
+        const job = jobs.enqueueJob(linkedProject, { type: 'ssl-certificate', trigger: 'manual', actor: req.user.username, permission: 'ssl:manage', queue: 'certbot' },
+            job => ssl.createCertificate(options, job));
+        respondWithJob(res, job, `Génération du certificat pour ${domain} lancée`);
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -3023,16 +4316,12 @@ router.post('/ssl/certificates', (req, res) => {
 /**
  * DELETE /api/ssl/certificates/:id - Supprimer un certificat SSL
  */
-router.delete('/ssl/certificates/:id', (req, res) => {
+router.delete('/ssl/certificates/:id', authorize('ssl:manage', certificateProject), (req, res) => {
     try {
-        const requestUser = getRequestUser(req);
         const certificate = ssl.getCertificateById(req.params.id);
         if (!certificate) {
             return res.status(404).json({ success: false, error: 'Certificat non trouvé' });
         }
-        if (requestUser && requestUser.role !== 'admin') {
-            ensureProjectAccess(requestUser, certificate.linkedProject);
-        }
         ssl.deleteCertificate(req.params.id);
         res.json({ success: true, message: 'Certificat supprimé' });
     } catch (error) {
@@ -3048,7 +4337,7 @@ router.delete('/ssl/certificates/:id', (req, res) => {
 /**
  * GET /api/ssl/templates - Liste tous les templates SSL
  */
-router.get('/ssl/templates', (req, res) => {
+router.get('/ssl/templates', authenticated, (req, res) => {
     try {
         const templates = ssl.getAllTemplates();
         res.json({ success: true, data: templates });
@@ -3061,7 +4350,7 @@ router.get('/ssl/templates', (req, res) => {
 /**
  * GET /api/ssl/templates/:id - Détails d'un template
  */
-router.get('/ssl/templates/:id', (req, res) => {
+router.get('/ssl/templates/:id', authenticated, (req, res) => {
     try {
         const template = ssl.getTemplateById(req.params.id);
         if (!template) {
@@ -3077,7 +4366,7 @@ router.get('/ssl/templates/:id', (req, res) => {
 /**
  * POST /api/ssl/templates - Créer un template SSL
  */
-router.post('/ssl/templates', (req, res) => {
+router.post('/ssl/templates', requireAdmin, (req, res) => {
     try {
         const {
             name,
@@ -3115,7 +4404,7 @@ router.post('/ssl/templates', (req, res) => {
 /**
  * DELETE /api/ssl/templates/:id - Supprimer un template SSL
  */
-router.delete('/ssl/templates/:id', (req, res) => {
+router.delete('/ssl/templates/:id', requireAdmin, (req, res) => {
     try {
         ssl.deleteTemplate(req.params.id);
         res.json({ success: true, message: 'Template supprimé' });
@@ -8,9 +8,14 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import apiRouter from './api.js';
+import apiRouter, { listUnprotectedRoutes } from './api.js';
 import projects from '../modules/projects.js';
-import logger from '../utils/logger.js';
+import processManager from '../modules/processManager.js';
+import healthChecks from '../modules/healthChecks.js';
+import logArchive from '../modules/logArchive.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('web');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,9 +23,15 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.WEB_PORT || 3847;
 
-// Middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Derrière un reverse proxy local (Nginx) : req.ip et req.secure reflètent le client
+app.set('trust proxy', 'loopback');
+
+// Middleware (corps brut conservé pour vérifier la signature des webhooks)
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+app.use(express.json({ limit: '50mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: keepRawBody }));
 
 // Servir les fichiers statiques du frontend
 app.use(express.static(path.join(__dirname, 'public')));
@@ -42,6 +53,28 @@ async function start() {
         projects.initConfigDir();
         logger.initLogDir();
 
+        // Refuser de démarrer si une route de l'API n'a pas de politique d'accès
+        const unprotected = listUnprotectedRoutes();
+        if (unprotected.length > 0) {
+            throw new Error(`Routes sans contrôle d'accès: ${unprotected.join(', ')}`);
+        }
+
+        // Journaliser les arrêts et redémarrages des services qui ne viennent pas d'une action
+        processManager.onProcessEvent(event => {
+            if (event.manually) return;
+            if (event.type === 'exit') {
+                logger.warn(`Processus ${event.name} arrêté (code ${event.exitCode ?? 'inconnu'})`, { process: event.name });
+            } else if (event.type === 'restart') {
+                logger.info(`Processus ${event.name} redémarré automatiquement`, { process: event.name });
+            }
+        });
+
+        // Vérifier la santé des services et redémarrer ceux qui ne répondent plus
+        healthChecks.startHealthChecker();
+
+        // Archiver la sortie des services dont la rétention des logs est activée
+        logArchive.startLogArchiver();
+
         app.listen(PORT, () => {
             console.log(`\n🌐 Interface Web démarrée sur http://localhost:${PORT}\n`);
             logger.info(`Serveur Web démarré sur le port ${PORT}`);
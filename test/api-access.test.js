@@ -0,0 +1,119 @@
+/**
+ * Politiques d'accès des routes de l'API
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import router, { listUnprotectedRoutes } from '../src/web/api.js';
+
+/**
+ * Routes déclarées sur le routeur, avec leurs middlewares de politique d'accès
+ */
+function listRoutes() {
+    return router.stack
+        .filter(layer => layer.route)
+        .map(layer => ({
+            route: `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path}`,
+            guards: layer.route.stack.map(l => l.handle).filter(handle => handle.access)
+        }));
+}
+
+/**
+ * Réponse factice qui retient le statut HTTP envoyé
+ */
+function createResponse() {
+    return {
+        statusCode: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Exécute un middleware de politique et renvoie le statut HTTP produit (null si next() est appelé)
+ */
+function runGuard(guard, req) {
+    const res = createResponse();
+    let passed = false;
+    guard(req, res, () => {
+        passed = true;
+    });
+    return passed ? null : res.statusCode;
+}
+
+test('chaque route déclare une politique d\'accès explicite', () => {
+    const missing = listRoutes().filter(r => r.guards.length === 0).map(r => r.route);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(listUnprotectedRoutes(), []);
+});
+
+test('les routes de projet refusent un utilisateur limité à un autre projet', () => {
+    const user = {
+        id: 'user-scoped',
+        username: 'scoped',
+        role: 'user',
+        projects: ['mine'],
+        projectRoles: { mine: 'project-owner' }
+    };
+
+    const projectRoutes = listRoutes().filter(r => r.guards.some(g => g.access.startsWith('project:')));
+    assert.ok(projectRoutes.length > 0);
+
+    for (const { route, guards } of projectRoutes) {
+        const req = {
+            user,
+            params: { name: 'other', serviceName: 'api', id: 'unknown-id', jobId: 'unknown-job' },
+            query: {},
+            body: { linkedProject: 'other', projectName: 'other', projects: ['other'] }
+        };
+        const statuses = guards
+            .filter(g => g.access.startsWith('project:'))
+            .map(g => runGuard(g, req));
+        assert.ok(statuses.includes(403), `${route} devrait répondre 403`);
+    }
+});
+
+test('les routes de projet laissent passer un utilisateur du projet', () => {
+    const user = { id: 'user-owner', username: 'owner', role: 'user', projects: ['mine'] };
+    const guard = listRoutes()
+        .find(r => r.route === 'GET /projects/:name')
+        ?.guards.find(g => g.access === 'project:project:read');
+
+    assert.ok(guard);
+    assert.equal(runGuard(guard, { user, params: { name: 'mine' }, query: {}, body: {} }), null);
+    assert.equal(runGuard(guard, { user, params: { name: 'other' }, query: {}, body: {} }), 403);
+});
+
+test('les routes d\'administration refusent un utilisateur non administrateur', () => {
+    const user = { id: 'user-scoped', role: 'user', projects: ['mine'] };
+    const adminRoutes = listRoutes().filter(r => r.guards.some(g => g.access === 'admin'));
+    assert.ok(adminRoutes.length > 0);
+
+    for (const { route, guards } of adminRoutes) {
+        const guard = guards.find(g => g.access === 'admin');
+        assert.equal(runGuard(guard, { user, params: {}, query: {}, body: {} }), 403, route);
+    }
+});
+
+test('les tests de connexion aux bases exigent databases:write', () => {
+    const routes = listRoutes().filter(r => r.route.startsWith('POST /databases/test-'));
+    assert.equal(routes.length, 3);
+    for (const { route, guards } of routes) {
+        assert.deepEqual(guards.map(g => g.access), ['project:databases:write'], route);
+    }
+});
+
+test('la clé privée d\'un certificat exige ssl:manage', () => {
+    const layer = router.stack.find(l => l.route?.path === '/ssl/certificates/:id/download');
+    const handler = layer.route.stack.at(-1).handle;
+    const viewer = { id: 'user-viewer', role: 'user', projects: ['mine'], projectRoles: { mine: 'viewer' } };
+    const res = createResponse();
+
+    handler({ user: viewer, projectScope: ['mine'], params: { id: 'unknown-id' }, query: { type: 'key' } }, res);
+    assert.equal(res.statusCode, 403);
+});
@@ -0,0 +1,29 @@
+/**
+ * Validation des vérifications de santé des services
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHealthCheck } from '../src/modules/healthChecks.js';
+
+test('les hôtes et chemins valides sont acceptés', () => {
+    for (const host of ['127.0.0.1', '::1', 'localhost', 'api.internal-1.example.com']) {
+        assert.equal(normalizeHealthCheck({ type: 'tcp', host, port: 5432 }).host, host);
+    }
+    const check = normalizeHealthCheck({ type: 'http', port: 3000, path: '/health/ready?full=1&format=json' });
+    assert.equal(check.host, '127.0.0.1');
+    assert.equal(check.path, '/health/ready?full=1&format=json');
+});
+
+test('un hôte qui n\'est ni un nom d\'hôte ni une adresse IP est refusé', () => {
+    for (const host of ['x;touch /tmp/pwn;', '$(id)', 'a b', '-oProxy', 'host.', '`id`', 42]) {
+        assert.throws(() => normalizeHealthCheck({ type: 'http', host, port: 3000 }), /host doit être/, String(host));
+    }
+});
+
+test('un chemin avec des caractères hors URL est refusé', () => {
+    for (const path of ["/'; touch /tmp/pwn; '", '/a b', '/$(id)', '/`id`', '/"x"', '/a\nb']) {
+        assert.throws(() => normalizeHealthCheck({ type: 'http', port: 3000, path }), /caractères non autorisés/, path);
+    }
+    assert.throws(() => normalizeHealthCheck({ type: 'http', port: 3000, path: 'health' }), /commencer par \//);
+});
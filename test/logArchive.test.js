@@ -0,0 +1,119 @@
+/**
+ * Archive des logs des services : dates PM2, recherche et téléchargement
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twoine-test-'));
+process.env.TWOINE_BASE_PATH = path.join(root, 'www');
+process.env.TWOINE_CONFIG_PATH = path.join(root, 'config');
+process.env.TWOINE_PROCESS_MANAGER = 'memory';
+
+let logArchive;
+
+/**
+ * Écrit un jour d'archive et son entrée dans l'index
+ */
+function writeDay(archivePath, index, day, count) {
+    const entries = Array.from({ length: count }, (_, i) => ({
+        timestamp: `${day}T10:00:${String(i % 60).padStart(2, '0')}.000Z`,
+        stream: i % 10 === 0 ? 'stderr' : 'stdout',
+        level: i % 10 === 0 ? 'error' : 'info',
+        message: `${day} ligne ${i}`
+    }));
+    fs.writeFileSync(path.join(archivePath, `${day}.ndjson`), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    index.partitions[day] = {
+        lines: count,
+        bytes: 0,
+        first: entries[0].timestamp,
+        last: entries[entries.length - 1].timestamp,
+        levels: { debug: 0, info: count - Math.ceil(count / 10), warn: 0, error: Math.ceil(count / 10) }
+    };
+}
+
+before(async () => {
+    const { default: projects } = await import('../src/modules/projects.js');
+    ({ default: logArchive } = await import('../src/modules/logArchive.js'));
+
+    const directory = path.join(process.env.TWOINE_BASE_PATH, 'demo', 'sites', 'api');
+    fs.mkdirSync(directory, { recursive: true });
+    projects.saveProjects([{ name: 'demo', path: path.join(process.env.TWOINE_BASE_PATH, 'demo'), sftpUser: 'sftp_demo' }]);
+    projects.saveProjectConfig('demo', {
+        name: 'demo',
+        runAs: 'root',
+        services: [{ name: 'api', directory, command: 'node server.js', pm2Name: 'demo-api', logRetention: { days: 14, maxSize: null } }]
+    });
+
+    const archivePath = logArchive.getArchivePath('demo', 'api');
+    fs.mkdirSync(archivePath, { recursive: true });
+    const index = { since: '2026-10-16T00:00:00.000Z', cursor: null, updatedAt: null, partitions: {} };
+    writeDay(archivePath, index, '2026-10-16', 3000);
+    writeDay(archivePath, index, '2026-10-17', 3000);
+    fs.writeFileSync(path.join(archivePath, 'index.json'), JSON.stringify(index));
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('la date écrite par PM2 est séparée du message', () => {
+    assert.deepEqual(logArchive.parsePm2Line('2026-10-18T15:13:00.250+02:00: serveur prêt'), {
+        timestamp: '2026-10-18T13:13:00.250Z',
+        message: 'serveur prêt'
+    });
+    assert.deepEqual(logArchive.parsePm2Line('2026-10-18 15:13:00 +0200: suite'), {
+        timestamp: '2026-10-18T13:13:00.000Z',
+        message: 'suite'
+    });
+});
+
+test('une ligne sans date PM2 est gardée telle quelle', () => {
+    for (const line of ['    at main (server.js:12:5)', '2026-10-18 15:13:00: sans fuseau', '2026-13-45T99:00:00Z: invalide']) {
+        assert.deepEqual(logArchive.parsePm2Line(line), { timestamp: null, message: line });
+    }
+});
+
+test('la recherche renvoie les lignes les plus récentes en premier', async () => {
+    const result = await logArchive.searchArchive('demo', 'api', { limit: 5 });
+    assert.equal(result.truncated, true);
+    assert.deepEqual(result.entries.map(entry => entry.message), [
+        '2026-10-17 ligne 2999', '2026-10-17 ligne 2998', '2026-10-17 ligne 2997', '2026-10-17 ligne 2996', '2026-10-17 ligne 2995'
+    ]);
+});
+
+test('la recherche continue sur les jours précédents jusqu\'à la limite', async () => {
+    const result = await logArchive.searchArchive('demo', 'api', { level: 'error', limit: 400 });
+    assert.equal(result.entries.length, 400);
+    assert.equal(result.entries[0].message, '2026-10-17 ligne 2990');
+    assert.equal(result.entries[299].message, '2026-10-17 ligne 0');
+    assert.equal(result.entries[300].message, '2026-10-16 ligne 2990');
+    assert.ok(result.entries.every(entry => entry.level === 'error'));
+});
+
+test('le filtre de texte ignore la casse', async () => {
+    const result = await logArchive.searchArchive('demo', 'api', { search: 'LIGNE 1234' });
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.entries.map(entry => entry.message), ['2026-10-17 ligne 1234', '2026-10-16 ligne 1234']);
+});
+
+test('le téléchargement écrit toutes les lignes par lots, en attendant chaque écriture', async () => {
+    const chunks = [];
+    const count = await logArchive.exportArchive('demo', 'api', { until: '2026-10-16T23:59:59Z' }, async text => {
+        await new Promise(resolve => setImmediate(resolve));
+        chunks.push(text);
+    });
+    const lines = chunks.join('').split('\n').filter(Boolean);
+
+    assert.equal(count, 3000);
+    assert.equal(lines.length, 3000);
+    assert.ok(chunks.length > 1);
+    assert.equal(lines[0], '2026-10-16T10:00:00.000Z stderr ERROR 2026-10-16 ligne 0');
+});
+
+test('un filtre invalide est refusé', async () => {
+    await assert.rejects(logArchive.searchArchive('demo', 'api', { level: 'verbose' }), /Niveau invalide/);
+});
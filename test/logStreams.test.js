@@ -0,0 +1,81 @@
+/**
+ * Suivi en direct des logs : filtre par expression régulière et temps limité par ligne
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twoine-test-'));
+process.env.TWOINE_BASE_PATH = path.join(root, 'www');
+process.env.TWOINE_CONFIG_PATH = path.join(root, 'config');
+process.env.TWOINE_PROCESS_MANAGER = 'memory';
+
+const pm2Name = `twoine-test-${process.pid}-api`;
+let logStreams;
+let logFiles;
+
+/**
+ * Suit les logs jusqu'à recevoir count événements
+ */
+function collect(options, count) {
+    return new Promise(resolve => {
+        const events = [];
+        const stop = logStreams.followServiceLogs('demo', 'api', options, event => {
+            events.push(event);
+            if (events.length === count) {
+                stop();
+                resolve(events);
+            }
+        });
+    });
+}
+
+before(async () => {
+    const { default: projects } = await import('../src/modules/projects.js');
+    const { default: scripts } = await import('../src/modules/scripts.js');
+    ({ default: logStreams } = await import('../src/modules/logStreams.js'));
+
+    const directory = path.join(process.env.TWOINE_BASE_PATH, 'demo', 'sites', 'api');
+    fs.mkdirSync(directory, { recursive: true });
+    projects.saveProjects([{ name: 'demo', path: path.join(process.env.TWOINE_BASE_PATH, 'demo'), sftpUser: 'sftp_demo' }]);
+    projects.saveProjectConfig('demo', {
+        name: 'demo',
+        runAs: 'root',
+        services: [{ name: 'api', directory, command: 'node server.js', pm2Name }]
+    });
+
+    logFiles = scripts.getPm2LogFiles(pm2Name);
+    fs.mkdirSync(path.dirname(logFiles.stdout), { recursive: true });
+    fs.writeFileSync(logFiles.stdout, ['GET / 200', 'ECONNRESET socket', 'timeout après 30s', `${'a'.repeat(16 * 1024 - 1)}!`].join('\n') + '\n');
+    fs.writeFileSync(logFiles.stderr, '');
+});
+
+after(() => {
+    fs.rmSync(logFiles.stdout, { force: true });
+    fs.rmSync(logFiles.stderr, { force: true });
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('le filtre est une expression régulière, éventuellement insensible à la casse', async () => {
+    let events = await collect({ filter: 'timeout|ECONN' }, 2);
+    assert.deepEqual(events.map(event => event.line), ['ECONNRESET socket', 'timeout après 30s']);
+
+    events = await collect({ filter: '^get', ignoreCase: true }, 1);
+    assert.deepEqual(events.map(event => event.line), ['GET / 200']);
+});
+
+test('un filtre invalide ou trop long est refusé', () => {
+    assert.throws(() => logStreams.followServiceLogs('demo', 'api', { filter: '(' }, () => {}), /Filtre invalide/);
+    assert.throws(() => logStreams.followServiceLogs('demo', 'api', { filter: 'a'.repeat(201) }, () => {}), /Filtre trop long/);
+});
+
+test('un filtre trop coûteux interrompt le suivi du client au lieu de bloquer le serveur', async () => {
+    const started = Date.now();
+    const [event] = await collect({ filter: '(a+)+$' }, 1);
+    assert.equal(event.type, 'error');
+    assert.match(event.message, /Filtre trop coûteux/);
+    assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,89 @@
+/**
+ * Scripts générés : vérifications de santé de start.sh
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twoine-test-'));
+process.env.TWOINE_BASE_PATH = path.join(root, 'www');
+process.env.TWOINE_CONFIG_PATH = path.join(root, 'config');
+process.env.TWOINE_PROCESS_MANAGER = 'memory';
+
+const marker = path.join(root, 'pwn');
+let projects;
+let scripts;
+
+/**
+ * Génère start.sh avec la vérification de santé donnée (sans validation, comme une configuration modifiée à la main)
+ * et renvoie les fonctions de vérification et la commande d'attente du service "db"
+ */
+function generate(healthCheck) {
+    const sites = path.join(process.env.TWOINE_BASE_PATH, 'demo', 'sites');
+    projects.saveProjectConfig('demo', {
+        name: 'demo',
+        runAs: 'root',
+        services: [
+            { name: 'db', directory: path.join(sites, 'db'), command: 'node db.js', healthCheck: { timeout: 1, ...healthCheck } },
+            { name: 'api', directory: path.join(sites, 'api'), command: 'node server.js', dependsOn: ['db'] }
+        ]
+    });
+    scripts.generateScripts('demo');
+
+    const content = fs.readFileSync(path.join(process.env.TWOINE_BASE_PATH, 'demo', 'scripts', 'start.sh'), 'utf8');
+    const helpers = content.slice(content.indexOf('check_http() {'), content.indexOf('}\n', content.indexOf('check_tcp() {')) + 2);
+    const command = content.split('\n').find(line => line.startsWith('wait_ready "db" ')).slice('wait_ready "db" '.length);
+    return { helpers, command };
+}
+
+/**
+ * Exécute la commande d'attente (une seule tentative)
+ */
+function runCheck({ helpers, command }) {
+    try {
+        execFileSync('bash', ['-c', `${helpers}\n${command}`], { stdio: 'ignore', timeout: 10000 });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+before(async () => {
+    ({ default: projects } = await import('../src/modules/projects.js'));
+    ({ default: scripts } = await import('../src/modules/scripts.js'));
+    fs.mkdirSync(path.join(process.env.TWOINE_BASE_PATH, 'demo', 'sites'), { recursive: true });
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('les valeurs d\'une vérification HTTP sont des arguments, jamais du code bash', () => {
+    const check = generate({ type: 'http', host: `x;touch ${marker};`, port: 1, path: `/'; touch ${marker}; '`, expectedStatus: 200 });
+    assert.match(check.command, /^check_http '/);
+    assert.equal(runCheck(check), false);
+    assert.equal(fs.existsSync(marker), false);
+});
+
+test('les valeurs d\'une vérification TCP sont des arguments, jamais du code bash', () => {
+    const check = generate({ type: 'tcp', host: `$(touch ${marker})`, port: `1; touch ${marker}` });
+    assert.match(check.command, /^check_tcp '/);
+    assert.equal(runCheck(check), false);
+    assert.equal(fs.existsSync(marker), false);
+});
+
+test('la vérification TCP réussit sur un port ouvert', async () => {
+    const server = net.createServer(socket => socket.end()).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        const check = generate({ type: 'tcp', host: '127.0.0.1', port: server.address().port });
+        assert.equal(runCheck(check), true);
+    } finally {
+        server.close();
+    }
+});
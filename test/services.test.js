@@ -0,0 +1,80 @@
+/**
+ * Cycle de vie des services avec le gestionnaire de processus en mémoire
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'twoine-test-'));
+process.env.TWOINE_BASE_PATH = path.join(root, 'www');
+process.env.TWOINE_CONFIG_PATH = path.join(root, 'config');
+process.env.TWOINE_PROCESS_MANAGER = 'memory';
+
+let projects;
+let services;
+let processManager;
+
+before(async () => {
+    ({ default: projects } = await import('../src/modules/projects.js'));
+    ({ default: services } = await import('../src/modules/services.js'));
+    ({ default: processManager } = await import('../src/modules/processManager.js'));
+
+    const directory = path.join(process.env.TWOINE_BASE_PATH, 'demo', 'sites', 'api');
+    fs.mkdirSync(directory, { recursive: true });
+    projects.saveProjects([{ name: 'demo', path: path.join(process.env.TWOINE_BASE_PATH, 'demo'), sftpUser: 'sftp_demo' }]);
+    projects.saveProjectConfig('demo', {
+        name: 'demo',
+        runAs: 'root',
+        services: [{ name: 'api', directory, command: 'node server.js', pm2Name: 'demo-api' }]
+    });
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('TWOINE_PROCESS_MANAGER=memory sélectionne l\'adaptateur en mémoire', () => {
+    assert.equal(processManager.getAdapter().name, 'memory');
+});
+
+test('un service arrêté est signalé comme tel', async () => {
+    const status = await services.getServiceStatus('demo', 'api');
+    assert.equal(status.status, 'stopped');
+    assert.equal(status.pm2Name, 'demo-api');
+});
+
+test('démarrage, redémarrage et arrêt d\'un service', async () => {
+    const events = [];
+    processManager.onProcessEvent(event => events.push(`${event.type}:${event.name}`));
+
+    await services.startService('demo', 'api', false);
+    let status = await services.getServiceStatus('demo', 'api');
+    assert.equal(status.status, 'online');
+    assert.equal(status.restarts, 0);
+    assert.ok(fs.existsSync(path.join(process.env.TWOINE_BASE_PATH, 'demo', 'scripts', 'ecosystem.config.cjs')));
+
+    await services.restartService('demo', 'api');
+    status = await services.getServiceStatus('demo', 'api');
+    assert.equal(status.status, 'online');
+    assert.equal(status.restarts, 1);
+
+    await services.stopService('demo', 'api');
+    status = await services.getServiceStatus('demo', 'api');
+    assert.equal(status.status, 'stopped');
+
+    assert.deepEqual(events, ['online:demo-api', 'restart:demo-api', 'stop:demo-api']);
+});
+
+test('le statut de tous les services passe par une seule liste', async () => {
+    await services.startService('demo', 'api', false);
+    const [status] = await services.getAllServicesStatus('demo');
+    assert.equal(status.name, 'api');
+    assert.equal(status.status, 'online');
+});
+
+test('un service inconnu est refusé', async () => {
+    await assert.rejects(services.startService('demo', 'missing', false), /n'existe pas/);
+});